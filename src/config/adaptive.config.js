@@ -0,0 +1,36 @@
+/**
+ * Item calibration and adaptive practice configuration
+ */
+module.exports = {
+  // Cron expression for recalibrating question difficulty (daily at 4:00 AM)
+  calibrationCron: process.env.ADAPTIVE_CALIBRATION_CRON || '0 4 * * *',
+
+  // Timezone the calibration job runs in
+  timezone: process.env.ADAPTIVE_TIMEZONE || 'Asia/Kolkata',
+
+  // Graded responses a question needs before its estimates replace its difficulty label
+  minResponses: parseInt(process.env.ADAPTIVE_MIN_RESPONSES) || 20,
+
+  // Bounds of the discrimination estimate
+  minDiscrimination: 0.2,
+  maxDiscrimination: 3,
+
+  // Difficulty assumed from the label of questions that are not calibrated yet
+  labelDifficulty: {
+    easy: -1,
+    medium: 0,
+    hard: 1
+  },
+
+  // A session stops once the standard error of the ability estimate falls to this value.
+  // Uncalibrated questions count with discrimination 1, so each adds at most 0.25
+  // information; 0.35 takes about 30 well-targeted questions to reach
+  targetStandardError: parseFloat(process.env.ADAPTIVE_TARGET_STANDARD_ERROR) || 0.35,
+
+  // Questions served before a session may stop as converged, and at most
+  minQuestions: parseInt(process.env.ADAPTIVE_MIN_QUESTIONS) || 5,
+  maxQuestions: parseInt(process.env.ADAPTIVE_MAX_QUESTIONS) || 40,
+
+  // The next question is picked at random among this many most informative ones
+  selectionPoolSize: parseInt(process.env.ADAPTIVE_SELECTION_POOL_SIZE) || 3
+};
\ No newline at end of file
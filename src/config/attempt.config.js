@@ -0,0 +1,17 @@
+/**
+ * Timed attempt configuration
+ */
+module.exports = {
+  // Extra time (in seconds) accepted after the deadline to absorb network latency
+  submissionGraceSeconds: parseInt(process.env.ATTEMPT_GRACE_SECONDS) || 60,
+
+  // Number of attempts loaded at a time when a quiz is regraded
+  regradeBatchSize: parseInt(process.env.ATTEMPT_REGRADE_BATCH_SIZE) || 100,
+
+  // Wrong answers to easy questions given in at most this many seconds count as silly mistakes
+  sillyMistakeSeconds: parseInt(process.env.ATTEMPT_SILLY_MISTAKE_SECONDS) || 60,
+
+  // Accuracy (%) from which a subject or chapter counts as a strength, and below which as a weakness
+  strengthAccuracy: parseInt(process.env.ATTEMPT_STRENGTH_ACCURACY) || 75,
+  weaknessAccuracy: parseInt(process.env.ATTEMPT_WEAKNESS_ACCURACY) || 50
+};
\ No newline at end of file
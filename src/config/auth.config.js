@@ -11,6 +11,12 @@ module.exports = {
   // JWT refresh expiration (in seconds)
   jwtRefreshExpiration: process.env.JWT_REFRESH_EXPIRATION || 604800, // 7 days
   
+  // Expiration of tokens that let a user claim an anonymous attempt (in seconds)
+  attemptClaimExpiration: process.env.ATTEMPT_CLAIM_EXPIRATION || 7200, // 2 hours
+  
+  // Expiration of tokens that let an anonymous user work on their open attempt (in seconds)
+  attemptAccessExpiration: process.env.ATTEMPT_ACCESS_EXPIRATION || 86400, // 24 hours
+  
   // Password hash rounds
   saltRounds: 10
 };
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * Daily practice problem (DPP) configuration
+ */
+module.exports = {
+  // Cron expression for publishing the day's DPP sets (daily at 6:00 AM)
+  publishCron: process.env.DPP_PUBLISH_CRON || '0 6 * * *',
+
+  // Timezone the publishing job runs in; also decides which day a set belongs to
+  timezone: process.env.DPP_TIMEZONE || 'Asia/Kolkata',
+
+  // Most questions a DPP set can have
+  maxQuestions: parseInt(process.env.DPP_MAX_QUESTIONS) || 50,
+
+  // Days a question is kept out of new sets of a plan after it was used
+  recentDays: parseInt(process.env.DPP_RECENT_DAYS) || 30,
+
+  // Days of sets listed to students
+  listDays: parseInt(process.env.DPP_LIST_DAYS) || 30,
+
+  // Time allowed per question (in minutes) when a plan has no time limit
+  minutesPerQuestion: parseFloat(process.env.DPP_MINUTES_PER_QUESTION) || 3
+};
\ No newline at end of file
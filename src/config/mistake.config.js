@@ -0,0 +1,17 @@
+/**
+ * Mistake notebook configuration
+ */
+const firstReviewDelayDays = parseInt(process.env.MISTAKE_FIRST_REVIEW_DELAY_DAYS);
+const dailyReviewLimit = parseInt(process.env.MISTAKE_DAILY_REVIEW_LIMIT);
+
+module.exports = {
+  // Days after a mistake before it is first due for revision (0 makes it due the same day)
+  firstReviewDelayDays: isNaN(firstReviewDelayDays) ? 1 : firstReviewDelayDays,
+
+  // Most questions in a day's revision queue
+  dailyReviewLimit: isNaN(dailyReviewLimit) ? 30 : dailyReviewLimit,
+
+  // Most tags on a notebook entry, and the longest tag
+  maxTags: 10,
+  maxTagLength: 50
+};
\ No newline at end of file
@@ -0,0 +1,10 @@
+/**
+ * Custom practice test configuration
+ */
+module.exports = {
+  // Most questions a generated practice test can have
+  maxQuestions: parseInt(process.env.PRACTICE_MAX_QUESTIONS) || 90,
+
+  // Time allowed per question (in minutes) when no time limit is requested
+  minutesPerQuestion: parseFloat(process.env.PRACTICE_MINUTES_PER_QUESTION) || 2
+};
\ No newline at end of file
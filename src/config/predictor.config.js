@@ -0,0 +1,10 @@
+/**
+ * Rank and college predictor configuration
+ */
+module.exports = {
+  // Share above the closing rank still listed as a reach option (0.1 lists ranks up to 10% past closing)
+  reachMargin: parseFloat(process.env.PREDICTOR_REACH_MARGIN) || 0.1,
+
+  // Number of rows written at a time when a dataset is imported
+  importBatchSize: parseInt(process.env.PREDICTOR_IMPORT_BATCH_SIZE) || 500
+};
\ No newline at end of file
@@ -0,0 +1,223 @@
+const { AdaptiveSession, SyllabusNode, sequelize } = require('../models');
+const adaptiveService = require('../services/adaptive.service');
+const attemptService = require('../services/attempt.service');
+const calibrationService = require('../services/calibration.service');
+const gradingService = require('../services/grading.service');
+
+/**
+ * Load the question a session is waiting on, without its answer key
+ * @param {Object} session - Session
+ * @returns {Promise<Object|null>} Public question, or null when the session has stopped
+ */
+async function findPublicQuestion(session) {
+  if (!session.currentQuestionId) {
+    return null;
+  }
+
+  const question = await adaptiveService.findQuestion(session.currentQuestionId);
+  return question ? attemptService.redactQuestion(question) : null;
+}
+
+/**
+ * Start an adaptive practice session on a syllabus topic or chapter
+ * A student with an open session on the node gets that session back
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.startAdaptiveSession = async (req, res) => {
+  try {
+    const { syllabusNodeId } = req.body;
+
+    if (!syllabusNodeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'syllabusNodeId is required'
+      });
+    }
+
+    const node = await SyllabusNode.findByPk(syllabusNodeId);
+
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: 'Syllabus node not found'
+      });
+    }
+
+    const openSession = await adaptiveService.findActiveSession(req.userId, node.id);
+
+    if (openSession) {
+      return res.status(200).json({
+        success: true,
+        message: 'Resuming open adaptive session',
+        data: {
+          session: adaptiveService.toSummary(openSession),
+          question: await findPublicQuestion(openSession)
+        }
+      });
+    }
+
+    const session = await adaptiveService.startSession(req.userId, node.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: `No questions are tagged with ${node.name}`
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Adaptive session started successfully',
+      data: {
+        session: adaptiveService.toSummary(session),
+        question: await findPublicQuestion(session)
+      }
+    });
+  } catch (error) {
+    console.error('Start adaptive session error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start adaptive session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get an adaptive session with its answer history and current question
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAdaptiveSession = async (req, res) => {
+  try {
+    const session = await AdaptiveSession.findByPk(req.params.id);
+
+    if (!session || session.userId !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Adaptive session not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        session: adaptiveService.toSummary(session),
+        responses: session.responses,
+        question: await findPublicQuestion(session)
+      }
+    });
+  } catch (error) {
+    console.error('Get adaptive session error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get adaptive session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Answer the current question of an adaptive session
+ * The answer is graded and the solution shown right away; the ability
+ * estimate is updated and the next question served until it converges
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.answerAdaptiveQuestion = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { questionId } = req.body;
+
+    // Lock the session so a double submit cannot answer a question twice
+    const session = await AdaptiveSession.findByPk(req.params.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!session || session.userId !== req.userId) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Adaptive session not found'
+      });
+    }
+
+    if (session.status !== 'active') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Adaptive session has already stopped'
+      });
+    }
+
+    if (Number(questionId) !== session.currentQuestionId) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'questionId must be the current question of the session'
+      });
+    }
+
+    const question = await adaptiveService.findQuestion(session.currentQuestionId, transaction);
+
+    if (!gradingService.isAttempted(question, req.body)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Provide an answer to the question'
+      });
+    }
+
+    const grade = await adaptiveService.answerQuestion(session, question, req.body, transaction);
+
+    await transaction.commit();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        isCorrect: grade.isCorrect,
+        solution: {
+          explanation: question.explanation,
+          answers: question.answers
+        },
+        session: adaptiveService.toSummary(session),
+        nextQuestion: await findPublicQuestion(session)
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Answer adaptive question error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to answer adaptive question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Recalibrate question difficulty now instead of waiting for the scheduled job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.calibrateQuestions = async (req, res) => {
+  try {
+    const calibrated = await calibrationService.calibrateQuestions();
+
+    return res.status(200).json({
+      success: true,
+      message: `Calibrated ${calibrated} questions`,
+      data: { calibrated }
+    });
+  } catch (error) {
+    console.error('Calibrate questions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to calibrate questions',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
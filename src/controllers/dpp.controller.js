@@ -0,0 +1,238 @@
+const { Course, DppPlan } = require('../models');
+const dppService = require('../services/dpp.service');
+const syllabusService = require('../services/syllabus.service');
+
+// Plan fields an admin can set
+const PLAN_FIELDS = ['syllabusNodeIds', 'difficulties', 'questionCount', 'timeLimit', 'correctMarks', 'negativeMarks', 'dueHours', 'isActive'];
+
+/**
+ * Pick the plan fields given in a request
+ * @param {Object} body - Request body
+ * @returns {Object} Plan fields
+ */
+function pickPlanFields(body) {
+  const fields = {};
+
+  PLAN_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Get the pending and completed DPP sets of the logged-in student's courses
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMyDpps = async (req, res) => {
+  try {
+    const { pending, completed } = await dppService.getUserSets(req.userId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        pendingCount: pending.length,
+        completedCount: completed.length,
+        pending,
+        completed
+      }
+    });
+  } catch (error) {
+    console.error('Get DPPs error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get DPPs',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get all DPP plans with their courses
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getDppPlans = async (req, res) => {
+  try {
+    const plans = await DppPlan.findAll({
+      include: [
+        {
+          model: Course,
+          as: 'course',
+          attributes: ['id', 'title']
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: plans
+    });
+  } catch (error) {
+    console.error('Get DPP plans error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get DPP plans',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create the DPP plan of a course
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createDppPlan = async (req, res) => {
+  try {
+    const { courseId } = req.body;
+    const fields = {
+      questionCount: DppPlan.rawAttributes.questionCount.defaultValue,
+      dueHours: DppPlan.rawAttributes.dueHours.defaultValue,
+      ...pickPlanFields(req.body)
+    };
+
+    if (!courseId) {
+      return res.status(400).json({
+        success: false,
+        message: 'courseId is required'
+      });
+    }
+
+    const validationError = dppService.validatePlan(fields) ||
+      await syllabusService.validateNodeIds(fields.syllabusNodeIds);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const course = await Course.findByPk(courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const existingPlan = await DppPlan.findOne({ where: { courseId: course.id } });
+
+    if (existingPlan) {
+      return res.status(400).json({
+        success: false,
+        message: 'This course already has a DPP plan'
+      });
+    }
+
+    const plan = await DppPlan.create({
+      ...fields,
+      courseId: course.id,
+      createdBy: req.userId
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'DPP plan created successfully',
+      data: await dppService.findPlan(plan.id)
+    });
+  } catch (error) {
+    console.error('Create DPP plan error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create DPP plan',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a DPP plan
+ * Changes apply to sets published afterwards
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateDppPlan = async (req, res) => {
+  try {
+    const plan = await DppPlan.findByPk(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'DPP plan not found'
+      });
+    }
+
+    const fields = pickPlanFields(req.body);
+    const merged = { ...plan.toJSON(), ...fields };
+
+    const validationError = dppService.validatePlan(merged) ||
+      (fields.syllabusNodeIds ? await syllabusService.validateNodeIds(fields.syllabusNodeIds) : null);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await plan.update(fields);
+
+    return res.status(200).json({
+      success: true,
+      message: 'DPP plan updated successfully',
+      data: await dppService.findPlan(plan.id)
+    });
+  } catch (error) {
+    console.error('Update DPP plan error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update DPP plan',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Publish a set for a DPP plan now instead of waiting for the scheduled job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.publishDppSet = async (req, res) => {
+  try {
+    const plan = await dppService.findPlan(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'DPP plan not found'
+      });
+    }
+
+    const set = await dppService.publishSet(plan);
+
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: 'No questions in the plan\'s chapters are left unused by its recent sets'
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'DPP set published successfully',
+      data: set
+    });
+  } catch (error) {
+    console.error('Publish DPP set error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to publish DPP set',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
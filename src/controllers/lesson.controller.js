@@ -1,4 +1,5 @@
-const { Lesson, Module, Course, Progress, sequelize } = require('../models');
+const { Lesson, Module, Course, Progress, SyllabusNode, sequelize } = require('../models');
+const syllabusService = require('../services/syllabus.service');
 
 /**
  * Get all lessons for a module
@@ -98,6 +99,11 @@ exports.getLessonById = async (req, res) => {
           as: 'course',
           attributes: ['id', 'title', 'instructorId', 'isPublished']
         }]
+      }, {
+        model: SyllabusNode,
+        as: 'syllabusNodes',
+        attributes: ['id', 'parentId', 'level', 'name', 'code'],
+        through: { attributes: [] }
       }]
     });
 
@@ -350,6 +356,7 @@ exports.deleteLesson = async (req, res) => {
       });
     }
 
+    await syllabusService.setLessonTags(lesson.id, []);
     await lesson.destroy();
 
     return res.status(200).json({
@@ -366,6 +373,82 @@ exports.deleteLesson = async (req, res) => {
   }
 };
 
+/**
+ * Replace the syllabus tags of a lesson
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.tagLesson = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+    const { syllabusNodeIds } = req.body;
+
+    const lesson = await Lesson.findByPk(id, {
+      include: [{
+        model: Module,
+        as: 'module',
+        include: [{
+          model: Course,
+          as: 'course',
+          attributes: ['instructorId']
+        }]
+      }],
+      transaction
+    });
+
+    if (!lesson) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    // Check if user is admin or the instructor of the course
+    if (req.userRole !== 'admin' && req.userId !== lesson.module.course.instructorId) {
+      await transaction.rollback();
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this lesson'
+      });
+    }
+
+    const tagError = await syllabusService.validateNodeIds(syllabusNodeIds);
+    if (tagError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: tagError
+      });
+    }
+
+    await syllabusService.setLessonTags(lesson.id, syllabusNodeIds, transaction);
+
+    await transaction.commit();
+
+    const syllabusNodes = await lesson.getSyllabusNodes({
+      attributes: ['id', 'parentId', 'level', 'name', 'code'],
+      joinTableAttributes: []
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Lesson tags updated successfully',
+      data: syllabusNodes
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Tag lesson error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update lesson tags',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Reorder lessons
  * @param {Object} req - Express request object
@@ -0,0 +1,243 @@
+const { Op } = require('sequelize');
+const { MistakeEntry, QuizAnswer, QuizQuestion, sequelize } = require('../models');
+const mistakeService = require('../services/mistake.service');
+const mistakeConfig = require('../config/mistake.config');
+
+/**
+ * Find a notebook entry of the logged-in student
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Entry
+ */
+function findOwnEntry(req) {
+  return MistakeEntry.findOne({ where: { id: req.params.id, userId: req.userId } });
+}
+
+/**
+ * Get the mistake notebook of the logged-in student
+ * Mistakes of attempts finished since the last visit are collected first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMistakeNotebook = async (req, res) => {
+  try {
+    const { tag, source, subject } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    await mistakeService.collectMistakes(req.userId);
+
+    const where = { userId: req.userId };
+    const include = mistakeService.getEntryInclude();
+
+    if (source) {
+      where.source = source;
+    }
+
+    if (tag) {
+      where[Op.and] = [
+        sequelize.where(sequelize.fn('JSON_CONTAINS', sequelize.col('MistakeEntry.tags'), JSON.stringify(tag)), 1)
+      ];
+    }
+
+    if (subject) {
+      include[0].where = { subject };
+    }
+
+    const { count, rows } = await MistakeEntry.findAndCountAll({
+      where,
+      include,
+      distinct: true,
+      limit,
+      offset: (page - 1) * limit,
+      order: [['updatedAt', 'DESC'], [{ model: QuizQuestion, as: 'question' }, { model: QuizAnswer, as: 'answers' }, 'id', 'ASC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        entries: await mistakeService.describeEntries(rows),
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get mistake notebook error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get mistake notebook',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get today's revision queue: notebook entries due by the end of the day,
+ * most overdue first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRevisionQueue = async (req, res) => {
+  try {
+    await mistakeService.collectMistakes(req.userId);
+
+    const where = {
+      userId: req.userId,
+      dueAt: { [Op.lte]: mistakeService.getEndOfToday() }
+    };
+
+    const dueCount = await MistakeEntry.count({ where });
+    const entries = await MistakeEntry.findAll({
+      where,
+      include: mistakeService.getEntryInclude(),
+      limit: mistakeConfig.dailyReviewLimit,
+      order: [['dueAt', 'ASC'], [{ model: QuizQuestion, as: 'question' }, { model: QuizAnswer, as: 'answers' }, 'id', 'ASC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        dueCount,
+        entries: await mistakeService.describeEntries(entries)
+      }
+    });
+  } catch (error) {
+    console.error('Get revision queue error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get revision queue',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update the notes and tags of a notebook entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateMistakeEntry = async (req, res) => {
+  try {
+    const { notes, tags } = req.body;
+    const entry = await findOwnEntry(req);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notebook entry not found'
+      });
+    }
+
+    const updates = {};
+
+    if (notes !== undefined) {
+      updates.notes = notes;
+    }
+
+    if (tags !== undefined) {
+      const normalized = mistakeService.normalizeTags(tags);
+
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error
+        });
+      }
+
+      updates.tags = normalized.tags;
+    }
+
+    await entry.update(updates);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notebook entry updated successfully',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Update mistake entry error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update notebook entry',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record the outcome of revising a notebook entry and schedule its next review
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.reviewMistakeEntry = async (req, res) => {
+  try {
+    const quality = Number(req.body.quality);
+
+    if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'quality must be an integer from 0 (forgot) to 5 (perfect recall)'
+      });
+    }
+
+    const entry = await findOwnEntry(req);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notebook entry not found'
+      });
+    }
+
+    await mistakeService.recordReview(entry, quality);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Review recorded successfully',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Review mistake entry error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to record review',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a question from the mistake notebook
+ * It comes back if the student answers it wrongly again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteMistakeEntry = async (req, res) => {
+  try {
+    const entry = await findOwnEntry(req);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notebook entry not found'
+      });
+    }
+
+    await entry.destroy();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notebook entry removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete mistake entry error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove notebook entry',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,5 +1,17 @@
-const { Quiz, QuizQuestion, QuizAnswer, QuizAttempt, UserQuizAnswer, User, sequelize } = require('../models');
+const { Quiz, QuizSection, QuizQuestion, QuizQuestionLink, QuizAnswer, QuizAttempt, QuizVersion, UserQuizAnswer, User, MockTestRegistration, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const gradingService = require('../services/grading.service');
+const questionService = require('../services/question.service');
+const sectionService = require('../services/section.service');
+const attemptService = require('../services/attempt.service');
+const syllabusService = require('../services/syllabus.service');
+const quizVersionService = require('../services/quizVersion.service');
+const testWindowService = require('../services/testWindow.service');
+const rankingService = require('../services/ranking.service');
+const analysisService = require('../services/analysis.service');
+const practiceService = require('../services/practice.service');
+const pyqService = require('../services/pyq.service');
+const dppService = require('../services/dpp.service');
 
 /**
  * Get all available mock tests
@@ -8,12 +20,14 @@ const { Op } = require('sequelize');
  */
 exports.getAllMockTests = async (req, res) => {
   try {
-    const { title, category, difficulty, page = 1, limit = 10 } = req.query;
+    const { title, category, difficulty, syllabusNodeId, status, exam, year, page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
     
     // Build filter conditions
     const whereConditions = {
-      lessonId: null // Mock tests are not associated with lessons
+      lessonId: null, // Mock tests are not associated with lessons
+      ownerId: null, // Personal practice tests are listed separately
+      dppPlanId: null // DPP sets are listed to the students of their course
     };
     
     if (title) {
@@ -28,18 +42,65 @@ exports.getAllMockTests = async (req, res) => {
       whereConditions.difficulty = difficulty;
     }
     
+    // Previous-year papers of an exam and year
+    if (exam) {
+      if (!pyqService.isExam(exam)) {
+        return res.status(400).json({
+          success: false,
+          message: 'exam must be one of jee_main, jee_advanced or bitsat'
+        });
+      }
+      
+      whereConditions.exam = exam;
+    }
+    
+    if (year) {
+      whereConditions.examYear = parseInt(year);
+    }
+    
+    // Mock tests covering the syllabus node or any node below it
+    if (syllabusNodeId) {
+      whereConditions.id = { [Op.in]: await syllabusService.getTaggedQuizIds(syllabusNodeId) };
+    }
+    
+    // Scheduled mock tests that have not started, are running or have ended
+    if (status) {
+      const phaseConditions = testWindowService.getPhaseWhere(status);
+      
+      if (!phaseConditions) {
+        return res.status(400).json({
+          success: false,
+          message: 'status must be one of upcoming, live or past'
+        });
+      }
+      
+      Object.assign(whereConditions, phaseConditions);
+    }
+    
+    // Upcoming and live tests are listed soonest first, past tests latest first
+    const order = status === 'upcoming' || status === 'live'
+      ? [['startsAt', 'ASC']]
+      : status === 'past' ? [['endsAt', 'DESC']] : [['createdAt', 'DESC']];
+    
     // Get mock tests with pagination
-    const { count, rows: mockTests } = await Quiz.findAndCountAll({
+    const { count, rows } = await Quiz.findAndCountAll({
       where: whereConditions,
       attributes: [
         'id', 'title', 'description', 'timeLimit', 'passingScore', 
-        'category', 'difficulty', 'createdAt'
+        'category', 'difficulty', 'registrationOpensAt', 'registrationClosesAt',
+        'startsAt', 'joinCutoffAt', 'endsAt', 'exam', 'examYear', 'examSession', 'examDate',
+        'examShift', 'paperNumber', 'createdAt'
       ],
       limit: parseInt(limit),
       offset: offset,
-      order: [['createdAt', 'DESC']]
+      order
     });
     
+    const mockTests = rows.map(mockTest => ({
+      ...mockTest.toJSON(),
+      ...testWindowService.getScheduleStatus(mockTest)
+    }));
+    
     // Calculate pagination info
     const totalPages = Math.ceil(count / limit);
     
@@ -118,13 +179,26 @@ exports.getMockTestById = async (req, res) => {
     const mockTest = await Quiz.findOne({
       where: {
         id,
-        lessonId: null // Ensure it's a mock test
+        lessonId: null, // Ensure it's a mock test
+        ...practiceService.getVisibleWhere(req.userId)
       },
       include: [
+        {
+          model: QuizSection,
+          as: 'sections',
+          attributes: [
+            'id', 'title', 'subject', 'instructions', 'position', 'correctMarks', 'negativeMarks',
+            'unattemptedMarks', 'partialMarking', 'partialMarksPerOption', 'attemptLimit', 'timeLimit'
+          ]
+        },
         {
           model: QuizQuestion,
           as: 'questions',
-          attributes: ['id', 'questionText', 'questionType', 'points', 'position'],
+          attributes: [
+            'id', 'questionText', 'questionType', 'points', 'subject', 'difficulty',
+            'assertionText', 'reasonText', 'matrixLeft', 'matrixRight', 'marksPerPair'
+          ],
+          through: { attributes: ['position', 'sectionId'] },
           include: [
             {
               model: QuizAnswer,
@@ -135,7 +209,8 @@ exports.getMockTestById = async (req, res) => {
         }
       ],
       order: [
-        [{ model: QuizQuestion, as: 'questions' }, 'position', 'ASC'],
+        [{ model: QuizSection, as: 'sections' }, 'position', 'ASC'],
+        [{ model: QuizQuestion, as: 'questions' }, QuizQuestionLink, 'position', 'ASC'],
         [{ model: QuizQuestion, as: 'questions' }, { model: QuizAnswer, as: 'answers' }, 'id', 'ASC']
       ]
     });
@@ -147,6 +222,33 @@ exports.getMockTestById = async (req, res) => {
       });
     }
     
+    if (!(await dppService.canAccessSet(mockTest, req.userId, req.userRole))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only students enrolled in the course can open this DPP set'
+      });
+    }
+    
+    const schedule = testWindowService.getScheduleStatus(mockTest);
+    
+    if (req.userId && schedule.requiresRegistration) {
+      schedule.isRegistered = Boolean(await MockTestRegistration.findOne({
+        where: { quizId: mockTest.id, userId: req.userId }
+      }));
+    }
+    
+    // Questions of a scheduled test stay hidden from students until it starts
+    if (schedule.phase === 'upcoming' && !['instructor', 'admin'].includes(req.userRole)) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...mockTest.toJSON(),
+          questions: [],
+          ...schedule
+        }
+      });
+    }
+    
     let questions = mockTest.questions;
     
     // Apply randomization if requested
@@ -159,6 +261,14 @@ exports.getMockTestById = async (req, res) => {
       // Shuffle questions
       questions = shuffleArray(questions, random);
       
+      // Keep shuffled questions inside their own section
+      if (mockTest.sections.length > 0) {
+        const sectionOrder = new Map(mockTest.sections.map(section => [section.id, section.position]));
+        questions.sort((a, b) =>
+          (sectionOrder.get(gradingService.getSectionId(a)) || 0) - (sectionOrder.get(gradingService.getSectionId(b)) || 0)
+        );
+      }
+      
       // Limit question count if specified
       if (questionCount && parseInt(questionCount) > 0) {
         const count = Math.min(parseInt(questionCount), questions.length);
@@ -181,7 +291,7 @@ exports.getMockTestById = async (req, res) => {
       
       // Update positions to reflect new order
       questions = questions.map((question, index) => ({
-        ...question.toJSON ? question.toJSON() : question,
+        ...questionService.withQuizLink(question),
         position: index
       }));
     }
@@ -189,7 +299,8 @@ exports.getMockTestById = async (req, res) => {
     // Create response with potentially modified questions
     const responseData = {
       ...mockTest.toJSON(),
-      questions: questions,
+      ...schedule,
+      questions: questions.map(question => questionService.toPublicQuestion(question)),
       metadata: {
         totalAvailableQuestions: mockTest.questions.length,
         returnedQuestions: questions.length,
@@ -222,14 +333,63 @@ exports.createMockTest = async (req, res) => {
   const transaction = await sequelize.transaction();
   
   try {
-    const { title, description, timeLimit, passingScore, category, difficulty, questions } = req.body;
+    const {
+      title, description, timeLimit, passingScore, category, difficulty,
+      correctMarks, negativeMarks, unattemptedMarks, partialMarking, partialMarksPerOption,
+      answerReleasePolicy, registrationOpensAt, registrationClosesAt, startsAt, joinCutoffAt, endsAt,
+      exam, examYear, examSession, examDate, examShift, paperNumber,
+      questions, sections
+    } = req.body;
+    
+    const hasSections = Array.isArray(sections) && sections.length > 0;
     
     // Validate required fields
-    if (!title || !questions || !Array.isArray(questions) || questions.length === 0) {
+    if (!title || (!hasSections && (!questions || !Array.isArray(questions) || questions.length === 0))) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: title and questions or sections array'
+      });
+    }
+    
+    // Answers released after the window need a window end
+    if (answerReleasePolicy === 'after_window' && !endsAt) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'endsAt is required when answerReleasePolicy is after_window'
+      });
+    }
+    
+    const marksError = questionService.validateMarks(req.body);
+    if (marksError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: marksError
+      });
+    }
+    
+    const scheduleError = testWindowService.validateSchedule({
+      registrationOpensAt, registrationClosesAt, startsAt, joinCutoffAt, endsAt
+    });
+    if (scheduleError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+    
+    // Previous-year papers carry the exam, year and sitting they were set in
+    const examError = pyqService.validateExamMetadata({
+      exam, examYear, examSession, examDate, examShift, paperNumber
+    });
+    if (examError) {
       await transaction.rollback();
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: title and questions array'
+        message: examError
       });
     }
     
@@ -241,51 +401,59 @@ exports.createMockTest = async (req, res) => {
       timeLimit,
       passingScore,
       category,
-      difficulty
+      difficulty,
+      correctMarks,
+      negativeMarks,
+      unattemptedMarks,
+      partialMarking,
+      partialMarksPerOption,
+      answerReleasePolicy,
+      registrationOpensAt,
+      registrationClosesAt,
+      startsAt,
+      joinCutoffAt,
+      endsAt,
+      exam,
+      examYear,
+      examSession,
+      examDate,
+      examShift,
+      paperNumber
     }, { transaction });
     
-    // Create questions and answers
-    for (let i = 0; i < questions.length; i++) {
-      const { questionText, questionType, points, explanation, answers } = questions[i];
+    if (hasSections) {
+      // Create sections with their questions, numbering questions across the paper
+      let questionPosition = 0;
       
-      // Validate question
-      if (!questionText || !questionType || !answers || !Array.isArray(answers)) {
-        await transaction.rollback();
-        return res.status(400).json({
-          success: false,
-          message: `Invalid question at index ${i}: missing required fields`
-        });
+      for (let i = 0; i < sections.length; i++) {
+        const validationError = sectionService.validateSection(sections[i], i);
+        
+        if (validationError) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: validationError
+          });
+        }
+        
+        await sectionService.createSection(mockTest.id, sections[i], i, questionPosition, transaction);
+        questionPosition += sections[i].questions.length;
       }
-      
-      // Create question
-      const question = await QuizQuestion.create({
-        quizId: mockTest.id,
-        questionText,
-        questionType,
-        points: points || 1,
-        explanation,
-        position: i
-      }, { transaction });
-      
-      // Create answers
-      for (const answer of answers) {
-        const { answerText, isCorrect, explanation: answerExplanation } = answer;
+    } else {
+      // Create questions and answers
+      for (let i = 0; i < questions.length; i++) {
+        // Validate question
+        const validationError = questionService.validateQuestion(questions[i], i);
         
-        // Validate answer
-        if (!answerText || isCorrect === undefined) {
+        if (validationError) {
           await transaction.rollback();
           return res.status(400).json({
             success: false,
-            message: 'Invalid answer: missing required fields'
+            message: validationError
           });
         }
         
-        await QuizAnswer.create({
-          questionId: question.id,
-          answerText,
-          isCorrect,
-          explanation: answerExplanation
-        }, { transaction });
+        await questionService.createQuestion(mockTest.id, questions[i], i, transaction);
       }
     }
     
@@ -294,9 +462,14 @@ exports.createMockTest = async (req, res) => {
     // Get the created mock test with all related data
     const createdMockTest = await Quiz.findByPk(mockTest.id, {
       include: [
+        {
+          model: QuizSection,
+          as: 'sections'
+        },
         {
           model: QuizQuestion,
           as: 'questions',
+          through: { attributes: ['position', 'sectionId'] },
           include: [
             {
               model: QuizAnswer,
@@ -333,7 +506,12 @@ exports.updateMockTest = async (req, res) => {
   
   try {
     const { id } = req.params;
-    const { title, description, timeLimit, passingScore, category, difficulty } = req.body;
+    const {
+      title, description, timeLimit, passingScore, category, difficulty,
+      correctMarks, negativeMarks, unattemptedMarks, partialMarking, partialMarksPerOption,
+      answerReleasePolicy, registrationOpensAt, registrationClosesAt, startsAt, joinCutoffAt, endsAt,
+      exam, examYear, examSession, examDate, examShift, paperNumber
+    } = req.body;
     
     // Find mock test
     const mockTest = await Quiz.findOne({
@@ -351,6 +529,50 @@ exports.updateMockTest = async (req, res) => {
       });
     }
     
+    const marksError = questionService.validateMarks(req.body);
+    if (marksError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: marksError
+      });
+    }
+    
+    const schedule = {
+      registrationOpensAt: registrationOpensAt !== undefined ? registrationOpensAt : mockTest.registrationOpensAt,
+      registrationClosesAt: registrationClosesAt !== undefined ? registrationClosesAt : mockTest.registrationClosesAt,
+      startsAt: startsAt !== undefined ? startsAt : mockTest.startsAt,
+      joinCutoffAt: joinCutoffAt !== undefined ? joinCutoffAt : mockTest.joinCutoffAt,
+      endsAt: endsAt !== undefined ? endsAt : mockTest.endsAt
+    };
+    
+    const scheduleError = testWindowService.validateSchedule(schedule);
+    if (scheduleError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+    
+    const examMetadata = {
+      exam: exam !== undefined ? exam : mockTest.exam,
+      examYear: examYear !== undefined ? examYear : mockTest.examYear,
+      examSession: examSession !== undefined ? examSession : mockTest.examSession,
+      examDate: examDate !== undefined ? examDate : mockTest.examDate,
+      examShift: examShift !== undefined ? examShift : mockTest.examShift,
+      paperNumber: paperNumber !== undefined ? paperNumber : mockTest.paperNumber
+    };
+    
+    const examError = pyqService.validateExamMetadata(examMetadata);
+    if (examError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: examError
+      });
+    }
+    
     // Update mock test
     await mockTest.update({
       title: title || mockTest.title,
@@ -358,7 +580,15 @@ exports.updateMockTest = async (req, res) => {
       timeLimit: timeLimit !== undefined ? timeLimit : mockTest.timeLimit,
       passingScore: passingScore !== undefined ? passingScore : mockTest.passingScore,
       category: category !== undefined ? category : mockTest.category,
-      difficulty: difficulty !== undefined ? difficulty : mockTest.difficulty
+      difficulty: difficulty !== undefined ? difficulty : mockTest.difficulty,
+      correctMarks: correctMarks !== undefined ? correctMarks : mockTest.correctMarks,
+      negativeMarks: negativeMarks !== undefined ? negativeMarks : mockTest.negativeMarks,
+      unattemptedMarks: unattemptedMarks !== undefined ? unattemptedMarks : mockTest.unattemptedMarks,
+      partialMarking: partialMarking !== undefined ? partialMarking : mockTest.partialMarking,
+      partialMarksPerOption: partialMarksPerOption !== undefined ? partialMarksPerOption : mockTest.partialMarksPerOption,
+      answerReleasePolicy: answerReleasePolicy !== undefined ? answerReleasePolicy : mockTest.answerReleasePolicy,
+      ...schedule,
+      ...examMetadata
     }, { transaction });
     
     await transaction.commit();
@@ -366,9 +596,14 @@ exports.updateMockTest = async (req, res) => {
     // Get updated mock test
     const updatedMockTest = await Quiz.findByPk(id, {
       include: [
+        {
+          model: QuizSection,
+          as: 'sections'
+        },
         {
           model: QuizQuestion,
           as: 'questions',
+          through: { attributes: ['position', 'sectionId'] },
           include: [
             {
               model: QuizAnswer,
@@ -433,16 +668,11 @@ exports.deleteMockTest = async (req, res) => {
       });
     }
     
-    // Get all questions
-    const questions = await QuizQuestion.findAll({ where: { quizId: id } });
-    
-    // Delete answers for each question
-    for (const question of questions) {
-      await QuizAnswer.destroy({ where: { questionId: question.id }, transaction });
-    }
+    // Remove questions from the mock test (questions written only for it are deleted)
+    await questionService.unlinkQuiz(mockTest.id, transaction);
     
-    // Delete questions
-    await QuizQuestion.destroy({ where: { quizId: id }, transaction });
+    // Delete sections
+    await QuizSection.destroy({ where: { quizId: id }, transaction });
     
     // Delete mock test
     await mockTest.destroy({ transaction });
@@ -465,235 +695,704 @@ exports.deleteMockTest = async (req, res) => {
 };
 
 /**
- * Submit a mock test attempt
- * This endpoint can be used by both logged-in and anonymous users
+ * Build the result summary returned after grading an attempt
+ * @param {Object} grading - Grading result
+ * @param {number} timeSpentSeconds - Time spent on the attempt
+ * @returns {Object} Result summary
+ */
+function formatResult(grading, timeSpentSeconds) {
+  return {
+    score: grading.score,
+    maxScore: grading.maxScore,
+    percentageScore: grading.percentageScore,
+    passed: grading.passed,
+    correctCount: grading.correctCount,
+    partialCount: grading.partialCount,
+    incorrectCount: grading.incorrectCount,
+    unattemptedCount: grading.unattemptedCount,
+    sectionResults: grading.sectionResults,
+    timeSpentSeconds
+  };
+}
+
+/**
+ * Start a server-timed mock test attempt
+ * The deadline is derived from the server clock and the test time limit.
+ * A logged-in user with an open attempt gets that attempt back instead.
+ * Scheduled tests can only be joined inside their window, and by
+ * registered users when they take registrations
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.submitMockTestAttempt = async (req, res) => {
-  const transaction = await sequelize.transaction();
-  
+exports.startMockTestAttempt = async (req, res) => {
   try {
-    const { quizId, startedAt, answers } = req.body;
+    const { id } = req.params;
     const userId = req.userId; // Will be undefined for anonymous users
     
-    // Validate required fields
-    if (!quizId || !startedAt || !answers || !Array.isArray(answers)) {
-      await transaction.rollback();
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: quizId, startedAt, and answers array'
-      });
-    }
-    
     // Find mock test
     const mockTest = await Quiz.findOne({
       where: {
-        id: quizId,
-        lessonId: null // Ensure it's a mock test
-      },
-      include: [
-        {
-          model: QuizQuestion,
-          as: 'questions',
-          include: [
-            {
-              model: QuizAnswer,
-              as: 'answers'
-            }
-          ]
-        }
-      ]
+        id,
+        lessonId: null, // Ensure it's a mock test
+        ...practiceService.getVisibleWhere(req.userId)
+      }
     });
     
     if (!mockTest) {
-      await transaction.rollback();
       return res.status(404).json({
         success: false,
         message: 'Mock test not found'
       });
     }
     
-    // Calculate time spent
-    const completedAt = new Date();
-    const startTime = new Date(startedAt);
-    const timeSpentSeconds = Math.floor((completedAt - startTime) / 1000);
-    
-    // Calculate score
-    let totalScore = 0;
-    let maxScore = 0;
-    
-    // Create attempt
-    const attempt = await QuizAttempt.create({
-      quizId,
-      userId, // Can be null for anonymous users
-      startedAt,
-      completedAt,
-      timeSpentSeconds
-    }, { transaction });
+    if (!(await dppService.canAccessSet(mockTest, userId, req.userRole))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only students enrolled in the course can take this DPP set'
+      });
+    }
     
-    // Process answers
-    for (const answer of answers) {
-      const { questionId, answerId, textAnswer } = answer;
-      
-      // Find question
-      const question = mockTest.questions.find(q => q.id === parseInt(questionId));
-      
-      if (!question) {
-        continue; // Skip invalid questions
-      }
-      
-      maxScore += question.points;
-      
-      // Determine if answer is correct
-      let isCorrect = false;
-      let pointsEarned = 0;
+    // Resume the open attempt instead of starting a parallel one
+    if (userId) {
+      const openAttempt = await QuizAttempt.findOne({
+        where: { quizId: id, userId, status: 'in_progress' },
+        order: [['startedAt', 'DESC']]
+      });
       
-      if (question.questionType === 'fill_blank') {
-        // For fill in the blank, check if text answer matches any correct answer
-        const correctAnswers = question.answers
-          .filter(a => a.isCorrect)
-          .map(a => a.answerText.toLowerCase().trim());
-        
-        if (textAnswer && correctAnswers.includes(textAnswer.toLowerCase().trim())) {
-          isCorrect = true;
-          pointsEarned = question.points;
-          totalScore += pointsEarned;
-        }
-      } else {
-        // For multiple choice, check if selected answer is correct
-        const selectedAnswer = question.answers.find(a => a.id === parseInt(answerId));
-        
-        if (selectedAnswer && selectedAnswer.isCorrect) {
-          isCorrect = true;
-          pointsEarned = question.points;
-          totalScore += pointsEarned;
-        }
+      if (openAttempt && !(await attemptService.expireIfOverdue(openAttempt))) {
+        return res.status(200).json({
+          success: true,
+          message: 'Resuming open mock test attempt',
+          data: {
+            attemptId: openAttempt.id,
+            quizId: mockTest.id,
+            ...attemptService.getTiming(openAttempt)
+          }
+        });
       }
-      
-      // Save user answer
-      await UserQuizAnswer.create({
-        attemptId: attempt.id,
-        questionId,
-        answerId: answerId || null,
-        textAnswer: textAnswer || null,
-        isCorrect,
-        pointsEarned
-      }, { transaction });
     }
     
-    // Calculate percentage score
-    const percentageScore = maxScore > 0 ? (totalScore / maxScore) * 100 : 0;
-    
-    // Determine if passed
-    const passed = mockTest.passingScore ? percentageScore >= mockTest.passingScore : true;
-    
-    // Update attempt with score
-    await attempt.update({
-      score: totalScore,
-      maxScore,
-      percentageScore,
-      passed
-    }, { transaction });
+    const joinError = testWindowService.getJoinError(mockTest);
+    if (joinError) {
+      return res.status(400).json({
+        success: false,
+        message: joinError
+      });
+    }
     
-    await transaction.commit();
+    if (testWindowService.requiresRegistration(mockTest)) {
+      const registration = userId && await MockTestRegistration.findOne({ where: { quizId: mockTest.id, userId } });
+      
+      if (!registration) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only registered users can take this mock test'
+        });
+      }
+    }
     
-    // Get the complete attempt with answers
-    const completedAttempt = await QuizAttempt.findByPk(attempt.id, {
-      include: [
-        {
-          model: UserQuizAnswer,
-          as: 'userAnswers',
-          include: [
-            {
-              model: QuizQuestion,
-              as: 'question',
-              include: [
-                {
-                  model: QuizAnswer,
-                  as: 'answers'
-                }
-              ]
-            },
-            {
-              model: QuizAnswer,
-              as: 'answer'
-            }
-          ]
-        }
-      ]
-    });
+    const attempt = await attemptService.startAttempt(mockTest, userId);
     
     return res.status(201).json({
       success: true,
-      message: 'Mock test attempt submitted successfully',
+      message: 'Mock test attempt started successfully',
       data: {
-        attempt: completedAttempt,
-        result: {
-          score: totalScore,
-          maxScore,
-          percentageScore,
-          passed,
-          timeSpentSeconds
-        },
-        requiresLogin: !userId && passed // Indicate if user should login to save results
+        attemptId: attempt.id,
+        quizId: mockTest.id,
+        ...attemptService.getTiming(attempt),
+        accessToken: userId ? null : attemptService.createAccessToken(attempt) // Sent as X-Attempt-Token to work on an anonymous attempt
       }
     });
   } catch (error) {
-    await transaction.rollback();
-    console.error('Error submitting mock test attempt:', error);
+    console.error('Error starting mock test attempt:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to submit mock test attempt',
+      message: 'Failed to start mock test attempt',
       error: error.message
     });
   }
 };
 
 /**
- * Get mock test attempts for a user
+ * Submit answers for an attempt opened with startMockTestAttempt
+ * Answers saved during the attempt are graded together with the submitted ones.
+ * Submissions after the deadline plus the grace period are rejected
+ * and the attempt is closed at its deadline
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.getUserMockTestAttempts = async (req, res) => {
+exports.submitOpenMockTestAttempt = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
   try {
-    const userId = req.userId;
-    const { quizId, page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-    
-    // Build filter conditions
-    const whereConditions = { userId };
+    const { id } = req.params;
+    // Answers are optional when they were saved during the attempt
+    const { answers = [] } = req.body;
+    const userId = req.userId; // Will be undefined for anonymous users
     
-    if (quizId) {
-      whereConditions.quizId = quizId;
+    if (!Array.isArray(answers)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid field: answers must be an array'
+      });
     }
     
-    // Join condition to only get mock tests (where lessonId is null)
-    const includeConditions = [
-      {
-        model: Quiz,
-        as: 'quiz',
-        attributes: ['id', 'title', 'description', 'passingScore', 'category', 'difficulty'],
-        where: { lessonId: null }
-      }
-    ];
+    // Lock the attempt so a double submit cannot grade it twice
+    const attempt = await QuizAttempt.findByPk(id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
     
-    // Get attempts with pagination
-    const { count, rows: attempts } = await QuizAttempt.findAndCountAll({
-      where: whereConditions,
-      include: includeConditions,
-      limit: parseInt(limit),
+    if (!attempt) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test attempt not found'
+      });
+    }
+    
+    // Only the user who started the attempt can submit it
+    if (!attemptService.isAttemptOwner(attempt, userId, req.headers['x-attempt-token'])) {
+      await transaction.rollback();
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to submit this attempt'
+      });
+    }
+    
+    if (attempt.status !== 'in_progress') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Mock test attempt has already been submitted'
+      });
+    }
+    
+    const mockTest = await attemptService.findQuizForGrading(attempt.quizId, { lessonId: null });
+    
+    if (!mockTest) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test not found'
+      });
+    }
+    
+    if (attemptService.isPastGracePeriod(attempt)) {
+      await transaction.rollback();
+      await attemptService.expireIfOverdue(attempt);
+      
+      return res.status(400).json({
+        success: false,
+        message: 'Time limit exceeded. The attempt was closed at its deadline and late answers were not accepted',
+        data: {
+          attempt: attemptService.toReview(await attemptService.findAttemptWithAnswers(attempt.id), mockTest, req.userRole),
+          claimToken: userId ? null : attemptService.createClaimToken(attempt)
+        }
+      });
+    }
+    
+    // Submissions inside the grace period are recorded at the deadline
+    const now = new Date();
+    const completedAt = attempt.deadlineAt && now > new Date(attempt.deadlineAt)
+      ? new Date(attempt.deadlineAt)
+      : now;
+    
+    const grading = await attemptService.finalizeAttempt(attempt, mockTest, answers, {
+      status: 'completed',
+      completedAt,
+      transaction
+    });
+    
+    await transaction.commit();
+    
+    // Get the complete attempt with answers
+    const completedAttempt = await attemptService.findAttemptWithAnswers(attempt.id);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Mock test attempt submitted successfully',
+      data: {
+        attempt: attemptService.toReview(completedAttempt, mockTest, req.userRole),
+        result: attemptService.areResultsReleased(mockTest, req.userRole)
+          ? formatResult(grading, completedAttempt.timeSpentSeconds)
+          : null,
+        requiresLogin: !userId && grading.passed, // Indicate if user should login to save results
+        claimToken: userId ? null : attemptService.createClaimToken(attempt) // Lets the user keep this attempt after login
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error submitting mock test attempt:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to submit mock test attempt',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Save the answer to one question of an open mock test attempt
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.saveMockTestAnswer = async (req, res) => {
+  try {
+    const { id, questionId } = req.params;
+    const userId = req.userId; // Will be undefined for anonymous users
+    
+    const attempt = await QuizAttempt.findByPk(id);
+    
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test attempt not found'
+      });
+    }
+    
+    // Only the user who started the attempt can answer in it
+    if (!attemptService.isAttemptOwner(attempt, userId, req.headers['x-attempt-token'])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this attempt'
+      });
+    }
+    
+    if (await attemptService.expireIfOverdue(attempt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Time limit exceeded. The attempt was closed at its deadline and the answer was not saved'
+      });
+    }
+    
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Mock test attempt is no longer in progress'
+      });
+    }
+    
+    const questionLink = await attemptService.findAttemptQuestion(attempt, questionId);
+    
+    if (!questionLink) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this mock test'
+      });
+    }
+    
+    const { question } = questionLink;
+    
+    // Timed sections only accept answers while their own timer runs
+    const sectionState = attemptService.getSectionState(attempt, questionLink.section);
+    
+    if (sectionState !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: sectionState === 'not_started'
+          ? 'Start the section before answering its questions'
+          : 'Section time limit exceeded. The answer was not saved'
+      });
+    }
+    
+    const savedAnswer = await attemptService.saveResponse(attempt, question, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Answer saved successfully',
+      data: {
+        response: attemptService.toSavedResponse(savedAnswer),
+        remainingSeconds: attemptService.getRemainingSeconds(attempt)
+      }
+    });
+  } catch (error) {
+    console.error('Error saving mock test answer:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save mock test answer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Start the timer of a timed section in an open mock test attempt
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.startMockTestSection = async (req, res) => {
+  try {
+    const { id, sectionId } = req.params;
+    const userId = req.userId; // Will be undefined for anonymous users
+    
+    const attempt = await QuizAttempt.findByPk(id);
+    
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test attempt not found'
+      });
+    }
+    
+    if (!attemptService.isAttemptOwner(attempt, userId, req.headers['x-attempt-token'])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this attempt'
+      });
+    }
+    
+    await attemptService.expireIfOverdue(attempt);
+    
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Mock test attempt is no longer in progress'
+      });
+    }
+    
+    const section = await QuizSection.findOne({
+      where: { id: sectionId, quizId: attempt.quizId }
+    });
+    
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found in this mock test'
+      });
+    }
+    
+    if (!section.timeLimit) {
+      return res.status(400).json({
+        success: false,
+        message: 'This section has no time limit'
+      });
+    }
+    
+    const sectionTime = await attemptService.startSection(attempt, section);
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        sectionId: section.id,
+        ...sectionTime,
+        remainingSeconds: Math.max(0, Math.floor((new Date(sectionTime.deadlineAt) - new Date()) / 1000)),
+        serverTime: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error starting mock test section:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start mock test section',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record that the student opened a question of an open mock test attempt
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.visitMockTestQuestion = async (req, res) => {
+  try {
+    const { id, questionId } = req.params;
+    const userId = req.userId; // Will be undefined for anonymous users
+    
+    const attempt = await QuizAttempt.findByPk(id);
+    
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test attempt not found'
+      });
+    }
+    
+    if (!attemptService.isAttemptOwner(attempt, userId, req.headers['x-attempt-token'])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this attempt'
+      });
+    }
+    
+    await attemptService.expireIfOverdue(attempt);
+    
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Mock test attempt is no longer in progress'
+      });
+    }
+    
+    const questionLink = await attemptService.findAttemptQuestion(attempt, questionId);
+    
+    if (!questionLink) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this mock test'
+      });
+    }
+    
+    const { question } = questionLink;
+    const userAnswer = await attemptService.markVisited(attempt, question);
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        questionId: question.id,
+        status: userAnswer.paletteStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error recording mock test question visit:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to record question visit',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Resume an open mock test attempt
+ * Returns the remaining time, every saved response, the question palette
+ * and the question answered last so the student continues where they stopped
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.resumeMockTestAttempt = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.userId; // Will be undefined for anonymous users
+    
+    const attempt = await QuizAttempt.findByPk(id, {
+      include: [
+        {
+          model: UserQuizAnswer,
+          as: 'userAnswers'
+        }
+      ],
+      order: [[{ model: UserQuizAnswer, as: 'userAnswers' }, 'updatedAt', 'ASC']]
+    });
+    
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test attempt not found'
+      });
+    }
+    
+    if (!attemptService.isAttemptOwner(attempt, userId, req.headers['x-attempt-token'])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to resume this attempt'
+      });
+    }
+    
+    await attemptService.expireIfOverdue(attempt);
+    
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Mock test attempt is no longer in progress',
+        data: {
+          attemptId: attempt.id,
+          status: attempt.status
+        }
+      });
+    }
+    
+    const responses = attempt.userAnswers.map(userAnswer => attemptService.toSavedResponse(userAnswer));
+    const { palette, summary } = await attemptService.getPalette(attempt, attempt.userAnswers);
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        attemptId: attempt.id,
+        quizId: attempt.quizId,
+        ...attemptService.getTiming(attempt),
+        sectionTimes: attempt.sectionTimes || {},
+        responses,
+        palette,
+        paletteSummary: summary,
+        lastQuestionId: responses.length > 0 ? responses[responses.length - 1].questionId : null
+      }
+    });
+  } catch (error) {
+    console.error('Error resuming mock test attempt:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to resume mock test attempt',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Submit a mock test attempt
+ * This endpoint can be used by both logged-in and anonymous users
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.submitMockTestAttempt = async (req, res) => {
+  // Attempts opened through the start endpoint are graded against the server timer
+  if (req.body.attemptId) {
+    req.params.id = req.body.attemptId;
+    return exports.submitOpenMockTestAttempt(req, res);
+  }
+  
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { quizId, startedAt, answers } = req.body;
+    const userId = req.userId; // Will be undefined for anonymous users
+    
+    // Validate required fields
+    if (!quizId || !startedAt || !answers || !Array.isArray(answers)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: quizId, startedAt, and answers array'
+      });
+    }
+    
+    // Find mock test
+    const mockTest = await attemptService.findQuizForGrading(quizId, { lessonId: null, ...practiceService.getVisibleWhere(userId) });
+    
+    if (!mockTest) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test not found'
+      });
+    }
+    
+    // Timed and scheduled mock tests must run on a server-side attempt so
+    // the client cannot choose its own start time
+    if (mockTest.timeLimit || testWindowService.isScheduled(mockTest)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'This mock test is timed or scheduled. Start an attempt with POST /api/mocktests/:id/attempts/start and submit it with POST /api/mocktests/attempts/:id/submit'
+      });
+    }
+    
+    // Calculate time spent
+    const completedAt = new Date();
+    const startTime = new Date(startedAt);
+    const timeSpentSeconds = Math.floor((completedAt - startTime) / 1000);
+    
+    // Grade every question of the mock test with its marking scheme
+    const grading = gradingService.gradeAttempt(mockTest, answers);
+    const { score, maxScore, percentageScore, passed } = grading;
+    
+    // Record the version of the mock test the answers were given against
+    const version = await quizVersionService.resolveAttemptVersion(mockTest, transaction);
+    
+    // Create attempt
+    const attempt = await QuizAttempt.create({
+      quizId,
+      userId, // Can be null for anonymous users
+      versionId: version.id,
+      startedAt,
+      completedAt,
+      timeSpentSeconds,
+      score,
+      maxScore,
+      percentageScore,
+      passed,
+      sectionScores: grading.sectionResults.length > 0 ? grading.sectionResults : null
+    }, { transaction });
+    
+    // Save user answers with their signed marks
+    await attemptService.saveGradedAnswers(attempt.id, grading.gradedAnswers, transaction);
+    
+    if (userId) {
+      await rankingService.markStale(quizId, transaction);
+    }
+    
+    await transaction.commit();
+    
+    // Get the complete attempt with answers
+    const completedAttempt = await attemptService.findAttemptWithAnswers(attempt.id);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Mock test attempt submitted successfully',
+      data: {
+        attempt: attemptService.toReview(completedAttempt, mockTest, req.userRole),
+        result: attemptService.areResultsReleased(mockTest, req.userRole)
+          ? formatResult(grading, timeSpentSeconds)
+          : null,
+        requiresLogin: !userId && passed, // Indicate if user should login to save results
+        claimToken: userId ? null : attemptService.createClaimToken(attempt) // Lets the user keep this attempt after login
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error submitting mock test attempt:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to submit mock test attempt',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get mock test attempts for a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getUserMockTestAttempts = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { quizId, page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+    
+    // Build filter conditions
+    const whereConditions = { userId };
+    
+    if (quizId) {
+      whereConditions.quizId = quizId;
+    }
+    
+    // Join condition to only get mock tests (where lessonId is null)
+    const includeConditions = [
+      {
+        model: Quiz,
+        as: 'quiz',
+        attributes: ['id', 'title', 'description', 'passingScore', 'category', 'difficulty', 'startsAt', 'endsAt'],
+        where: { lessonId: null }
+      }
+    ];
+    
+    // Get attempts with pagination
+    const { count, rows: attempts } = await QuizAttempt.findAndCountAll({
+      where: whereConditions,
+      include: includeConditions,
+      limit: parseInt(limit),
       offset: offset,
       order: [['completedAt', 'DESC']]
     });
     
+    // Ranks are recomputed when attempts arrived since they were last read
+    if (await rankingService.refreshStaleRankings(attempts.map(attempt => attempt.quizId)) > 0) {
+      for (const attempt of attempts) {
+        await attempt.reload();
+      }
+    }
+    
     // Calculate pagination info
     const totalPages = Math.ceil(count / limit);
     
     return res.status(200).json({
       success: true,
       data: {
-        attempts,
+        // Scores of scheduled tests stay hidden until their window closes
+        attempts: attempts.map(attempt => attemptService.withholdResults(attempt.toJSON(), attempt.quiz, req.userRole)),
         pagination: {
           total: count,
           page: parseInt(page),
@@ -729,9 +1428,16 @@ exports.getMockTestAttempt = async (req, res) => {
         {
           model: Quiz,
           as: 'quiz',
-          attributes: ['id', 'title', 'description', 'passingScore', 'category', 'difficulty'],
+          attributes: [
+            'id', 'title', 'description', 'passingScore', 'category', 'difficulty', 'answerReleasePolicy',
+            'startsAt', 'endsAt', 'testGroupId'
+          ],
           where: { lessonId: null } // Ensure it's a mock test
         },
+        {
+          model: QuizVersion,
+          as: 'version'
+        },
         {
           model: UserQuizAnswer,
           as: 'userAnswers',
@@ -772,9 +1478,30 @@ exports.getMockTestAttempt = async (req, res) => {
       });
     }
     
+    // Close attempts whose time ran out while the student was away,
+    // then bring the rank of the attempt up to date
+    const expired = await attemptService.expireIfOverdue(attempt);
+    if (await rankingService.refreshRankings(attempt.quizId) || expired) {
+      await attempt.reload();
+    }
+    
+    const data = attemptService.toReview(attempt, attempt.quiz, req.userRole);
+    const { palette, summary } = await attemptService.getPalette(attempt, attempt.userAnswers);
+    data.palette = palette;
+    data.paletteSummary = summary;
+    
+    // The answer key stays hidden while the attempt is open
+    if (attempt.status === 'in_progress') {
+      data.userAnswers = attempt.userAnswers.map(userAnswer => attemptService.toSavedResponse(userAnswer));
+    }
+    
     return res.status(200).json({
       success: true,
-      data: attempt
+      data: {
+        ...data,
+        remainingSeconds: attemptService.getRemainingSeconds(attempt),
+        serverTime: new Date().toISOString()
+      }
     });
   } catch (error) {
     console.error('Error getting mock test attempt:', error);
@@ -786,6 +1513,82 @@ exports.getMockTestAttempt = async (req, res) => {
   }
 };
 
+/**
+ * Get the analysis report of a finished mock test attempt
+ * Per-question results are part of the report, so it is available once
+ * both the results and the answer key of the mock test are released
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMockTestAttemptAnalysis = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.userId;
+    
+    const attempt = await QuizAttempt.findOne({
+      where: { id },
+      include: [
+        {
+          model: Quiz,
+          as: 'quiz',
+          attributes: ['id', 'title', 'answerReleasePolicy', 'startsAt', 'endsAt'],
+          where: { lessonId: null } // Ensure it's a mock test
+        },
+        {
+          model: QuizVersion,
+          as: 'version'
+        }
+      ]
+    });
+    
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test attempt not found'
+      });
+    }
+    
+    // Same access rules as viewing the attempt
+    if (attempt.userId && (!userId || (attempt.userId !== userId && req.userRole !== 'admin'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this attempt'
+      });
+    }
+    
+    if (await attemptService.expireIfOverdue(attempt)) {
+      await attempt.reload();
+    }
+    
+    if (attempt.status === 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'The analysis is available once the attempt is submitted'
+      });
+    }
+    
+    if (!attemptService.areResultsReleased(attempt.quiz, req.userRole) ||
+        !attemptService.areAnswersReleased(attempt.quiz, req.userRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'The analysis is available once the results and answer key are released'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: await analysisService.buildReport(attempt, attempt.quiz)
+    });
+  } catch (error) {
+    console.error('Error getting mock test attempt analysis:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get mock test attempt analysis',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get mock test statistics
  * @param {Object} req - Express request object
@@ -810,54 +1613,132 @@ exports.getMockTestStatistics = async (req, res) => {
       });
     }
     
-    // Get attempt statistics
-    const totalAttempts = await QuizAttempt.count({ where: { quizId: id } });
-    const passedAttempts = await QuizAttempt.count({ where: { quizId: id, passed: true } });
-    const averageScore = await QuizAttempt.findOne({
-      where: { quizId: id },
+    // Statistics cover the attempts of one version, the latest unless requested
+    const version = req.query.version
+      ? await quizVersionService.findVersion(mockTest.id, req.query.version)
+      : await quizVersionService.findLatestVersion(mockTest.id);
+    
+    if (req.query.version && !version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test version not found'
+      });
+    }
+    
+    const snapshot = version
+      ? version.snapshot
+      : quizVersionService.buildSnapshot(await attemptService.findQuizForGrading(mockTest.id));
+    
+    // Get attempt statistics (open attempts have no score yet)
+    const finishedAttempts = {
+      quizId: mockTest.id,
+      versionId: version ? version.id : null,
+      status: { [Op.ne]: 'in_progress' }
+    };
+    const totalAttempts = await QuizAttempt.count({ where: finishedAttempts });
+    const passedAttempts = await QuizAttempt.count({ where: { ...finishedAttempts, passed: true } });
+    const scoreSummary = await QuizAttempt.findOne({
+      where: finishedAttempts,
       attributes: [
-        [sequelize.fn('AVG', sequelize.col('percentage_score')), 'averageScore']
+        [sequelize.fn('AVG', sequelize.col('percentage_score')), 'averageScore'],
+        [sequelize.fn('AVG', sequelize.col('score')), 'averageNetScore'],
+        [sequelize.fn('MAX', sequelize.col('score')), 'highestNetScore'],
+        [sequelize.fn('MIN', sequelize.col('score')), 'lowestNetScore']
       ],
       raw: true
     });
     
-    // Get question statistics
-    const questions = await QuizQuestion.findAll({
-      where: { quizId: id },
-      attributes: ['id', 'questionText', 'questionType', 'points'],
+    // Get section statistics from the section scores stored on each attempt
+    const sections = snapshot.sections;
+    const sectionAttempts = await QuizAttempt.findAll({
+      where: finishedAttempts,
+      attributes: ['sectionScores']
+    });
+    
+    const sectionStats = sections.map(section => {
+      const results = sectionAttempts
+        .map(attempt => (attempt.sectionScores || []).find(result => result.sectionId === section.id))
+        .filter(Boolean);
+      const scores = results.map(result => result.score);
+      
+      return {
+        sectionId: section.id,
+        title: section.title,
+        subject: section.subject,
+        totalAttempts: results.length,
+        averageScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0,
+        highestScore: scores.length > 0 ? Math.max(...scores) : 0,
+        lowestScore: scores.length > 0 ? Math.min(...scores) : 0,
+        averageCorrect: results.length > 0
+          ? results.reduce((sum, result) => sum + result.correctCount, 0) / results.length
+          : 0
+      };
+    });
+    
+    // Get question statistics for the questions of the version,
+    // counting only answers given in its finished attempts
+    const userAnswers = await UserQuizAnswer.findAll({
+      where: { questionId: snapshot.questions.map(question => question.id) },
+      attributes: ['questionId', 'isCorrect', 'pointsEarned'],
       include: [
         {
-          model: UserQuizAnswer,
-          as: 'userAnswers',
-          attributes: ['isCorrect']
+          model: QuizAttempt,
+          as: 'attempt',
+          attributes: [],
+          where: finishedAttempts
         }
       ]
     });
     
-    const questionStats = questions.map(question => {
-      const totalAnswers = question.userAnswers.length;
-      const correctAnswers = question.userAnswers.filter(a => a.isCorrect).length;
+    const questionStats = snapshot.questions.map(question => {
+      const answers = userAnswers.filter(a => a.questionId === question.id);
+      const totalAnswers = answers.length;
+      const correctAnswers = answers.filter(a => a.isCorrect === true).length;
+      const partialAnswers = answers.filter(a => a.isCorrect === false && a.pointsEarned > 0).length;
+      const incorrectAnswers = answers.filter(a => a.isCorrect === false).length - partialAnswers;
+      const unattempted = totalAnswers - correctAnswers - partialAnswers - incorrectAnswers;
       const correctPercentage = totalAnswers > 0 ? (correctAnswers / totalAnswers) * 100 : 0;
+      const netMarks = answers.reduce((sum, a) => sum + (a.pointsEarned || 0), 0);
       
       return {
         id: question.id,
+        sectionId: question.sectionId,
         questionText: question.questionText,
         questionType: question.questionType,
         points: question.points,
+        keyStatus: question.keyStatus,
         totalAnswers,
         correctAnswers,
-        correctPercentage
+        partialAnswers,
+        incorrectAnswers,
+        unattempted,
+        correctPercentage,
+        netMarks,
+        averageNetMarks: totalAnswers > 0 ? netMarks / totalAnswers : 0
       };
     });
     
+    const versions = await quizVersionService.listVersions(mockTest.id, { status: { [Op.ne]: 'in_progress' } });
+    
+    // Ranks count the first attempt of each student, whatever its version
+    await rankingService.refreshRankings(mockTest.id);
+    const rankedCandidates = await QuizAttempt.count({ where: { quizId: mockTest.id, rank: { [Op.ne]: null } } });
+    
     return res.status(200).json({
       success: true,
       data: {
         quizId: id,
+        version: version ? quizVersionService.toSummary(version) : null,
+        versions,
+        rankedCandidates,
         totalAttempts,
         passedAttempts,
         passRate: totalAttempts > 0 ? (passedAttempts / totalAttempts) * 100 : 0,
-        averageScore: averageScore.averageScore || 0,
+        averageScore: scoreSummary.averageScore || 0,
+        averageNetScore: scoreSummary.averageNetScore || 0,
+        highestNetScore: scoreSummary.highestNetScore || 0,
+        lowestNetScore: scoreSummary.lowestNetScore || 0,
+        sectionStats,
         questionStats
       }
     });
@@ -869,4 +1750,209 @@ exports.getMockTestStatistics = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Build a leaderboard entry from a ranked attempt
+ * @param {Object} attempt - Ranked quiz attempt
+ * @returns {Object} Leaderboard entry
+ */
+function formatLeaderboardEntry(attempt) {
+  return {
+    attemptId: attempt.id,
+    rank: attempt.rank,
+    percentile: Number(attempt.percentile),
+    score: attempt.score,
+    maxScore: attempt.maxScore,
+    timeSpentSeconds: attempt.timeSpentSeconds,
+    subjectPercentiles: attempt.subjectPercentiles || [],
+    user: attempt.user || null
+  };
+}
+
+/**
+ * Get the leaderboard of a mock test
+ * Lists the first attempt of each student by rank; a logged-in student
+ * also gets their own entry. Scheduled tests publish it once their
+ * window closes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMockTestLeaderboard = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    
+    const mockTest = await Quiz.findOne({
+      where: {
+        id,
+        lessonId: null, // Ensure it's a mock test
+        ...practiceService.getVisibleWhere(req.userId)
+      },
+      attributes: ['id', 'title', 'startsAt', 'endsAt']
+    });
+    
+    if (!mockTest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test not found'
+      });
+    }
+    
+    if (!attemptService.areResultsReleased(mockTest, req.userRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'The leaderboard is published when the mock test window closes'
+      });
+    }
+    
+    await rankingService.refreshRankings(mockTest.id);
+    
+    const { count, rows } = await rankingService.getLeaderboard(mockTest.id, {
+      limit,
+      offset: (page - 1) * limit
+    });
+    const ownAttempt = req.userId ? await rankingService.findRankedAttempt(mockTest.id, req.userId) : null;
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        quizId: mockTest.id,
+        title: mockTest.title,
+        leaderboard: rows.map(formatLeaderboardEntry),
+        me: ownAttempt ? formatLeaderboardEntry(ownAttempt) : null,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting mock test leaderboard:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get mock test leaderboard',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Register the logged-in user for a scheduled mock test
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.registerForMockTest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.userId;
+    
+    const mockTest = await Quiz.findOne({
+      where: {
+        id,
+        lessonId: null // Ensure it's a mock test
+      }
+    });
+    
+    if (!mockTest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test not found'
+      });
+    }
+    
+    const registrationError = testWindowService.getRegistrationError(mockTest);
+    if (registrationError) {
+      return res.status(400).json({
+        success: false,
+        message: registrationError
+      });
+    }
+    
+    const [registration, created] = await MockTestRegistration.findOrCreate({
+      where: { quizId: mockTest.id, userId }
+    });
+    
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Registered for the mock test successfully' : 'Already registered for this mock test',
+      data: {
+        registration,
+        ...testWindowService.getScheduleStatus(mockTest),
+        startsAt: mockTest.startsAt,
+        endsAt: mockTest.endsAt
+      }
+    });
+  } catch (error) {
+    console.error('Error registering for mock test:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to register for mock test',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel the registration of the logged-in user while registration is open
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.cancelMockTestRegistration = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.userId;
+    
+    const mockTest = await Quiz.findOne({
+      where: {
+        id,
+        lessonId: null // Ensure it's a mock test
+      }
+    });
+    
+    const registration = mockTest && await MockTestRegistration.findOne({
+      where: { quizId: mockTest.id, userId }
+    });
+    
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+    
+    const registrationError = testWindowService.getRegistrationError(mockTest);
+    if (registrationError) {
+      return res.status(400).json({
+        success: false,
+        message: registrationError
+      });
+    }
+    
+    // Users who already joined the test keep their registration
+    const attemptCount = await QuizAttempt.count({ where: { quizId: mockTest.id, userId } });
+    if (attemptCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration cannot be cancelled after starting the mock test'
+      });
+    }
+    
+    await registration.destroy();
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Registration cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Error cancelling mock test registration:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to cancel mock test registration',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,140 @@
+const { Quiz, QuizQuestionLink, QuizAttempt, sequelize } = require('../models');
+const practiceService = require('../services/practice.service');
+const syllabusService = require('../services/syllabus.service');
+
+/**
+ * Generate a personal practice test from the questions of existing quizzes
+ * and mock tests. Questions the student already answered correctly are
+ * left out unless includeSolved is set
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createPracticeTest = async (req, res) => {
+  let transaction;
+
+  try {
+    const validationError = practiceService.validateRequest(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { syllabusNodeIds, includeSolved = false } = req.body;
+    const questionCount = Number(req.body.questionCount);
+
+    if (syllabusNodeIds && syllabusNodeIds.length > 0) {
+      const nodeError = await syllabusService.validateNodeIds(syllabusNodeIds);
+
+      if (nodeError) {
+        return res.status(400).json({
+          success: false,
+          message: nodeError
+        });
+      }
+    }
+
+    const candidates = await practiceService.findCandidates(req.userId, { ...req.body, includeSolved });
+
+    if (candidates.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: includeSolved
+          ? 'No questions match the chosen filters'
+          : 'No questions you have not already solved match the chosen filters'
+      });
+    }
+
+    const questions = practiceService.sampleQuestions(candidates, questionCount);
+
+    transaction = await sequelize.transaction();
+    const practiceTest = await practiceService.createPracticeTest(req.userId, req.body, questions, transaction);
+    await transaction.commit();
+
+    return res.status(201).json({
+      success: true,
+      message: questions.length < questionCount
+        ? `Practice test created with the ${questions.length} matching questions available`
+        : 'Practice test created successfully',
+      data: {
+        practiceTest,
+        requestedCount: questionCount,
+        questionCount: questions.length
+      }
+    });
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback();
+    }
+    console.error('Create practice test error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create practice test',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the practice tests generated by the logged-in student
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMyPracticeTests = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    const { count, rows } = await Quiz.findAndCountAll({
+      where: { ownerId: req.userId },
+      attributes: [
+        'id', 'title', 'description', 'timeLimit', 'category', 'difficulty',
+        'correctMarks', 'negativeMarks', 'createdAt'
+      ],
+      include: [
+        {
+          model: QuizAttempt,
+          as: 'attempts',
+          attributes: ['id', 'status', 'score', 'maxScore', 'percentageScore', 'startedAt', 'completedAt'],
+          where: { userId: req.userId },
+          required: false
+        }
+      ],
+      distinct: true,
+      limit,
+      offset: (page - 1) * limit,
+      order: [['createdAt', 'DESC'], [{ model: QuizAttempt, as: 'attempts' }, 'startedAt', 'DESC']]
+    });
+
+    const questionCounts = await QuizQuestionLink.count({
+      where: { quizId: rows.map(practiceTest => practiceTest.id) },
+      group: ['quizId']
+    });
+    const countsByQuiz = new Map(questionCounts.map(row => [row.quizId, row.count]));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        practiceTests: rows.map(practiceTest => ({
+          ...practiceTest.toJSON(),
+          questionCount: countsByQuiz.get(practiceTest.id) || 0
+        })),
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get practice tests error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get practice tests',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,327 @@
+const { Quiz, QuizAttempt, sequelize } = require('../models');
+const attemptService = require('../services/attempt.service');
+const rankingService = require('../services/ranking.service');
+const predictorService = require('../services/predictor.service');
+
+/**
+ * Read a percentile from the query string
+ * @param {string} value - Query value
+ * @returns {number|null} Percentile, or null when missing or out of range
+ */
+function parsePercentile(value) {
+  const percentile = parseFloat(value);
+  return isNaN(percentile) || percentile < 0 || percentile > 100 ? null : percentile;
+}
+
+/**
+ * Predict the JEE Main CRL and category rank for a percentile
+ * The percentile is given directly, or read from an attempt of the
+ * logged-in student (its normalized percentile when it is a shift of a
+ * test group)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.predictRank = async (req, res) => {
+  try {
+    const { attemptId, year } = req.query;
+    const category = predictorService.normalizeCategory(req.query.category);
+    let percentile = parsePercentile(req.query.percentile);
+
+    if (attemptId) {
+      if (!req.userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Log in to predict a rank from an attempt'
+        });
+      }
+
+      const attempt = await QuizAttempt.findByPk(attemptId, {
+        include: [
+          {
+            model: Quiz,
+            as: 'quiz',
+            attributes: ['id', 'startsAt', 'endsAt']
+          }
+        ]
+      });
+
+      if (!attempt || (attempt.userId !== req.userId && req.userRole !== 'admin')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attempt not found'
+        });
+      }
+
+      if (!attemptService.areResultsReleased(attempt.quiz, req.userRole)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Results of this mock test are not released yet'
+        });
+      }
+
+      if (await rankingService.refreshRankings(attempt.quizId)) {
+        await attempt.reload();
+      }
+
+      const attemptPercentile = attempt.normalizedPercentile !== null ? attempt.normalizedPercentile : attempt.percentile;
+
+      if (attemptPercentile === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'The attempt has no percentile; only the first finished attempt at a mock test is ranked'
+        });
+      }
+
+      percentile = Number(attemptPercentile);
+    }
+
+    if (percentile === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'A percentile between 0 and 100, or an attemptId, is required'
+      });
+    }
+
+    const prediction = await predictorService.predictRank(percentile, category, parseInt(year) || undefined);
+
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: year
+          ? `No common rank list table has been imported for ${year}`
+          : 'No percentile to rank tables have been imported'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...prediction,
+        attemptId: attemptId ? parseInt(attemptId) : null
+      }
+    });
+  } catch (error) {
+    console.error('Predict rank error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to predict rank',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Predict the colleges a rank could get into from JoSAA opening and closing ranks
+ * Category seats are matched on the category rank; a percentile can be
+ * given instead of ranks, which are then predicted first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.predictColleges = async (req, res) => {
+  try {
+    const { quota, gender, program } = req.query;
+    const category = predictorService.normalizeCategory(req.query.category);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    let rank = parseInt(req.query.rank) || null;
+    let categoryRank = parseInt(req.query.categoryRank) || null;
+    let prediction = null;
+
+    if (!rank && req.query.percentile !== undefined) {
+      const percentile = parsePercentile(req.query.percentile);
+
+      if (percentile === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'percentile must be between 0 and 100'
+        });
+      }
+
+      prediction = await predictorService.predictRank(percentile, category);
+
+      if (!prediction) {
+        return res.status(404).json({
+          success: false,
+          message: 'No percentile to rank tables have been imported'
+        });
+      }
+
+      rank = prediction.crlRank;
+      categoryRank = categoryRank || prediction.categoryRank;
+    }
+
+    const seatRank = predictorService.isOpenCategory(category) ? rank : categoryRank;
+
+    if (!(seatRank > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: predictorService.isOpenCategory(category)
+          ? 'rank or percentile is required'
+          : 'categoryRank, or a percentile with a rank table for the category, is required for category seats'
+      });
+    }
+
+    const result = await predictorService.predictColleges({
+      rank: seatRank,
+      category,
+      quota,
+      gender,
+      program,
+      year: parseInt(req.query.year) || null,
+      round: parseInt(req.query.round) || null,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'No JoSAA cutoffs have been imported'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        rank: seatRank,
+        category,
+        prediction,
+        year: result.year,
+        round: result.round,
+        colleges: result.colleges,
+        pagination: {
+          total: result.count,
+          page,
+          limit,
+          totalPages: Math.ceil(result.count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Predict colleges error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to predict colleges',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the imported percentile to rank tables
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRankTables = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: await predictorService.listRankTables()
+    });
+  } catch (error) {
+    console.error('Get rank tables error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get rank tables',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the values the imported JoSAA cutoffs can be filtered by
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCutoffOptions = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: await predictorService.getCutoffOptions()
+    });
+  } catch (error) {
+    console.error('Get cutoff options error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get cutoff options',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Import a predictor dataset from an uploaded CSV file
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} dataset - { name, parse, store }
+ */
+async function importDataset(req, res, dataset) {
+  let transaction;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a dataFile CSV to import'
+      });
+    }
+
+    const { entries, skipped, error } = dataset.parse(req.file.buffer.toString('utf8'));
+
+    if (error || entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: error || 'The CSV file has no valid rows',
+        data: error ? undefined : { skipped }
+      });
+    }
+
+    transaction = await sequelize.transaction();
+    const replaced = await dataset.store(entries, transaction);
+    await transaction.commit();
+
+    return res.status(200).json({
+      success: true,
+      message: `Imported ${entries.length} ${dataset.name}, skipped ${skipped.length} rows`,
+      data: {
+        imported: entries.length,
+        replaced,
+        skipped
+      }
+    });
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback();
+    }
+    console.error(`Import ${dataset.name} error:`, error);
+    return res.status(500).json({
+      success: false,
+      message: `Failed to import ${dataset.name}`,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Import percentile to rank tables from CSV
+ * Each year and category in the file replaces its stored table
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.importRankTable = (req, res) => importDataset(req, res, {
+  name: 'rank table entries',
+  parse: text => predictorService.parseRankTable(text),
+  store: (entries, transaction) => predictorService.importRankTable(entries, transaction)
+});
+
+/**
+ * Import JoSAA opening and closing ranks from CSV
+ * Each year and round in the file replaces its stored ranks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.importCutoffs = (req, res) => importDataset(req, res, {
+  name: 'JoSAA cutoffs',
+  parse: text => predictorService.parseCutoffs(text),
+  store: (entries, transaction) => predictorService.importCutoffs(entries, transaction)
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+const { SyllabusNode } = require('../models');
+const pyqService = require('../services/pyq.service');
+
+/**
+ * Get the previous-year paper catalogue grouped by exam and year
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPyqCatalogue = async (req, res) => {
+  try {
+    const { exam } = req.query;
+
+    if (exam && !pyqService.isExam(exam)) {
+      return res.status(400).json({
+        success: false,
+        message: 'exam must be one of jee_main, jee_advanced or bitsat'
+      });
+    }
+
+    const catalogue = await pyqService.getCatalogue({
+      exam,
+      year: parseInt(req.query.year) || null
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: catalogue
+    });
+  } catch (error) {
+    console.error('Get PYQ catalogue error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get previous-year papers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the previous-year questions on a chapter or topic across all papers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPyqQuestions = async (req, res) => {
+  try {
+    const { syllabusNodeId, exam } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (!syllabusNodeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'syllabusNodeId is required'
+      });
+    }
+
+    if (exam && !pyqService.isExam(exam)) {
+      return res.status(400).json({
+        success: false,
+        message: 'exam must be one of jee_main, jee_advanced or bitsat'
+      });
+    }
+
+    const node = await SyllabusNode.findByPk(syllabusNodeId);
+
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: 'Syllabus node not found'
+      });
+    }
+
+    const { total, questions } = await pyqService.findQuestions({
+      syllabusNodeId: node.id,
+      exam,
+      yearFrom: parseInt(req.query.yearFrom) || null,
+      yearTo: parseInt(req.query.yearTo) || null,
+      page,
+      limit
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        syllabusNode: { id: node.id, name: node.name, level: node.level },
+        questions,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get PYQ questions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get previous-year questions',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
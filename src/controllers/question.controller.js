@@ -0,0 +1,624 @@
+const { Quiz, QuizSection, QuizQuestion, QuizQuestionLink, QuizAnswer, QuizAttempt, UserQuizAnswer, SyllabusNode, AnswerKeyCorrection, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const questionService = require('../services/question.service');
+const syllabusService = require('../services/syllabus.service');
+const attemptService = require('../services/attempt.service');
+const quizVersionService = require('../services/quizVersion.service');
+
+/**
+ * Summarize how students answered a question
+ * @param {Array} userAnswers - Saved answers of the question
+ * @returns {Object} Answer counts and marks
+ */
+const summarizeAnswers = (userAnswers) => {
+  const totalAnswers = userAnswers.length;
+  const correctAnswers = userAnswers.filter(a => a.isCorrect === true).length;
+  const partialAnswers = userAnswers.filter(a => a.isCorrect === false && a.pointsEarned > 0).length;
+  const incorrectAnswers = userAnswers.filter(a => a.isCorrect === false).length - partialAnswers;
+  const unattempted = totalAnswers - correctAnswers - partialAnswers - incorrectAnswers;
+  const netMarks = userAnswers.reduce((sum, a) => sum + (a.pointsEarned || 0), 0);
+  
+  return {
+    totalAnswers,
+    correctAnswers,
+    partialAnswers,
+    incorrectAnswers,
+    unattempted,
+    correctPercentage: totalAnswers > 0 ? (correctAnswers / totalAnswers) * 100 : 0,
+    netMarks,
+    averageNetMarks: totalAnswers > 0 ? netMarks / totalAnswers : 0
+  };
+};
+
+/**
+ * Search the question bank
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAllQuestions = async (req, res) => {
+  try {
+    const { search, questionType, subject, difficulty, quizId, syllabusNodeId, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    
+    // Build filter conditions
+    const whereConditions = {};
+    
+    if (search) {
+      whereConditions.questionText = { [Op.like]: `%${search}%` };
+    }
+    
+    if (questionType) {
+      whereConditions.questionType = questionType;
+    }
+    
+    if (subject) {
+      whereConditions.subject = subject;
+    }
+    
+    if (difficulty) {
+      whereConditions.difficulty = difficulty;
+    }
+    
+    // Questions tagged with the syllabus node or any node below it
+    if (syllabusNodeId) {
+      whereConditions.id = { [Op.in]: await syllabusService.getTaggedQuestionIds(syllabusNodeId) };
+    }
+    
+    // Only questions used by the given quiz
+    const include = [];
+    if (quizId) {
+      include.push({
+        model: QuizQuestionLink,
+        as: 'quizLinks',
+        attributes: [],
+        where: { quizId }
+      });
+    }
+    
+    const { count, rows: questions } = await QuizQuestion.findAndCountAll({
+      where: whereConditions,
+      attributes: [
+        'id', 'quizId', 'questionText', 'questionType', 'points',
+        'subject', 'difficulty', 'createdAt'
+      ],
+      include,
+      distinct: true,
+      limit: parseInt(limit),
+      offset: offset,
+      order: [['createdAt', 'DESC']]
+    });
+    
+    // Calculate pagination info
+    const totalPages = Math.ceil(count / limit);
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        questions,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting questions:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get questions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a question with its answers and the quizzes using it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getQuestionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const question = await QuizQuestion.findByPk(id, {
+      include: [
+        {
+          model: QuizAnswer,
+          as: 'answers'
+        },
+        {
+          model: Quiz,
+          as: 'quizzes',
+          attributes: ['id', 'title', 'lessonId'],
+          through: { attributes: ['position', 'sectionId'] }
+        },
+        {
+          model: SyllabusNode,
+          as: 'syllabusNodes',
+          attributes: ['id', 'parentId', 'level', 'name', 'code'],
+          through: { attributes: [] }
+        }
+      ],
+      order: [[{ model: QuizAnswer, as: 'answers' }, 'id', 'ASC']]
+    });
+    
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: question
+    });
+  } catch (error) {
+    console.error('Error getting question:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a question in the bank
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createQuestion = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const validationError = questionService.validateQuestion(req.body, 0);
+    if (validationError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const { syllabusNodeIds } = req.body;
+    if (syllabusNodeIds !== undefined) {
+      const tagError = await syllabusService.validateNodeIds(syllabusNodeIds);
+      if (tagError) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: tagError
+        });
+      }
+    }
+    
+    const question = await questionService.createQuestion(null, req.body, 0, transaction);
+    
+    if (syllabusNodeIds !== undefined) {
+      await syllabusService.setQuestionTags(question.id, syllabusNodeIds, transaction);
+    }
+    
+    await transaction.commit();
+    
+    const createdQuestion = await QuizQuestion.findByPk(question.id, {
+      include: [
+        {
+          model: QuizAnswer,
+          as: 'answers'
+        },
+        {
+          model: SyllabusNode,
+          as: 'syllabusNodes',
+          attributes: ['id', 'parentId', 'level', 'name', 'code'],
+          through: { attributes: [] }
+        }
+      ]
+    });
+    
+    return res.status(201).json({
+      success: true,
+      data: createdQuestion
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error creating question:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a bank question
+ * Every quiz using the question sees the change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateQuestion = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id } = req.params;
+    
+    const question = await QuizQuestion.findByPk(id, {
+      include: [
+        {
+          model: QuizAnswer,
+          as: 'answers'
+        }
+      ],
+      transaction
+    });
+    
+    if (!question) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+    
+    // The question type cannot change, so validate the merged question
+    const validationError = questionService.validateQuestion({
+      ...question.toJSON(),
+      ...req.body,
+      questionType: question.questionType
+    }, 0);
+    if (validationError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const updateError = await questionService.updateQuestion(question, req.body, transaction);
+    if (updateError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: updateError
+      });
+    }
+    
+    // New marks and keys reach the published versions of every quiz using
+    // the question, then their finished attempts are graded again
+    let regradedAttempts = 0;
+    if (questionService.affectsGrading(req.body)) {
+      await quizVersionService.applyQuestionEdit(question.id, transaction);
+      regradedAttempts = (await attemptService.regradeQuestion(question.id, transaction)).length;
+    }
+    
+    await transaction.commit();
+    
+    const updatedQuestion = await QuizQuestion.findByPk(id, {
+      include: [
+        {
+          model: QuizAnswer,
+          as: 'answers'
+        }
+      ]
+    });
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        question: updatedQuestion,
+        regradedAttempts
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error updating question:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a bank question
+ * Questions still used by a quiz or already answered by students are kept
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteQuestion = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id } = req.params;
+    
+    const question = await QuizQuestion.findByPk(id, { transaction });
+    
+    if (!question) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+    
+    const linkCount = await QuizQuestionLink.count({ where: { questionId: id }, transaction });
+    if (linkCount > 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Remove the question from its quizzes before deleting it'
+      });
+    }
+    
+    const answeredCount = await UserQuizAnswer.count({ where: { questionId: id }, transaction });
+    if (answeredCount > 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'A question that students have answered cannot be deleted'
+      });
+    }
+    
+    await syllabusService.setQuestionTags(question.id, [], transaction);
+    await AnswerKeyCorrection.destroy({ where: { questionId: id }, transaction });
+    await QuizAnswer.destroy({ where: { questionId: id }, transaction });
+    await question.destroy({ transaction });
+    
+    await transaction.commit();
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Question deleted successfully'
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error deleting question:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replace the syllabus tags of a question
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.tagQuestion = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id } = req.params;
+    const { syllabusNodeIds } = req.body;
+    
+    const question = await QuizQuestion.findByPk(id, { transaction });
+    
+    if (!question) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+    
+    const tagError = await syllabusService.validateNodeIds(syllabusNodeIds);
+    if (tagError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: tagError
+      });
+    }
+    
+    await syllabusService.setQuestionTags(question.id, syllabusNodeIds, transaction);
+    
+    await transaction.commit();
+    
+    const syllabusNodes = await question.getSyllabusNodes({
+      attributes: ['id', 'parentId', 'level', 'name', 'code'],
+      joinTableAttributes: []
+    });
+    
+    return res.status(200).json({
+      success: true,
+      data: syllabusNodes
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error tagging question:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to tag question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a bank question to a quiz or mock test, or move it within one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.linkQuestionToQuiz = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id } = req.params;
+    const { quizId, sectionId, position } = req.body;
+    
+    if (!quizId) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: quizId'
+      });
+    }
+    
+    const question = await QuizQuestion.findByPk(id, { transaction });
+    
+    if (!question) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+    
+    const quiz = await Quiz.findByPk(quizId, { transaction });
+    
+    if (!quiz) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (sectionId) {
+      const section = await QuizSection.findOne({ where: { id: sectionId, quizId }, transaction });
+      
+      if (!section) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Section does not belong to this quiz'
+        });
+      }
+    }
+    
+    // New questions go to the end of the quiz unless a position is given
+    const linkPosition = position !== undefined
+      ? position
+      : await QuizQuestionLink.count({ where: { quizId }, transaction });
+    
+    const link = await questionService.linkQuestion(quizId, question.id, {
+      sectionId,
+      position: linkPosition
+    }, transaction);
+    
+    await transaction.commit();
+    
+    return res.status(200).json({
+      success: true,
+      data: link
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error linking question to quiz:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to link question to quiz',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a bank question from a quiz or mock test
+ * The question itself stays in the bank
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.unlinkQuestionFromQuiz = async (req, res) => {
+  try {
+    const { id, quizId } = req.params;
+    
+    const removed = await QuizQuestionLink.destroy({ where: { questionId: id, quizId } });
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question is not used by this quiz'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Question removed from quiz successfully'
+    });
+  } catch (error) {
+    console.error('Error unlinking question from quiz:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to unlink question from quiz',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get statistics for a question across every quiz that used it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getQuestionStatistics = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const question = await QuizQuestion.findByPk(id, {
+      attributes: ['id', 'questionText', 'questionType', 'points', 'subject', 'difficulty']
+    });
+    
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+    
+    // Answers from finished attempts only
+    const userAnswers = await UserQuizAnswer.findAll({
+      where: { questionId: id },
+      attributes: ['isCorrect', 'pointsEarned'],
+      include: [
+        {
+          model: QuizAttempt,
+          as: 'attempt',
+          attributes: ['quizId'],
+          where: { status: { [Op.ne]: 'in_progress' } }
+        }
+      ]
+    });
+    
+    const answersByQuiz = {};
+    for (const userAnswer of userAnswers) {
+      const quizId = userAnswer.attempt.quizId;
+      answersByQuiz[quizId] = answersByQuiz[quizId] || [];
+      answersByQuiz[quizId].push(userAnswer);
+    }
+    
+    const quizzes = await Quiz.findAll({
+      where: { id: Object.keys(answersByQuiz) },
+      attributes: ['id', 'title', 'lessonId']
+    });
+    
+    const quizStats = quizzes.map(quiz => ({
+      quizId: quiz.id,
+      title: quiz.title,
+      lessonId: quiz.lessonId,
+      ...summarizeAnswers(answersByQuiz[quiz.id])
+    }));
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        question,
+        ...summarizeAnswers(userAnswers),
+        quizStats
+      }
+    });
+  } catch (error) {
+    console.error('Error getting question statistics:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get question statistics',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
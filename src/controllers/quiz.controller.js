@@ -1,5 +1,12 @@
-const { Quiz, QuizQuestion, QuizAnswer, QuizAttempt, UserQuizAnswer, User, sequelize } = require('../models');
+const { Quiz, QuizSection, QuizQuestion, QuizQuestionLink, QuizAnswer, QuizAttempt, QuizVersion, UserQuizAnswer, User, AnswerKeyCorrection, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const gradingService = require('../services/grading.service');
+const questionService = require('../services/question.service');
+const attemptService = require('../services/attempt.service');
+const syllabusService = require('../services/syllabus.service');
+const answerKeyService = require('../services/answerKey.service');
+const quizVersionService = require('../services/quizVersion.service');
+const rankingService = require('../services/ranking.service');
 
 /**
  * Get all quizzes with optional filtering
@@ -8,11 +15,12 @@ const { Op } = require('sequelize');
  */
 exports.getAllQuizzes = async (req, res) => {
   try {
-    const { title, lessonId, page = 1, limit = 10 } = req.query;
+    const { title, lessonId, syllabusNodeId, page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
     
-    // Build filter conditions
-    const whereConditions = {};
+    // Build filter conditions; mock tests, DPP sets and practice tests are
+    // listed through their own endpoints, which guard their questions
+    const whereConditions = { lessonId: { [Op.ne]: null } };
     
     if (title) {
       whereConditions.title = { [Op.like]: `%${title}%` };
@@ -22,6 +30,11 @@ exports.getAllQuizzes = async (req, res) => {
       whereConditions.lessonId = lessonId;
     }
     
+    // Quizzes covering the syllabus node or any node below it
+    if (syllabusNodeId) {
+      whereConditions.id = { [Op.in]: await syllabusService.getTaggedQuizIds(syllabusNodeId) };
+    }
+    
     // Get quizzes with pagination
     const { count, rows: quizzes } = await Quiz.findAndCountAll({
       where: whereConditions,
@@ -29,7 +42,11 @@ exports.getAllQuizzes = async (req, res) => {
         {
           model: QuizQuestion,
           as: 'questions',
-          attributes: ['id', 'questionText', 'questionType', 'points'],
+          attributes: [
+            'id', 'questionText', 'questionType', 'points',
+            'assertionText', 'reasonText', 'matrixLeft', 'matrixRight', 'marksPerPair'
+          ],
+          through: { attributes: ['position', 'sectionId'] },
           include: [
             {
               model: QuizAnswer,
@@ -50,7 +67,10 @@ exports.getAllQuizzes = async (req, res) => {
     return res.status(200).json({
       success: true,
       data: {
-        quizzes,
+        quizzes: quizzes.map(quiz => ({
+          ...quiz.toJSON(),
+          questions: quiz.questions.map(question => questionService.toPublicQuestion(question))
+        })),
         pagination: {
           total: count,
           page: parseInt(page),
@@ -119,12 +139,22 @@ exports.getQuizById = async (req, res) => {
     } = req.query;
     
     // Get quiz with questions and answers
-    const quiz = await Quiz.findByPk(id, {
+    // Mock tests are read through getMockTestById, which hides the questions
+    // of scheduled tests until their window opens
+    const quiz = await Quiz.findOne({
+      where: {
+        id,
+        lessonId: { [Op.ne]: null }
+      },
       include: [
         {
           model: QuizQuestion,
           as: 'questions',
-          attributes: ['id', 'questionText', 'questionType', 'points', 'position'],
+          attributes: [
+            'id', 'questionText', 'questionType', 'points',
+            'assertionText', 'reasonText', 'matrixLeft', 'matrixRight', 'marksPerPair'
+          ],
+          through: { attributes: ['position', 'sectionId'] },
           include: [
             {
               model: QuizAnswer,
@@ -135,7 +165,7 @@ exports.getQuizById = async (req, res) => {
         }
       ],
       order: [
-        [{ model: QuizQuestion, as: 'questions' }, 'position', 'ASC'],
+        [{ model: QuizQuestion, as: 'questions' }, QuizQuestionLink, 'position', 'ASC'],
         [{ model: QuizQuestion, as: 'questions' }, { model: QuizAnswer, as: 'answers' }, 'id', 'ASC']
       ]
     });
@@ -181,7 +211,7 @@ exports.getQuizById = async (req, res) => {
       
       // Update positions to reflect new order
       questions = questions.map((question, index) => ({
-        ...question.toJSON ? question.toJSON() : question,
+        ...questionService.withQuizLink(question),
         position: index
       }));
     }
@@ -189,7 +219,7 @@ exports.getQuizById = async (req, res) => {
     // Create response with potentially modified questions
     const responseData = {
       ...quiz.toJSON(),
-      questions: questions,
+      questions: questions.map(question => questionService.toPublicQuestion(question)),
       metadata: {
         totalAvailableQuestions: quiz.questions.length,
         returnedQuestions: questions.length,
@@ -222,7 +252,11 @@ exports.createQuiz = async (req, res) => {
   const transaction = await sequelize.transaction();
   
   try {
-    const { lessonId, title, description, timeLimit, passingScore, questions } = req.body;
+    const {
+      lessonId, title, description, timeLimit, passingScore,
+      correctMarks, negativeMarks, unattemptedMarks, partialMarking, partialMarksPerOption,
+      answerReleasePolicy, endsAt, questions
+    } = req.body;
     
     // Validate required fields
     if (!lessonId || !title || !questions || !Array.isArray(questions) || questions.length === 0) {
@@ -233,58 +267,54 @@ exports.createQuiz = async (req, res) => {
       });
     }
     
+    // Answers released after the window need a window end
+    if (answerReleasePolicy === 'after_window' && !endsAt) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'endsAt is required when answerReleasePolicy is after_window'
+      });
+    }
+    
+    const marksError = questionService.validateMarks(req.body);
+    if (marksError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: marksError
+      });
+    }
+    
     // Create quiz
     const quiz = await Quiz.create({
       lessonId,
       title,
       description,
       timeLimit,
-      passingScore
+      passingScore,
+      correctMarks,
+      negativeMarks,
+      unattemptedMarks,
+      partialMarking,
+      partialMarksPerOption,
+      answerReleasePolicy,
+      endsAt
     }, { transaction });
     
     // Create questions and answers
     for (let i = 0; i < questions.length; i++) {
-      const { questionText, questionType, points, explanation, answers } = questions[i];
-      
       // Validate question
-      if (!questionText || !questionType || !answers || !Array.isArray(answers)) {
+      const validationError = questionService.validateQuestion(questions[i], i);
+      
+      if (validationError) {
         await transaction.rollback();
         return res.status(400).json({
           success: false,
-          message: `Invalid question at index ${i}: missing required fields`
+          message: validationError
         });
       }
       
-      // Create question
-      const question = await QuizQuestion.create({
-        quizId: quiz.id,
-        questionText,
-        questionType,
-        points: points || 1,
-        explanation,
-        position: i
-      }, { transaction });
-      
-      // Create answers
-      for (const answer of answers) {
-        const { answerText, isCorrect, explanation: answerExplanation } = answer;
-        
-        // Validate answer
-        if (!answerText || isCorrect === undefined) {
-          await transaction.rollback();
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid answer: missing required fields'
-          });
-        }
-        
-        await QuizAnswer.create({
-          questionId: question.id,
-          answerText,
-          isCorrect,
-          explanation: answerExplanation
-        }, { transaction });
-      }
+      await questionService.createQuestion(quiz.id, questions[i], i, transaction);
     }
     
     await transaction.commit();
@@ -295,6 +325,7 @@ exports.createQuiz = async (req, res) => {
         {
           model: QuizQuestion,
           as: 'questions',
+          through: { attributes: ['position', 'sectionId'] },
           include: [
             {
               model: QuizAnswer,
@@ -331,7 +362,11 @@ exports.updateQuiz = async (req, res) => {
   
   try {
     const { id } = req.params;
-    const { title, description, timeLimit, passingScore } = req.body;
+    const {
+      title, description, timeLimit, passingScore,
+      correctMarks, negativeMarks, unattemptedMarks, partialMarking, partialMarksPerOption,
+      answerReleasePolicy, endsAt
+    } = req.body;
     
     // Find quiz
     const quiz = await Quiz.findByPk(id);
@@ -344,12 +379,28 @@ exports.updateQuiz = async (req, res) => {
       });
     }
     
+    const marksError = questionService.validateMarks(req.body);
+    if (marksError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: marksError
+      });
+    }
+    
     // Update quiz
     await quiz.update({
       title: title || quiz.title,
       description: description !== undefined ? description : quiz.description,
       timeLimit: timeLimit !== undefined ? timeLimit : quiz.timeLimit,
-      passingScore: passingScore !== undefined ? passingScore : quiz.passingScore
+      passingScore: passingScore !== undefined ? passingScore : quiz.passingScore,
+      correctMarks: correctMarks !== undefined ? correctMarks : quiz.correctMarks,
+      negativeMarks: negativeMarks !== undefined ? negativeMarks : quiz.negativeMarks,
+      unattemptedMarks: unattemptedMarks !== undefined ? unattemptedMarks : quiz.unattemptedMarks,
+      partialMarking: partialMarking !== undefined ? partialMarking : quiz.partialMarking,
+      partialMarksPerOption: partialMarksPerOption !== undefined ? partialMarksPerOption : quiz.partialMarksPerOption,
+      answerReleasePolicy: answerReleasePolicy !== undefined ? answerReleasePolicy : quiz.answerReleasePolicy,
+      endsAt: endsAt !== undefined ? endsAt : quiz.endsAt
     }, { transaction });
     
     await transaction.commit();
@@ -360,6 +411,7 @@ exports.updateQuiz = async (req, res) => {
         {
           model: QuizQuestion,
           as: 'questions',
+          through: { attributes: ['position', 'sectionId'] },
           include: [
             {
               model: QuizAnswer,
@@ -419,16 +471,8 @@ exports.deleteQuiz = async (req, res) => {
       });
     }
     
-    // Get all questions
-    const questions = await QuizQuestion.findAll({ where: { quizId: id } });
-    
-    // Delete answers for each question
-    for (const question of questions) {
-      await QuizAnswer.destroy({ where: { questionId: question.id }, transaction });
-    }
-    
-    // Delete questions
-    await QuizQuestion.destroy({ where: { quizId: id }, transaction });
+    // Remove questions from the quiz (questions written only for it are deleted)
+    await questionService.unlinkQuiz(quiz.id, transaction);
     
     // Delete quiz
     await quiz.destroy({ transaction });
@@ -472,27 +516,16 @@ exports.submitQuizAttempt = async (req, res) => {
       });
     }
     
-    // Find quiz
-    const quiz = await Quiz.findByPk(quizId, {
-      include: [
-        {
-          model: QuizQuestion,
-          as: 'questions',
-          include: [
-            {
-              model: QuizAnswer,
-              as: 'answers'
-            }
-          ]
-        }
-      ]
-    });
+    // Find quiz with its sections and the key status of each question
+    // Mock tests are taken through the mock test attempt endpoints, which
+    // keep the timer on the server and enforce their windows
+    const quiz = await attemptService.findQuizForGrading(quizId, { lessonId: { [Op.ne]: null } });
     
     if (!quiz) {
       await transaction.rollback();
       return res.status(404).json({
         success: false,
-        message: 'Quiz not found'
+        message: 'Quiz not found; mock tests are taken through the mock test attempt endpoints'
       });
     }
     
@@ -501,124 +534,57 @@ exports.submitQuizAttempt = async (req, res) => {
     const startTime = new Date(startedAt);
     const timeSpentSeconds = Math.floor((completedAt - startTime) / 1000);
     
-    // Calculate score
-    let totalScore = 0;
-    let maxScore = 0;
+    // Grade every question of the quiz with its marking scheme
+    const grading = gradingService.gradeAttempt(quiz, answers);
+    const { score, maxScore, percentageScore, passed } = grading;
+    
+    // Record the version of the quiz the answers were given against
+    const version = await quizVersionService.resolveAttemptVersion(quiz, transaction);
     
     // Create attempt
     const attempt = await QuizAttempt.create({
       quizId,
       userId, // Can be null for anonymous users
+      versionId: version.id,
       startedAt,
       completedAt,
-      timeSpentSeconds
-    }, { transaction });
-    
-    // Process answers
-    for (const answer of answers) {
-      const { questionId, answerId, textAnswer } = answer;
-      
-      // Find question
-      const question = quiz.questions.find(q => q.id === parseInt(questionId));
-      
-      if (!question) {
-        continue; // Skip invalid questions
-      }
-      
-      maxScore += question.points;
-      
-      // Determine if answer is correct
-      let isCorrect = false;
-      let pointsEarned = 0;
-      
-      if (question.questionType === 'fill_blank') {
-        // For fill in the blank, check if text answer matches any correct answer
-        const correctAnswers = question.answers
-          .filter(a => a.isCorrect)
-          .map(a => a.answerText.toLowerCase().trim());
-        
-        if (textAnswer && correctAnswers.includes(textAnswer.toLowerCase().trim())) {
-          isCorrect = true;
-          pointsEarned = question.points;
-          totalScore += pointsEarned;
-        }
-      } else {
-        // For multiple choice, check if selected answer is correct
-        const selectedAnswer = question.answers.find(a => a.id === parseInt(answerId));
-        
-        if (selectedAnswer && selectedAnswer.isCorrect) {
-          isCorrect = true;
-          pointsEarned = question.points;
-          totalScore += pointsEarned;
-        }
-      }
-      
-      // Save user answer
-      await UserQuizAnswer.create({
-        attemptId: attempt.id,
-        questionId,
-        answerId: answerId || null,
-        textAnswer: textAnswer || null,
-        isCorrect,
-        pointsEarned
-      }, { transaction });
-    }
-    
-    // Calculate percentage score
-    const percentageScore = maxScore > 0 ? (totalScore / maxScore) * 100 : 0;
-    
-    // Determine if passed
-    const passed = quiz.passingScore ? percentageScore >= quiz.passingScore : true;
-    
-    // Update attempt with score
-    await attempt.update({
-      score: totalScore,
+      timeSpentSeconds,
+      score,
       maxScore,
       percentageScore,
       passed
     }, { transaction });
     
+    // Save user answers with their signed marks
+    await attemptService.saveGradedAnswers(attempt.id, grading.gradedAnswers, transaction);
+    
+    if (userId) {
+      await rankingService.markStale(quizId, transaction);
+    }
+    
     await transaction.commit();
     
     // Get the complete attempt with answers
-    const completedAttempt = await QuizAttempt.findByPk(attempt.id, {
-      include: [
-        {
-          model: UserQuizAnswer,
-          as: 'userAnswers',
-          include: [
-            {
-              model: QuizQuestion,
-              as: 'question',
-              include: [
-                {
-                  model: QuizAnswer,
-                  as: 'answers'
-                }
-              ]
-            },
-            {
-              model: QuizAnswer,
-              as: 'answer'
-            }
-          ]
-        }
-      ]
-    });
+    const completedAttempt = await attemptService.findAttemptWithAnswers(attempt.id);
     
     return res.status(201).json({
       success: true,
       message: 'Quiz attempt submitted successfully',
       data: {
-        attempt: completedAttempt,
+        attempt: attemptService.toReview(completedAttempt, quiz, req.userRole),
         result: {
-          score: totalScore,
+          score,
           maxScore,
           percentageScore,
           passed,
+          correctCount: grading.correctCount,
+          partialCount: grading.partialCount,
+          incorrectCount: grading.incorrectCount,
+          unattemptedCount: grading.unattemptedCount,
           timeSpentSeconds
         },
-        requiresLogin: !userId && passed // Indicate if user should login to save results
+        requiresLogin: !userId && passed, // Indicate if user should login to save results
+        claimToken: userId ? null : attemptService.createClaimToken(attempt) // Lets the user keep this attempt after login
       }
     });
   } catch (error) {
@@ -632,6 +598,43 @@ exports.submitQuizAttempt = async (req, res) => {
   }
 };
 
+/**
+ * Claim anonymous quiz and mock test attempts for the logged-in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.claimQuizAttempts = async (req, res) => {
+  try {
+    const { claimToken, claimTokens } = req.body;
+    const tokens = Array.isArray(claimTokens) ? claimTokens : (claimToken ? [claimToken] : []);
+    
+    if (tokens.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: claimToken or claimTokens array'
+      });
+    }
+    
+    const { claimed, failed } = await attemptService.claimAttempts(tokens, req.userId);
+    
+    return res.status(200).json({
+      success: true,
+      message: `${claimed.length} attempt(s) claimed successfully`,
+      data: {
+        claimed,
+        failed
+      }
+    });
+  } catch (error) {
+    console.error('Error claiming quiz attempts:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to claim quiz attempts',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get quiz attempts for a user
  * @param {Object} req - Express request object
@@ -657,7 +660,7 @@ exports.getUserQuizAttempts = async (req, res) => {
         {
           model: Quiz,
           as: 'quiz',
-          attributes: ['id', 'title', 'description', 'passingScore']
+          attributes: ['id', 'title', 'description', 'passingScore', 'startsAt', 'endsAt']
         }
       ],
       limit: parseInt(limit),
@@ -671,7 +674,8 @@ exports.getUserQuizAttempts = async (req, res) => {
     return res.status(200).json({
       success: true,
       data: {
-        attempts,
+        // Scores of scheduled mock tests stay hidden until their window closes
+        attempts: attempts.map(attempt => attemptService.withholdResults(attempt.toJSON(), attempt.quiz, req.userRole)),
         pagination: {
           total: count,
           page: parseInt(page),
@@ -706,7 +710,13 @@ exports.getQuizAttempt = async (req, res) => {
         {
           model: Quiz,
           as: 'quiz',
-          attributes: ['id', 'title', 'description', 'passingScore']
+          attributes: ['id', 'title', 'description', 'passingScore', 'answerReleasePolicy', 'startsAt', 'endsAt'],
+          // Mock test attempts can still be open, so they are read through getMockTestAttempt
+          where: { lessonId: { [Op.ne]: null } }
+        },
+        {
+          model: QuizVersion,
+          as: 'version'
         },
         {
           model: UserQuizAnswer,
@@ -734,7 +744,7 @@ exports.getQuizAttempt = async (req, res) => {
     if (!attempt) {
       return res.status(404).json({
         success: false,
-        message: 'Quiz attempt not found'
+        message: 'Quiz attempt not found; mock test attempts are read through the mock test attempt endpoints'
       });
     }
     
@@ -750,7 +760,7 @@ exports.getQuizAttempt = async (req, res) => {
     
     return res.status(200).json({
       success: true,
-      data: attempt
+      data: attemptService.toReview(attempt, attempt.quiz, req.userRole)
     });
   } catch (error) {
     console.error('Error getting quiz attempt:', error);
@@ -781,54 +791,94 @@ exports.getQuizStatistics = async (req, res) => {
       });
     }
     
+    // Statistics cover the attempts of one version, the latest unless requested
+    const version = req.query.version
+      ? await quizVersionService.findVersion(quiz.id, req.query.version)
+      : await quizVersionService.findLatestVersion(quiz.id);
+    
+    if (req.query.version && !version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz version not found'
+      });
+    }
+    
+    const snapshot = version
+      ? version.snapshot
+      : quizVersionService.buildSnapshot(await attemptService.findQuizForGrading(quiz.id));
+    const versionAttempts = { quizId: quiz.id, versionId: version ? version.id : null };
+    
     // Get attempt statistics
-    const totalAttempts = await QuizAttempt.count({ where: { quizId: id } });
-    const passedAttempts = await QuizAttempt.count({ where: { quizId: id, passed: true } });
-    const averageScore = await QuizAttempt.findOne({
-      where: { quizId: id },
+    const totalAttempts = await QuizAttempt.count({ where: versionAttempts });
+    const passedAttempts = await QuizAttempt.count({ where: { ...versionAttempts, passed: true } });
+    const scoreSummary = await QuizAttempt.findOne({
+      where: versionAttempts,
       attributes: [
-        [sequelize.fn('AVG', sequelize.col('percentage_score')), 'averageScore']
+        [sequelize.fn('AVG', sequelize.col('percentage_score')), 'averageScore'],
+        [sequelize.fn('AVG', sequelize.col('score')), 'averageNetScore'],
+        [sequelize.fn('MAX', sequelize.col('score')), 'highestNetScore'],
+        [sequelize.fn('MIN', sequelize.col('score')), 'lowestNetScore']
       ],
       raw: true
     });
     
-    // Get question statistics
-    const questions = await QuizQuestion.findAll({
-      where: { quizId: id },
-      attributes: ['id', 'questionText', 'questionType', 'points'],
+    // Get question statistics for the questions of the version,
+    // counting only answers given in its attempts
+    const userAnswers = await UserQuizAnswer.findAll({
+      where: { questionId: snapshot.questions.map(question => question.id) },
+      attributes: ['questionId', 'isCorrect', 'pointsEarned'],
       include: [
         {
-          model: UserQuizAnswer,
-          as: 'userAnswers',
-          attributes: ['isCorrect']
+          model: QuizAttempt,
+          as: 'attempt',
+          attributes: [],
+          where: versionAttempts
         }
       ]
     });
     
-    const questionStats = questions.map(question => {
-      const totalAnswers = question.userAnswers.length;
-      const correctAnswers = question.userAnswers.filter(a => a.isCorrect).length;
+    const questionStats = snapshot.questions.map(question => {
+      const answers = userAnswers.filter(a => a.questionId === question.id);
+      const totalAnswers = answers.length;
+      const correctAnswers = answers.filter(a => a.isCorrect === true).length;
+      const partialAnswers = answers.filter(a => a.isCorrect === false && a.pointsEarned > 0).length;
+      const incorrectAnswers = answers.filter(a => a.isCorrect === false).length - partialAnswers;
+      const unattempted = totalAnswers - correctAnswers - partialAnswers - incorrectAnswers;
       const correctPercentage = totalAnswers > 0 ? (correctAnswers / totalAnswers) * 100 : 0;
+      const netMarks = answers.reduce((sum, a) => sum + (a.pointsEarned || 0), 0);
       
       return {
         id: question.id,
         questionText: question.questionText,
         questionType: question.questionType,
         points: question.points,
+        keyStatus: question.keyStatus,
         totalAnswers,
         correctAnswers,
-        correctPercentage
+        partialAnswers,
+        incorrectAnswers,
+        unattempted,
+        correctPercentage,
+        netMarks,
+        averageNetMarks: totalAnswers > 0 ? netMarks / totalAnswers : 0
       };
     });
     
+    const versions = await quizVersionService.listVersions(quiz.id);
+    
     return res.status(200).json({
       success: true,
       data: {
         quizId: id,
+        version: version ? quizVersionService.toSummary(version) : null,
+        versions,
         totalAttempts,
         passedAttempts,
         passRate: totalAttempts > 0 ? (passedAttempts / totalAttempts) * 100 : 0,
-        averageScore: averageScore.averageScore || 0,
+        averageScore: scoreSummary.averageScore || 0,
+        averageNetScore: scoreSummary.averageNetScore || 0,
+        highestNetScore: scoreSummary.highestNetScore || 0,
+        lowestNetScore: scoreSummary.lowestNetScore || 0,
         questionStats
       }
     });
@@ -840,4 +890,901 @@ exports.getQuizStatistics = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Find a question of a quiz with its answers
+ * @param {number} quizId - Quiz ID
+ * @param {number} questionId - Question ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object|null>} Quiz link with its question
+ */
+const findQuizQuestionLink = (quizId, questionId, transaction) => QuizQuestionLink.findOne({
+  where: { quizId, questionId },
+  include: [
+    {
+      model: QuizQuestion,
+      as: 'question',
+      include: [
+        {
+          model: QuizAnswer,
+          as: 'answers'
+        }
+      ]
+    }
+  ],
+  order: [[{ model: QuizQuestion, as: 'question' }, { model: QuizAnswer, as: 'answers' }, 'id', 'ASC']],
+  transaction
+});
+
+/**
+ * Check that a section belongs to a quiz
+ * @param {number} quizId - Quiz ID
+ * @param {number} sectionId - Section ID (empty for no section)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<boolean>} True when the section is empty or part of the quiz
+ */
+const isQuizSection = async (quizId, sectionId, transaction) => {
+  if (!sectionId) {
+    return true;
+  }
+  
+  const section = await QuizSection.findOne({ where: { id: sectionId, quizId }, transaction });
+  return Boolean(section);
+};
+
+/**
+ * Get the questions of a quiz with their answer keys
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getQuizQuestions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const quiz = await Quiz.findByPk(id);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    const questionLinks = await QuizQuestionLink.findAll({
+      where: { quizId: id },
+      include: [
+        {
+          model: QuizQuestion,
+          as: 'question',
+          include: [
+            {
+              model: QuizAnswer,
+              as: 'answers'
+            }
+          ]
+        }
+      ],
+      order: [
+        ['position', 'ASC'],
+        [{ model: QuizQuestion, as: 'question' }, { model: QuizAnswer, as: 'answers' }, 'id', 'ASC']
+      ]
+    });
+    
+    return res.status(200).json({
+      success: true,
+      data: questionLinks.map(link => ({
+        ...link.question.toJSON(),
+        position: link.position,
+        sectionId: link.sectionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting quiz questions:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get quiz questions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a new question to a quiz
+ * Finished attempts keep the version they were taken on, so they are not
+ * regraded; attempts started afterwards get a version with the question
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addQuizQuestion = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id } = req.params;
+    const { sectionId, position } = req.body;
+    
+    const quiz = await Quiz.findByPk(id, { transaction });
+    
+    if (!quiz) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    const validationError = questionService.validateQuestion(req.body, 0);
+    if (validationError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    if (!await isQuizSection(quiz.id, sectionId, transaction)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Section does not belong to this quiz'
+      });
+    }
+    
+    // Add to the end unless a position is given, then make room for it
+    const questionCount = await QuizQuestionLink.count({ where: { quizId: quiz.id }, transaction });
+    const questionPosition = position !== undefined ? Math.min(Math.max(parseInt(position) || 0, 0), questionCount) : questionCount;
+    
+    await QuizQuestionLink.increment('position', {
+      by: 1,
+      where: { quizId: quiz.id, position: { [Op.gte]: questionPosition } },
+      transaction
+    });
+    
+    const question = await questionService.createQuestion(quiz.id, req.body, questionPosition, transaction);
+    
+    await transaction.commit();
+    
+    const link = await findQuizQuestionLink(quiz.id, question.id);
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Question added successfully',
+      data: {
+        question: { ...link.question.toJSON(), position: link.position, sectionId: link.sectionId }
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error adding quiz question:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a question of a quiz
+ * The question is shared with every quiz using it, so when its marks or
+ * answer key change they are carried into the published versions of all
+ * those quizzes and their finished attempts are regraded. Moving it to
+ * another section only applies to attempts started afterwards
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateQuizQuestion = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id, questionId } = req.params;
+    const { sectionId } = req.body;
+    
+    const link = await findQuizQuestionLink(id, questionId, transaction);
+    
+    if (!link) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this quiz'
+      });
+    }
+    
+    const { question } = link;
+    
+    // The question type cannot change, so validate the merged question
+    const validationError = questionService.validateQuestion({
+      ...question.toJSON(),
+      ...req.body,
+      questionType: question.questionType
+    }, 0);
+    if (validationError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const updateError = await questionService.updateQuestion(question, req.body, transaction);
+    if (updateError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `${updateError}; edit individual answers instead`
+      });
+    }
+    
+    const newSectionId = sectionId ? parseInt(sectionId) : null;
+    const sectionChanged = sectionId !== undefined && newSectionId !== link.sectionId;
+    if (sectionChanged) {
+      if (!await isQuizSection(id, newSectionId, transaction)) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Section does not belong to this quiz'
+        });
+      }
+      
+      await link.update({ sectionId: newSectionId }, { transaction });
+    }
+    
+    let regradedAttempts = 0;
+    if (questionService.affectsGrading(req.body)) {
+      await quizVersionService.applyQuestionEdit(question.id, transaction);
+      regradedAttempts = (await attemptService.regradeQuestion(question.id, transaction)).length;
+    }
+    
+    await transaction.commit();
+    
+    const updatedLink = await findQuizQuestionLink(id, questionId);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Question updated successfully',
+      data: {
+        question: { ...updatedLink.question.toJSON(), position: updatedLink.position, sectionId: updatedLink.sectionId },
+        regradedAttempts
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error updating quiz question:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a question from a quiz
+ * The question stays in the question bank when other quizzes use it or
+ * students have answered it. Finished attempts keep the version they were
+ * taken on, so they are not regraded; drop the question through an answer
+ * key correction to take it out of their scores
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.removeQuizQuestion = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id, questionId } = req.params;
+    
+    const link = await QuizQuestionLink.findOne({ where: { quizId: id, questionId }, transaction });
+    
+    if (!link) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this quiz'
+      });
+    }
+    
+    await questionService.unlinkQuestion(id, questionId, transaction);
+    
+    // Close the gap left by the question
+    await QuizQuestionLink.decrement('position', {
+      by: 1,
+      where: { quizId: id, position: { [Op.gt]: link.position } },
+      transaction
+    });
+    
+    await transaction.commit();
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Question removed successfully'
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error removing quiz question:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reorder the questions of a quiz
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.reorderQuizQuestions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { questionOrder } = req.body;
+    
+    if (!questionOrder || !Array.isArray(questionOrder)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question order must be an array of question IDs'
+      });
+    }
+    
+    const quiz = await Quiz.findByPk(id);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    const questionCount = await QuizQuestionLink.count({ where: { quizId: id } });
+    if (new Set(questionOrder.map(Number)).size !== questionCount ||
+        await QuizQuestionLink.count({ where: { quizId: id, questionId: questionOrder } }) !== questionCount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question order must list every question of the quiz exactly once'
+      });
+    }
+    
+    // Update question positions in a transaction
+    await sequelize.transaction(async (t) => {
+      for (let i = 0; i < questionOrder.length; i++) {
+        await QuizQuestionLink.update(
+          { position: i },
+          {
+            where: {
+              quizId: id,
+              questionId: questionOrder[i]
+            },
+            transaction: t
+          }
+        );
+      }
+    });
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Questions reordered successfully'
+    });
+  } catch (error) {
+    console.error('Error reordering quiz questions:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reorder questions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add an answer option to a question of a quiz
+ * The new key is carried into the published versions of every quiz using
+ * the question and their finished attempts are regraded
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addQuestionAnswer = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id, questionId } = req.params;
+    
+    const link = await findQuizQuestionLink(id, questionId, transaction);
+    
+    if (!link) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this quiz'
+      });
+    }
+    
+    const { question } = link;
+    const answers = question.answers.map(answer => answer.toJSON());
+    
+    const validationError = questionService.validateQuestion({
+      ...question.toJSON(),
+      answers: [...answers, req.body]
+    }, 0);
+    if (validationError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const answer = await QuizAnswer.create({
+      questionId: question.id,
+      ...questionService.buildAnswerAttributes(question.questionType, req.body)
+    }, { transaction });
+    
+    await quizVersionService.applyQuestionEdit(question.id, transaction);
+    const regradedAttempts = (await attemptService.regradeQuestion(question.id, transaction)).length;
+    
+    await transaction.commit();
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Answer added successfully',
+      data: { answer, regradedAttempts }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error adding question answer:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add answer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update an answer option of a question of a quiz
+ * Changing which options are correct is carried into the published
+ * versions of every quiz using the question and regrades their finished
+ * attempts; the option text shown in reviews stays as it was taken
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateQuestionAnswer = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id, questionId, answerId } = req.params;
+    
+    const link = await findQuizQuestionLink(id, questionId, transaction);
+    const answer = link && link.question.answers.find(a => a.id === parseInt(answerId));
+    
+    if (!answer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+    }
+    
+    const { question } = link;
+    const updatedAnswer = { ...answer.toJSON(), ...req.body };
+    
+    // Keep the text and the stored value of numerical and matrix-match answers in step
+    if (question.questionType === 'numerical' && req.body.numericValue === undefined && req.body.answerText !== undefined) {
+      updatedAnswer.numericValue = null;
+    } else if (question.questionType === 'numerical' && req.body.numericValue !== undefined && req.body.answerText === undefined) {
+      updatedAnswer.answerText = String(req.body.numericValue);
+    } else if (question.questionType === 'matrix_match' && req.body.matchMapping !== undefined && req.body.answerText === undefined) {
+      updatedAnswer.answerText = null;
+    }
+    
+    const validationError = questionService.validateQuestion({
+      ...question.toJSON(),
+      answers: question.answers.map(a => (a.id === answer.id ? updatedAnswer : a.toJSON()))
+    }, 0);
+    if (validationError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    await answer.update(questionService.buildAnswerAttributes(question.questionType, updatedAnswer), { transaction });
+    
+    await quizVersionService.applyQuestionEdit(question.id, transaction);
+    const regradedAttempts = (await attemptService.regradeQuestion(question.id, transaction)).length;
+    
+    await transaction.commit();
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Answer updated successfully',
+      data: { answer, regradedAttempts }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error updating question answer:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update answer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an answer option of a question of a quiz
+ * Options of answered questions are kept, since responses refer to them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteQuestionAnswer = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id, questionId, answerId } = req.params;
+    
+    const link = await findQuizQuestionLink(id, questionId, transaction);
+    const answer = link && link.question.answers.find(a => a.id === parseInt(answerId));
+    
+    if (!answer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+    }
+    
+    const { question } = link;
+    
+    const answeredCount = await UserQuizAnswer.count({ where: { questionId: question.id }, transaction });
+    if (answeredCount > 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Options of a question that students have answered cannot be deleted; change isCorrect instead'
+      });
+    }
+    
+    const validationError = questionService.validateQuestion({
+      ...question.toJSON(),
+      answers: question.answers.filter(a => a.id !== answer.id).map(a => a.toJSON())
+    }, 0);
+    if (validationError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    await answer.destroy({ transaction });
+    
+    await transaction.commit();
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Answer deleted successfully'
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error deleting question answer:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete answer',
+      error: error.message
+    });
+  }
+};
+
+
+/**
+ * Correct the answer key of a question of a quiz (admin only)
+ * The key can be changed, or the question dropped, awarded to everyone
+ * who attempted it, or restored; affected attempts are regraded and a
+ * report of the changed scores is returned
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.correctAnswerKey = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id, questionId } = req.params;
+    const { reason } = req.body;
+    
+    const link = await findQuizQuestionLink(id, questionId, transaction);
+    
+    if (!link) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this quiz'
+      });
+    }
+    
+    if (!reason || !String(reason).trim()) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'A reason for the correction is required'
+      });
+    }
+    
+    const validationError = answerKeyService.validateCorrection(link.question, req.body);
+    if (validationError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const { correction, scoreChanges } = await answerKeyService.applyCorrection(link, req.body, req.userId, transaction);
+    
+    await transaction.commit();
+    
+    const report = await answerKeyService.buildReport(scoreChanges);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Answer key corrected successfully',
+      data: { correction, report }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error correcting answer key:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to correct answer key',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the answer key corrections made to a quiz (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAnswerKeyCorrections = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const quiz = await Quiz.findByPk(id, { attributes: ['id'] });
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    const corrections = await AnswerKeyCorrection.findAll({
+      where: { quizId: quiz.id },
+      include: [
+        {
+          model: QuizQuestion,
+          as: 'question',
+          attributes: ['id', 'questionText', 'questionType']
+        },
+        {
+          model: User,
+          as: 'corrector',
+          attributes: ['id', 'username', 'fullName']
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+    
+    return res.status(200).json({
+      success: true,
+      data: corrections
+    });
+  } catch (error) {
+    console.error('Error getting answer key corrections:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get answer key corrections',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Regrade every finished attempt of a quiz against the version it was taken on (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.regradeQuizAttempts = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { id } = req.params;
+    
+    const quiz = await Quiz.findByPk(id, { attributes: ['id'], transaction });
+    
+    if (!quiz) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    const scoreChanges = await attemptService.regradeQuiz(quiz.id, transaction);
+    
+    await transaction.commit();
+    
+    const report = await answerKeyService.buildReport(scoreChanges);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Quiz attempts regraded successfully',
+      data: report
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error regrading quiz attempts:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to regrade quiz attempts',
+      error: error.message
+    });
+  }
+};
+
+
+/**
+ * Publish the current questions and answers of a quiz as a new version
+ * Attempts started afterwards are taken against this version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.publishQuizVersion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+    
+    const quiz = await attemptService.findQuizForGrading(id);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    const { version, created } = await quizVersionService.publishVersion(quiz, { userId: req.userId, note });
+    
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: created
+        ? `Version ${version.version} published successfully`
+        : `The quiz has not changed since version ${version.version}`,
+      data: version
+    });
+  } catch (error) {
+    console.error('Error publishing quiz version:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to publish quiz version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the published versions of a quiz
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getQuizVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const quiz = await Quiz.findByPk(id, { attributes: ['id'] });
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    const versions = await quizVersionService.listVersions(quiz.id);
+    
+    return res.status(200).json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error getting quiz versions:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get quiz versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a published version of a quiz with its snapshot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getQuizVersion = async (req, res) => {
+  try {
+    const { id, version: versionNumber } = req.params;
+    
+    const version = await quizVersionService.findVersion(id, versionNumber);
+    
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz version not found'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    console.error('Error getting quiz version:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get quiz version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Compare two versions of a quiz
+ * Without a target version, the current unpublished state of the quiz is
+ * compared, showing what publishing would change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getQuizVersionDiff = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'The from version is required'
+      });
+    }
+    
+    const fromVersion = await quizVersionService.findVersion(id, from);
+    const toVersion = to ? await quizVersionService.findVersion(id, to) : null;
+    
+    if (!fromVersion || (to && !toVersion)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz version not found'
+      });
+    }
+    
+    const toSnapshot = toVersion
+      ? toVersion.snapshot
+      : quizVersionService.buildSnapshot(await attemptService.findQuizForGrading(id));
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        from: quizVersionService.toSummary(fromVersion),
+        to: toVersion ? quizVersionService.toSummary(toVersion) : null,
+        changes: quizVersionService.diffSnapshots(fromVersion.snapshot, toSnapshot)
+      }
+    });
+  } catch (error) {
+    console.error('Error comparing quiz versions:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to compare quiz versions',
+      error: error.message
+    });
+  }
+};
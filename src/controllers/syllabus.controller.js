@@ -0,0 +1,304 @@
+const { SyllabusNode, sequelize } = require('../models');
+const syllabusService = require('../services/syllabus.service');
+
+/**
+ * Get the syllabus as a tree, or a flat list when filtered
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSyllabus = async (req, res) => {
+  try {
+    const { level, parentId } = req.query;
+
+    const whereConditions = {};
+
+    if (level) {
+      whereConditions.level = level;
+    }
+
+    if (parentId) {
+      whereConditions.parentId = parentId;
+    }
+
+    const nodes = await SyllabusNode.findAll({
+      where: whereConditions,
+      order: [['position', 'ASC'], ['name', 'ASC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: level || parentId ? nodes : syllabusService.buildTree(nodes)
+    });
+  } catch (error) {
+    console.error('Get syllabus error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get syllabus',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a syllabus node with its parent and children
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSyllabusNodeById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const node = await SyllabusNode.findByPk(id, {
+      include: [
+        {
+          model: SyllabusNode,
+          as: 'parent'
+        },
+        {
+          model: SyllabusNode,
+          as: 'children'
+        }
+      ],
+      order: [[{ model: SyllabusNode, as: 'children' }, 'position', 'ASC']]
+    });
+
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: 'Syllabus node not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: node
+    });
+  } catch (error) {
+    console.error('Get syllabus node by ID error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get syllabus node',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a syllabus node
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createSyllabusNode = async (req, res) => {
+  try {
+    const { parentId, level, name, code, position } = req.body;
+
+    const parent = parentId ? await SyllabusNode.findByPk(parentId) : null;
+
+    if (parentId && !parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent syllabus node not found'
+      });
+    }
+
+    const validationError = syllabusService.validateNode({ level, name }, parent);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const node = await SyllabusNode.create({
+      parentId: parent ? parent.id : null,
+      level,
+      name,
+      code,
+      position: position !== undefined
+        ? position
+        : await SyllabusNode.count({ where: { parentId: parent ? parent.id : null } })
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Syllabus node created successfully',
+      data: node
+    });
+  } catch (error) {
+    console.error('Create syllabus node error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create syllabus node',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a syllabus node
+ * A node may move to another parent of the same level, but keeps its own level
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateSyllabusNode = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { parentId, name, code, position } = req.body;
+
+    const node = await SyllabusNode.findByPk(id);
+
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: 'Syllabus node not found'
+      });
+    }
+
+    if (parentId !== undefined) {
+      const parent = parentId ? await SyllabusNode.findByPk(parentId) : null;
+
+      if (parentId && !parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent syllabus node not found'
+        });
+      }
+
+      const validationError = syllabusService.validateNode({ level: node.level, name: name || node.name }, parent);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      node.parentId = parent ? parent.id : null;
+    }
+
+    if (name) node.name = name;
+    if (code !== undefined) node.code = code;
+    if (position !== undefined) node.position = position;
+
+    await node.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Syllabus node updated successfully',
+      data: node
+    });
+  } catch (error) {
+    console.error('Update syllabus node error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update syllabus node',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a syllabus node with the nodes below it
+ * Questions and lessons tagged with the deleted nodes lose those tags
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteSyllabusNode = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+
+    const node = await SyllabusNode.findByPk(id, { transaction });
+
+    if (!node) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Syllabus node not found'
+      });
+    }
+
+    const deletedCount = await syllabusService.deleteNode(node, transaction);
+
+    await transaction.commit();
+
+    return res.status(200).json({
+      success: true,
+      message: `Deleted ${deletedCount} syllabus nodes`
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Delete syllabus node error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete syllabus node',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Import a syllabus tree from a JSON or CSV file, or from a JSON body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.importSyllabus = async (req, res) => {
+  let transaction;
+
+  try {
+    let nodes = req.body.nodes;
+
+    if (req.file) {
+      const text = req.file.buffer.toString('utf8');
+
+      if (req.file.originalname.toLowerCase().endsWith('.csv')) {
+        nodes = syllabusService.csvToTree(text);
+      } else {
+        try {
+          const parsed = JSON.parse(text);
+          nodes = Array.isArray(parsed) ? parsed : parsed.nodes;
+        } catch (parseError) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid JSON file: ${parseError.message}`
+          });
+        }
+      }
+    }
+
+    if (!nodes || nodes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a syllabusFile or a nodes array to import'
+      });
+    }
+
+    const validationError = syllabusService.validateTree(nodes);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    transaction = await sequelize.transaction();
+    const counts = await syllabusService.importTree(nodes, transaction);
+    await transaction.commit();
+
+    return res.status(200).json({
+      success: true,
+      message: `Imported syllabus: ${counts.created} nodes created, ${counts.existing} already present`,
+      data: counts
+    });
+  } catch (error) {
+    if (transaction) {
+      await transaction.rollback();
+    }
+    console.error('Import syllabus error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to import syllabus',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,334 @@
+const { Quiz, TestGroup, sequelize } = require('../models');
+const attemptService = require('../services/attempt.service');
+const testGroupService = require('../services/testGroup.service');
+
+/**
+ * Get all test groups with their shifts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAllTestGroups = async (req, res) => {
+  try {
+    const groups = await TestGroup.findAll({
+      include: [
+        {
+          model: Quiz,
+          as: 'shifts',
+          attributes: ['id', 'title', 'startsAt', 'endsAt']
+        }
+      ],
+      order: [['createdAt', 'DESC'], [{ model: Quiz, as: 'shifts' }, 'startsAt', 'ASC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: groups
+    });
+  } catch (error) {
+    console.error('Get test groups error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get test groups',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a test group with its shifts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getTestGroupById = async (req, res) => {
+  try {
+    const group = await testGroupService.findGroupWithShifts(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test group not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    console.error('Get test group by ID error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get test group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a test group from the mock tests run as its shifts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createTestGroup = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { title, description, quizIds } = req.body;
+
+    if (!title) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'title is required'
+      });
+    }
+
+    const validationError = testGroupService.validateShiftIds(quizIds) ||
+      await testGroupService.findShiftError(quizIds, null, transaction);
+    if (validationError) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const group = await TestGroup.create({
+      title,
+      description,
+      createdBy: req.userId
+    }, { transaction });
+
+    await testGroupService.setShifts(group, quizIds, transaction);
+
+    await transaction.commit();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Test group created successfully',
+      data: await testGroupService.findGroupWithShifts(group.id)
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Create test group error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create test group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a test group
+ * Giving quizIds replaces its shifts; normalized results of mock tests
+ * taken out of the group are cleared
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateTestGroup = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+    const { title, description, quizIds } = req.body;
+
+    const group = await TestGroup.findByPk(id, { transaction });
+
+    if (!group) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Test group not found'
+      });
+    }
+
+    if (quizIds !== undefined) {
+      const validationError = testGroupService.validateShiftIds(quizIds) ||
+        await testGroupService.findShiftError(quizIds, group.id, transaction);
+      if (validationError) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      await testGroupService.setShifts(group, quizIds, transaction);
+    }
+
+    if (title) group.title = title;
+    if (description !== undefined) group.description = description;
+
+    await group.save({ transaction });
+
+    await transaction.commit();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Test group updated successfully',
+      data: await testGroupService.findGroupWithShifts(group.id)
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Update test group error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update test group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a test group
+ * Its mock tests stay, as standalone tests without normalized results
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteTestGroup = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+
+    const group = await TestGroup.findByPk(id, { transaction });
+
+    if (!group) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Test group not found'
+      });
+    }
+
+    const shifts = await Quiz.findAll({ where: { testGroupId: group.id }, attributes: ['id'], transaction });
+    await testGroupService.clearShifts(shifts.map(shift => shift.id), transaction);
+    await group.destroy({ transaction });
+
+    await transaction.commit();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Test group deleted successfully'
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Delete test group error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete test group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Compute normalized percentiles and group ranks across the shifts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.normalizeTestGroup = async (req, res) => {
+  try {
+    const group = await TestGroup.findByPk(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test group not found'
+      });
+    }
+
+    const summary = await testGroupService.normalize(group);
+
+    return res.status(200).json({
+      success: true,
+      message: `Normalized the results of ${summary.candidates} candidates`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Normalize test group error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to normalize test group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Build a leaderboard entry from an attempt ranked across the shifts
+ * @param {Object} attempt - Attempt with its shift loaded
+ * @returns {Object} Leaderboard entry
+ */
+function formatLeaderboardEntry(attempt) {
+  return {
+    attemptId: attempt.id,
+    rank: attempt.groupRank,
+    normalizedPercentile: Number(attempt.normalizedPercentile),
+    score: attempt.score,
+    maxScore: attempt.maxScore,
+    timeSpentSeconds: attempt.timeSpentSeconds,
+    shift: attempt.quiz,
+    user: attempt.user || null
+  };
+}
+
+/**
+ * Get the leaderboard of a test group by normalized percentile
+ * Published once every shift has closed and the results were normalized
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getTestGroupLeaderboard = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const group = await testGroupService.findGroupWithShifts(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test group not found'
+      });
+    }
+
+    if (group.shifts.some(shift => !attemptService.areResultsReleased(shift, req.userRole))) {
+      return res.status(403).json({
+        success: false,
+        message: 'The leaderboard is published when every shift has closed'
+      });
+    }
+
+    const { count, rows } = await testGroupService.getLeaderboard(group.id, {
+      limit,
+      offset: (page - 1) * limit
+    });
+    const ownAttempt = req.userId ? await testGroupService.findRankedAttempt(group.id, req.userId) : null;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        testGroupId: group.id,
+        title: group.title,
+        normalizedAt: group.normalizedAt,
+        leaderboard: rows.map(formatLeaderboardEntry),
+        me: ownAttempt ? formatLeaderboardEntry(ownAttempt) : null,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get test group leaderboard error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get test group leaderboard',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
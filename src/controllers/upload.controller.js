@@ -2,8 +2,44 @@ const fs = require('fs');
 const path = require('path');
 const mammoth = require('mammoth');
 const pdfParse = require('pdf-parse');
-const { Quiz, QuizQuestion, QuizAnswer } = require('../models');
+const { Quiz } = require('../models');
 const { sequelize } = require('../models');
+const questionService = require('../services/question.service');
+
+// Numerical answers are written as "Numerical: 2.35", "Numerical: 2.35 ± 0.01"
+// or "Numerical: 2.34 to 2.36"
+const NUMERICAL_ANSWER_PATTERN = /^(Numerical|Integer)\s*(Answer)?\s*[:.-]\s*/i;
+
+/**
+ * Parse the accepted value of a numerical answer line
+ * @param {string} text - Answer text without the "Numerical:" marker
+ * @returns {Object|null} Answer payload, or null when no number is found
+ */
+function parseNumericalAnswer(text) {
+  const number = '([+-]?(?:\\d+\\.?\\d*|\\.\\d+))';
+  const range = text.match(new RegExp(`^\\[?\\s*${number}\\s*(?:to|,)\\s*${number}\\s*\\]?$`, 'i'));
+  
+  if (range) {
+    return {
+      answerText: text,
+      isCorrect: true,
+      rangeMin: parseFloat(range[1]),
+      rangeMax: parseFloat(range[2])
+    };
+  }
+  
+  const value = text.match(new RegExp(`^${number}\\s*(?:(?:±|\\+/-)\\s*${number})?$`));
+  
+  if (value) {
+    return {
+      answerText: value[1],
+      isCorrect: true,
+      tolerance: value[2] !== undefined ? Math.abs(parseFloat(value[2])) : null
+    };
+  }
+  
+  return null;
+}
 
 /**
  * Upload a question file (docx or pdf) and parse it to create a mock test
@@ -78,6 +114,8 @@ exports.uploadQuestionFile = async (req, res) => {
     // 1. Questions start with "Q:" or "Question:"
     // 2. Answers start with "A:" or "Answer:" or are preceded by A), B), C), D)
     // 3. Correct answers are marked with "*" or "(correct)"
+    // 4. Numerical answers start with "Numerical:" followed by a value,
+    //    a value with tolerance ("2.35 ± 0.01") or a range ("2.34 to 2.36")
     
     const lines = extractedContent.split('\n').map(line => line.trim()).filter(line => line.length > 0);
     
@@ -100,6 +138,14 @@ exports.uploadQuestionFile = async (req, res) => {
         const questionText = line.replace(/^(Q|Question)\s*\d*\s*[:.-]\s*/i, '').trim();
         currentQuestion = questionText;
       }
+      // Check if this is a numerical answer
+      else if (line.match(NUMERICAL_ANSWER_PATTERN)) {
+        const numericalAnswer = parseNumericalAnswer(line.replace(NUMERICAL_ANSWER_PATTERN, '').trim());
+        
+        if (numericalAnswer) {
+          currentAnswers.push({ ...numericalAnswer, numerical: true });
+        }
+      }
       // Check if this is an answer option
       else if (line.match(/^([A-D]\)|[A-D]\.\s|A:|Answer:)/i)) {
         const isCorrect = line.includes('*') || line.toLowerCase().includes('(correct)');
@@ -130,25 +176,19 @@ exports.uploadQuestionFile = async (req, res) => {
     async function saveQuestion(quizId, questionText, answers, position, transaction) {
       // Determine question type based on answers
       let questionType = 'multiple_choice';
-      if (answers.filter(a => a.isCorrect).length === 1) {
+      if (answers.some(a => a.numerical)) {
+        questionType = 'numerical';
+        answers = answers.filter(a => a.numerical);
+      } else if (answers.filter(a => a.isCorrect).length === 1) {
         questionType = 'single_choice';
       }
       
-      const question = await QuizQuestion.create({
-        quizId,
+      await questionService.createQuestion(quizId, {
         questionText,
         questionType,
         points: 1,
-        position
-      }, { transaction });
-      
-      for (const answer of answers) {
-        await QuizAnswer.create({
-          questionId: question.id,
-          answerText: answer.answerText,
-          isCorrect: answer.isCorrect
-        }, { transaction });
-      }
+        answers
+      }, position, transaction);
     }
     
     await transaction.commit();
@@ -48,7 +48,43 @@ const upload = multer({
   }
 });
 
+// Syllabus imports are parsed straight from memory
+const syllabusUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    
+    if (['.json', '.csv'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .json and .csv files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  }
+});
+
+// Predictor datasets (rank tables and JoSAA cutoffs) are parsed straight from memory
+const predictorUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    
+    if (ext === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
 module.exports = {
   uploadQuestionFile: upload.single('questionFile'),
+  uploadSyllabusFile: syllabusUpload.single('syllabusFile'),
+  uploadPredictorFile: predictorUpload.single('dataFile'),
   questionUploadsDir
 };
\ No newline at end of file
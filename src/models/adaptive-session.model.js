@@ -0,0 +1,124 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AdaptiveSession extends Model {
+    static associate(models) {
+      // AdaptiveSession belongs to a user
+      AdaptiveSession.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+
+      // AdaptiveSession practices a syllabus topic or chapter
+      AdaptiveSession.belongsTo(models.SyllabusNode, {
+        foreignKey: 'syllabusNodeId',
+        as: 'syllabusNode'
+      });
+
+      // AdaptiveSession waits for the answer to its current question
+      AdaptiveSession.belongsTo(models.QuizQuestion, {
+        foreignKey: 'currentQuestionId',
+        as: 'currentQuestion'
+      });
+    }
+  }
+
+  AdaptiveSession.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    syllabusNodeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'syllabus_node_id',
+      references: {
+        model: 'syllabus_nodes',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'completed'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    priorAbility: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'prior_ability',
+      comment: 'Ability the session started from: the latest estimate on the same syllabus node'
+    },
+    ability: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Current ability estimate on the scale of question difficulty'
+    },
+    standardError: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'standard_error',
+      comment: 'Standard error of the ability estimate'
+    },
+    currentQuestionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'current_question_id',
+      references: {
+        model: 'quiz_questions',
+        key: 'id'
+      },
+      comment: 'Question served and not answered yet'
+    },
+    responses: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Answered questions with their difficulty estimates ([{ questionId, isCorrect, difficulty, discrimination, ability }])'
+    },
+    stopReason: {
+      type: DataTypes.ENUM('converged', 'max_questions', 'pool_exhausted'),
+      allowNull: true,
+      field: 'stop_reason',
+      comment: 'Why the session stopped serving questions'
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'completed_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'AdaptiveSession',
+    tableName: 'adaptive_sessions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['user_id', 'status']
+      }
+    ]
+  });
+
+  return AdaptiveSession;
+};
\ No newline at end of file
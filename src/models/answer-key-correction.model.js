@@ -0,0 +1,111 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AnswerKeyCorrection extends Model {
+    static associate(models) {
+      // AnswerKeyCorrection belongs to a quiz
+      AnswerKeyCorrection.belongsTo(models.Quiz, {
+        foreignKey: 'quizId',
+        as: 'quiz'
+      });
+
+      // AnswerKeyCorrection belongs to a question
+      AnswerKeyCorrection.belongsTo(models.QuizQuestion, {
+        foreignKey: 'questionId',
+        as: 'question'
+      });
+
+      // AnswerKeyCorrection was made by a user
+      AnswerKeyCorrection.belongsTo(models.User, {
+        foreignKey: 'correctedBy',
+        as: 'corrector'
+      });
+    }
+  }
+
+  AnswerKeyCorrection.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    quizId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'quiz_id',
+      references: {
+        model: 'quizzes',
+        key: 'id'
+      }
+    },
+    questionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'question_id',
+      references: {
+        model: 'quiz_questions',
+        key: 'id'
+      }
+    },
+    action: {
+      type: DataTypes.ENUM('change_key', 'drop', 'award_attempted', 'restore'),
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Why the key was corrected, e.g. the NTA final answer key'
+    },
+    previousKey: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'previous_key',
+      comment: 'Answers and key status before the correction'
+    },
+    newKey: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'new_key',
+      comment: 'Answers and key status after the correction'
+    },
+    affectedAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'affected_attempts',
+      comment: 'Number of finished attempts that were regraded'
+    },
+    changedAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'changed_attempts',
+      comment: 'Number of regraded attempts whose score changed'
+    },
+    correctedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'corrected_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'AnswerKeyCorrection',
+    tableName: 'answer_key_corrections',
+    timestamps: true
+  });
+
+  return AnswerKeyCorrection;
+};
\ No newline at end of file
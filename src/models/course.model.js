@@ -28,6 +28,12 @@ module.exports = (sequelize, DataTypes) => {
         as: 'enrollments'
       });
 
+      // Course may have a daily practice problem plan
+      Course.hasOne(models.DppPlan, {
+        foreignKey: 'courseId',
+        as: 'dppPlan'
+      });
+
       // Course has many reviews
       Course.hasMany(models.Review, {
         foreignKey: 'courseId',
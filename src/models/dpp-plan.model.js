@@ -0,0 +1,132 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class DppPlan extends Model {
+    static associate(models) {
+      // DppPlan publishes daily practice sets for a course
+      DppPlan.belongsTo(models.Course, {
+        foreignKey: 'courseId',
+        as: 'course'
+      });
+
+      // DppPlan was created by a user
+      DppPlan.belongsTo(models.User, {
+        foreignKey: 'createdBy',
+        as: 'creator'
+      });
+
+      // DppPlan has many published sets
+      DppPlan.hasMany(models.Quiz, {
+        foreignKey: 'dppPlanId',
+        as: 'sets'
+      });
+    }
+  }
+
+  DppPlan.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    courseId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'course_id',
+      references: {
+        model: 'courses',
+        key: 'id'
+      }
+    },
+    syllabusNodeIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      field: 'syllabus_node_ids',
+      comment: 'Chapters (or topics) the questions of each set are drawn from'
+    },
+    difficulties: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Difficulty labels questions are drawn from (any difficulty when empty)'
+    },
+    questionCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 15,
+      field: 'question_count',
+      comment: 'Questions in each set'
+    },
+    timeLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'time_limit',
+      comment: 'Time limit of each set in minutes (derived from the question count when null)'
+    },
+    correctMarks: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'correct_marks',
+      comment: 'Marks for a correct answer (falls back to question points when null)'
+    },
+    negativeMarks: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'negative_marks',
+      comment: 'Marks deducted for a wrong answer'
+    },
+    dueHours: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 24,
+      field: 'due_hours',
+      comment: 'Hours after publishing that a set is due'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'is_active',
+      comment: 'Whether the scheduled job publishes sets for this plan'
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    lastPublishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_published_at',
+      comment: 'When the latest set was published'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'DppPlan',
+    tableName: 'dpp_plans',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['course_id']
+      }
+    ]
+  });
+
+  return DppPlan;
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class JosaaCutoff extends Model {}
+
+  JosaaCutoff.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    year: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Counselling year'
+    },
+    round: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'JoSAA round the ranks were published for'
+    },
+    institute: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    program: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Academic program name (branch and degree)'
+    },
+    quota: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: 'Quota (e.g., AI, HS, OS)'
+    },
+    category: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      comment: 'Seat type (e.g., OPEN, EWS, OBC-NCL, SC, ST, OPEN (PwD))'
+    },
+    gender: {
+      type: DataTypes.STRING(60),
+      allowNull: false,
+      comment: 'Gender pool (e.g., Gender-Neutral, Female-only (including Supernumerary))'
+    },
+    openingRank: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'opening_rank'
+    },
+    closingRank: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'closing_rank'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'JosaaCutoff',
+    tableName: 'josaa_cutoffs',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['year', 'round', 'category', 'quota', 'gender', 'closing_rank']
+      }
+    ]
+  });
+
+  return JosaaCutoff;
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class LessonSyllabusTag extends Model {
+    static associate(models) {
+      // LessonSyllabusTag belongs to a lesson
+      LessonSyllabusTag.belongsTo(models.Lesson, {
+        foreignKey: 'lessonId',
+        as: 'lesson'
+      });
+
+      // LessonSyllabusTag belongs to a syllabus node
+      LessonSyllabusTag.belongsTo(models.SyllabusNode, {
+        foreignKey: 'syllabusNodeId',
+        as: 'syllabusNode'
+      });
+    }
+  }
+
+  LessonSyllabusTag.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    lessonId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'lesson_id',
+      references: {
+        model: 'lessons',
+        key: 'id'
+      }
+    },
+    syllabusNodeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'syllabus_node_id',
+      references: {
+        model: 'syllabus_nodes',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'LessonSyllabusTag',
+    tableName: 'lesson_syllabus_tags',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['lesson_id', 'syllabus_node_id']
+      }
+    ]
+  });
+
+  return LessonSyllabusTag;
+};
\ No newline at end of file
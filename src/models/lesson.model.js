@@ -21,6 +21,14 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'lessonId',
         as: 'quiz'
       });
+
+      // Lesson is tagged with syllabus nodes
+      Lesson.belongsToMany(models.SyllabusNode, {
+        through: models.LessonSyllabusTag,
+        foreignKey: 'lessonId',
+        otherKey: 'syllabusNodeId',
+        as: 'syllabusNodes'
+      });
     }
   }
 
@@ -0,0 +1,138 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class MistakeEntry extends Model {
+    static associate(models) {
+      // MistakeEntry belongs to a user
+      MistakeEntry.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+
+      // MistakeEntry belongs to a question
+      MistakeEntry.belongsTo(models.QuizQuestion, {
+        foreignKey: 'questionId',
+        as: 'question'
+      });
+
+      // MistakeEntry was last collected from an attempt
+      MistakeEntry.belongsTo(models.QuizAttempt, {
+        foreignKey: 'attemptId',
+        as: 'attempt'
+      });
+    }
+  }
+
+  MistakeEntry.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    questionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'question_id',
+      references: {
+        model: 'quiz_questions',
+        key: 'id'
+      }
+    },
+    attemptId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'attempt_id',
+      references: {
+        model: 'quiz_attempts',
+        key: 'id'
+      },
+      comment: 'Latest attempt the question was answered wrongly or marked for review in'
+    },
+    source: {
+      type: DataTypes.ENUM('incorrect', 'marked_for_review'),
+      allowNull: false,
+      comment: 'Why the question was collected'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Labels chosen by the student (e.g., ["formula", "silly"])'
+    },
+    easeFactor: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 2.5,
+      field: 'ease_factor',
+      comment: 'SM-2 ease factor: how quickly the review interval grows'
+    },
+    intervalDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'interval_days',
+      comment: 'Days between the last review and the next one'
+    },
+    repetitions: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Successful reviews in a row'
+    },
+    reviewCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'review_count'
+    },
+    dueAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'due_at',
+      comment: 'When the question is next due for revision'
+    },
+    lastReviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_reviewed_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'MistakeEntry',
+    tableName: 'mistake_entries',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'question_id']
+      },
+      {
+        fields: ['user_id', 'due_at']
+      }
+    ]
+  });
+
+  return MistakeEntry;
+};
\ No newline at end of file
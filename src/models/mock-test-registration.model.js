@@ -0,0 +1,67 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class MockTestRegistration extends Model {
+    static associate(models) {
+      // MockTestRegistration belongs to a mock test
+      MockTestRegistration.belongsTo(models.Quiz, {
+        foreignKey: 'quizId',
+        as: 'quiz'
+      });
+
+      // MockTestRegistration belongs to a user
+      MockTestRegistration.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+  }
+
+  MockTestRegistration.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    quizId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'quiz_id',
+      references: {
+        model: 'quizzes',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'MockTestRegistration',
+    tableName: 'mock_test_registrations',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['quiz_id', 'user_id']
+      }
+    ]
+  });
+
+  return MockTestRegistration;
+};
\ No newline at end of file
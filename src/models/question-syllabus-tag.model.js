@@ -0,0 +1,67 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class QuestionSyllabusTag extends Model {
+    static associate(models) {
+      // QuestionSyllabusTag belongs to a question
+      QuestionSyllabusTag.belongsTo(models.QuizQuestion, {
+        foreignKey: 'questionId',
+        as: 'question'
+      });
+
+      // QuestionSyllabusTag belongs to a syllabus node
+      QuestionSyllabusTag.belongsTo(models.SyllabusNode, {
+        foreignKey: 'syllabusNodeId',
+        as: 'syllabusNode'
+      });
+    }
+  }
+
+  QuestionSyllabusTag.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    questionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'question_id',
+      references: {
+        model: 'quiz_questions',
+        key: 'id'
+      }
+    },
+    syllabusNodeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'syllabus_node_id',
+      references: {
+        model: 'syllabus_nodes',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'QuestionSyllabusTag',
+    tableName: 'question_syllabus_tags',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['question_id', 'syllabus_node_id']
+      }
+    ]
+  });
+
+  return QuestionSyllabusTag;
+};
\ No newline at end of file
@@ -48,6 +48,35 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       comment: 'Explanation for this specific answer'
     },
+    numericValue: {
+      type: DataTypes.DOUBLE,
+      field: 'numeric_value',
+      comment: 'Exact accepted value for numerical questions'
+    },
+    tolerance: {
+      type: DataTypes.DOUBLE,
+      comment: 'Allowed absolute deviation from the exact value for numerical questions'
+    },
+    rangeMin: {
+      type: DataTypes.DOUBLE,
+      field: 'range_min',
+      comment: 'Lower bound of the accepted range for numerical questions'
+    },
+    rangeMax: {
+      type: DataTypes.DOUBLE,
+      field: 'range_max',
+      comment: 'Upper bound of the accepted range for numerical questions'
+    },
+    decimalPrecision: {
+      type: DataTypes.INTEGER,
+      field: 'decimal_precision',
+      comment: 'Decimal places the response is rounded to before comparison'
+    },
+    matchMapping: {
+      type: DataTypes.JSON,
+      field: 'match_mapping',
+      comment: 'List-I to List-II mapping for matrix-match answers (e.g., { "P": ["1", "3"] })'
+    },
     createdAt: {
       type: DataTypes.DATE,
       field: 'created_at'
@@ -16,6 +16,12 @@ module.exports = (sequelize, DataTypes) => {
         as: 'quiz'
       });
 
+      // QuizAttempt was taken against a published version of the quiz
+      QuizAttempt.belongsTo(models.QuizVersion, {
+        foreignKey: 'versionId',
+        as: 'version'
+      });
+
       // QuizAttempt has many user answers
       QuizAttempt.hasMany(models.UserQuizAnswer, {
         foreignKey: 'attemptId',
@@ -48,9 +54,19 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    versionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'version_id',
+      references: {
+        model: 'quiz_versions',
+        key: 'id'
+      },
+      comment: 'Published version of the quiz the attempt was taken against'
+    },
     score: {
       type: DataTypes.INTEGER,
-      comment: 'Total score achieved'
+      comment: 'Net score achieved after negative marking'
     },
     maxScore: {
       type: DataTypes.INTEGER,
@@ -65,11 +81,66 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       comment: 'Whether the user passed the quiz based on passing score'
     },
+    status: {
+      type: DataTypes.ENUM('in_progress', 'completed', 'expired'),
+      allowNull: false,
+      defaultValue: 'completed',
+      comment: 'in_progress for server-timed attempts that are still open'
+    },
     startedAt: {
       type: DataTypes.DATE,
       allowNull: false,
       field: 'started_at'
     },
+    deadlineAt: {
+      type: DataTypes.DATE,
+      field: 'deadline_at',
+      comment: 'Server-side deadline derived from the quiz time limit'
+    },
+    sectionTimes: {
+      type: DataTypes.JSON,
+      field: 'section_times',
+      comment: 'Start time and deadline of each timed section, keyed by section ID'
+    },
+    sectionScores: {
+      type: DataTypes.JSON,
+      field: 'section_scores',
+      comment: 'Score and answer counts of each section'
+    },
+    rank: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'All-India rank among first attempts, ties broken by time taken (empty for later attempts)'
+    },
+    percentile: {
+      type: DataTypes.DECIMAL(10, 7),
+      allowNull: true,
+      comment: 'NTA-style percentile: share of candidates scoring the same or lower'
+    },
+    subjectPercentiles: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'subject_percentiles',
+      comment: 'Score and NTA-style percentile in each subject'
+    },
+    normalizedPercentile: {
+      type: DataTypes.DECIMAL(10, 7),
+      allowNull: true,
+      field: 'normalized_percentile',
+      comment: 'Percentile within the shift, comparable across the shifts of a test group'
+    },
+    groupRank: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'group_rank',
+      comment: 'Rank across the shifts of a test group by normalized percentile'
+    },
+    mistakesCollectedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'mistakes_collected_at',
+      comment: 'When wrong and marked-for-review answers were added to the mistake notebook'
+    },
     completedAt: {
       type: DataTypes.DATE,
       field: 'completed_at'
@@ -0,0 +1,96 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class QuizQuestionLink extends Model {
+    static associate(models) {
+      // QuizQuestionLink belongs to a quiz
+      QuizQuestionLink.belongsTo(models.Quiz, {
+        foreignKey: 'quizId',
+        as: 'quiz'
+      });
+
+      // QuizQuestionLink belongs to a question
+      QuizQuestionLink.belongsTo(models.QuizQuestion, {
+        foreignKey: 'questionId',
+        as: 'question'
+      });
+
+      // QuizQuestionLink may place the question in a section of the quiz
+      QuizQuestionLink.belongsTo(models.QuizSection, {
+        foreignKey: 'sectionId',
+        as: 'section'
+      });
+    }
+  }
+
+  QuizQuestionLink.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    quizId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'quiz_id',
+      references: {
+        model: 'quizzes',
+        key: 'id'
+      }
+    },
+    questionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'question_id',
+      references: {
+        model: 'quiz_questions',
+        key: 'id'
+      }
+    },
+    sectionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'section_id',
+      references: {
+        model: 'quiz_sections',
+        key: 'id'
+      },
+      comment: 'Section of the quiz the question appears in'
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Position of the question in the quiz'
+    },
+    keyStatus: {
+      type: DataTypes.ENUM('active', 'dropped', 'awarded'),
+      allowNull: false,
+      defaultValue: 'active',
+      field: 'key_status',
+      comment: 'Answer key correction: dropped from scoring, or full marks to everyone who attempted it'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'QuizQuestionLink',
+    tableName: 'quiz_question_links',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['quiz_id', 'question_id']
+      }
+    ]
+  });
+
+  return QuizQuestionLink;
+};
\ No newline at end of file
@@ -4,10 +4,38 @@ const { Model } = require('sequelize');
 module.exports = (sequelize, DataTypes) => {
   class QuizQuestion extends Model {
     static associate(models) {
-      // QuizQuestion belongs to a quiz
+      // QuizQuestion was first written for a quiz (null for bank questions)
       QuizQuestion.belongsTo(models.Quiz, {
         foreignKey: 'quizId',
-        as: 'quiz'
+        as: 'sourceQuiz'
+      });
+
+      // QuizQuestion can be used in many quizzes
+      QuizQuestion.belongsToMany(models.Quiz, {
+        through: models.QuizQuestionLink,
+        foreignKey: 'questionId',
+        otherKey: 'quizId',
+        as: 'quizzes'
+      });
+
+      // QuizQuestion has many quiz links
+      QuizQuestion.hasMany(models.QuizQuestionLink, {
+        foreignKey: 'questionId',
+        as: 'quizLinks'
+      });
+
+      // QuizQuestion is tagged with syllabus nodes
+      QuizQuestion.belongsToMany(models.SyllabusNode, {
+        through: models.QuestionSyllabusTag,
+        foreignKey: 'questionId',
+        otherKey: 'syllabusNodeId',
+        as: 'syllabusNodes'
+      });
+
+      // QuizQuestion has many syllabus tags
+      QuizQuestion.hasMany(models.QuestionSyllabusTag, {
+        foreignKey: 'questionId',
+        as: 'syllabusTags'
       });
 
       // QuizQuestion has many answers
@@ -32,12 +60,13 @@ module.exports = (sequelize, DataTypes) => {
     },
     quizId: {
       type: DataTypes.INTEGER,
-      allowNull: false,
+      allowNull: true, // Null for questions created in the question bank
       field: 'quiz_id',
       references: {
         model: 'quizzes',
         key: 'id'
-      }
+      },
+      comment: 'Quiz the question was first written for (quizzes use it through quiz_question_links)'
     },
     questionText: {
       type: DataTypes.TEXT,
@@ -45,7 +74,10 @@ module.exports = (sequelize, DataTypes) => {
       field: 'question_text'
     },
     questionType: {
-      type: DataTypes.ENUM('multiple_choice', 'single_choice', 'true_false', 'fill_blank'),
+      type: DataTypes.ENUM(
+        'multiple_choice', 'single_choice', 'true_false', 'fill_blank',
+        'numerical', 'matrix_match', 'assertion_reason'
+      ),
       allowNull: false,
       field: 'question_type'
     },
@@ -54,14 +86,91 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: 1
     },
+    correctMarks: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'correct_marks',
+      comment: 'Overrides the quiz marks for a correct answer'
+    },
+    negativeMarks: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'negative_marks',
+      validate: {
+        min: 0
+      },
+      comment: 'Overrides the quiz penalty for a wrong answer'
+    },
     explanation: {
       type: DataTypes.TEXT,
       comment: 'Explanation shown after answering'
     },
+    assertionText: {
+      type: DataTypes.TEXT,
+      field: 'assertion_text',
+      comment: 'Assertion (A) for assertion-reason questions'
+    },
+    reasonText: {
+      type: DataTypes.TEXT,
+      field: 'reason_text',
+      comment: 'Reason (R) for assertion-reason questions'
+    },
+    matrixLeft: {
+      type: DataTypes.JSON,
+      field: 'matrix_left',
+      comment: 'List-I items for matrix-match questions ([{ key, text }])'
+    },
+    matrixRight: {
+      type: DataTypes.JSON,
+      field: 'matrix_right',
+      comment: 'List-II items for matrix-match questions ([{ key, text }])'
+    },
+    subject: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Subject for filtering the question bank (e.g., Physics)'
+    },
+    difficulty: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Difficulty for filtering the question bank (e.g., Easy, Medium, Hard)'
+    },
+    irtDifficulty: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      field: 'irt_difficulty',
+      comment: 'Calibrated difficulty on the ability scale (higher is harder)'
+    },
+    irtDiscrimination: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      field: 'irt_discrimination',
+      comment: 'Calibrated discrimination: how sharply the question separates weaker and stronger students'
+    },
+    calibrationResponses: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'calibration_responses',
+      comment: 'Graded responses the difficulty estimates were calibrated from'
+    },
+    calibratedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'calibrated_at',
+      comment: 'When the difficulty estimates were last calibrated'
+    },
+    marksPerPair: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'marks_per_pair',
+      comment: 'Credit per correctly matched List-I item (null means all pairs must be correct)'
+    },
     position: {
       type: DataTypes.INTEGER,
       allowNull: false,
-      defaultValue: 0
+      defaultValue: 0,
+      comment: 'Position in the quiz the question was first written for'
     },
     createdAt: {
       type: DataTypes.DATE,
@@ -0,0 +1,112 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class QuizSection extends Model {
+    static associate(models) {
+      // QuizSection belongs to a quiz
+      QuizSection.belongsTo(models.Quiz, {
+        foreignKey: 'quizId',
+        as: 'quiz'
+      });
+
+      // QuizSection has many question links
+      QuizSection.hasMany(models.QuizQuestionLink, {
+        foreignKey: 'sectionId',
+        as: 'questionLinks'
+      });
+    }
+  }
+
+  QuizSection.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    quizId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'quiz_id',
+      references: {
+        model: 'quizzes',
+        key: 'id'
+      }
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Section name (e.g., Physics - Section A)'
+    },
+    subject: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Subject covered by the section (e.g., Physics)'
+    },
+    instructions: {
+      type: DataTypes.TEXT
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    correctMarks: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'correct_marks',
+      comment: 'Overrides the quiz marks for a correct answer'
+    },
+    negativeMarks: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'negative_marks',
+      comment: 'Overrides the quiz marks deducted for a wrong answer'
+    },
+    unattemptedMarks: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'unattempted_marks',
+      comment: 'Overrides the quiz marks for an unattempted question'
+    },
+    partialMarking: {
+      type: DataTypes.ENUM('none', 'per_correct_option'),
+      allowNull: true,
+      field: 'partial_marking',
+      comment: 'Overrides the quiz partial marking policy'
+    },
+    partialMarksPerOption: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'partial_marks_per_option',
+      comment: 'Overrides the quiz marks per correct option for partial answers'
+    },
+    attemptLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'attempt_limit',
+      comment: 'Only the best N attempted answers count (e.g., 5 of 10 in JEE Main Section B)'
+    },
+    timeLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'time_limit',
+      comment: 'Time limit in minutes for the section'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'QuizSection',
+    tableName: 'quiz_sections',
+    timestamps: true
+  });
+
+  return QuizSection;
+};
\ No newline at end of file
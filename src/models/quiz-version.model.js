@@ -0,0 +1,92 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class QuizVersion extends Model {
+    static associate(models) {
+      // QuizVersion belongs to a quiz
+      QuizVersion.belongsTo(models.Quiz, {
+        foreignKey: 'quizId',
+        as: 'quiz'
+      });
+
+      // QuizVersion was published by a user (empty when published automatically)
+      QuizVersion.belongsTo(models.User, {
+        foreignKey: 'publishedBy',
+        as: 'publisher'
+      });
+
+      // QuizVersion has many attempts taken against it
+      QuizVersion.hasMany(models.QuizAttempt, {
+        foreignKey: 'versionId',
+        as: 'attempts'
+      });
+    }
+  }
+
+  QuizVersion.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    quizId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'quiz_id',
+      references: {
+        model: 'quizzes',
+        key: 'id'
+      }
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Version number, counting from 1 for each quiz'
+    },
+    snapshot: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Settings, sections, questions and answers of the quiz when it was published'
+    },
+    checksum: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the snapshot, used to tell whether the quiz changed since'
+    },
+    note: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    publishedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'published_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'QuizVersion',
+    tableName: 'quiz_versions',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['quiz_id', 'version']
+      }
+    ]
+  });
+
+  return QuizVersion;
+};
\ No newline at end of file
@@ -10,12 +10,62 @@ module.exports = (sequelize, DataTypes) => {
         as: 'lesson'
       });
 
-      // Quiz has many questions
-      Quiz.hasMany(models.QuizQuestion, {
+      // Quiz may be one shift of a test group
+      Quiz.belongsTo(models.TestGroup, {
+        foreignKey: 'testGroupId',
+        as: 'testGroup'
+      });
+
+      // Quiz may be a daily practice set published for a course
+      Quiz.belongsTo(models.DppPlan, {
+        foreignKey: 'dppPlanId',
+        as: 'dppPlan'
+      });
+
+      // Quiz may be a personal practice test generated by a student
+      Quiz.belongsTo(models.User, {
+        foreignKey: 'ownerId',
+        as: 'owner'
+      });
+
+      // Quiz uses many questions from the question bank
+      Quiz.belongsToMany(models.QuizQuestion, {
+        through: models.QuizQuestionLink,
         foreignKey: 'quizId',
+        otherKey: 'questionId',
         as: 'questions'
       });
 
+      // Quiz has many question links (question order and sections)
+      Quiz.hasMany(models.QuizQuestionLink, {
+        foreignKey: 'quizId',
+        as: 'questionLinks'
+      });
+
+      // Quiz has many answer key corrections
+      Quiz.hasMany(models.AnswerKeyCorrection, {
+        foreignKey: 'quizId',
+        as: 'keyCorrections'
+      });
+
+      // Quiz has many sections
+      Quiz.hasMany(models.QuizSection, {
+        foreignKey: 'quizId',
+        as: 'sections'
+      });
+
+      // Quiz has many published versions
+      Quiz.hasMany(models.QuizVersion, {
+        foreignKey: 'quizId',
+        as: 'versions'
+      });
+
+      // Quiz has many registrations (scheduled mock tests)
+      Quiz.hasMany(models.MockTestRegistration, {
+        foreignKey: 'quizId',
+        as: 'registrations'
+      });
+
       // Quiz has many attempts
       Quiz.hasMany(models.QuizAttempt, {
         foreignKey: 'quizId',
@@ -39,6 +89,83 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    testGroupId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'test_group_id',
+      references: {
+        model: 'test_groups',
+        key: 'id'
+      },
+      comment: 'Test group of a mock test run as one of several shift papers'
+    },
+    ownerId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'owner_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Student who generated this personal practice test (null for mock tests and lesson quizzes)'
+    },
+    dppPlanId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'dpp_plan_id',
+      references: {
+        model: 'dpp_plans',
+        key: 'id'
+      },
+      comment: 'Plan that published this mock test as a daily practice problem (DPP) set'
+    },
+    dueAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'due_at',
+      comment: 'When a DPP set is due; late attempts are still accepted'
+    },
+    origin: {
+      type: DataTypes.ENUM('authored', 'scraped'),
+      allowNull: false,
+      defaultValue: 'authored',
+      comment: 'How the quiz was made; scraped question sets are cleaned up after 30 days'
+    },
+    exam: {
+      type: DataTypes.ENUM('jee_main', 'jee_advanced', 'bitsat'),
+      allowNull: true,
+      comment: 'Exam a previous-year paper (PYQ) was set in'
+    },
+    examYear: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'exam_year',
+      comment: 'Year the paper was set in (e.g., 2024)'
+    },
+    examSession: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: 'exam_session',
+      comment: 'Session of exams held more than once a year (e.g., January, April)'
+    },
+    examDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      field: 'exam_date',
+      comment: 'Date the paper was set on'
+    },
+    examShift: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'exam_shift',
+      comment: 'Shift of the day the paper was set in (e.g., 1 for the morning shift)'
+    },
+    paperNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'paper_number',
+      comment: 'Paper of a sitting with several papers (e.g., 2 for JEE Advanced Paper 2)'
+    },
     category: {
       type: DataTypes.STRING(100),
       allowNull: true,
@@ -66,6 +193,87 @@ module.exports = (sequelize, DataTypes) => {
       field: 'passing_score',
       comment: 'Minimum percentage required to pass'
     },
+    correctMarks: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'correct_marks',
+      comment: 'Marks for a correct answer (falls back to question points when null)'
+    },
+    negativeMarks: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'negative_marks',
+      validate: {
+        min: 0
+      },
+      comment: 'Marks deducted for a wrong answer (e.g., 1 for JEE Main)'
+    },
+    unattemptedMarks: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'unattempted_marks',
+      comment: 'Marks awarded for an unattempted question'
+    },
+    partialMarking: {
+      type: DataTypes.ENUM('none', 'per_correct_option'),
+      allowNull: false,
+      defaultValue: 'none',
+      field: 'partial_marking',
+      comment: 'Partial marking policy for multi-correct questions'
+    },
+    partialMarksPerOption: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'partial_marks_per_option',
+      comment: 'Marks per correct option chosen when only some correct options are chosen'
+    },
+    answerReleasePolicy: {
+      type: DataTypes.ENUM('immediate', 'after_window', 'never'),
+      allowNull: false,
+      defaultValue: 'immediate',
+      field: 'answer_release_policy',
+      comment: 'When students can see correct answers in their attempt review'
+    },
+    registrationOpensAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'registration_opens_at',
+      comment: 'Start of registration for a scheduled mock test'
+    },
+    registrationClosesAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'registration_closes_at',
+      comment: 'End of registration for a scheduled mock test'
+    },
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'starts_at',
+      comment: 'Start of the test window; mock tests without it are always open'
+    },
+    joinCutoffAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'join_cutoff_at',
+      comment: 'Latest time an attempt can be started in a scheduled mock test'
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'ends_at',
+      comment: 'End of the test window (answers release afterwards with after_window)'
+    },
+    rankingStale: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'ranking_stale',
+      comment: 'Whether attempts arrived or changed since ranks and percentiles were computed'
+    },
     createdAt: {
       type: DataTypes.DATE,
       field: 'created_at'
@@ -78,7 +286,12 @@ module.exports = (sequelize, DataTypes) => {
     sequelize,
     modelName: 'Quiz',
     tableName: 'quizzes',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['exam', 'exam_year']
+      }
+    ]
   });
 
   return Quiz;
@@ -0,0 +1,55 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RankTableEntry extends Model {}
+
+  RankTableEntry.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    examYear: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'exam_year',
+      comment: 'JEE Main year the percentile and rank were observed in'
+    },
+    category: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      comment: 'JoSAA seat type the rank is for; OPEN is the common rank list (CRL)'
+    },
+    percentile: {
+      type: DataTypes.DECIMAL(10, 7),
+      allowNull: false,
+      comment: 'NTA percentile'
+    },
+    rank: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Rank obtained with that percentile'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'RankTableEntry',
+    tableName: 'rank_table_entries',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['exam_year', 'category', 'percentile']
+      }
+    ]
+  });
+
+  return RankTableEntry;
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SyllabusNode extends Model {
+    static associate(models) {
+      // SyllabusNode belongs to the node one level up (subjects have no parent)
+      SyllabusNode.belongsTo(models.SyllabusNode, {
+        foreignKey: 'parentId',
+        as: 'parent'
+      });
+
+      // SyllabusNode has many child nodes
+      SyllabusNode.hasMany(models.SyllabusNode, {
+        foreignKey: 'parentId',
+        as: 'children'
+      });
+
+      // SyllabusNode tags many questions
+      SyllabusNode.belongsToMany(models.QuizQuestion, {
+        through: models.QuestionSyllabusTag,
+        foreignKey: 'syllabusNodeId',
+        otherKey: 'questionId',
+        as: 'questions'
+      });
+
+      // SyllabusNode tags many lessons
+      SyllabusNode.belongsToMany(models.Lesson, {
+        through: models.LessonSyllabusTag,
+        foreignKey: 'syllabusNodeId',
+        otherKey: 'lessonId',
+        as: 'lessons'
+      });
+    }
+  }
+
+  SyllabusNode.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    parentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'parent_id',
+      references: {
+        model: 'syllabus_nodes',
+        key: 'id'
+      }
+    },
+    level: {
+      type: DataTypes.ENUM('subject', 'unit', 'chapter', 'topic'),
+      allowNull: false,
+      comment: 'Level of the node in the NTA syllabus'
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Optional short code, e.g. the NTA unit number'
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Position among the children of the parent node'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'SyllabusNode',
+    tableName: 'syllabus_nodes',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['parent_id']
+      }
+    ]
+  });
+
+  return SyllabusNode;
+};
\ No newline at end of file
@@ -0,0 +1,66 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class TestGroup extends Model {
+    static associate(models) {
+      // TestGroup has many mock tests, one for each shift
+      TestGroup.hasMany(models.Quiz, {
+        foreignKey: 'testGroupId',
+        as: 'shifts'
+      });
+
+      // TestGroup was created by a user
+      TestGroup.belongsTo(models.User, {
+        foreignKey: 'createdBy',
+        as: 'creator'
+      });
+    }
+  }
+
+  TestGroup.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Name of the exam the shifts belong to (e.g., AITS Mock 5)'
+    },
+    description: {
+      type: DataTypes.TEXT
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    normalizedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'normalized_at',
+      comment: 'When normalized percentiles were last computed across the shifts'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'TestGroup',
+    tableName: 'test_groups',
+    timestamps: true
+  });
+
+  return TestGroup;
+};
\ No newline at end of file
@@ -55,33 +55,80 @@ module.exports = (sequelize, DataTypes) => {
         model: 'quiz_answers',
         key: 'id'
       },
-      comment: 'For multiple choice questions'
+      comment: 'For single choice questions'
+    },
+    answerIds: {
+      type: DataTypes.JSON,
+      field: 'answer_ids',
+      comment: 'All selected answer IDs for multi-correct questions'
     },
     textAnswer: {
       type: DataTypes.TEXT,
       field: 'text_answer',
-      comment: 'For fill in the blank questions'
+      comment: 'For fill in the blank and numerical questions'
+    },
+    matchResponse: {
+      type: DataTypes.JSON,
+      field: 'match_response',
+      comment: 'List-I to List-II pairs chosen for matrix-match questions'
     },
     isCorrect: {
       type: DataTypes.BOOLEAN,
       field: 'is_correct',
-      comment: 'Whether the answer was correct'
+      comment: 'Whether the answer was correct (null when unattempted)'
     },
     pointsEarned: {
       type: DataTypes.INTEGER,
       field: 'points_earned',
-      comment: 'Points earned for this answer'
+      comment: 'Points earned for this answer (negative when a penalty applies)'
+    },
+    countedInScore: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'counted_in_score',
+      comment: 'False when a section attempt limit left this answer out of the score'
+    },
+    markedForReview: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'marked_for_review',
+      comment: 'Whether the student flagged the question for review'
+    },
+    paletteStatus: {
+      type: DataTypes.ENUM('not_visited', 'not_answered', 'answered', 'marked_for_review', 'answered_marked_for_review'),
+      allowNull: false,
+      defaultValue: 'not_answered',
+      field: 'palette_status',
+      comment: 'Question palette state shown in the NTA exam interface'
+    },
+    timeSpentSeconds: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'time_spent_seconds',
+      comment: 'Total time the student spent on this question'
     },
     createdAt: {
       type: DataTypes.DATE,
       field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      field: 'updated_at'
     }
   }, {
     sequelize,
     modelName: 'UserQuizAnswer',
     tableName: 'user_quiz_answers',
     timestamps: true,
-    updatedAt: false
+    indexes: [
+      {
+        unique: true,
+        fields: ['attempt_id', 'question_id']
+      }
+    ]
   });
 
   return UserQuizAnswer;
@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const adaptiveController = require('../controllers/adaptive.controller');
+const { verifyToken, isAdmin } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdaptiveSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated ID of the session
+ *         syllabusNodeId:
+ *           type: integer
+ *           description: Topic or chapter the session practices
+ *         status:
+ *           type: string
+ *           enum: [active, completed]
+ *         ability:
+ *           type: number
+ *           description: Current ability estimate on the scale of question difficulty (0 is average)
+ *         standardError:
+ *           type: number
+ *           description: Standard error of the ability estimate; the session converges once it is small enough
+ *         questionsAnswered:
+ *           type: integer
+ *         correctCount:
+ *           type: integer
+ *         stopReason:
+ *           type: string
+ *           enum: [converged, max_questions, pool_exhausted]
+ *           description: Why the session stopped serving questions
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/adaptive/sessions:
+ *   post:
+ *     summary: Start an adaptive practice session on a topic or chapter
+ *     description: Serves the question that tells most about the student's current ability on the node. An open session on the same node is resumed instead.
+ *     tags: [Adaptive Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - syllabusNodeId
+ *             properties:
+ *               syllabusNodeId:
+ *                 type: integer
+ *                 description: Topic or chapter to practice; questions tagged below it count too
+ *     responses:
+ *       200:
+ *         description: Open session resumed, with its current question
+ *       201:
+ *         description: Session started, with its first question
+ *       400:
+ *         description: Missing syllabusNodeId
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Syllabus node not found, or no questions are tagged with it
+ */
+router.post('/sessions', verifyToken, adaptiveController.startAdaptiveSession);
+
+/**
+ * @swagger
+ * /api/adaptive/sessions/{id}:
+ *   get:
+ *     summary: Get an adaptive session with its answer history and current question
+ *     tags: [Adaptive Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The session ID
+ *     responses:
+ *       200:
+ *         description: Session summary, answered questions and the current question
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Adaptive session not found
+ */
+router.get('/sessions/:id', verifyToken, adaptiveController.getAdaptiveSession);
+
+/**
+ * @swagger
+ * /api/adaptive/sessions/{id}/answers:
+ *   post:
+ *     summary: Answer the current question of an adaptive session
+ *     description: Grades the answer, shows its solution and updates the ability estimate. The next question is served until the estimate converges, the question limit is reached or no questions are left.
+ *     tags: [Adaptive Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questionId
+ *             properties:
+ *               questionId:
+ *                 type: integer
+ *                 description: The current question of the session
+ *               answerId:
+ *                 type: integer
+ *               answerIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               textAnswer:
+ *                 type: string
+ *               matches:
+ *                 type: object
+ *                 description: List-I key to List-II keys for matrix-match questions
+ *     responses:
+ *       200:
+ *         description: Whether the answer was correct, the solution, the updated session and the next question (empty once stopped)
+ *       400:
+ *         description: Session already stopped, not its current question, or no answer given
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Adaptive session not found
+ */
+router.post('/sessions/:id/answers', verifyToken, adaptiveController.answerAdaptiveQuestion);
+
+/**
+ * @swagger
+ * /api/adaptive/calibrate:
+ *   post:
+ *     summary: Recalibrate question difficulty and discrimination now (admin only)
+ *     description: Runs the scheduled calibration from the graded answers of finished attempts. Questions with too few answers keep using their difficulty label.
+ *     tags: [Adaptive Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of questions calibrated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.post('/calibrate', verifyToken, isAdmin, adaptiveController.calibrateQuestions);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const dppController = require('../controllers/dpp.controller');
+const { verifyToken, isAdmin } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DppPlan:
+ *       type: object
+ *       required:
+ *         - courseId
+ *         - syllabusNodeIds
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated ID of the plan
+ *         courseId:
+ *           type: integer
+ *           description: Course (or batch) the sets are published for, with at most one plan each
+ *         syllabusNodeIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Chapters (or topics) the questions of each set are drawn from
+ *         difficulties:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Difficulty labels questions are drawn from (any difficulty when empty)
+ *         questionCount:
+ *           type: integer
+ *           default: 15
+ *         timeLimit:
+ *           type: integer
+ *           description: Time limit of each set in minutes (derived from the question count when omitted)
+ *         correctMarks:
+ *           type: integer
+ *         negativeMarks:
+ *           type: integer
+ *         dueHours:
+ *           type: integer
+ *           default: 24
+ *           description: Hours after publishing that a set is due
+ *         isActive:
+ *           type: boolean
+ *           description: Whether the daily job publishes sets for this plan
+ *         lastPublishedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/dpps:
+ *   get:
+ *     summary: Get the pending and completed DPPs of the logged-in student
+ *     description: Daily practice problem sets published in the last 30 days for the courses the student is enrolled in. A set is completed once an attempt at it is submitted; pending sets past their due date are flagged as overdue.
+ *     tags: [DPP]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending sets soonest due first, and completed sets latest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', verifyToken, dppController.getMyDpps);
+
+/**
+ * @swagger
+ * /api/dpps/plans:
+ *   get:
+ *     summary: Get all DPP plans
+ *     tags: [DPP]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of DPP plans with their courses
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.get('/plans', verifyToken, isAdmin, dppController.getDppPlans);
+
+/**
+ * @swagger
+ * /api/dpps/plans:
+ *   post:
+ *     summary: Create the DPP plan of a course
+ *     description: A set is published for the plan every morning by the scheduler, drawn from the plan's chapters and leaving out questions used by its recent sets
+ *     tags: [DPP]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DppPlan'
+ *     responses:
+ *       201:
+ *         description: DPP plan created successfully
+ *       400:
+ *         description: Invalid plan, or the course already has a plan
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: Course not found
+ */
+router.post('/plans', verifyToken, isAdmin, dppController.createDppPlan);
+
+/**
+ * @swagger
+ * /api/dpps/plans/{id}:
+ *   put:
+ *     summary: Update a DPP plan
+ *     description: Changes apply to sets published afterwards
+ *     tags: [DPP]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The plan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DppPlan'
+ *     responses:
+ *       200:
+ *         description: DPP plan updated successfully
+ *       400:
+ *         description: Invalid plan
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: DPP plan not found
+ */
+router.put('/plans/:id', verifyToken, isAdmin, dppController.updateDppPlan);
+
+/**
+ * @swagger
+ * /api/dpps/plans/{id}/publish:
+ *   post:
+ *     summary: Publish a set for a DPP plan now
+ *     description: Publishes a set right away instead of waiting for the daily job
+ *     tags: [DPP]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The plan ID
+ *     responses:
+ *       201:
+ *         description: DPP set published as a mock test
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       404:
+ *         description: DPP plan not found, or no unused questions are left in its chapters
+ */
+router.post('/plans/:id/publish', verifyToken, isAdmin, dppController.publishDppSet);
+
+module.exports = router;
\ No newline at end of file
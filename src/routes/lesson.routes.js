@@ -368,4 +368,47 @@ router.put('/:id', verifyToken, isInstructor, lessonController.updateLesson);
  */
 router.delete('/:id', verifyToken, isInstructor, lessonController.deleteLesson);
 
+/**
+ * @swagger
+ * /api/lessons/{id}/syllabus:
+ *   put:
+ *     summary: Replace the syllabus tags of a lesson
+ *     description: Tag a lesson with syllabus nodes (requires instructor of the course or admin role)
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The lesson ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - syllabusNodeIds
+ *             properties:
+ *               syllabusNodeIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: The syllabus nodes the lesson is now tagged with
+ *       400:
+ *         description: Unknown syllabus nodes
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Lesson not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/syllabus', verifyToken, isInstructor, lessonController.tagLesson);
+
 module.exports = router;
\ No newline at end of file
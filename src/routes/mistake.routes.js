@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const mistakeController = require('../controllers/mistake.controller');
+const { verifyToken } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MistakeEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated ID of the entry
+ *         questionId:
+ *           type: integer
+ *         attemptId:
+ *           type: integer
+ *           description: Latest attempt the question was answered wrongly or marked for review in
+ *         source:
+ *           type: string
+ *           enum: [incorrect, marked_for_review]
+ *         notes:
+ *           type: string
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         easeFactor:
+ *           type: number
+ *           description: SM-2 ease factor
+ *         intervalDays:
+ *           type: integer
+ *           description: Days between the last review and the next one
+ *         repetitions:
+ *           type: integer
+ *           description: Successful reviews in a row
+ *         reviewCount:
+ *           type: integer
+ *         dueAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the question is next due for revision
+ *         lastReviewedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/mistakes:
+ *   get:
+ *     summary: Get the mistake notebook of the logged-in student
+ *     description: Questions answered wrongly or marked for review are collected from finished attempts once their results are released. Each entry comes with the question, the student's answer and, once the answer key is released, the solution.
+ *     tags: [Mistake Notebook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Filter by tag
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [incorrect, marked_for_review]
+ *         description: Filter by why the question was collected
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: Filter by question subject
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of entries per page (at most 100)
+ *     responses:
+ *       200:
+ *         description: Notebook entries, latest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', verifyToken, mistakeController.getMistakeNotebook);
+
+/**
+ * @swagger
+ * /api/mistakes/queue:
+ *   get:
+ *     summary: Get today's revision queue
+ *     description: Notebook entries due by the end of the day, most overdue first, up to the daily limit
+ *     tags: [Mistake Notebook]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of entries due and the entries to revise today
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/queue', verifyToken, mistakeController.getRevisionQueue);
+
+/**
+ * @swagger
+ * /api/mistakes/{id}:
+ *   put:
+ *     summary: Update the notes and tags of a notebook entry
+ *     tags: [Mistake Notebook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The entry ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Entry updated
+ *       400:
+ *         description: Invalid tags
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notebook entry not found
+ */
+router.put('/:id', verifyToken, mistakeController.updateMistakeEntry);
+
+/**
+ * @swagger
+ * /api/mistakes/{id}:
+ *   delete:
+ *     summary: Remove a question from the mistake notebook
+ *     tags: [Mistake Notebook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The entry ID
+ *     responses:
+ *       200:
+ *         description: Entry removed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notebook entry not found
+ */
+router.delete('/:id', verifyToken, mistakeController.deleteMistakeEntry);
+
+/**
+ * @swagger
+ * /api/mistakes/{id}/reviews:
+ *   post:
+ *     summary: Record the outcome of revising a notebook entry
+ *     description: Schedules the next review with SM-2. Ratings below 3 start the schedule over; higher ratings space reviews further apart.
+ *     tags: [Mistake Notebook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The entry ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quality
+ *             properties:
+ *               quality:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 5
+ *                 description: Recall quality from 0 (forgot) to 5 (perfect recall)
+ *     responses:
+ *       200:
+ *         description: Entry with its next due date
+ *       400:
+ *         description: Invalid quality
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notebook entry not found
+ */
+router.post('/:id/reviews', verifyToken, mistakeController.reviewMistakeEntry);
+
+module.exports = router;
\ No newline at end of file
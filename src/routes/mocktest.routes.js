@@ -19,6 +19,9 @@ const { optionalAuth } = require('../middleware/optional-auth.middleware');
  *         title:
  *           type: string
  *           description: The title of the mock test
+ *         testGroupId:
+ *           type: integer
+ *           description: Test group the mock test is a shift of, if any
  *         description:
  *           type: string
  *           description: The description of the mock test
@@ -28,12 +31,72 @@ const { optionalAuth } = require('../middleware/optional-auth.middleware');
  *         passingScore:
  *           type: integer
  *           description: Minimum percentage required to pass
+ *         correctMarks:
+ *           type: integer
+ *           description: Marks for a correct answer (falls back to question points when empty)
+ *         negativeMarks:
+ *           type: integer
+ *           description: Marks deducted for a wrong answer
+ *         unattemptedMarks:
+ *           type: integer
+ *           description: Marks awarded for an unattempted question
+ *         partialMarking:
+ *           type: string
+ *           enum: [none, per_correct_option]
+ *           description: Partial marking policy for multi-correct questions
+ *         partialMarksPerOption:
+ *           type: integer
+ *           description: Marks per correct option when only some correct options are chosen
  *         category:
  *           type: string
  *           description: The category of the mock test (e.g., Physics, Chemistry, Mathematics)
  *         difficulty:
  *           type: string
  *           description: The difficulty level of the mock test (e.g., Easy, Medium, Hard)
+ *         registrationOpensAt:
+ *           type: string
+ *           format: date-time
+ *           description: Start of registration for a scheduled mock test
+ *         registrationClosesAt:
+ *           type: string
+ *           format: date-time
+ *           description: End of registration (defaults to the join cutoff)
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the test window; mock tests without it are always open
+ *         joinCutoffAt:
+ *           type: string
+ *           format: date-time
+ *           description: Latest time an attempt can be started (defaults to endsAt)
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           description: End of the test window; results and solutions of scheduled tests are released afterwards
+ *         exam:
+ *           type: string
+ *           enum: [jee_main, jee_advanced, bitsat]
+ *           description: Exam a previous-year paper was set in
+ *         examYear:
+ *           type: integer
+ *           description: Year the paper was set in
+ *         examSession:
+ *           type: string
+ *           description: Session of exams held more than once a year (e.g., January)
+ *         examDate:
+ *           type: string
+ *           format: date
+ *           description: Date the paper was set on
+ *         examShift:
+ *           type: integer
+ *           description: Shift of the day the paper was set in
+ *         paperNumber:
+ *           type: integer
+ *           description: Paper of a sitting with several papers (e.g., JEE Advanced Paper 2)
+ *         phase:
+ *           type: string
+ *           enum: [upcoming, live, past]
+ *           description: Where a scheduled mock test is in its window (empty for unscheduled tests)
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -67,6 +130,28 @@ const { optionalAuth } = require('../middleware/optional-auth.middleware');
  *           type: string
  *         description: Filter by difficulty level
  *       - in: query
+ *         name: syllabusNodeId
+ *         schema:
+ *           type: integer
+ *         description: Filter by syllabus node, including the nodes below it
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, live, past]
+ *         description: Only scheduled mock tests that have not started, are running or have ended
+ *       - in: query
+ *         name: exam
+ *         schema:
+ *           type: string
+ *           enum: [jee_main, jee_advanced, bitsat]
+ *         description: Only previous-year papers of an exam
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Only previous-year papers of a year
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -114,6 +199,7 @@ router.get('/', mocktestController.getAllMockTests);
  * /api/mocktests/{id}:
  *   get:
  *     summary: Get a mock test by ID
+ *     description: Questions of a scheduled mock test are hidden from students until it starts
  *     tags: [Mock Tests]
  *     parameters:
  *       - in: path
@@ -134,10 +220,12 @@ router.get('/', mocktestController.getAllMockTests);
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/MockTest'
+ *       403:
+ *         description: The mock test is a DPP set and the user is not enrolled in its course
  *       404:
  *         description: Mock test not found
  */
-router.get('/:id', mocktestController.getMockTestById);
+router.get('/:id', optionalAuth, mocktestController.getMockTestById);
 
 /**
  * @swagger
@@ -155,7 +243,6 @@ router.get('/:id', mocktestController.getMockTestById);
  *             type: object
  *             required:
  *               - title
- *               - questions
  *             properties:
  *               title:
  *                 type: string
@@ -165,10 +252,58 @@ router.get('/:id', mocktestController.getMockTestById);
  *                 type: integer
  *               passingScore:
  *                 type: integer
+ *               correctMarks:
+ *                 type: integer
+ *               negativeMarks:
+ *                 type: integer
+ *               unattemptedMarks:
+ *                 type: integer
+ *               partialMarking:
+ *                 type: string
+ *                 enum: [none, per_correct_option]
+ *               partialMarksPerOption:
+ *                 type: integer
+ *               answerReleasePolicy:
+ *                 type: string
+ *                 enum: [immediate, after_window, never]
+ *                 description: When students see correct answers in their attempt review (instructors and admins always do)
+ *               registrationOpensAt:
+ *                 type: string
+ *                 format: date-time
+ *               registrationClosesAt:
+ *                 type: string
+ *                 format: date-time
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the test window, which makes the mock test scheduled
+ *               joinCutoffAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Latest time an attempt can be started
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the test window, required for after_window and scheduled tests
  *               category:
  *                 type: string
  *               difficulty:
  *                 type: string
+ *               exam:
+ *                 type: string
+ *                 enum: [jee_main, jee_advanced, bitsat]
+ *                 description: Exam of a previous-year paper; examYear is then required
+ *               examYear:
+ *                 type: integer
+ *               examSession:
+ *                 type: string
+ *               examDate:
+ *                 type: string
+ *                 format: date
+ *               examShift:
+ *                 type: integer
+ *               paperNumber:
+ *                 type: integer
  *               questions:
  *                 type: array
  *                 items:
@@ -182,11 +317,44 @@ router.get('/:id', mocktestController.getMockTestById);
  *                       type: string
  *                     questionType:
  *                       type: string
- *                       enum: [multiple_choice, single_choice, true_false, fill_blank]
+ *                       enum: [multiple_choice, single_choice, true_false, fill_blank, numerical, matrix_match, assertion_reason]
  *                     points:
  *                       type: integer
+ *                     correctMarks:
+ *                       type: integer
+ *                     negativeMarks:
+ *                       type: integer
  *                     explanation:
  *                       type: string
+ *                     subject:
+ *                       type: string
+ *                     difficulty:
+ *                       type: string
+ *                     assertionText:
+ *                       type: string
+ *                       description: Assertion (A) for assertion-reason questions
+ *                     reasonText:
+ *                       type: string
+ *                       description: Reason (R) for assertion-reason questions
+ *                     correctOption:
+ *                       type: string
+ *                       description: Correct standard option (1-4 or A-D) when assertion-reason answers are omitted
+ *                     matrixLeft:
+ *                       type: array
+ *                       description: List-I items ([{ key, text }]) for matrix-match questions
+ *                       items:
+ *                         type: object
+ *                     matrixRight:
+ *                       type: array
+ *                       description: List-II items ([{ key, text }]) for matrix-match questions
+ *                       items:
+ *                         type: object
+ *                     correctMapping:
+ *                       type: object
+ *                       description: Correct List-I to List-II mapping when matrix-match answers are omitted
+ *                     marksPerPair:
+ *                       type: integer
+ *                       description: Credit per correctly matched List-I item (all pairs must match when empty)
  *                     answers:
  *                       type: array
  *                       items:
@@ -201,6 +369,61 @@ router.get('/:id', mocktestController.getMockTestById);
  *                             type: boolean
  *                           explanation:
  *                             type: string
+ *                           numericValue:
+ *                             type: number
+ *                             description: Exact value for numerical questions (defaults to answerText)
+ *                           tolerance:
+ *                             type: number
+ *                             description: Allowed deviation from the exact value
+ *                           rangeMin:
+ *                             type: number
+ *                             description: Lower bound of the accepted range
+ *                           rangeMax:
+ *                             type: number
+ *                             description: Upper bound of the accepted range
+ *                           decimalPrecision:
+ *                             type: integer
+ *                             description: Decimal places the response is rounded to
+ *                           matchMapping:
+ *                             type: object
+ *                             description: List-I to List-II mapping for matrix-match options
+ *               sections:
+ *                 type: array
+ *                 description: Sections of the paper, used instead of questions (e.g., Physics Section A and B)
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - title
+ *                     - questions
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     subject:
+ *                       type: string
+ *                     instructions:
+ *                       type: string
+ *                     correctMarks:
+ *                       type: integer
+ *                     negativeMarks:
+ *                       type: integer
+ *                     unattemptedMarks:
+ *                       type: integer
+ *                     partialMarking:
+ *                       type: string
+ *                       enum: [none, per_correct_option]
+ *                     partialMarksPerOption:
+ *                       type: integer
+ *                     attemptLimit:
+ *                       type: integer
+ *                       description: Only the best N attempted answers count (e.g., 5 of 10 numericals)
+ *                     timeLimit:
+ *                       type: integer
+ *                       description: Time limit in minutes for the section
+ *                     questions:
+ *                       type: array
+ *                       description: Questions of the section, in the same format as the questions field
+ *                       items:
+ *                         type: object
  *     responses:
  *       201:
  *         description: Mock test created successfully
@@ -241,10 +464,58 @@ router.post('/', verifyToken, isInstructor, mocktestController.createMockTest);
  *                 type: integer
  *               passingScore:
  *                 type: integer
+ *               correctMarks:
+ *                 type: integer
+ *               negativeMarks:
+ *                 type: integer
+ *               unattemptedMarks:
+ *                 type: integer
+ *               partialMarking:
+ *                 type: string
+ *                 enum: [none, per_correct_option]
+ *               partialMarksPerOption:
+ *                 type: integer
+ *               answerReleasePolicy:
+ *                 type: string
+ *                 enum: [immediate, after_window, never]
+ *                 description: When students see correct answers in their attempt review (instructors and admins always do)
+ *               registrationOpensAt:
+ *                 type: string
+ *                 format: date-time
+ *               registrationClosesAt:
+ *                 type: string
+ *                 format: date-time
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the test window, which makes the mock test scheduled
+ *               joinCutoffAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Latest time an attempt can be started
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the test window, required for after_window and scheduled tests
  *               category:
  *                 type: string
  *               difficulty:
  *                 type: string
+ *               exam:
+ *                 type: string
+ *                 enum: [jee_main, jee_advanced, bitsat]
+ *                 description: Exam of a previous-year paper; examYear is then required
+ *               examYear:
+ *                 type: integer
+ *               examSession:
+ *                 type: string
+ *               examDate:
+ *                 type: string
+ *                 format: date
+ *               examShift:
+ *                 type: integer
+ *               paperNumber:
+ *                 type: integer
  *     responses:
  *       200:
  *         description: Mock test updated successfully
@@ -282,11 +553,263 @@ router.put('/:id', verifyToken, isInstructor, mocktestController.updateMockTest)
  */
 router.delete('/:id', verifyToken, isInstructor, mocktestController.deleteMockTest);
 
+/**
+ * @swagger
+ * /api/mocktests/{id}/attempts/start:
+ *   post:
+ *     summary: Start a server-timed mock test attempt
+ *     description: The deadline is set from the server clock and the mock test time limit, and never falls after the end of a scheduled test. A logged-in user with an open attempt gets that attempt back. Scheduled tests can only be joined between startsAt and the join cutoff, by registered users when they take registrations.
+ *     tags: [Mock Test Attempts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The mock test ID
+ *     responses:
+ *       201:
+ *         description: Mock test attempt started with its deadline and remaining seconds, and for anonymous users the accessToken to send as X-Attempt-Token on the other attempt endpoints
+ *       200:
+ *         description: Open mock test attempt resumed
+ *       400:
+ *         description: The scheduled mock test has not started or can no longer be joined
+ *       403:
+ *         description: The user is not registered for the mock test, or not enrolled in the course of a DPP set
+ *       404:
+ *         description: Mock test not found
+ */
+router.post('/:id/attempts/start', optionalAuth, mocktestController.startMockTestAttempt);
+
+/**
+ * @swagger
+ * /api/mocktests/attempts/{id}/submit:
+ *   post:
+ *     summary: Submit answers for a started mock test attempt
+ *     description: Answers saved during the attempt are graded together with the submitted ones, and a submitted answer replaces the saved one. Submissions later than the deadline plus the grace period are rejected and the attempt is closed at its deadline.
+ *     tags: [Mock Test Attempts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The attempt ID
+ *       - in: header
+ *         name: X-Attempt-Token
+ *         schema:
+ *           type: string
+ *         description: Access token returned when the attempt was started; required for anonymous attempts
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - questionId
+ *                   properties:
+ *                     questionId:
+ *                       type: integer
+ *                     answerId:
+ *                       type: integer
+ *                     answerIds:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       description: Selected options for multi-correct questions
+ *                     matches:
+ *                       type: object
+ *                       description: 'List-I to List-II pairs for matrix-match questions (e.g., { "P": ["1", "3"] })'
+ *                     textAnswer:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Mock test attempt submitted successfully (anonymous submissions include a claimToken for /api/quizzes/attempts/claim)
+ *       400:
+ *         description: Invalid input, attempt already submitted or time limit exceeded
+ *       403:
+ *         description: Not authorized to submit this attempt
+ *       404:
+ *         description: Mock test attempt not found
+ */
+router.post('/attempts/:id/submit', optionalAuth, mocktestController.submitOpenMockTestAttempt);
+
+/**
+ * @swagger
+ * /api/mocktests/attempts/{id}/answers/{questionId}:
+ *   put:
+ *     summary: Save the answer to one question of an open mock test attempt
+ *     description: Saving the same question again replaces the earlier answer and sets its palette status (answered, not_answered, marked_for_review or answered_marked_for_review). Saved answers, including those marked for review, are graded when the attempt is submitted or expires.
+ *     tags: [Mock Test Attempts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The attempt ID
+ *       - in: header
+ *         name: X-Attempt-Token
+ *         schema:
+ *           type: string
+ *         description: Access token returned when the attempt was started; required for anonymous attempts
+ *       - in: path
+ *         name: questionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answerId:
+ *                 type: integer
+ *               answerIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Selected options for multi-correct questions
+ *               matches:
+ *                 type: object
+ *                 description: List-I to List-II pairs for matrix-match questions
+ *               textAnswer:
+ *                 type: string
+ *               markedForReview:
+ *                 type: boolean
+ *               timeSpentSeconds:
+ *                 type: integer
+ *                 description: Total time spent on the question so far
+ *     responses:
+ *       200:
+ *         description: Answer saved successfully
+ *       400:
+ *         description: Attempt or section is no longer in progress, or the section was not started
+ *       403:
+ *         description: Not authorized to update this attempt
+ *       404:
+ *         description: Attempt or question not found
+ */
+router.put('/attempts/:id/answers/:questionId', optionalAuth, mocktestController.saveMockTestAnswer);
+
+/**
+ * @swagger
+ * /api/mocktests/attempts/{id}/sections/{sectionId}/start:
+ *   post:
+ *     summary: Start the timer of a timed section in an open mock test attempt
+ *     description: Questions of a timed section accept answers only while its timer runs. Starting a section again returns its existing timer.
+ *     tags: [Mock Test Attempts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The attempt ID
+ *       - in: header
+ *         name: X-Attempt-Token
+ *         schema:
+ *           type: string
+ *         description: Access token returned when the attempt was started; required for anonymous attempts
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The section ID
+ *     responses:
+ *       200:
+ *         description: Section start time, deadline and remaining seconds
+ *       400:
+ *         description: Attempt is no longer in progress or the section is not timed
+ *       403:
+ *         description: Not authorized to update this attempt
+ *       404:
+ *         description: Attempt or section not found
+ */
+router.post('/attempts/:id/sections/:sectionId/start', optionalAuth, mocktestController.startMockTestSection);
+
+/**
+ * @swagger
+ * /api/mocktests/attempts/{id}/questions/{questionId}/visit:
+ *   post:
+ *     summary: Record that a question of an open mock test attempt was opened
+ *     description: An unvisited question moves to not_answered in the question palette. Questions that already have a palette state keep it.
+ *     tags: [Mock Test Attempts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The attempt ID
+ *       - in: header
+ *         name: X-Attempt-Token
+ *         schema:
+ *           type: string
+ *         description: Access token returned when the attempt was started; required for anonymous attempts
+ *       - in: path
+ *         name: questionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     responses:
+ *       200:
+ *         description: Palette status of the question
+ *       400:
+ *         description: Attempt is no longer in progress
+ *       403:
+ *         description: Not authorized to update this attempt
+ *       404:
+ *         description: Attempt or question not found
+ */
+router.post('/attempts/:id/questions/:questionId/visit', optionalAuth, mocktestController.visitMockTestQuestion);
+
+/**
+ * @swagger
+ * /api/mocktests/attempts/{id}/resume:
+ *   get:
+ *     summary: Resume an open mock test attempt with its saved answers and remaining time
+ *     tags: [Mock Test Attempts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The attempt ID
+ *       - in: header
+ *         name: X-Attempt-Token
+ *         schema:
+ *           type: string
+ *         description: Access token returned when the attempt was started; required for anonymous attempts
+ *     responses:
+ *       200:
+ *         description: Saved answers, question palette, remaining time and the question answered last
+ *       400:
+ *         description: Attempt is no longer in progress
+ *       403:
+ *         description: Not authorized to resume this attempt
+ *       404:
+ *         description: Mock test attempt not found
+ */
+router.get('/attempts/:id/resume', optionalAuth, mocktestController.resumeMockTestAttempt);
+
 /**
  * @swagger
  * /api/mocktests/attempts/submit:
  *   post:
  *     summary: Submit a mock test attempt (works for both logged-in and anonymous users)
+ *     description: Timed mock tests must be started with /api/mocktests/{id}/attempts/start. Passing attemptId submits that started attempt.
  *     tags: [Mock Test Attempts]
  *     requestBody:
  *       required: true
@@ -299,6 +822,9 @@ router.delete('/:id', verifyToken, isInstructor, mocktestController.deleteMockTe
  *               - startedAt
  *               - answers
  *             properties:
+ *               attemptId:
+ *                 type: integer
+ *                 description: Attempt opened with the start endpoint
  *               quizId:
  *                 type: integer
  *               startedAt:
@@ -315,11 +841,19 @@ router.delete('/:id', verifyToken, isInstructor, mocktestController.deleteMockTe
  *                       type: integer
  *                     answerId:
  *                       type: integer
+ *                     answerIds:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       description: Selected options for multi-correct questions
+ *                     matches:
+ *                       type: object
+ *                       description: 'List-I to List-II pairs for matrix-match questions (e.g., { "P": ["1", "3"] })'
  *                     textAnswer:
  *                       type: string
  *     responses:
  *       201:
- *         description: Mock test attempt submitted successfully
+ *         description: Mock test attempt submitted successfully (anonymous submissions include a claimToken for /api/quizzes/attempts/claim)
  *       400:
  *         description: Invalid input
  *       404:
@@ -376,7 +910,7 @@ router.get('/attempts/user', verifyToken, mocktestController.getUserMockTestAtte
  *         description: The attempt ID
  *     responses:
  *       200:
- *         description: Mock test attempt details
+ *         description: Mock test attempt details with remaining time and question palette (correct answers are hidden until the mock test releases them)
  *       404:
  *         description: Mock test attempt not found
  *       403:
@@ -384,6 +918,32 @@ router.get('/attempts/user', verifyToken, mocktestController.getUserMockTestAtte
  */
 router.get('/attempts/:id', optionalAuth, mocktestController.getMockTestAttempt);
 
+/**
+ * @swagger
+ * /api/mocktests/attempts/{id}/analysis:
+ *   get:
+ *     summary: Get the analysis report of a finished mock test attempt
+ *     description: Accuracy by subject, chapter and difficulty, time spent on each question against the topper, silly mistakes (easy questions answered wrongly in little time) and the strongest and weakest subjects or chapters. Available once the results and answer key are released.
+ *     tags: [Mock Tests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The attempt ID
+ *     responses:
+ *       200:
+ *         description: Analysis report of the attempt
+ *       400:
+ *         description: The attempt is still open
+ *       403:
+ *         description: Not authorized to view this attempt, or the results or answer key are not released yet
+ *       404:
+ *         description: Mock test attempt not found
+ */
+router.get('/attempts/:id/analysis', optionalAuth, mocktestController.getMockTestAttemptAnalysis);
+
 /**
  * @swagger
  * /api/mocktests/{id}/statistics:
@@ -399,9 +959,14 @@ router.get('/attempts/:id', optionalAuth, mocktestController.getMockTestAttempt)
  *           type: integer
  *         required: true
  *         description: The mock test ID
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Version whose attempts are counted (defaults to the latest version)
  *     responses:
  *       200:
- *         description: Mock test statistics
+ *         description: Mock test statistics with per-section and per-question results, read from the version snapshot, and the number of ranked candidates
  *       404:
  *         description: Mock test not found
  *       401:
@@ -409,4 +974,96 @@ router.get('/attempts/:id', optionalAuth, mocktestController.getMockTestAttempt)
  */
 router.get('/:id/statistics', verifyToken, isInstructor, mocktestController.getMockTestStatistics);
 
+/**
+ * @swagger
+ * /api/mocktests/{id}/leaderboard:
+ *   get:
+ *     summary: Get the leaderboard of a mock test
+ *     description: Ranks the first attempt of each student by score, breaking ties by time taken, with NTA-style overall and subject percentiles. Scheduled tests publish it once their window closes.
+ *     tags: [Mock Tests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The mock test ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of entries per page (at most 100)
+ *     responses:
+ *       200:
+ *         description: Leaderboard entries by rank, with the entry of the logged-in student as me
+ *       403:
+ *         description: The mock test window has not closed yet
+ *       404:
+ *         description: Mock test not found
+ */
+router.get('/:id/leaderboard', optionalAuth, mocktestController.getMockTestLeaderboard);
+
+/**
+ * @swagger
+ * /api/mocktests/{id}/registration:
+ *   post:
+ *     summary: Register for a scheduled mock test
+ *     tags: [Mock Tests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The mock test ID
+ *     responses:
+ *       201:
+ *         description: Registered for the mock test
+ *       200:
+ *         description: Already registered
+ *       400:
+ *         description: The mock test does not take registrations, or registration is not open
+ *       404:
+ *         description: Mock test not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/registration', verifyToken, mocktestController.registerForMockTest);
+
+/**
+ * @swagger
+ * /api/mocktests/{id}/registration:
+ *   delete:
+ *     summary: Cancel a registration while registration is open
+ *     tags: [Mock Tests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The mock test ID
+ *     responses:
+ *       200:
+ *         description: Registration cancelled
+ *       400:
+ *         description: Registration has closed or the mock test was already started
+ *       404:
+ *         description: Registration not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/registration', verifyToken, mocktestController.cancelMockTestRegistration);
+
 module.exports = router;
\ No newline at end of file
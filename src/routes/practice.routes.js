@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const practiceController = require('../controllers/practice.controller');
+const { verifyToken } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * /api/practice:
+ *   get:
+ *     summary: Get the practice tests generated by the logged-in student
+ *     tags: [Practice Tests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of practice tests per page (at most 100)
+ *     responses:
+ *       200:
+ *         description: Practice tests, latest first, with their question count and the student's attempts
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', verifyToken, practiceController.getMyPracticeTests);
+
+/**
+ * @swagger
+ * /api/practice:
+ *   post:
+ *     summary: Generate a personal practice test
+ *     description: Samples questions from existing quizzes and mock tests by subject, chapter, difficulty and question type, leaving out questions the student already answered correctly. The test is stored as a quiz only the student can see and is taken through the mock test attempt endpoints (POST /api/mocktests/{id}/attempts/start).
+ *     tags: [Practice Tests]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questionCount
+ *             properties:
+ *               questionCount:
+ *                 type: integer
+ *                 description: Number of questions (at most 90 by default)
+ *               subjects:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Subjects to pick from (e.g., Physics)
+ *               syllabusNodeIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Chapters or topics to pick from; questions tagged below them count too
+ *               difficulties:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Difficulties to pick from (e.g., Medium, Hard)
+ *               questionTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [multiple_choice, single_choice, true_false, fill_blank, numerical, matrix_match, assertion_reason]
+ *                 description: Question types to pick from
+ *               timeLimit:
+ *                 type: integer
+ *                 description: Time limit in minutes (defaults to 2 minutes per question)
+ *               correctMarks:
+ *                 type: integer
+ *                 description: Marks for a correct answer (falls back to question points when empty)
+ *               negativeMarks:
+ *                 type: integer
+ *                 description: Marks deducted for a wrong answer
+ *               includeSolved:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also pick questions the student already answered correctly
+ *               title:
+ *                 type: string
+ *                 description: Title of the practice test
+ *               description:
+ *                 type: string
+ *                 description: Description of the practice test
+ *     responses:
+ *       201:
+ *         description: Practice test created, with fewer questions than requested when not enough match
+ *       400:
+ *         description: Invalid question count, filter, time limit or marks, or unknown syllabus nodes
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No questions match the filters
+ */
+router.post('/', verifyToken, practiceController.createPracticeTest);
+
+module.exports = router;
\ No newline at end of file
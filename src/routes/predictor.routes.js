@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const predictorController = require('../controllers/predictor.controller');
+const { uploadPredictorFile } = require('../middleware/upload.middleware');
+const { verifyToken, isAdmin } = require('../middleware/auth.middleware');
+const { optionalAuth } = require('../middleware/optional-auth.middleware');
+
+/**
+ * @swagger
+ * /api/predictor/rank:
+ *   get:
+ *     summary: Predict the JEE Main CRL and category rank for a percentile
+ *     description: Ranks are interpolated from the imported percentile to rank tables. The expected rank uses the requested year (the latest by default) and the range covers every imported year.
+ *     tags: [Predictor]
+ *     parameters:
+ *       - in: query
+ *         name: percentile
+ *         schema:
+ *           type: number
+ *         description: NTA percentile, required unless attemptId is given
+ *       - in: query
+ *         name: attemptId
+ *         schema:
+ *           type: integer
+ *         description: Own mock test attempt to read the percentile from (normalized across shifts when available); requires login
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           default: OPEN
+ *         description: JoSAA seat type (e.g., OPEN, EWS, OBC-NCL, SC, ST); GEN and CRL mean OPEN
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Year of the rank tables to use (defaults to the latest)
+ *     responses:
+ *       200:
+ *         description: Expected CRL rank, category rank, range across years and the prediction of each year
+ *       400:
+ *         description: Missing or invalid percentile, or the attempt has no percentile
+ *       401:
+ *         description: Login required to predict from an attempt
+ *       403:
+ *         description: Results of the mock test are not released yet
+ *       404:
+ *         description: Attempt or rank tables not found
+ */
+router.get('/rank', optionalAuth, predictorController.predictRank);
+
+/**
+ * @swagger
+ * /api/predictor/colleges:
+ *   get:
+ *     summary: Predict colleges from JoSAA opening and closing ranks
+ *     description: Lists programs whose closing rank the rank reaches, plus reach options closing slightly before it, each with a safe, likely or reach chance. Category seats are matched on the category rank.
+ *     tags: [Predictor]
+ *     parameters:
+ *       - in: query
+ *         name: rank
+ *         schema:
+ *           type: integer
+ *         description: CRL rank
+ *       - in: query
+ *         name: categoryRank
+ *         schema:
+ *           type: integer
+ *         description: Category rank, used for category seats
+ *       - in: query
+ *         name: percentile
+ *         schema:
+ *           type: number
+ *         description: NTA percentile to predict the ranks from when they are not given
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           default: OPEN
+ *         description: JoSAA seat type
+ *       - in: query
+ *         name: quota
+ *         schema:
+ *           type: string
+ *         description: Quota (e.g., AI, HS, OS)
+ *       - in: query
+ *         name: gender
+ *         schema:
+ *           type: string
+ *         description: Gender pool (e.g., Gender-Neutral)
+ *       - in: query
+ *         name: program
+ *         schema:
+ *           type: string
+ *         description: Filter by branch or program name (partial match)
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Counselling year (defaults to the latest)
+ *       - in: query
+ *         name: round
+ *         schema:
+ *           type: integer
+ *         description: JoSAA round (defaults to the last round of the year)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of programs per page (at most 100)
+ *     responses:
+ *       200:
+ *         description: Matching programs by closing rank, with opening and closing ranks and the chance
+ *       400:
+ *         description: Missing rank for the seat type, or invalid percentile
+ *       404:
+ *         description: No rank tables or JoSAA cutoffs imported
+ */
+router.get('/colleges', predictorController.predictColleges);
+
+/**
+ * @swagger
+ * /api/predictor/rank-tables:
+ *   get:
+ *     summary: List the imported percentile to rank tables
+ *     tags: [Predictor]
+ *     responses:
+ *       200:
+ *         description: Year, category and number of entries of each table
+ */
+router.get('/rank-tables', predictorController.getRankTables);
+
+/**
+ * @swagger
+ * /api/predictor/rank-tables/import:
+ *   post:
+ *     summary: Import percentile to rank tables from CSV (admin only)
+ *     description: Each year and category in the file replaces the table stored for it
+ *     tags: [Predictor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dataFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .csv file with year, category, percentile and rank columns
+ *     responses:
+ *       200:
+ *         description: Number of entries imported, tables replaced and rows skipped
+ *       400:
+ *         description: Missing file, missing column or no valid rows
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.post('/rank-tables/import', verifyToken, isAdmin, uploadPredictorFile, predictorController.importRankTable);
+
+/**
+ * @swagger
+ * /api/predictor/cutoffs/options:
+ *   get:
+ *     summary: List the values the imported JoSAA cutoffs can be filtered by
+ *     tags: [Predictor]
+ *     responses:
+ *       200:
+ *         description: Years with their rounds, quotas, seat types and gender pools
+ */
+router.get('/cutoffs/options', predictorController.getCutoffOptions);
+
+/**
+ * @swagger
+ * /api/predictor/cutoffs/import:
+ *   post:
+ *     summary: Import JoSAA opening and closing ranks from CSV (admin only)
+ *     description: Each year and round in the file replaces the ranks stored for it. Preparatory course ranks are skipped.
+ *     tags: [Predictor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dataFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .csv file with year, round, institute, program, quota, seat type, gender, opening rank and closing rank columns
+ *     responses:
+ *       200:
+ *         description: Number of cutoffs imported, rounds replaced and rows skipped
+ *       400:
+ *         description: Missing file, missing column or no valid rows
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.post('/cutoffs/import', verifyToken, isAdmin, uploadPredictorFile, predictorController.importCutoffs);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const pyqController = require('../controllers/pyq.controller');
+
+/**
+ * @swagger
+ * /api/pyqs:
+ *   get:
+ *     summary: Get the previous-year paper catalogue
+ *     description: Mock tests with exam metadata, grouped by exam and then by year (latest first). Each paper carries a label such as "JEE Main 2024 Jan 27 Shift 1".
+ *     tags: [Previous-Year Papers]
+ *     parameters:
+ *       - in: query
+ *         name: exam
+ *         schema:
+ *           type: string
+ *           enum: [jee_main, jee_advanced, bitsat]
+ *         description: Only papers of an exam
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Only papers of a year
+ *     responses:
+ *       200:
+ *         description: Papers grouped by exam and year
+ *       400:
+ *         description: Unknown exam
+ */
+router.get('/', pyqController.getPyqCatalogue);
+
+/**
+ * @swagger
+ * /api/pyqs/questions:
+ *   get:
+ *     summary: Get previous-year questions on a chapter or topic
+ *     description: Questions tagged with the syllabus node or any node below it, across all previous-year papers, latest first. Each question lists the papers it was asked in; answer keys are left out.
+ *     tags: [Previous-Year Papers]
+ *     parameters:
+ *       - in: query
+ *         name: syllabusNodeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Chapter or topic
+ *       - in: query
+ *         name: exam
+ *         schema:
+ *           type: string
+ *           enum: [jee_main, jee_advanced, bitsat]
+ *         description: Only questions asked in an exam
+ *       - in: query
+ *         name: yearFrom
+ *         schema:
+ *           type: integer
+ *         description: Only questions asked in this year or later
+ *       - in: query
+ *         name: yearTo
+ *         schema:
+ *           type: integer
+ *         description: Only questions asked in this year or earlier
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of questions per page (at most 100)
+ *     responses:
+ *       200:
+ *         description: Questions with the papers they were asked in
+ *       400:
+ *         description: Missing syllabusNodeId or unknown exam
+ *       404:
+ *         description: Syllabus node not found
+ */
+router.get('/questions', pyqController.getPyqQuestions);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,370 @@
+const express = require('express');
+const router = express.Router();
+const questionController = require('../controllers/question.controller');
+const { verifyToken, isInstructor } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * /api/questions:
+ *   get:
+ *     summary: Search the question bank
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter by question text (partial match)
+ *       - in: query
+ *         name: questionType
+ *         schema:
+ *           type: string
+ *         description: Filter by question type
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: Filter by subject
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *         description: Filter by difficulty
+ *       - in: query
+ *         name: quizId
+ *         schema:
+ *           type: integer
+ *         description: Only questions used by this quiz or mock test
+ *       - in: query
+ *         name: syllabusNodeId
+ *         schema:
+ *           type: integer
+ *         description: Only questions tagged with this syllabus node or a node below it
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of questions
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', verifyToken, isInstructor, questionController.getAllQuestions);
+
+/**
+ * @swagger
+ * /api/questions/{id}:
+ *   get:
+ *     summary: Get a question with its answers and the quizzes using it
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     responses:
+ *       200:
+ *         description: Question details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuizQuestion'
+ *       404:
+ *         description: Question not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', verifyToken, isInstructor, questionController.getQuestionById);
+
+/**
+ * @swagger
+ * /api/questions:
+ *   post:
+ *     summary: Create a question in the bank
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: A question in the same format as the questions of a quiz
+ *             required:
+ *               - questionText
+ *               - questionType
+ *             properties:
+ *               questionText:
+ *                 type: string
+ *               questionType:
+ *                 type: string
+ *                 enum: [multiple_choice, single_choice, true_false, fill_blank, numerical, matrix_match, assertion_reason]
+ *               points:
+ *                 type: integer
+ *               correctMarks:
+ *                 type: integer
+ *               negativeMarks:
+ *                 type: integer
+ *               explanation:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *               difficulty:
+ *                 type: string
+ *               syllabusNodeIds:
+ *                 type: array
+ *                 description: Syllabus nodes to tag the question with
+ *                 items:
+ *                   type: integer
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuizAnswer'
+ *     responses:
+ *       201:
+ *         description: Question created successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', verifyToken, isInstructor, questionController.createQuestion);
+
+/**
+ * @swagger
+ * /api/questions/{id}:
+ *   put:
+ *     summary: Update a bank question
+ *     description: Every quiz using the question sees the change. Answers cannot be replaced once students have answered the question.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               questionText:
+ *                 type: string
+ *               points:
+ *                 type: integer
+ *               correctMarks:
+ *                 type: integer
+ *               negativeMarks:
+ *                 type: integer
+ *               explanation:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *               difficulty:
+ *                 type: string
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuizAnswer'
+ *     responses:
+ *       200:
+ *         description: Question updated successfully
+ *       400:
+ *         description: Invalid input or the question has already been answered
+ *       404:
+ *         description: Question not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id', verifyToken, isInstructor, questionController.updateQuestion);
+
+/**
+ * @swagger
+ * /api/questions/{id}:
+ *   delete:
+ *     summary: Delete a bank question
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     responses:
+ *       200:
+ *         description: Question deleted successfully
+ *       400:
+ *         description: Question is still used by a quiz or has been answered
+ *       404:
+ *         description: Question not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', verifyToken, isInstructor, questionController.deleteQuestion);
+
+/**
+ * @swagger
+ * /api/questions/{id}/syllabus:
+ *   put:
+ *     summary: Replace the syllabus tags of a question
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - syllabusNodeIds
+ *             properties:
+ *               syllabusNodeIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: The syllabus nodes the question is now tagged with
+ *       400:
+ *         description: Unknown syllabus nodes
+ *       404:
+ *         description: Question not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id/syllabus', verifyToken, isInstructor, questionController.tagQuestion);
+
+/**
+ * @swagger
+ * /api/questions/{id}/quizzes:
+ *   post:
+ *     summary: Add a bank question to a quiz or mock test
+ *     description: Moves the question when the quiz already uses it
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quizId
+ *             properties:
+ *               quizId:
+ *                 type: integer
+ *               sectionId:
+ *                 type: integer
+ *                 description: Section of the mock test to place the question in
+ *               position:
+ *                 type: integer
+ *                 description: Position in the quiz (defaults to the end)
+ *     responses:
+ *       200:
+ *         description: Question linked to the quiz
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Question or quiz not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/quizzes', verifyToken, isInstructor, questionController.linkQuestionToQuiz);
+
+/**
+ * @swagger
+ * /api/questions/{id}/quizzes/{quizId}:
+ *   delete:
+ *     summary: Remove a bank question from a quiz or mock test
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *     responses:
+ *       200:
+ *         description: Question removed from the quiz
+ *       404:
+ *         description: Question is not used by this quiz
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/quizzes/:quizId', verifyToken, isInstructor, questionController.unlinkQuestionFromQuiz);
+
+/**
+ * @swagger
+ * /api/questions/{id}/statistics:
+ *   get:
+ *     summary: Get question statistics across every quiz that used it
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     responses:
+ *       200:
+ *         description: Combined question statistics with a breakdown per quiz
+ *       404:
+ *         description: Question not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/statistics', verifyToken, isInstructor, questionController.getQuestionStatistics);
+
+module.exports = router;
\ No newline at end of file
@@ -32,6 +32,22 @@ const { optionalAuth } = require('../middleware/optional-auth.middleware');
  *         passingScore:
  *           type: integer
  *           description: Minimum percentage required to pass
+ *         correctMarks:
+ *           type: integer
+ *           description: Marks for a correct answer (falls back to question points when empty)
+ *         negativeMarks:
+ *           type: integer
+ *           description: Marks deducted for a wrong answer
+ *         unattemptedMarks:
+ *           type: integer
+ *           description: Marks awarded for an unattempted question
+ *         partialMarking:
+ *           type: string
+ *           enum: [none, per_correct_option]
+ *           description: Partial marking policy for multi-correct questions
+ *         partialMarksPerOption:
+ *           type: integer
+ *           description: Marks per correct option when only some correct options are chosen
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -43,7 +59,6 @@ const { optionalAuth } = require('../middleware/optional-auth.middleware');
  *     QuizQuestion:
  *       type: object
  *       required:
- *         - quizId
  *         - questionText
  *         - questionType
  *       properties:
@@ -52,23 +67,57 @@ const { optionalAuth } = require('../middleware/optional-auth.middleware');
  *           description: The auto-generated ID of the question
  *         quizId:
  *           type: integer
- *           description: The ID of the quiz this question belongs to
+ *           description: The ID of the quiz the question was first written for (empty for bank questions)
  *         questionText:
  *           type: string
  *           description: The text of the question
  *         questionType:
  *           type: string
- *           enum: [multiple_choice, single_choice, true_false, fill_blank]
+ *           enum: [multiple_choice, single_choice, true_false, fill_blank, numerical, matrix_match, assertion_reason]
  *           description: The type of question
  *         points:
  *           type: integer
  *           description: Points awarded for correct answer
+ *         correctMarks:
+ *           type: integer
+ *           description: Overrides the quiz marks for a correct answer
+ *         negativeMarks:
+ *           type: integer
+ *           description: Overrides the quiz penalty for a wrong answer
  *         explanation:
  *           type: string
  *           description: Explanation shown after answering
+ *         subject:
+ *           type: string
+ *           description: Subject used to search the question bank
+ *         difficulty:
+ *           type: string
+ *           description: Difficulty used to search the question bank
+ *         assertionText:
+ *           type: string
+ *           description: Assertion (A) for assertion-reason questions
+ *         reasonText:
+ *           type: string
+ *           description: Reason (R) for assertion-reason questions
+ *         matrixLeft:
+ *           type: array
+ *           items:
+ *             type: object
+ *           description: List-I items for matrix-match questions
+ *         matrixRight:
+ *           type: array
+ *           items:
+ *             type: object
+ *           description: List-II items for matrix-match questions
+ *         marksPerPair:
+ *           type: integer
+ *           description: Credit per correctly matched List-I item
  *         position:
  *           type: integer
  *           description: The position of the question in the quiz
+ *         sectionId:
+ *           type: integer
+ *           description: The section of the quiz the question is placed in
  *     QuizAnswer:
  *       type: object
  *       required:
@@ -91,6 +140,24 @@ const { optionalAuth } = require('../middleware/optional-auth.middleware');
  *         explanation:
  *           type: string
  *           description: Explanation for this specific answer
+ *         numericValue:
+ *           type: number
+ *           description: Exact accepted value for numerical questions
+ *         tolerance:
+ *           type: number
+ *           description: Allowed absolute deviation from the exact value
+ *         rangeMin:
+ *           type: number
+ *           description: Lower bound of the accepted range
+ *         rangeMax:
+ *           type: number
+ *           description: Upper bound of the accepted range
+ *         decimalPrecision:
+ *           type: integer
+ *           description: Decimal places the response is rounded to before comparison
+ *         matchMapping:
+ *           type: object
+ *           description: List-I to List-II mapping for matrix-match answers
  *     QuizAttempt:
  *       type: object
  *       required:
@@ -108,7 +175,7 @@ const { optionalAuth } = require('../middleware/optional-auth.middleware');
  *           description: The ID of the quiz
  *         score:
  *           type: integer
- *           description: Total score achieved
+ *           description: Net score achieved after negative marking
  *         maxScore:
  *           type: integer
  *           description: Maximum possible score
@@ -130,6 +197,30 @@ const { optionalAuth } = require('../middleware/optional-auth.middleware');
  *         timeSpentSeconds:
  *           type: integer
  *           description: Time spent in seconds
+ *         rank:
+ *           type: integer
+ *           description: All-India rank among first attempts, ties broken by time taken (null for later attempts)
+ *         percentile:
+ *           type: number
+ *           description: NTA-style percentile, the share of candidates who scored the same or lower
+ *         subjectPercentiles:
+ *           type: array
+ *           description: Score and NTA-style percentile in each subject
+ *           items:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               score:
+ *                 type: number
+ *               percentile:
+ *                 type: number
+ *         normalizedPercentile:
+ *           type: number
+ *           description: Percentile within the shift, comparable across the shifts of a test group
+ *         groupRank:
+ *           type: integer
+ *           description: Rank across the shifts of a test group by normalized percentile
  */
 
 /**
@@ -137,6 +228,7 @@ const { optionalAuth } = require('../middleware/optional-auth.middleware');
  * /api/quizzes:
  *   get:
  *     summary: Get all quizzes with optional filtering
+ *     description: Lists lesson quizzes only; mock tests are listed through the mock test endpoints
  *     tags: [Quizzes]
  *     parameters:
  *       - in: query
@@ -150,6 +242,11 @@ const { optionalAuth } = require('../middleware/optional-auth.middleware');
  *           type: integer
  *         description: Filter by lesson ID
  *       - in: query
+ *         name: syllabusNodeId
+ *         schema:
+ *           type: integer
+ *         description: Filter by syllabus node, including the nodes below it
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -218,7 +315,7 @@ router.get('/', quizController.getAllQuizzes);
  *                 data:
  *                   $ref: '#/components/schemas/Quiz'
  *       404:
- *         description: Quiz not found
+ *         description: Lesson quiz not found (mock tests are read through /api/mocktests/{id})
  */
 router.get('/:id', quizController.getQuizById);
 
@@ -251,6 +348,25 @@ router.get('/:id', quizController.getQuizById);
  *                 type: integer
  *               passingScore:
  *                 type: integer
+ *               correctMarks:
+ *                 type: integer
+ *               negativeMarks:
+ *                 type: integer
+ *               unattemptedMarks:
+ *                 type: integer
+ *               partialMarking:
+ *                 type: string
+ *                 enum: [none, per_correct_option]
+ *               partialMarksPerOption:
+ *                 type: integer
+ *               answerReleasePolicy:
+ *                 type: string
+ *                 enum: [immediate, after_window, never]
+ *                 description: When students see correct answers in their attempt review (instructors and admins always do)
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the test window, required for after_window
  *               questions:
  *                 type: array
  *                 items:
@@ -264,11 +380,44 @@ router.get('/:id', quizController.getQuizById);
  *                       type: string
  *                     questionType:
  *                       type: string
- *                       enum: [multiple_choice, single_choice, true_false, fill_blank]
+ *                       enum: [multiple_choice, single_choice, true_false, fill_blank, numerical, matrix_match, assertion_reason]
  *                     points:
  *                       type: integer
+ *                     correctMarks:
+ *                       type: integer
+ *                     negativeMarks:
+ *                       type: integer
  *                     explanation:
  *                       type: string
+ *                     subject:
+ *                       type: string
+ *                     difficulty:
+ *                       type: string
+ *                     assertionText:
+ *                       type: string
+ *                       description: Assertion (A) for assertion-reason questions
+ *                     reasonText:
+ *                       type: string
+ *                       description: Reason (R) for assertion-reason questions
+ *                     correctOption:
+ *                       type: string
+ *                       description: Correct standard option (1-4 or A-D) when assertion-reason answers are omitted
+ *                     matrixLeft:
+ *                       type: array
+ *                       description: List-I items ([{ key, text }]) for matrix-match questions
+ *                       items:
+ *                         type: object
+ *                     matrixRight:
+ *                       type: array
+ *                       description: List-II items ([{ key, text }]) for matrix-match questions
+ *                       items:
+ *                         type: object
+ *                     correctMapping:
+ *                       type: object
+ *                       description: Correct List-I to List-II mapping when matrix-match answers are omitted
+ *                     marksPerPair:
+ *                       type: integer
+ *                       description: Credit per correctly matched List-I item (all pairs must match when empty)
  *                     answers:
  *                       type: array
  *                       items:
@@ -283,6 +432,24 @@ router.get('/:id', quizController.getQuizById);
  *                             type: boolean
  *                           explanation:
  *                             type: string
+ *                           numericValue:
+ *                             type: number
+ *                             description: Exact value for numerical questions (defaults to answerText)
+ *                           tolerance:
+ *                             type: number
+ *                             description: Allowed deviation from the exact value
+ *                           rangeMin:
+ *                             type: number
+ *                             description: Lower bound of the accepted range
+ *                           rangeMax:
+ *                             type: number
+ *                             description: Upper bound of the accepted range
+ *                           decimalPrecision:
+ *                             type: integer
+ *                             description: Decimal places the response is rounded to
+ *                           matchMapping:
+ *                             type: object
+ *                             description: List-I to List-II mapping for matrix-match options
  *     responses:
  *       201:
  *         description: Quiz created successfully
@@ -323,6 +490,25 @@ router.post('/', verifyToken, isInstructor, quizController.createQuiz);
  *                 type: integer
  *               passingScore:
  *                 type: integer
+ *               correctMarks:
+ *                 type: integer
+ *               negativeMarks:
+ *                 type: integer
+ *               unattemptedMarks:
+ *                 type: integer
+ *               partialMarking:
+ *                 type: string
+ *                 enum: [none, per_correct_option]
+ *               partialMarksPerOption:
+ *                 type: integer
+ *               answerReleasePolicy:
+ *                 type: string
+ *                 enum: [immediate, after_window, never]
+ *                 description: When students see correct answers in their attempt review (instructors and admins always do)
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the test window, required for after_window
  *     responses:
  *       200:
  *         description: Quiz updated successfully
@@ -393,18 +579,58 @@ router.delete('/:id', verifyToken, isInstructor, quizController.deleteQuiz);
  *                       type: integer
  *                     answerId:
  *                       type: integer
+ *                     answerIds:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       description: Selected options for multi-correct questions
+ *                     matches:
+ *                       type: object
+ *                       description: 'List-I to List-II pairs for matrix-match questions (e.g., { "P": ["1", "3"] })'
  *                     textAnswer:
  *                       type: string
  *     responses:
  *       201:
- *         description: Quiz attempt submitted successfully
+ *         description: Quiz attempt submitted successfully (anonymous submissions include a claimToken for /api/quizzes/attempts/claim)
  *       400:
  *         description: Invalid input
  *       404:
- *         description: Quiz not found
+ *         description: Lesson quiz not found (mock tests are submitted through the mock test attempt endpoints)
  */
 router.post('/attempts/submit', optionalAuth, quizController.submitQuizAttempt);
 
+/**
+ * @swagger
+ * /api/quizzes/attempts/claim:
+ *   post:
+ *     summary: Claim anonymous quiz or mock test attempts for the logged-in user
+ *     description: Anonymous submissions return a short-lived claimToken. Sending it after login or registration moves the attempt to the user's history.
+ *     tags: [Quiz Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               claimToken:
+ *                 type: string
+ *               claimTokens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: IDs of the claimed attempts and the tokens that could not be used
+ *       400:
+ *         description: No claim token provided
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/attempts/claim', verifyToken, quizController.claimQuizAttempts);
+
 /**
  * @swagger
  * /api/quizzes/attempts/user:
@@ -454,9 +680,9 @@ router.get('/attempts/user', verifyToken, quizController.getUserQuizAttempts);
  *         description: The attempt ID
  *     responses:
  *       200:
- *         description: Quiz attempt details
+ *         description: Quiz attempt details (correct answers are hidden until the quiz releases them)
  *       404:
- *         description: Quiz attempt not found
+ *         description: Lesson quiz attempt not found (mock test attempts are read through /api/mocktests/attempts/{id})
  *       403:
  *         description: Not authorized to view this attempt
  */
@@ -477,9 +703,14 @@ router.get('/attempts/:id', optionalAuth, quizController.getQuizAttempt);
  *           type: integer
  *         required: true
  *         description: The quiz ID
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Version whose attempts are counted (defaults to the latest version)
  *     responses:
  *       200:
- *         description: Quiz statistics
+ *         description: Quiz statistics, read from the version snapshot
  *       404:
  *         description: Quiz not found
  *       401:
@@ -487,4 +718,630 @@ router.get('/attempts/:id', optionalAuth, quizController.getQuizAttempt);
  */
 router.get('/:id/statistics', verifyToken, isInstructor, quizController.getQuizStatistics);
 
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions:
+ *   get:
+ *     summary: Get the questions of a quiz or mock test with their answer keys
+ *     tags: [Quiz Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *     responses:
+ *       200:
+ *         description: Questions in quiz order
+ *       404:
+ *         description: Quiz not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/questions', verifyToken, isInstructor, quizController.getQuizQuestions);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions:
+ *   post:
+ *     summary: Add a new question to a quiz or mock test
+ *     description: Finished attempts keep the version they were taken on and are not regraded; attempts started afterwards include the new question.
+ *     tags: [Quiz Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/QuizQuestion'
+ *               - type: object
+ *                 properties:
+ *                   answers:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/QuizAnswer'
+ *                   sectionId:
+ *                     type: integer
+ *                     description: Section of the mock test to place the question in
+ *                   position:
+ *                     type: integer
+ *                     description: Position in the quiz (defaults to the end)
+ *     responses:
+ *       201:
+ *         description: Question added
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Quiz not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/questions', verifyToken, isInstructor, quizController.addQuizQuestion);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/reorder:
+ *   put:
+ *     summary: Reorder the questions of a quiz or mock test
+ *     tags: [Quiz Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questionOrder
+ *             properties:
+ *               questionOrder:
+ *                 type: array
+ *                 description: Every question ID of the quiz in the new order
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Questions reordered successfully
+ *       400:
+ *         description: The order does not list every question exactly once
+ *       404:
+ *         description: Quiz not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id/questions/reorder', verifyToken, isInstructor, quizController.reorderQuizQuestions);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/{questionId}:
+ *   put:
+ *     summary: Update a question of a quiz or mock test
+ *     description: Questions are shared through the question bank, so the change applies to every quiz using the question. When marks or the answer key change, they are carried into the published versions of those quizzes and their finished attempts are regraded. Moving the question to another section only applies to attempts started afterwards. Whole answer lists cannot be replaced once students have answered; edit individual answers instead.
+ *     tags: [Quiz Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *       - in: path
+ *         name: questionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               questionText:
+ *                 type: string
+ *               points:
+ *                 type: integer
+ *               correctMarks:
+ *                 type: integer
+ *               negativeMarks:
+ *                 type: integer
+ *               explanation:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *               difficulty:
+ *                 type: string
+ *               sectionId:
+ *                 type: integer
+ *                 description: Move the question to another section of the mock test
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuizAnswer'
+ *     responses:
+ *       200:
+ *         description: Question updated, with the number of regraded attempts
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Question not found in this quiz
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id/questions/:questionId', verifyToken, isInstructor, quizController.updateQuizQuestion);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/{questionId}:
+ *   delete:
+ *     summary: Remove a question from a quiz or mock test
+ *     description: The question stays in the question bank when other quizzes use it or students have answered it. Finished attempts keep the version they were taken on and are not regraded; drop the question through an answer key correction to take it out of their scores.
+ *     tags: [Quiz Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *       - in: path
+ *         name: questionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     responses:
+ *       200:
+ *         description: Question removed
+ *       404:
+ *         description: Question not found in this quiz
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/questions/:questionId', verifyToken, isInstructor, quizController.removeQuizQuestion);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/{questionId}/answers:
+ *   post:
+ *     summary: Add an answer option to a question
+ *     description: The new key is carried into the published versions of every quiz using the question and their finished attempts are regraded
+ *     tags: [Quiz Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *       - in: path
+ *         name: questionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answerText:
+ *                 type: string
+ *               isCorrect:
+ *                 type: boolean
+ *               explanation:
+ *                 type: string
+ *               numericValue:
+ *                 type: number
+ *                 description: Accepted value for numerical questions
+ *               tolerance:
+ *                 type: number
+ *               rangeMin:
+ *                 type: number
+ *               rangeMax:
+ *                 type: number
+ *               decimalPrecision:
+ *                 type: integer
+ *               matchMapping:
+ *                 type: object
+ *                 description: List-I to List-II mapping for matrix-match options
+ *     responses:
+ *       201:
+ *         description: Answer added, with the number of regraded attempts
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Question not found in this quiz
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/questions/:questionId/answers', verifyToken, isInstructor, quizController.addQuestionAnswer);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/{questionId}/answers/{answerId}:
+ *   put:
+ *     summary: Update an answer option of a question
+ *     description: Use this to correct the answer key; the new key is carried into the published versions of every quiz using the question and their finished attempts are regraded
+ *     tags: [Quiz Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *       - in: path
+ *         name: questionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *       - in: path
+ *         name: answerId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The answer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answerText:
+ *                 type: string
+ *               isCorrect:
+ *                 type: boolean
+ *               explanation:
+ *                 type: string
+ *               numericValue:
+ *                 type: number
+ *                 description: Accepted value for numerical questions
+ *               tolerance:
+ *                 type: number
+ *               rangeMin:
+ *                 type: number
+ *               rangeMax:
+ *                 type: number
+ *               decimalPrecision:
+ *                 type: integer
+ *               matchMapping:
+ *                 type: object
+ *                 description: List-I to List-II mapping for matrix-match options
+ *     responses:
+ *       200:
+ *         description: Answer updated, with the number of regraded attempts
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Answer not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id/questions/:questionId/answers/:answerId', verifyToken, isInstructor, quizController.updateQuestionAnswer);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/{questionId}/answers/{answerId}:
+ *   delete:
+ *     summary: Delete an answer option of a question
+ *     tags: [Quiz Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *       - in: path
+ *         name: questionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *       - in: path
+ *         name: answerId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The answer ID
+ *     responses:
+ *       200:
+ *         description: Answer deleted successfully
+ *       400:
+ *         description: The question has been answered or would become invalid
+ *       404:
+ *         description: Answer not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/questions/:questionId/answers/:answerId', verifyToken, isInstructor, quizController.deleteQuestionAnswer);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/{questionId}/key-corrections:
+ *   post:
+ *     summary: Correct the answer key of a question (admin only)
+ *     description: Changes the key, drops the question, awards it to everyone who attempted it, or restores it, then regrades the affected attempts and reports the changed scores
+ *     tags: [Answer Key Corrections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *       - in: path
+ *         name: questionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - reason
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [change_key, drop, award_attempted, restore]
+ *                 description: Dropped questions carry no marks; awarded questions give full marks to everyone who attempted them
+ *               reason:
+ *                 type: string
+ *                 description: Why the key was corrected, e.g. the NTA final key
+ *               correctAnswerIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: New correct options of option-based questions (change_key)
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                 description: New accepted values of numerical and fill in the blank questions (change_key)
+ *               correctMapping:
+ *                 type: object
+ *                 description: 'New List-I to List-II mapping of matrix-match questions answered pair by pair, e.g. { "P": [1, 3], "Q": [2] } (change_key)'
+ *     responses:
+ *       200:
+ *         description: Answer key corrected, with the per-student score change report
+ *       400:
+ *         description: Invalid correction
+ *       404:
+ *         description: Question not found in this quiz
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.post('/:id/questions/:questionId/key-corrections', verifyToken, isAdmin, quizController.correctAnswerKey);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/key-corrections:
+ *   get:
+ *     summary: Get the answer key corrections made to a quiz (admin only)
+ *     tags: [Answer Key Corrections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *     responses:
+ *       200:
+ *         description: Corrections with the previous and new keys, newest first
+ *       404:
+ *         description: Quiz not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.get('/:id/key-corrections', verifyToken, isAdmin, quizController.getAnswerKeyCorrections);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/regrade:
+ *   post:
+ *     summary: Regrade all finished attempts of a quiz (admin only)
+ *     description: Each attempt is graded against the version it was taken on, with any answer key corrections
+ *     tags: [Answer Key Corrections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *     responses:
+ *       200:
+ *         description: Attempts regraded, with the per-student score change report
+ *       404:
+ *         description: Quiz not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.post('/:id/regrade', verifyToken, isAdmin, quizController.regradeQuizAttempts);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/versions:
+ *   post:
+ *     summary: Publish the current questions and answers of a quiz as a new version
+ *     description: Attempts are always taken against a version; a quiz that changed since its latest version is also published automatically when an attempt starts
+ *     tags: [Quiz Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: What changed in this version
+ *     responses:
+ *       201:
+ *         description: Version published
+ *       200:
+ *         description: The quiz has not changed since its latest version, which is returned
+ *       404:
+ *         description: Quiz not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/versions', verifyToken, isInstructor, quizController.publishQuizVersion);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/versions:
+ *   get:
+ *     summary: Get the published versions of a quiz
+ *     tags: [Quiz Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *     responses:
+ *       200:
+ *         description: Versions with their attempt counts, newest first
+ *       404:
+ *         description: Quiz not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/versions', verifyToken, isInstructor, quizController.getQuizVersions);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/versions/diff:
+ *   get:
+ *     summary: Compare two versions of a quiz
+ *     tags: [Quiz Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The older version number
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: The newer version number (defaults to the current unpublished state of the quiz)
+ *     responses:
+ *       200:
+ *         description: Changed settings, and added, removed and changed sections and questions
+ *       400:
+ *         description: The from version is missing
+ *       404:
+ *         description: Quiz version not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/versions/diff', verifyToken, isInstructor, quizController.getQuizVersionDiff);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/versions/{version}:
+ *   get:
+ *     summary: Get a published version of a quiz with its snapshot
+ *     tags: [Quiz Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The quiz ID
+ *       - in: path
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The version number
+ *     responses:
+ *       200:
+ *         description: Version with the settings, sections, questions and answers it was published with
+ *       404:
+ *         description: Quiz version not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/versions/:version', verifyToken, isInstructor, quizController.getQuizVersion);
+
 module.exports = router;
\ No newline at end of file
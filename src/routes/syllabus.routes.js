@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const syllabusController = require('../controllers/syllabus.controller');
+const { uploadSyllabusFile } = require('../middleware/upload.middleware');
+const { verifyToken, isAdmin } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SyllabusNode:
+ *       type: object
+ *       required:
+ *         - level
+ *         - name
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated ID of the node
+ *         parentId:
+ *           type: integer
+ *           description: The node one level up (empty for subjects)
+ *         level:
+ *           type: string
+ *           enum: [subject, unit, chapter, topic]
+ *           description: Level of the node in the NTA syllabus
+ *         name:
+ *           type: string
+ *           description: The name of the node
+ *         code:
+ *           type: string
+ *           description: Optional short code, e.g. the NTA unit number
+ *         position:
+ *           type: integer
+ *           description: Position among the children of the parent node
+ */
+
+/**
+ * @swagger
+ * /api/syllabus:
+ *   get:
+ *     summary: Get the syllabus tree
+ *     description: Returns the nested tree, or a flat list when filtered by level or parent
+ *     tags: [Syllabus]
+ *     parameters:
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [subject, unit, chapter, topic]
+ *         description: Only nodes of this level
+ *       - in: query
+ *         name: parentId
+ *         schema:
+ *           type: integer
+ *         description: Only the children of this node
+ *     responses:
+ *       200:
+ *         description: Syllabus nodes
+ */
+router.get('/', syllabusController.getSyllabus);
+
+/**
+ * @swagger
+ * /api/syllabus/import:
+ *   post:
+ *     summary: Import a syllabus tree from JSON or CSV (admin only)
+ *     description: Nodes are matched by name under the same parent, so importing again only adds what is missing
+ *     tags: [Syllabus]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               syllabusFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .json file with nested nodes, or a .csv file with one "subject,unit,chapter,topic" path per row (header row and subject_code, unit_code, chapter_code, topic_code columns optional)
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nodes
+ *             properties:
+ *               nodes:
+ *                 type: array
+ *                 description: Subjects with nested children ({ name, code, children }); the level follows from the depth
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Syllabus imported
+ *       400:
+ *         description: Invalid syllabus
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.post('/import', verifyToken, isAdmin, uploadSyllabusFile, syllabusController.importSyllabus);
+
+/**
+ * @swagger
+ * /api/syllabus/{id}:
+ *   get:
+ *     summary: Get a syllabus node with its parent and children
+ *     tags: [Syllabus]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The syllabus node ID
+ *     responses:
+ *       200:
+ *         description: Syllabus node details
+ *       404:
+ *         description: Syllabus node not found
+ */
+router.get('/:id', syllabusController.getSyllabusNodeById);
+
+/**
+ * @swagger
+ * /api/syllabus:
+ *   post:
+ *     summary: Create a syllabus node (admin only)
+ *     tags: [Syllabus]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SyllabusNode'
+ *     responses:
+ *       201:
+ *         description: Syllabus node created successfully
+ *       400:
+ *         description: The level does not fit under the parent node
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.post('/', verifyToken, isAdmin, syllabusController.createSyllabusNode);
+
+/**
+ * @swagger
+ * /api/syllabus/{id}:
+ *   put:
+ *     summary: Update a syllabus node (admin only)
+ *     tags: [Syllabus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The syllabus node ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parentId:
+ *                 type: integer
+ *                 description: New parent, which must be one level above the node
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Syllabus node updated successfully
+ *       400:
+ *         description: The node does not fit under the new parent
+ *       404:
+ *         description: Syllabus node not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.put('/:id', verifyToken, isAdmin, syllabusController.updateSyllabusNode);
+
+/**
+ * @swagger
+ * /api/syllabus/{id}:
+ *   delete:
+ *     summary: Delete a syllabus node and the nodes below it (admin only)
+ *     tags: [Syllabus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The syllabus node ID
+ *     responses:
+ *       200:
+ *         description: Syllabus node deleted successfully
+ *       404:
+ *         description: Syllabus node not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.delete('/:id', verifyToken, isAdmin, syllabusController.deleteSyllabusNode);
+
+module.exports = router;
\ No newline at end of file
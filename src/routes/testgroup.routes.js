@@ -0,0 +1,264 @@
+const express = require('express');
+const router = express.Router();
+const testgroupController = require('../controllers/testgroup.controller');
+const { verifyToken, isAdmin } = require('../middleware/auth.middleware');
+const { optionalAuth } = require('../middleware/optional-auth.middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TestGroup:
+ *       type: object
+ *       required:
+ *         - title
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated ID of the test group
+ *         title:
+ *           type: string
+ *           description: Name of the exam the shifts belong to
+ *         description:
+ *           type: string
+ *           description: Description of the exam
+ *         normalizedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When normalized percentiles were last computed across the shifts
+ *         shifts:
+ *           type: array
+ *           description: Mock tests run as shift papers of the exam
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               title:
+ *                 type: string
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/testgroups:
+ *   get:
+ *     summary: Get all test groups with their shifts
+ *     tags: [Test Groups]
+ *     responses:
+ *       200:
+ *         description: A list of test groups
+ */
+router.get('/', testgroupController.getAllTestGroups);
+
+/**
+ * @swagger
+ * /api/testgroups/{id}:
+ *   get:
+ *     summary: Get a test group with its shifts
+ *     tags: [Test Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The test group ID
+ *     responses:
+ *       200:
+ *         description: Test group details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TestGroup'
+ *       404:
+ *         description: Test group not found
+ */
+router.get('/:id', testgroupController.getTestGroupById);
+
+/**
+ * @swagger
+ * /api/testgroups:
+ *   post:
+ *     summary: Create a test group from the mock tests run as its shifts (admin only)
+ *     tags: [Test Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - quizIds
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               quizIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Mock tests run as shifts, each in at most one test group
+ *     responses:
+ *       201:
+ *         description: Test group created successfully
+ *       400:
+ *         description: Missing title, or quizIds are not mock tests free to join the group
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.post('/', verifyToken, isAdmin, testgroupController.createTestGroup);
+
+/**
+ * @swagger
+ * /api/testgroups/{id}:
+ *   put:
+ *     summary: Update a test group (admin only)
+ *     description: Giving quizIds replaces the shifts; mock tests taken out lose their normalized results
+ *     tags: [Test Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The test group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               quizIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Test group updated successfully
+ *       400:
+ *         description: quizIds are not mock tests free to join the group
+ *       404:
+ *         description: Test group not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.put('/:id', verifyToken, isAdmin, testgroupController.updateTestGroup);
+
+/**
+ * @swagger
+ * /api/testgroups/{id}:
+ *   delete:
+ *     summary: Delete a test group, keeping its mock tests (admin only)
+ *     tags: [Test Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The test group ID
+ *     responses:
+ *       200:
+ *         description: Test group deleted successfully
+ *       404:
+ *         description: Test group not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.delete('/:id', verifyToken, isAdmin, testgroupController.deleteTestGroup);
+
+/**
+ * @swagger
+ * /api/testgroups/{id}/normalize:
+ *   post:
+ *     summary: Normalize results across the shifts of a test group (admin only)
+ *     description: As NTA does, each candidate gets the percentile of their score within their own shift, and candidates of all shifts are ranked by it. Only the first attempt of each student counts.
+ *     tags: [Test Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The test group ID
+ *     responses:
+ *       200:
+ *         description: Number of candidates normalized and a summary of each shift
+ *       404:
+ *         description: Test group not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ */
+router.post('/:id/normalize', verifyToken, isAdmin, testgroupController.normalizeTestGroup);
+
+/**
+ * @swagger
+ * /api/testgroups/{id}/leaderboard:
+ *   get:
+ *     summary: Get the leaderboard of a test group by normalized percentile
+ *     description: Published once every shift has closed. Ties are broken by time taken.
+ *     tags: [Test Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The test group ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of entries per page (at most 100)
+ *     responses:
+ *       200:
+ *         description: Leaderboard entries by group rank with their shift, and the entry of the logged-in student as me
+ *       403:
+ *         description: A shift of the test group has not closed yet
+ *       404:
+ *         description: Test group not found
+ */
+router.get('/:id/leaderboard', optionalAuth, testgroupController.getTestGroupLeaderboard);
+
+module.exports = router;
\ No newline at end of file
@@ -27,7 +27,7 @@ const { verifyToken, isInstructor, isAdmin } = require('../middleware/auth.middl
  *               questionFile:
  *                 type: string
  *                 format: binary
- *                 description: The question file (docx or pdf)
+ *                 description: 'The question file (docx or pdf). Numerical answers are written as "Numerical: 2.35", "Numerical: 2.35 ± 0.01" or "Numerical: 2.34 to 2.36"'
  *               title:
  *                 type: string
  *                 description: The title of the mock test
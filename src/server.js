@@ -20,9 +20,21 @@ const quizRoutes = require('./routes/quiz.routes');
 const mocktestRoutes = require('./routes/mocktest.routes');
 const uploadRoutes = require('./routes/upload.routes');
 const scraperRoutes = require('./routes/scraper.routes');
+const questionRoutes = require('./routes/question.routes');
+const syllabusRoutes = require('./routes/syllabus.routes');
+const testgroupRoutes = require('./routes/testgroup.routes');
+const predictorRoutes = require('./routes/predictor.routes');
+const practiceRoutes = require('./routes/practice.routes');
+const adaptiveRoutes = require('./routes/adaptive.routes');
+const mistakeRoutes = require('./routes/mistake.routes');
+const dppRoutes = require('./routes/dpp.routes');
+const pyqRoutes = require('./routes/pyq.routes');
 
 // Import services
 const schedulerService = require('./services/scheduler.service');
+const questionService = require('./services/question.service');
+const attemptService = require('./services/attempt.service');
+const questionScraperService = require('./services/questionScraper.service');
 
 // Initialize express app
 const app = express();
@@ -31,7 +43,7 @@ const app = express();
 const corsOptions = {
   origin: ['https://targetjee.com', 'https://www.targetjee.com', 'http://targetjee.com', 'http://www.targetjee.com'], // Multiple allowed origins
   methods: 'GET, POST, PUT, DELETE, OPTIONS', // Allowed HTTP methods
-  allowedHeaders: 'Content-Type, Authorization', // Allowed headers
+  allowedHeaders: 'Content-Type, Authorization, X-Attempt-Token', // Allowed headers
   credentials: true // Allow credentials
 };
 app.use(cors(corsOptions));
@@ -92,6 +104,15 @@ app.use('/api/quizzes', quizRoutes);
 app.use('/api/mocktests', mocktestRoutes);
 app.use('/api/uploads', uploadRoutes);
 app.use('/api/scraper', scraperRoutes);
+app.use('/api/questions', questionRoutes);
+app.use('/api/syllabus', syllabusRoutes);
+app.use('/api/testgroups', testgroupRoutes);
+app.use('/api/predictor', predictorRoutes);
+app.use('/api/practice', practiceRoutes);
+app.use('/api/adaptive', adaptiveRoutes);
+app.use('/api/mistakes', mistakeRoutes);
+app.use('/api/dpps', dppRoutes);
+app.use('/api/pyqs', pyqRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -143,9 +164,40 @@ const startServer = () => {
 // Try to sync database, but start server regardless
 sequelize
   .sync({ alter: process.env.NODE_ENV === 'development' })
-  .then(() => {
+  .then(async () => {
     logger.info('Database connected and synchronized successfully');
     console.log('Database connected and synchronized successfully');
+    
+    // Link questions created before the question bank to their quizzes
+    try {
+      const linked = await questionService.backfillQuizLinks();
+      if (linked > 0) {
+        logger.info(`Linked ${linked} existing questions to their quizzes`);
+      }
+    } catch (error) {
+      logger.error('Failed to link existing questions to their quizzes:', error);
+    }
+    
+    // Point attempts taken before quizzes were versioned to a version
+    try {
+      const versioned = await attemptService.backfillAttemptVersions();
+      if (versioned > 0) {
+        logger.info(`Linked ${versioned} existing attempts to quiz versions`);
+      }
+    } catch (error) {
+      logger.error('Failed to link existing attempts to quiz versions:', error);
+    }
+    
+    // Mark question sets scraped before quizzes recorded their origin
+    try {
+      const marked = await questionScraperService.backfillScrapedOrigin();
+      if (marked > 0) {
+        logger.info(`Marked ${marked} existing question sets as scraped`);
+      }
+    } catch (error) {
+      logger.error('Failed to mark existing scraped question sets:', error);
+    }
+    
     startServer();
   })
   .catch((err) => {
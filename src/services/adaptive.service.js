@@ -0,0 +1,292 @@
+const { Op } = require('sequelize');
+const { AdaptiveSession, Quiz, QuizAnswer, QuizQuestion, QuizQuestionLink } = require('../models');
+const calibrationService = require('./calibration.service');
+const gradingService = require('./grading.service');
+const practiceService = require('./practice.service');
+const syllabusService = require('./syllabus.service');
+const adaptiveConfig = require('../config/adaptive.config');
+
+// Ability estimates are kept within this distance of the middle of the scale
+const ABILITY_BOUND = 4;
+
+// Newton-Raphson steps taken at most, and the step size that counts as converged
+const MAX_ITERATIONS = 20;
+const CONVERGED_STEP = 0.001;
+
+/**
+ * Adaptive practice sessions: questions on a syllabus node are served one
+ * at a time, each chosen to be the most informative at the current ability
+ * estimate, until the estimate has converged
+ */
+class AdaptiveService {
+  /**
+   * Chance of answering a question correctly at an ability
+   * @param {number} ability - Ability estimate
+   * @param {Object} item - { difficulty, discrimination }
+   * @returns {number} Probability between 0 and 1
+   */
+  probability(ability, item) {
+    return 1 / (1 + Math.exp(-item.discrimination * (ability - item.difficulty)));
+  }
+
+  /**
+   * Information a question gives about an ability
+   * @param {number} ability - Ability estimate
+   * @param {Object} item - { difficulty, discrimination }
+   * @returns {number} Fisher information
+   */
+  information(ability, item) {
+    const probability = this.probability(ability, item);
+    return item.discrimination * item.discrimination * probability * (1 - probability);
+  }
+
+  /**
+   * Estimate ability from the answered questions of a session
+   * The estimate is the most likely ability given the answers and a normal
+   * prior around the ability the session started from, so it stays finite
+   * when every answer is right or every answer is wrong
+   * @param {Array} responses - [{ isCorrect, difficulty, discrimination }]
+   * @param {number} priorAbility - Mean of the prior
+   * @returns {Object} { ability, standardError }
+   */
+  estimateAbility(responses, priorAbility = 0) {
+    const totalInformation = ability => 1 + responses.reduce((sum, response) => sum + this.information(ability, response), 0);
+    let ability = priorAbility;
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+      const gradient = responses.reduce(
+        (sum, response) => sum + response.discrimination * ((response.isCorrect ? 1 : 0) - this.probability(ability, response)),
+        priorAbility - ability
+      );
+      const step = gradient / totalInformation(ability);
+
+      ability = Math.min(Math.max(ability + step, -ABILITY_BOUND), ABILITY_BOUND);
+
+      if (Math.abs(step) < CONVERGED_STEP) {
+        break;
+      }
+    }
+
+    return {
+      ability,
+      standardError: 1 / Math.sqrt(totalInformation(ability))
+    };
+  }
+
+  /**
+   * Find the questions a session on a syllabus node can serve
+   * Questions must be tagged with the node or a node below it and be in use,
+   * with an active key, in a quiz or mock test that is not a practice test.
+   * Questions of upcoming and live scheduled mock tests are left out, as
+   * for practice tests
+   * @param {number} syllabusNodeId - Syllabus node ID
+   * @param {Array<number>} excludeIds - Questions already served
+   * @returns {Promise<Array>} Questions with their difficulty fields
+   */
+  async findPool(syllabusNodeId, excludeIds) {
+    const idConditions = { [Op.in]: await syllabusService.getTaggedQuestionIds(syllabusNodeId) };
+    const notInIds = [...excludeIds, ...await practiceService.getWithheldQuestionIds()];
+
+    if (notInIds.length > 0) {
+      idConditions[Op.notIn] = notInIds;
+    }
+
+    return QuizQuestion.findAll({
+      where: { id: idConditions },
+      attributes: ['id', 'difficulty', 'irtDifficulty', 'irtDiscrimination', 'calibrationResponses'],
+      include: [
+        {
+          model: QuizQuestionLink,
+          as: 'quizLinks',
+          attributes: ['id'],
+          where: { keyStatus: 'active' },
+          include: [
+            {
+              model: Quiz,
+              as: 'quiz',
+              attributes: [],
+              where: { ownerId: null }
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  /**
+   * Pick the next question to serve
+   * One of the most informative questions at the ability estimate is picked
+   * at random, so sessions do not all follow the same path
+   * @param {number} syllabusNodeId - Syllabus node ID
+   * @param {number} ability - Current ability estimate
+   * @param {Array<number>} excludeIds - Questions already served
+   * @returns {Promise<number|null>} Question ID, or null when none are left
+   */
+  async selectNextQuestion(syllabusNodeId, ability, excludeIds) {
+    const pool = await this.findPool(syllabusNodeId, excludeIds);
+
+    if (pool.length === 0) {
+      return null;
+    }
+
+    const ranked = pool
+      .map(question => ({
+        id: question.id,
+        information: this.information(ability, calibrationService.getItemParameters(question))
+      }))
+      .sort((a, b) => b.information - a.information)
+      .slice(0, adaptiveConfig.selectionPoolSize);
+
+    return ranked[Math.floor(Math.random() * ranked.length)].id;
+  }
+
+  /**
+   * Load a question with its answers for serving or grading
+   * @param {number} questionId - Question ID
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object|null>} Question
+   */
+  async findQuestion(questionId, transaction) {
+    return QuizQuestion.findByPk(questionId, {
+      include: [
+        {
+          model: QuizAnswer,
+          as: 'answers'
+        }
+      ],
+      order: [[{ model: QuizAnswer, as: 'answers' }, 'id', 'ASC']],
+      transaction
+    });
+  }
+
+  /**
+   * Find the open session of a student on a syllabus node
+   * @param {number} userId - User ID
+   * @param {number} syllabusNodeId - Syllabus node ID
+   * @returns {Promise<Object|null>} Active session
+   */
+  async findActiveSession(userId, syllabusNodeId) {
+    return AdaptiveSession.findOne({
+      where: { userId, syllabusNodeId, status: 'active' },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Start a session on a syllabus node
+   * The session starts from the ability the student finished their latest
+   * session on the node with
+   * @param {number} userId - User ID
+   * @param {number} syllabusNodeId - Syllabus node ID
+   * @returns {Promise<Object|null>} Created session, or null when the node has no questions
+   */
+  async startSession(userId, syllabusNodeId) {
+    const previous = await AdaptiveSession.findOne({
+      where: { userId, syllabusNodeId, status: 'completed' },
+      order: [['completedAt', 'DESC']]
+    });
+    const priorAbility = previous ? previous.ability : 0;
+    const questionId = await this.selectNextQuestion(syllabusNodeId, priorAbility, []);
+
+    if (!questionId) {
+      return null;
+    }
+
+    return AdaptiveSession.create({
+      userId,
+      syllabusNodeId,
+      priorAbility,
+      ability: priorAbility,
+      standardError: 1,
+      currentQuestionId: questionId,
+      responses: []
+    });
+  }
+
+  /**
+   * Tell why a session should stop after an answer
+   * @param {number} answered - Questions answered so far
+   * @param {number} standardError - Standard error of the ability estimate
+   * @returns {string|null} converged or max_questions, or null to continue
+   */
+  getStopReason(answered, standardError) {
+    if (answered >= adaptiveConfig.minQuestions && standardError <= adaptiveConfig.targetStandardError) {
+      return 'converged';
+    }
+
+    if (answered >= adaptiveConfig.maxQuestions) {
+      return 'max_questions';
+    }
+
+    return null;
+  }
+
+  /**
+   * Grade the answer to the current question, update the ability estimate
+   * and serve the next question or stop the session
+   * @param {Object} session - Active session
+   * @param {Object} question - Current question with its answers
+   * @param {Object} response - Submitted response ({ answerId, answerIds, textAnswer, matches })
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} Grade of the answer
+   */
+  async answerQuestion(session, question, response, transaction) {
+    const grade = gradingService.gradeResponse({}, question, response);
+    const responses = [
+      ...session.responses,
+      {
+        questionId: question.id,
+        isCorrect: grade.isCorrect,
+        ...calibrationService.getItemParameters(question)
+      }
+    ];
+    const { ability, standardError } = this.estimateAbility(responses, session.priorAbility);
+    responses[responses.length - 1].ability = ability;
+
+    let stopReason = this.getStopReason(responses.length, standardError);
+    let currentQuestionId = null;
+
+    if (!stopReason) {
+      currentQuestionId = await this.selectNextQuestion(
+        session.syllabusNodeId,
+        ability,
+        responses.map(answered => answered.questionId)
+      );
+      stopReason = currentQuestionId ? null : 'pool_exhausted';
+    }
+
+    await session.update({
+      ability,
+      standardError,
+      responses,
+      currentQuestionId,
+      status: stopReason ? 'completed' : 'active',
+      stopReason,
+      completedAt: stopReason ? new Date() : null
+    }, { transaction });
+
+    return grade;
+  }
+
+  /**
+   * Describe a session without its answer history
+   * @param {Object} session - Session
+   * @returns {Object} Session summary
+   */
+  toSummary(session) {
+    return {
+      id: session.id,
+      syllabusNodeId: session.syllabusNodeId,
+      status: session.status,
+      ability: session.ability,
+      standardError: session.standardError,
+      questionsAnswered: session.responses.length,
+      correctCount: session.responses.filter(response => response.isCorrect).length,
+      stopReason: session.stopReason,
+      createdAt: session.createdAt,
+      completedAt: session.completedAt
+    };
+  }
+}
+
+module.exports = new AdaptiveService();
\ No newline at end of file
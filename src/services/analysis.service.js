@@ -0,0 +1,223 @@
+const { UserQuizAnswer } = require('../models');
+const attemptService = require('./attempt.service');
+const quizVersionService = require('./quizVersion.service');
+const rankingService = require('./ranking.service');
+const syllabusService = require('./syllabus.service');
+const attemptConfig = require('../config/attempt.config');
+
+// Group name for questions without a subject, chapter or difficulty
+const UNTAGGED = 'Untagged';
+
+// Strengths and weaknesses listed in a report, each
+const SUMMARY_SIZE = 5;
+
+/**
+ * Post-test analysis of attempts: accuracy by subject, chapter and
+ * difficulty, time spent per question against the topper, silly mistakes
+ * and a strength and weakness summary
+ */
+class AnalysisService {
+  /**
+   * Tell how a question was answered
+   * @param {Object|undefined} userAnswer - Stored answer, if the question was visited
+   * @returns {string} correct, partial, incorrect or unattempted
+   */
+  getOutcome(userAnswer) {
+    if (!userAnswer || userAnswer.isCorrect === null) {
+      return 'unattempted';
+    }
+
+    if (userAnswer.isCorrect) {
+      return 'correct';
+    }
+
+    return userAnswer.pointsEarned > 0 ? 'partial' : 'incorrect';
+  }
+
+  /**
+   * Build the analysis report of a finished attempt
+   * Questions are described as they were in the version the attempt was
+   * taken against; chapters come from the current syllabus tags
+   * @param {Object} attempt - Finished attempt with its version loaded
+   * @param {Object} quiz - Quiz the attempt belongs to
+   * @returns {Promise<Object>} Analysis report
+   */
+  async buildReport(attempt, quiz) {
+    const snapshot = attempt.version
+      ? attempt.version.snapshot
+      : quizVersionService.buildSnapshot(await attemptService.findQuizForGrading(quiz.id));
+
+    // Bring the rank of the attempt up to date before it is reported
+    if (await rankingService.refreshRankings(quiz.id)) {
+      await attempt.reload();
+    }
+    const topper = await rankingService.findTopper(quiz.id);
+
+    const questionIds = snapshot.questions.map(question => question.id);
+    const userAnswers = await this.findAnswers(attempt.id, questionIds);
+    const topperAnswers = topper ? await this.findAnswers(topper.id, questionIds) : new Map();
+    const chapters = await syllabusService.getQuestionChapters(questionIds);
+    const sectionsById = new Map(snapshot.sections.map(section => [section.id, section]));
+
+    const questions = snapshot.questions.map((question, index) => {
+      const userAnswer = userAnswers.get(question.id);
+      const topperAnswer = topperAnswers.get(question.id);
+      const section = sectionsById.get(question.sectionId);
+
+      return {
+        questionId: question.id,
+        number: index + 1,
+        subject: question.subject || (section && section.subject) || UNTAGGED,
+        chapters: chapters.get(question.id),
+        difficulty: question.difficulty || UNTAGGED,
+        keyStatus: question.keyStatus,
+        outcome: this.getOutcome(userAnswer),
+        pointsEarned: userAnswer ? (userAnswer.pointsEarned || 0) : 0,
+        timeSpentSeconds: userAnswer ? userAnswer.timeSpentSeconds : 0,
+        topperOutcome: topper ? this.getOutcome(topperAnswer) : null,
+        topperTimeSpentSeconds: topper ? (topperAnswer ? topperAnswer.timeSpentSeconds : 0) : null
+      };
+    });
+
+    const byChapter = this.groupBy(questions, question => (
+      question.chapters.length > 0 ? question.chapters.map(chapter => chapter.name) : [UNTAGGED]
+    ));
+    const bySubject = this.groupBy(questions, question => [question.subject]);
+
+    return {
+      attemptId: attempt.id,
+      quizId: quiz.id,
+      version: attempt.version ? quizVersionService.toSummary(attempt.version) : null,
+      summary: {
+        ...this.summarize(questions),
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        percentageScore: attempt.percentageScore,
+        rank: attempt.rank,
+        percentile: attempt.percentile === null ? null : Number(attempt.percentile)
+      },
+      topper: topper
+        ? { attemptId: topper.id, score: topper.score, timeSpentSeconds: topper.timeSpentSeconds }
+        : null,
+      bySubject,
+      byChapter,
+      byDifficulty: this.groupBy(questions, question => [question.difficulty]),
+      questions,
+      sillyMistakes: questions.filter(question => this.isSillyMistake(question)),
+      ...this.findStrengthsAndWeaknesses(bySubject, byChapter)
+    };
+  }
+
+  /**
+   * Load the stored answers of an attempt by question
+   * @param {number} attemptId - Quiz attempt ID
+   * @param {Array<number>} questionIds - Question IDs of the quiz version
+   * @returns {Promise<Map>} Question ID to stored answer
+   */
+  async findAnswers(attemptId, questionIds) {
+    const userAnswers = await UserQuizAnswer.findAll({
+      where: { attemptId, questionId: questionIds },
+      attributes: ['questionId', 'isCorrect', 'pointsEarned', 'timeSpentSeconds']
+    });
+
+    return new Map(userAnswers.map(userAnswer => [userAnswer.questionId, userAnswer]));
+  }
+
+  /**
+   * Total the outcomes, marks and time of a set of analysed questions
+   * Accuracy is the share of attempted questions answered fully correctly
+   * @param {Array} questions - Analysed questions
+   * @returns {Object} Counts, accuracy, score and time against the topper
+   */
+  summarize(questions) {
+    const count = outcome => questions.filter(question => question.outcome === outcome).length;
+    const attempted = questions.length - count('unattempted');
+    const correct = count('correct');
+    const hasTopper = questions.some(question => question.topperTimeSpentSeconds !== null);
+
+    return {
+      questions: questions.length,
+      attempted,
+      correct,
+      partial: count('partial'),
+      incorrect: count('incorrect'),
+      unattempted: count('unattempted'),
+      accuracy: attempted > 0 ? (correct / attempted) * 100 : null,
+      netScore: questions.reduce((sum, question) => sum + question.pointsEarned, 0),
+      timeSpentSeconds: questions.reduce((sum, question) => sum + question.timeSpentSeconds, 0),
+      topperTimeSpentSeconds: hasTopper
+        ? questions.reduce((sum, question) => sum + question.topperTimeSpentSeconds, 0)
+        : null
+    };
+  }
+
+  /**
+   * Summarize analysed questions by group
+   * A question counts in every group it belongs to
+   * @param {Array} questions - Analysed questions
+   * @param {Function} getNames - Names of the groups of a question
+   * @returns {Array} [{ name, ...summary }] sorted by name
+   */
+  groupBy(questions, getNames) {
+    const groups = new Map();
+
+    for (const question of questions) {
+      for (const name of getNames(question)) {
+        if (!groups.has(name)) {
+          groups.set(name, []);
+        }
+        groups.get(name).push(question);
+      }
+    }
+
+    return [...groups.entries()]
+      .map(([name, groupQuestions]) => ({ name, ...this.summarize(groupQuestions) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Check whether a wrong answer was a silly mistake: an easy question
+   * answered wrongly in little time
+   * @param {Object} question - Analysed question
+   * @returns {boolean} True for silly mistakes
+   */
+  isSillyMistake(question) {
+    return question.outcome === 'incorrect' &&
+      question.difficulty.toLowerCase() === 'easy' &&
+      question.timeSpentSeconds <= attemptConfig.sillyMistakeSeconds;
+  }
+
+  /**
+   * Pick the strongest and weakest subjects and chapters
+   * Chapters are used when questions are tagged with them, subjects otherwise
+   * @param {Array} bySubject - Subject summaries
+   * @param {Array} byChapter - Chapter summaries
+   * @returns {Object} { strengths, weaknesses }
+   */
+  findStrengthsAndWeaknesses(bySubject, byChapter) {
+    const chapters = byChapter.filter(group => group.name !== UNTAGGED);
+    const level = chapters.length > 0 ? 'chapter' : 'subject';
+    const groups = (level === 'chapter' ? chapters : bySubject).map(group => ({
+      level,
+      name: group.name,
+      accuracy: group.accuracy,
+      attempted: group.attempted,
+      questions: group.questions,
+      netScore: group.netScore
+    }));
+
+    return {
+      strengths: groups
+        .filter(group => group.accuracy !== null && group.accuracy >= attemptConfig.strengthAccuracy)
+        .sort((a, b) => (b.accuracy - a.accuracy) || (b.netScore - a.netScore))
+        .slice(0, SUMMARY_SIZE),
+      // Groups left entirely unattempted are weaknesses too
+      weaknesses: groups
+        .filter(group => group.accuracy === null || group.accuracy < attemptConfig.weaknessAccuracy)
+        .sort((a, b) => ((a.accuracy === null ? -1 : a.accuracy) - (b.accuracy === null ? -1 : b.accuracy)) || (a.netScore - b.netScore))
+        .slice(0, SUMMARY_SIZE)
+    };
+  }
+}
+
+module.exports = new AnalysisService();
\ No newline at end of file
@@ -0,0 +1,242 @@
+const { QuizAnswer, AnswerKeyCorrection, User } = require('../models');
+const attemptService = require('./attempt.service');
+const gradingService = require('./grading.service');
+const questionService = require('./question.service');
+const quizVersionService = require('./quizVersion.service');
+
+// Key status a question is left with by each correction
+const KEY_STATUS_BY_ACTION = {
+  drop: 'dropped',
+  award_attempted: 'awarded',
+  restore: 'active'
+};
+
+/**
+ * Answer key corrections, such as moving from the NTA provisional key to
+ * the final key, and the regrading they trigger
+ */
+class AnswerKeyService {
+  /**
+   * Validate an answer key correction
+   * A new key is given as the IDs of the correct options, as the accepted
+   * values of numerical and fill in the blank questions, or as the correct
+   * mapping of a matrix-match question answered pair by pair
+   * @param {Object} question - Question with its answers loaded
+   * @param {Object} data - Correction payload ({ action, correctAnswerIds, answers, correctMapping })
+   * @returns {string|null} Error message, or null when the correction is valid
+   */
+  validateCorrection(question, data) {
+    const { action, correctAnswerIds, answers, correctMapping } = data;
+
+    if (!['change_key', ...Object.keys(KEY_STATUS_BY_ACTION)].includes(action)) {
+      return 'action must be one of change_key, drop, award_attempted or restore';
+    }
+
+    if (action !== 'change_key') {
+      return null;
+    }
+
+    const keyType = this.getKeyType(question);
+
+    if (keyType === 'values') {
+      if (!Array.isArray(answers) || answers.length === 0) {
+        return 'answers with the accepted values are required for this question type';
+      }
+
+      return questionService.validateQuestion({
+        ...question.toJSON(),
+        answers: answers.map(answer => ({ isCorrect: true, ...answer }))
+      }, 0);
+    }
+
+    if (keyType === 'mapping') {
+      return questionService.validateQuestion({ ...question.toJSON(), answers: [], correctMapping }, 0);
+    }
+
+    if (!Array.isArray(correctAnswerIds) || correctAnswerIds.length === 0) {
+      return 'correctAnswerIds is required for this question type';
+    }
+
+    const answerIds = question.answers.map(answer => answer.id);
+    if (correctAnswerIds.some(id => !answerIds.includes(parseInt(id)))) {
+      return 'correctAnswerIds must refer to answers of the question';
+    }
+
+    if (question.questionType === 'matrix_match' && correctAnswerIds.length !== 1) {
+      return 'Matrix-match questions have exactly one correct option';
+    }
+
+    return null;
+  }
+
+  /**
+   * Tell how the key of a question is corrected
+   * @param {Object} question - Question with its answers loaded
+   * @returns {string} values, mapping or options
+   */
+  getKeyType(question) {
+    if (gradingService.isTextQuestion(question)) {
+      return 'values';
+    }
+
+    // A matrix-match question with a single answer is answered pair by pair
+    if (question.questionType === 'matrix_match' && question.answers.length <= 1) {
+      return 'mapping';
+    }
+
+    return 'options';
+  }
+
+  /**
+   * Describe the answer key of a question in a quiz
+   * @param {Array} answers - Answers of the question
+   * @param {string} keyStatus - Key status of the question in the quiz
+   * @returns {Object} Key snapshot stored with the correction
+   */
+  snapshotKey(answers, keyStatus) {
+    return {
+      keyStatus,
+      answers: answers.map(answer => ({
+        id: answer.id,
+        answerText: answer.answerText,
+        isCorrect: answer.isCorrect,
+        numericValue: answer.numericValue,
+        tolerance: answer.tolerance,
+        rangeMin: answer.rangeMin,
+        rangeMax: answer.rangeMax,
+        matchMapping: answer.matchMapping
+      }))
+    };
+  }
+
+  /**
+   * Apply an answer key correction and regrade the affected attempts
+   * A new key changes the question everywhere it is used, so every quiz
+   * using it is regraded; dropping and awarding only apply to this quiz.
+   * Published versions take the correction too, so reviews match the marks
+   * @param {Object} link - Quiz question link with its question and answers loaded
+   * @param {Object} data - Validated correction payload
+   * @param {number} userId - User making the correction
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} { correction, scoreChanges }
+   */
+  async applyCorrection(link, data, userId, transaction) {
+    const { question } = link;
+    const { action, reason } = data;
+    const previousKey = this.snapshotKey(question.answers, link.keyStatus);
+    let scoreChanges;
+
+    if (action === 'change_key') {
+      await this.changeKey(question, data, transaction);
+    } else {
+      await link.update({ keyStatus: KEY_STATUS_BY_ACTION[action] }, { transaction });
+    }
+
+    const answers = await QuizAnswer.findAll({
+      where: { questionId: question.id },
+      order: [['id', 'ASC']],
+      transaction
+    });
+
+    // Attempts are regraded from their versions, so these take the correction first
+    if (action === 'change_key') {
+      const quizIds = await quizVersionService.findQuestionQuizIds(question.id, transaction);
+      await quizVersionService.applyKeyCorrection(quizIds, question.id, { answers }, transaction);
+      scoreChanges = await attemptService.regradeQuestion(question.id, transaction);
+    } else {
+      await quizVersionService.applyKeyCorrection([link.quizId], question.id, { keyStatus: link.keyStatus }, transaction);
+      scoreChanges = await attemptService.regradeQuiz(link.quizId, transaction);
+    }
+
+    const correction = await AnswerKeyCorrection.create({
+      quizId: link.quizId,
+      questionId: question.id,
+      action,
+      reason,
+      previousKey,
+      newKey: this.snapshotKey(answers, link.keyStatus),
+      affectedAttempts: scoreChanges.length,
+      changedAttempts: scoreChanges.filter(change => this.isChanged(change)).length,
+      correctedBy: userId
+    }, { transaction });
+
+    return { correction, scoreChanges };
+  }
+
+  /**
+   * Store a new answer key for a question
+   * Option answers are kept so stored responses still refer to them;
+   * only which of them are correct changes
+   * @param {Object} question - Question with its answers loaded
+   * @param {Object} data - Validated correction payload
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async changeKey(question, data, transaction) {
+    const keyType = this.getKeyType(question);
+
+    if (keyType === 'values') {
+      await QuizAnswer.destroy({ where: { questionId: question.id }, transaction });
+      await questionService.createAnswers(question, {
+        ...question.toJSON(),
+        answers: data.answers.map(answer => ({ isCorrect: true, ...answer }))
+      }, transaction);
+      return;
+    }
+
+    if (keyType === 'mapping') {
+      const attributes = questionService.buildAnswerAttributes(question.questionType, {
+        isCorrect: true,
+        matchMapping: data.correctMapping
+      });
+
+      if (question.answers.length > 0) {
+        await question.answers[0].update(attributes, { transaction });
+      } else {
+        await QuizAnswer.create({ questionId: question.id, ...attributes }, { transaction });
+      }
+      return;
+    }
+
+    const correctAnswerIds = data.correctAnswerIds.map(id => parseInt(id));
+    for (const answer of question.answers) {
+      await answer.update({ isCorrect: correctAnswerIds.includes(answer.id) }, { transaction });
+    }
+  }
+
+  /**
+   * Check whether regrading changed the result of an attempt
+   * @param {Object} change - Score change of an attempt
+   * @returns {boolean} True when the score or pass status changed
+   */
+  isChanged(change) {
+    return change.scoreChange !== 0 || change.previousPassed !== change.passed;
+  }
+
+  /**
+   * Build the per-student report of a regrade
+   * Only attempts whose score or pass status changed are listed
+   * @param {Array} scoreChanges - Score change of each regraded attempt
+   * @returns {Promise<Object>} Report with totals and the changed attempts
+   */
+  async buildReport(scoreChanges) {
+    const changes = scoreChanges.filter(change => this.isChanged(change));
+    const userIds = [...new Set(changes.map(change => change.userId).filter(Boolean))];
+    const users = await User.findAll({
+      where: { id: userIds },
+      attributes: ['id', 'username', 'fullName', 'email']
+    });
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    return {
+      affectedAttempts: scoreChanges.length,
+      changedAttempts: changes.length,
+      increasedScores: changes.filter(change => change.scoreChange > 0).length,
+      decreasedScores: changes.filter(change => change.scoreChange < 0).length,
+      changes: changes
+        .map(change => ({ ...change, user: usersById.get(change.userId) || null }))
+        .sort((a, b) => b.scoreChange - a.scoreChange)
+    };
+  }
+}
+
+module.exports = new AnswerKeyService();
\ No newline at end of file
@@ -0,0 +1,939 @@
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { Quiz, QuizSection, QuizQuestion, QuizQuestionLink, QuizAnswer, QuizAttempt, QuizVersion, UserQuizAnswer, sequelize } = require('../models');
+const gradingService = require('./grading.service');
+const questionService = require('./question.service');
+const quizVersionService = require('./quizVersion.service');
+const rankingService = require('./ranking.service');
+const testWindowService = require('./testWindow.service');
+const attemptConfig = require('../config/attempt.config');
+const authConfig = require('../config/auth.config');
+
+// Audience of claim tokens, so they cannot be confused with login tokens
+const CLAIM_TOKEN_AUDIENCE = 'attempt-claim';
+
+// Audience of access tokens that anonymous users work on their open attempts with
+const ACCESS_TOKEN_AUDIENCE = 'attempt-access';
+
+// Roles that always see the answer key in attempt reviews
+const ANSWER_KEY_ROLES = ['instructor', 'admin'];
+
+// Attempt fields withheld until the window of a scheduled mock test closes
+const RESULT_FIELDS = [
+  'score', 'maxScore', 'percentageScore', 'passed', 'sectionScores', 'rank', 'percentile', 'subjectPercentiles',
+  'normalizedPercentile', 'groupRank'
+];
+
+// Question palette states of the NTA exam interface, in display order
+const PALETTE_STATUSES = ['not_visited', 'not_answered', 'answered', 'marked_for_review', 'answered_marked_for_review'];
+
+/**
+ * Lifecycle of quiz attempts: server-timed sessions, grading and storage
+ */
+class AttemptService {
+  /**
+   * Load a quiz with everything needed to grade it
+   * @param {number} quizId - Quiz ID
+   * @param {Object} [where] - Extra conditions (e.g., { lessonId: null })
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object|null>} Quiz with sections, questions and answers
+   */
+  async findQuizForGrading(quizId, where = {}, transaction) {
+    return Quiz.findOne({
+      where: { id: quizId, ...where },
+      include: [
+        {
+          model: QuizSection,
+          as: 'sections'
+        },
+        {
+          model: QuizQuestion,
+          as: 'questions',
+          through: { attributes: ['position', 'sectionId', 'keyStatus'] },
+          include: [
+            {
+              model: QuizAnswer,
+              as: 'answers'
+            }
+          ]
+        }
+      ],
+      transaction
+    });
+  }
+
+  /**
+   * Find a question of the quiz an attempt belongs to
+   * @param {Object} attempt - Quiz attempt
+   * @param {number} questionId - Question ID
+   * @returns {Promise<Object|null>} Quiz link with its question and section
+   */
+  async findAttemptQuestion(attempt, questionId) {
+    return QuizQuestionLink.findOne({
+      where: { quizId: attempt.quizId, questionId },
+      include: [
+        {
+          model: QuizQuestion,
+          as: 'question'
+        },
+        {
+          model: QuizSection,
+          as: 'section'
+        }
+      ]
+    });
+  }
+
+  /**
+   * Compute the deadline of an attempt from the quiz time limit
+   * Attempts in a scheduled mock test also end when its window closes
+   * @param {Object} quiz - Quiz being attempted
+   * @param {Date} startedAt - Server start time
+   * @returns {Date|null} Deadline, or null for untimed quizzes
+   */
+  calculateDeadline(quiz, startedAt) {
+    const windowEnd = testWindowService.isScheduled(quiz) ? new Date(quiz.endsAt) : null;
+
+    if (!quiz.timeLimit) {
+      return windowEnd;
+    }
+
+    const deadline = new Date(startedAt.getTime() + quiz.timeLimit * 60 * 1000);
+    return windowEnd && windowEnd < deadline ? windowEnd : deadline;
+  }
+
+  /**
+   * Seconds left before the deadline of an open attempt
+   * @param {Object} attempt - Quiz attempt
+   * @param {Date} [now] - Reference time
+   * @returns {number|null} Remaining seconds, or null for untimed attempts
+   */
+  getRemainingSeconds(attempt, now = new Date()) {
+    if (!attempt.deadlineAt) {
+      return null;
+    }
+
+    if (attempt.status !== 'in_progress') {
+      return 0;
+    }
+
+    return Math.max(0, Math.floor((new Date(attempt.deadlineAt) - now) / 1000));
+  }
+
+  /**
+   * Check whether an attempt can no longer accept answers
+   * @param {Object} attempt - Quiz attempt
+   * @param {Date} [now] - Reference time
+   * @returns {boolean} True once the deadline plus grace period has passed
+   */
+  isPastGracePeriod(attempt, now = new Date()) {
+    if (!attempt.deadlineAt) {
+      return false;
+    }
+
+    const closesAt = new Date(attempt.deadlineAt).getTime() + attemptConfig.submissionGraceSeconds * 1000;
+    return now.getTime() > closesAt;
+  }
+
+  /**
+   * Timing details clients need to show and recover the countdown
+   * @param {Object} attempt - Quiz attempt
+   * @returns {Object} Status, start, deadline and remaining time
+   */
+  getTiming(attempt) {
+    return {
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      deadlineAt: attempt.deadlineAt,
+      remainingSeconds: this.getRemainingSeconds(attempt),
+      serverTime: new Date().toISOString()
+    };
+  }
+
+  /**
+   * State of a section timer within an attempt
+   * @param {Object} attempt - Quiz attempt
+   * @param {Object} section - Quiz section
+   * @param {Date} [now] - Reference time
+   * @returns {string} open, not_started or closed
+   */
+  getSectionState(attempt, section, now = new Date()) {
+    if (!section || !section.timeLimit) {
+      return 'open';
+    }
+
+    const times = (attempt.sectionTimes || {})[section.id];
+
+    if (!times) {
+      return 'not_started';
+    }
+
+    const closesAt = new Date(times.deadlineAt).getTime() + attemptConfig.submissionGraceSeconds * 1000;
+    return now.getTime() > closesAt ? 'closed' : 'open';
+  }
+
+  /**
+   * Start the timer of a timed section
+   * Starting a section again returns its existing timer
+   * @param {Object} attempt - Open quiz attempt
+   * @param {Object} section - Timed quiz section
+   * @returns {Promise<Object>} { startedAt, deadlineAt } of the section
+   */
+  async startSection(attempt, section) {
+    const sectionTimes = { ...(attempt.sectionTimes || {}) };
+
+    if (!sectionTimes[section.id]) {
+      const startedAt = new Date();
+      let deadlineAt = new Date(startedAt.getTime() + section.timeLimit * 60 * 1000);
+
+      // A section never runs past the deadline of the whole attempt
+      if (attempt.deadlineAt && deadlineAt > new Date(attempt.deadlineAt)) {
+        deadlineAt = new Date(attempt.deadlineAt);
+      }
+
+      sectionTimes[section.id] = {
+        startedAt: startedAt.toISOString(),
+        deadlineAt: deadlineAt.toISOString()
+      };
+
+      await attempt.update({ sectionTimes });
+    }
+
+    return sectionTimes[section.id];
+  }
+
+  /**
+   * Drop submitted responses for timed sections that are not open
+   * @param {Object} attempt - Quiz attempt
+   * @param {Object} quiz - Quiz with sections and questions loaded
+   * @param {Array} responses - Submitted responses
+   * @returns {Array} Responses that can still be accepted
+   */
+  filterClosedSectionResponses(attempt, quiz, responses) {
+    const sectionsById = new Map((quiz.sections || []).map(section => [section.id, section]));
+    const questionsById = new Map(quiz.questions.map(question => [question.id, question]));
+
+    return responses.filter(response => {
+      const question = questionsById.get(parseInt(response.questionId));
+      const section = question ? sectionsById.get(gradingService.getSectionId(question)) : null;
+
+      return this.getSectionState(attempt, section) === 'open';
+    });
+  }
+
+  /**
+   * Open a server-timed attempt against the current version of the quiz
+   * @param {Object} quiz - Quiz being attempted
+   * @param {number} [userId] - User taking the attempt (undefined for anonymous users)
+   * @returns {Promise<Object>} Created attempt
+   */
+  async startAttempt(quiz, userId) {
+    const startedAt = new Date();
+    const version = await quizVersionService.resolveAttemptVersion(await this.findQuizForGrading(quiz.id));
+
+    return QuizAttempt.create({
+      quizId: quiz.id,
+      userId,
+      versionId: version.id,
+      status: 'in_progress',
+      startedAt,
+      deadlineAt: this.calculateDeadline(quiz, startedAt)
+    });
+  }
+
+  /**
+   * Store graded answers for an attempt
+   * Rows saved while the attempt was open are updated in place
+   * @param {number} attemptId - Quiz attempt ID
+   * @param {Array} gradedAnswers - Graded answers from the grading service
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async saveGradedAnswers(attemptId, gradedAnswers, transaction) {
+    const savedAnswers = await UserQuizAnswer.findAll({ where: { attemptId }, transaction });
+    const savedByQuestion = new Map(savedAnswers.map(saved => [saved.questionId, saved]));
+
+    for (const gradedAnswer of gradedAnswers) {
+      const { question, response, attempted, isCorrect, pointsEarned, countedInScore } = gradedAnswer;
+      const saved = savedByQuestion.get(question.id);
+      const attributes = {
+        ...this.buildResponseAttributes(question, response),
+        ...this.buildTrackingAttributes(response),
+        isCorrect,
+        pointsEarned,
+        countedInScore
+      };
+
+      attributes.paletteStatus = this.getPaletteStatus(
+        attempted,
+        attributes.markedForReview !== undefined ? attributes.markedForReview : Boolean(saved && saved.markedForReview)
+      );
+
+      if (saved) {
+        await saved.update(attributes, { transaction });
+      } else {
+        await UserQuizAnswer.create({
+          attemptId,
+          questionId: question.id,
+          ...attributes
+        }, { transaction });
+      }
+    }
+  }
+
+  /**
+   * Save the response to one question of an open attempt
+   * Saving the same question again replaces the earlier response
+   * @param {Object} attempt - Open quiz attempt
+   * @param {Object} question - Question being answered
+   * @param {Object} response - Response with markedForReview and timeSpentSeconds
+   * @returns {Promise<Object>} Saved user answer
+   */
+  async saveResponse(attempt, question, response) {
+    const saved = await UserQuizAnswer.findOne({
+      where: { attemptId: attempt.id, questionId: question.id }
+    });
+    const attributes = {
+      ...this.buildResponseAttributes(question, response),
+      ...this.buildTrackingAttributes(response)
+    };
+
+    attributes.paletteStatus = this.getPaletteStatus(
+      gradingService.isAttempted(question, response),
+      attributes.markedForReview !== undefined ? attributes.markedForReview : Boolean(saved && saved.markedForReview)
+    );
+
+    if (saved) {
+      return saved.update(attributes);
+    }
+
+    return UserQuizAnswer.create({
+      attemptId: attempt.id,
+      questionId: question.id,
+      ...attributes
+    });
+  }
+
+  /**
+   * Record that the student opened a question of an open attempt
+   * A visited question without a saved answer shows as not answered
+   * @param {Object} attempt - Open quiz attempt
+   * @param {Object} question - Question being visited
+   * @returns {Promise<Object>} User answer row of the question
+   */
+  async markVisited(attempt, question) {
+    const [userAnswer] = await UserQuizAnswer.findOrCreate({
+      where: { attemptId: attempt.id, questionId: question.id },
+      defaults: { paletteStatus: 'not_answered' }
+    });
+
+    return userAnswer;
+  }
+
+  /**
+   * Palette state of a visited question
+   * @param {boolean} attempted - Whether the question has an answer
+   * @param {boolean} markedForReview - Whether the question is flagged for review
+   * @returns {string} Palette status
+   */
+  getPaletteStatus(attempted, markedForReview) {
+    if (markedForReview) {
+      return attempted ? 'answered_marked_for_review' : 'marked_for_review';
+    }
+
+    return attempted ? 'answered' : 'not_answered';
+  }
+
+  /**
+   * Build the question palette of an attempt
+   * Questions without a saved row have not been visited
+   * @param {Array} questions - Questions of the quiz in display order
+   * @param {Array} userAnswers - Stored user answers of the attempt
+   * @returns {Object} { palette: [{ questionId, status }], summary: counts per status }
+   */
+  buildPalette(questions, userAnswers) {
+    const statusByQuestion = new Map(userAnswers.map(userAnswer => [userAnswer.questionId, userAnswer.paletteStatus]));
+    const summary = Object.fromEntries(PALETTE_STATUSES.map(status => [status, 0]));
+
+    const palette = questions.map(question => {
+      const status = statusByQuestion.get(question.id) || 'not_visited';
+      summary[status]++;
+      return { questionId: question.id, status };
+    });
+
+    return { palette, summary };
+  }
+
+  /**
+   * Load the questions of an attempt and build its palette
+   * @param {Object} attempt - Quiz attempt
+   * @param {Array} userAnswers - Stored user answers of the attempt
+   * @returns {Promise<Object>} { palette, summary }
+   */
+  async getPalette(attempt, userAnswers) {
+    const links = await QuizQuestionLink.findAll({
+      where: { quizId: attempt.quizId },
+      attributes: ['questionId', 'position'],
+      order: [['position', 'ASC'], ['id', 'ASC']]
+    });
+
+    return this.buildPalette(links.map(link => ({ id: link.questionId })), userAnswers);
+  }
+
+  /**
+   * Map the review flag and time spent of a response to UserQuizAnswer attributes
+   * The time is the running total for the question, so retried saves do not add up
+   * @param {Object} response - Submitted response
+   * @returns {Object} Tracking columns that were sent
+   */
+  buildTrackingAttributes(response) {
+    const attributes = {};
+
+    if (response.markedForReview !== undefined) {
+      attributes.markedForReview = Boolean(response.markedForReview);
+    }
+
+    if (response.timeSpentSeconds !== undefined) {
+      attributes.timeSpentSeconds = Math.max(0, parseInt(response.timeSpentSeconds) || 0);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Convert a stored user answer back to the response format clients send
+   * @param {Object} userAnswer - Stored user answer
+   * @returns {Object} Response with its review flag and time spent
+   */
+  toSavedResponse(userAnswer) {
+    return {
+      questionId: userAnswer.questionId,
+      answerId: userAnswer.answerId,
+      answerIds: userAnswer.answerIds || [],
+      matches: userAnswer.matchResponse,
+      textAnswer: userAnswer.textAnswer,
+      markedForReview: userAnswer.markedForReview,
+      paletteStatus: userAnswer.paletteStatus,
+      timeSpentSeconds: userAnswer.timeSpentSeconds,
+      savedAt: userAnswer.updatedAt
+    };
+  }
+
+  /**
+   * Combine the responses saved during an attempt with the final submission
+   * A response in the submission replaces the saved one for that question.
+   * As in NTA exams, answers marked for review are evaluated like any other answer
+   * @param {number} attemptId - Quiz attempt ID
+   * @param {Array} responses - Submitted responses
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Array>} Responses to grade
+   */
+  async mergeSavedResponses(attemptId, responses, transaction) {
+    const savedAnswers = await UserQuizAnswer.findAll({ where: { attemptId }, transaction });
+    const merged = new Map();
+
+    for (const response of responses) {
+      const questionId = parseInt(response.questionId);
+      if (!merged.has(questionId)) {
+        merged.set(questionId, response);
+      }
+    }
+
+    for (const saved of savedAnswers) {
+      if (!merged.has(saved.questionId)) {
+        merged.set(saved.questionId, this.toSavedResponse(saved));
+      }
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Map a submitted response to UserQuizAnswer attributes
+   * @param {Object} question - Question being answered
+   * @param {Object} response - Submitted response
+   * @returns {Object} Response columns of UserQuizAnswer
+   */
+  buildResponseAttributes(question, response) {
+    const isMultipleChoice = question.questionType === 'multiple_choice';
+
+    return {
+      answerId: isMultipleChoice ? null : (response.answerId || null),
+      answerIds: isMultipleChoice ? gradingService.getSelectedAnswerIds(response) : null,
+      textAnswer: gradingService.getTextAnswer(response),
+      matchResponse: question.questionType === 'matrix_match' && gradingService.hasMatches(response)
+        ? gradingService.normalizeMapping(response.matches)
+        : null
+    };
+  }
+
+  /**
+   * Get the quiz an attempt is graded against
+   * Attempts are graded against the version they were taken on, so edits
+   * made since they started do not change their grade
+   * @param {Object} attempt - Quiz attempt
+   * @param {Object} liveQuiz - Quiz loaded with findQuizForGrading, used for attempts without a version
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object>} Quiz rebuilt from the attempt's version, or the live quiz
+   */
+  async getGradingQuiz(attempt, liveQuiz, transaction) {
+    const version = attempt.versionId
+      ? await QuizVersion.findByPk(attempt.versionId, { transaction })
+      : null;
+
+    return version ? quizVersionService.toGradingQuiz(version.snapshot) : liveQuiz;
+  }
+
+  /**
+   * Grade the responses of an open attempt and close it
+   * Responses saved while the attempt was open are graded too, while
+   * submitted responses for timed sections that have closed are dropped.
+   * The attempt is graded against the version it was taken on
+   * @param {Object} attempt - Open quiz attempt
+   * @param {Object} quiz - Quiz with questions and answers loaded
+   * @param {Array} responses - Responses to grade
+   * @param {Object} options - { status, completedAt, transaction }
+   * @returns {Promise<Object>} Grading result
+   */
+  async finalizeAttempt(attempt, quiz, responses, { status, completedAt, transaction }) {
+    const gradingQuiz = await this.getGradingQuiz(attempt, quiz, transaction);
+    const acceptedResponses = this.filterClosedSectionResponses(attempt, gradingQuiz, responses);
+    const mergedResponses = await this.mergeSavedResponses(attempt.id, acceptedResponses, transaction);
+    const grading = gradingService.gradeAttempt(gradingQuiz, mergedResponses);
+
+    await this.saveGradedAnswers(attempt.id, grading.gradedAnswers, transaction);
+
+    await attempt.update({
+      status,
+      completedAt,
+      timeSpentSeconds: Math.floor((completedAt - new Date(attempt.startedAt)) / 1000),
+      score: grading.score,
+      maxScore: grading.maxScore,
+      percentageScore: grading.percentageScore,
+      passed: grading.passed,
+      sectionScores: grading.sectionResults.length > 0 ? grading.sectionResults : null
+    }, { transaction });
+
+    await rankingService.markStale(attempt.quizId, transaction);
+
+    return grading;
+  }
+
+  /**
+   * Grade a finished attempt again from its stored responses
+   * Used after the answer key or marks of the quiz change
+   * @param {Object} attempt - Finished quiz attempt
+   * @param {Object} quiz - Quiz with questions and answers loaded, or rebuilt from the attempt's version
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} Score change of the attempt
+   */
+  async regradeAttempt(attempt, quiz, transaction) {
+    const previous = {
+      score: attempt.score,
+      percentageScore: attempt.percentageScore,
+      passed: attempt.passed
+    };
+    const responses = await this.mergeSavedResponses(attempt.id, [], transaction);
+    const grading = gradingService.gradeAttempt(quiz, responses);
+
+    await this.saveGradedAnswers(attempt.id, grading.gradedAnswers, transaction);
+
+    await attempt.update({
+      score: grading.score,
+      maxScore: grading.maxScore,
+      percentageScore: grading.percentageScore,
+      passed: grading.passed,
+      sectionScores: grading.sectionResults.length > 0 ? grading.sectionResults : null
+    }, { transaction });
+
+    return {
+      attemptId: attempt.id,
+      quizId: attempt.quizId,
+      userId: attempt.userId,
+      previousScore: previous.score,
+      score: grading.score,
+      scoreChange: grading.score - (previous.score || 0),
+      previousPercentageScore: previous.percentageScore,
+      percentageScore: grading.percentageScore,
+      previousPassed: previous.passed,
+      passed: grading.passed
+    };
+  }
+
+  /**
+   * Regrade every finished attempt of a quiz
+   * Each attempt is graded against the version it was taken on, so edits
+   * made since then do not change it; key corrections reach it through
+   * the versions. Attempts from before versioning use the live quiz.
+   * Attempts are loaded in batches so large tests do not have to fit in
+   * memory at once. Open attempts are left alone, they are graded with
+   * the new key on submission. Ranks are recomputed on the next read
+   * @param {number} quizId - Quiz ID
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} Score change of each regraded attempt
+   */
+  async regradeQuiz(quizId, transaction) {
+    const liveQuiz = await this.findQuizForGrading(quizId, {}, transaction);
+    const quizzesByVersion = new Map();
+    const scoreChanges = [];
+    let lastAttemptId = 0;
+
+    for (;;) {
+      const attempts = await QuizAttempt.findAll({
+        where: { quizId, status: { [Op.ne]: 'in_progress' }, id: { [Op.gt]: lastAttemptId } },
+        order: [['id', 'ASC']],
+        limit: attemptConfig.regradeBatchSize,
+        transaction
+      });
+
+      if (attempts.length === 0) {
+        if (scoreChanges.length > 0) {
+          await rankingService.markStale(quizId, transaction);
+        }
+        return scoreChanges;
+      }
+
+      for (const attempt of attempts) {
+        if (attempt.versionId && !quizzesByVersion.has(attempt.versionId)) {
+          quizzesByVersion.set(attempt.versionId, await this.getGradingQuiz(attempt, liveQuiz, transaction));
+        }
+
+        const quiz = attempt.versionId ? quizzesByVersion.get(attempt.versionId) : liveQuiz;
+        scoreChanges.push(await this.regradeAttempt(attempt, quiz, transaction));
+      }
+
+      lastAttemptId = attempts[attempts.length - 1].id;
+    }
+  }
+
+  /**
+   * Regrade the finished attempts of every quiz using a question
+   * @param {number} questionId - Question ID
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} Score change of each regraded attempt
+   */
+  async regradeQuestion(questionId, transaction) {
+    const links = await QuizQuestionLink.findAll({ where: { questionId }, transaction });
+    const scoreChanges = [];
+
+    for (const link of links) {
+      scoreChanges.push(...await this.regradeQuiz(link.quizId, transaction));
+    }
+
+    return scoreChanges;
+  }
+
+  /**
+   * Close an open attempt whose deadline and grace period have passed
+   * Responses saved before the deadline are graded, late ones are discarded
+   * @param {Object} attempt - Quiz attempt
+   * @returns {Promise<boolean>} True if the attempt was expired now
+   */
+  async expireIfOverdue(attempt) {
+    if (attempt.status !== 'in_progress' || !this.isPastGracePeriod(attempt)) {
+      return false;
+    }
+
+    const quiz = await this.findQuizForGrading(attempt.quizId);
+
+    await sequelize.transaction(async (transaction) => {
+      await this.finalizeAttempt(attempt, quiz, [], {
+        status: 'expired',
+        completedAt: new Date(attempt.deadlineAt),
+        transaction
+      });
+    });
+
+    return true;
+  }
+
+  /**
+   * Check whether the answer key of a quiz has been released to students
+   * Scheduled mock tests release it after their window at the earliest
+   * @param {Object} quiz - Quiz with answerReleasePolicy, startsAt and endsAt
+   * @param {Date} [now] - Reference time
+   * @returns {boolean} True when reviews may show correct answers
+   */
+  isAnswerKeyReleased(quiz, now = new Date()) {
+    if (quiz.answerReleasePolicy === 'never') {
+      return false;
+    }
+
+    if (quiz.answerReleasePolicy === 'after_window' || testWindowService.isScheduled(quiz)) {
+      return Boolean(quiz.endsAt) && now >= new Date(quiz.endsAt);
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a viewer may see the answer key of a quiz
+   * @param {Object} quiz - Quiz with answerReleasePolicy, startsAt and endsAt
+   * @param {string} [userRole] - Role of the viewer
+   * @returns {boolean} True for staff and once the key is released
+   */
+  areAnswersReleased(quiz, userRole) {
+    return ANSWER_KEY_ROLES.includes(userRole) || this.isAnswerKeyReleased(quiz);
+  }
+
+  /**
+   * Check whether a viewer may see the scores of attempts at a quiz
+   * @param {Object} quiz - Quiz with startsAt and endsAt
+   * @param {string} [userRole] - Role of the viewer
+   * @returns {boolean} True once the window of a scheduled mock test has closed
+   */
+  areResultsReleased(quiz, userRole) {
+    return ANSWER_KEY_ROLES.includes(userRole) || testWindowService.isWindowClosed(quiz);
+  }
+
+  /**
+   * Remove the scores of an attempt whose results are not released yet
+   * @param {Object} data - Plain attempt object
+   * @param {Object} quiz - Quiz the attempt belongs to
+   * @param {string} [userRole] - Role of the viewer
+   * @returns {Object} Attempt with a resultsReleased flag
+   */
+  withholdResults(data, quiz, userRole) {
+    const resultsReleased = this.areResultsReleased(quiz, userRole);
+
+    if (resultsReleased) {
+      return { ...data, resultsReleased };
+    }
+
+    const withheld = { ...data, resultsReleased };
+    RESULT_FIELDS.forEach(field => delete withheld[field]);
+    return withheld;
+  }
+
+  /**
+   * Prepare an attempt for review according to the answer release policy
+   * Questions are shown as they were in the version the attempt was taken
+   * against. Until the key is released, correct options, explanations and
+   * per-question marks are removed; totals stay visible unless the window
+   * of a scheduled mock test is still open
+   * @param {Object} attempt - Attempt with user answers, questions, answers and version loaded
+   * @param {Object} quiz - Quiz the attempt belongs to
+   * @param {string} [userRole] - Role of the viewer
+   * @returns {Object} Plain attempt object with answersReleased and resultsReleased flags
+   */
+  toReview(attempt, quiz, userRole) {
+    const data = this.withholdResults(attempt.toJSON ? attempt.toJSON() : { ...attempt }, quiz, userRole);
+    data.answersReleased = this.areAnswersReleased(quiz, userRole);
+
+    if (data.version) {
+      if (data.userAnswers) {
+        data.userAnswers = quizVersionService.applySnapshot(data.userAnswers, data.version.snapshot);
+      }
+      data.version = quizVersionService.toSummary(data.version);
+    }
+
+    if (data.answersReleased || !data.userAnswers) {
+      return data;
+    }
+
+    data.userAnswers = data.userAnswers.map(userAnswer => {
+      const { isCorrect, pointsEarned, countedInScore, answer, question, ...response } = userAnswer;
+
+      return {
+        ...response,
+        answer: answer ? this.redactAnswer(answer) : answer,
+        question: question ? this.redactQuestion(question) : question
+      };
+    });
+
+    return data;
+  }
+
+  /**
+   * Remove the answer key from a question shown in a review
+   * @param {Object} question - Question with its answers
+   * @returns {Object} Question without correct answers and explanation
+   */
+  redactQuestion(question) {
+    const { explanation, ...data } = questionService.toPublicQuestion(question);
+
+    return {
+      ...data,
+      answers: (data.answers || []).map(answer => this.redactAnswer(answer))
+    };
+  }
+
+  /**
+   * Keep only the option text of an answer shown in a review
+   * @param {Object} answer - Quiz answer
+   * @returns {Object} { id, answerText }
+   */
+  redactAnswer(answer) {
+    return { id: answer.id, answerText: answer.answerText };
+  }
+
+  /**
+   * Sign a token that lets the anonymous user who started an attempt work on it
+   * @param {Object} attempt - Anonymous quiz attempt
+   * @returns {string} Signed access token
+   */
+  createAccessToken(attempt) {
+    return jwt.sign({ attemptId: attempt.id }, authConfig.jwtSecret, {
+      expiresIn: authConfig.attemptAccessExpiration,
+      audience: ACCESS_TOKEN_AUDIENCE
+    });
+  }
+
+  /**
+   * Check whether a caller owns an open attempt
+   * Attempts of a user belong to that user; anonymous attempts belong to
+   * whoever holds the access token issued when the attempt was started
+   * @param {Object} attempt - Quiz attempt
+   * @param {number} [userId] - ID of the logged-in caller
+   * @param {string} [accessToken] - Access token from the X-Attempt-Token header
+   * @returns {boolean} True when the caller may work on the attempt
+   */
+  isAttemptOwner(attempt, userId, accessToken) {
+    if (attempt.userId) {
+      return attempt.userId === userId;
+    }
+
+    if (!accessToken) {
+      return false;
+    }
+
+    try {
+      return jwt.verify(accessToken, authConfig.jwtSecret, { audience: ACCESS_TOKEN_AUDIENCE }).attemptId === attempt.id;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Sign a token that lets the submitter of an anonymous attempt claim it later
+   * @param {Object} attempt - Anonymous quiz attempt
+   * @returns {string} Signed claim token
+   */
+  createClaimToken(attempt) {
+    return jwt.sign({ attemptId: attempt.id }, authConfig.jwtSecret, {
+      expiresIn: authConfig.attemptClaimExpiration,
+      audience: CLAIM_TOKEN_AUDIENCE
+    });
+  }
+
+  /**
+   * Attach anonymous attempts to a user from their claim tokens
+   * @param {Array<string>} claimTokens - Claim tokens from anonymous submissions
+   * @param {number} userId - User claiming the attempts
+   * @returns {Promise<Object>} { claimed: [attemptId], failed: [{ index, reason }] }
+   */
+  async claimAttempts(claimTokens, userId) {
+    const claimed = [];
+    const failed = [];
+
+    for (let i = 0; i < claimTokens.length; i++) {
+      let attemptId;
+
+      try {
+        attemptId = jwt.verify(claimTokens[i], authConfig.jwtSecret, { audience: CLAIM_TOKEN_AUDIENCE }).attemptId;
+      } catch (error) {
+        failed.push({ index: i, reason: 'Invalid or expired claim token' });
+        continue;
+      }
+
+      // Only attempts that are still anonymous can be claimed
+      const [updatedCount] = await QuizAttempt.update(
+        { userId },
+        { where: { id: attemptId, userId: null } }
+      );
+
+      if (updatedCount > 0) {
+        claimed.push(attemptId);
+        continue;
+      }
+
+      const attempt = await QuizAttempt.findByPk(attemptId);
+
+      if (attempt && attempt.userId === userId) {
+        claimed.push(attemptId);
+      } else {
+        failed.push({ index: i, reason: attempt ? 'Attempt already belongs to another user' : 'Attempt not found' });
+      }
+    }
+
+    // Claimed attempts may be the first attempt of the user, which is ranked
+    const claimedAttempts = await QuizAttempt.findAll({ where: { id: claimed }, attributes: ['quizId'] });
+    for (const quizId of new Set(claimedAttempts.map(attempt => attempt.quizId))) {
+      await rankingService.markStale(quizId);
+    }
+
+    return { claimed, failed };
+  }
+
+  /**
+   * Load an attempt with its answers, questions, answer options and version
+   * @param {number} attemptId - Quiz attempt ID
+   * @returns {Promise<Object|null>} Attempt with user answers
+   */
+  async findAttemptWithAnswers(attemptId) {
+    return QuizAttempt.findByPk(attemptId, {
+      include: [
+        {
+          model: QuizVersion,
+          as: 'version'
+        },
+        {
+          model: UserQuizAnswer,
+          as: 'userAnswers',
+          include: [
+            {
+              model: QuizQuestion,
+              as: 'question',
+              include: [
+                {
+                  model: QuizAnswer,
+                  as: 'answers'
+                }
+              ]
+            },
+            {
+              model: QuizAnswer,
+              as: 'answer'
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  /**
+   * Give attempts taken before quizzes were versioned a version to point to
+   * Their quiz is published as it is now, which is the closest record left
+   * of what those attempts were taken against
+   * @returns {Promise<number>} Number of attempts updated
+   */
+  async backfillAttemptVersions() {
+    const attempts = await QuizAttempt.findAll({
+      where: { versionId: null },
+      attributes: ['quizId'],
+      group: ['quizId'],
+      raw: true
+    });
+
+    let updated = 0;
+    for (const { quizId } of attempts) {
+      const quiz = await this.findQuizForGrading(quizId);
+
+      if (!quiz) {
+        continue;
+      }
+
+      const { version } = await quizVersionService.publishVersion(quiz, {
+        note: 'Published for attempts taken before versioning'
+      });
+      const [count] = await QuizAttempt.update(
+        { versionId: version.id },
+        { where: { quizId, versionId: null } }
+      );
+      updated += count;
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new AttemptService();
\ No newline at end of file
@@ -0,0 +1,130 @@
+const { Op } = require('sequelize');
+const { QuizAttempt, QuizQuestion, UserQuizAnswer, sequelize } = require('../models');
+const adaptiveConfig = require('../config/adaptive.config');
+
+// Scales a correlation-based discrimination to the logistic model
+const LOGISTIC_SCALE = 1.7;
+
+// Largest correlation used, so a perfectly separating question keeps a finite discrimination
+const MAX_CORRELATION = 0.95;
+
+/**
+ * Calibration of question difficulty and discrimination from the graded
+ * answers of finished attempts, on the scale of a two-parameter logistic
+ * item response model
+ */
+class CalibrationService {
+  /**
+   * Read the difficulty estimates of a question
+   * Questions with too few responses fall back to their difficulty label
+   * @param {Object} question - Question with its calibration fields
+   * @returns {Object} { difficulty, discrimination }
+   */
+  getItemParameters(question) {
+    if (question.irtDifficulty !== null && question.calibrationResponses >= adaptiveConfig.minResponses) {
+      return {
+        difficulty: question.irtDifficulty,
+        discrimination: question.irtDiscrimination
+      };
+    }
+
+    const labelDifficulty = adaptiveConfig.labelDifficulty[(question.difficulty || '').toLowerCase()];
+
+    return {
+      difficulty: labelDifficulty === undefined ? 0 : labelDifficulty,
+      discrimination: 1
+    };
+  }
+
+  /**
+   * Estimate the parameters of a question from its response totals
+   * Difficulty is the log-odds of a wrong answer. Discrimination follows
+   * from the point-biserial correlation between answering correctly and the
+   * percentage score of the attempt
+   * @param {Object} totals - { responses, correct, scoreSum, scoreSquareSum, correctScoreSum }
+   * @returns {Object} { difficulty, discrimination }
+   */
+  estimateParameters(totals) {
+    const responses = Number(totals.responses);
+    const correct = Number(totals.correct);
+    const scoreSum = Number(totals.scoreSum);
+
+    // Half a response on each side keeps questions everyone (or no one) solved finite
+    const correctShare = (correct + 0.5) / (responses + 1);
+
+    const covariance = responses * Number(totals.correctScoreSum) - correct * scoreSum;
+    const spread = Math.sqrt(
+      (responses * correct - correct * correct) *
+      (responses * Number(totals.scoreSquareSum) - scoreSum * scoreSum)
+    );
+    const correlation = spread > 0 ? Math.min(covariance / spread, MAX_CORRELATION) : 0;
+    const discrimination = correlation > 0
+      ? LOGISTIC_SCALE * correlation / Math.sqrt(1 - correlation * correlation)
+      : adaptiveConfig.minDiscrimination;
+
+    return {
+      difficulty: Math.log((1 - correctShare) / correctShare),
+      discrimination: Math.min(Math.max(discrimination, adaptiveConfig.minDiscrimination), adaptiveConfig.maxDiscrimination)
+    };
+  }
+
+  /**
+   * Recalibrate every question with enough graded responses
+   * Runs as a scheduled job
+   * @returns {Promise<number>} Number of questions calibrated
+   */
+  async calibrateQuestions() {
+    const totals = await UserQuizAnswer.findAll({
+      where: { isCorrect: { [Op.ne]: null } },
+      attributes: [
+        'questionId',
+        [sequelize.fn('COUNT', sequelize.col('UserQuizAnswer.id')), 'responses'],
+        [sequelize.fn('SUM', sequelize.literal('CASE WHEN `UserQuizAnswer`.`is_correct` THEN 1 ELSE 0 END')), 'correct'],
+        [sequelize.fn('SUM', sequelize.col('attempt.percentage_score')), 'scoreSum'],
+        [sequelize.fn('SUM', sequelize.literal('`attempt`.`percentage_score` * `attempt`.`percentage_score`')), 'scoreSquareSum'],
+        [
+          sequelize.fn('SUM', sequelize.literal('CASE WHEN `UserQuizAnswer`.`is_correct` THEN `attempt`.`percentage_score` ELSE 0 END')),
+          'correctScoreSum'
+        ]
+      ],
+      include: [
+        {
+          model: QuizAttempt,
+          as: 'attempt',
+          attributes: [],
+          where: {
+            status: { [Op.ne]: 'in_progress' },
+            percentageScore: { [Op.ne]: null }
+          }
+        }
+      ],
+      group: ['questionId'],
+      raw: true
+    });
+
+    const calibratedAt = new Date();
+    let calibrated = 0;
+
+    for (const questionTotals of totals) {
+      if (Number(questionTotals.responses) < adaptiveConfig.minResponses) {
+        continue;
+      }
+
+      const { difficulty, discrimination } = this.estimateParameters(questionTotals);
+
+      await QuizQuestion.update({
+        irtDifficulty: difficulty,
+        irtDiscrimination: discrimination,
+        calibrationResponses: Number(questionTotals.responses),
+        calibratedAt
+      }, {
+        where: { id: questionTotals.questionId }
+      });
+      calibrated++;
+    }
+
+    return calibrated;
+  }
+}
+
+module.exports = new CalibrationService();
\ No newline at end of file
@@ -0,0 +1,309 @@
+const { Op } = require('sequelize');
+const { Course, DppPlan, Enrollment, Quiz, QuizAttempt, QuizQuestionLink, sequelize } = require('../models');
+const practiceService = require('./practice.service');
+const dppConfig = require('../config/dpp.config');
+
+// Roles that can open any DPP set
+const STAFF_ROLES = ['instructor', 'admin'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Daily practice problems (DPPs): each morning a set of questions from the
+ * configured chapters of a course is published as a mock test, due a
+ * number of hours later
+ */
+class DppService {
+  /**
+   * Validate a DPP plan
+   * @param {Object} data - Plan fields, merged with the saved ones on update
+   * @returns {string|null} Error message, or null when the plan is valid
+   */
+  validatePlan(data) {
+    const { syllabusNodeIds, difficulties, questionCount, dueHours, timeLimit, correctMarks, negativeMarks } = data;
+
+    if (!Array.isArray(syllabusNodeIds) || syllabusNodeIds.length === 0) {
+      return 'syllabusNodeIds must be a non-empty array of chapters';
+    }
+
+    if (difficulties !== undefined && !Array.isArray(difficulties)) {
+      return 'difficulties must be an array';
+    }
+
+    const count = Number(questionCount);
+    if (!Number.isInteger(count) || count < 1 || count > dppConfig.maxQuestions) {
+      return `questionCount must be between 1 and ${dppConfig.maxQuestions}`;
+    }
+
+    if (!(Number.isInteger(Number(dueHours)) && Number(dueHours) > 0)) {
+      return 'dueHours must be a positive number of hours';
+    }
+
+    if (timeLimit !== undefined && timeLimit !== null && !(Number.isInteger(Number(timeLimit)) && Number(timeLimit) > 0)) {
+      return 'timeLimit must be a positive number of minutes';
+    }
+
+    for (const [field, value] of [['correctMarks', correctMarks], ['negativeMarks', negativeMarks]]) {
+      if (value !== undefined && value !== null && !(Number.isInteger(Number(value)) && Number(value) >= 0)) {
+        return `${field} must be a non-negative integer`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the day a time falls on in the timezone sets are published in
+   * @param {Date} time - Time
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  getDay(time) {
+    return time.toLocaleDateString('en-CA', { timeZone: dppConfig.timezone });
+  }
+
+  /**
+   * Get the IDs of questions used by the recent sets of a plan
+   * @param {number} planId - DPP plan ID
+   * @param {Date} since - Start of the period that counts as recent
+   * @returns {Promise<Array<number>>} Question IDs
+   */
+  async getRecentQuestionIds(planId, since) {
+    const links = await QuizQuestionLink.findAll({
+      attributes: ['questionId'],
+      include: [
+        {
+          model: Quiz,
+          as: 'quiz',
+          attributes: [],
+          where: {
+            dppPlanId: planId,
+            createdAt: { [Op.gte]: since }
+          }
+        }
+      ]
+    });
+
+    return [...new Set(links.map(link => link.questionId))];
+  }
+
+  /**
+   * Publish a set for a plan
+   * Questions are drawn from the plan's chapters, leaving out those used by
+   * the plan's sets in the last recentDays days and those of scheduled mock
+   * tests whose window has not ended, as for practice tests
+   * @param {Object} plan - DPP plan with its course
+   * @param {Date} [publishedAt] - Time of publishing
+   * @returns {Promise<Object|null>} Published set, or null when no unused questions are left
+   */
+  async publishSet(plan, publishedAt = new Date()) {
+    const recentIds = new Set(await this.getRecentQuestionIds(plan.id, new Date(publishedAt.getTime() - dppConfig.recentDays * DAY_MS)));
+    const candidates = await practiceService.findCandidates(null, {
+      syllabusNodeIds: plan.syllabusNodeIds,
+      difficulties: plan.difficulties,
+      includeSolved: true
+    });
+    const unused = candidates.filter(question => !recentIds.has(question.id));
+
+    if (unused.length === 0) {
+      return null;
+    }
+
+    const questions = practiceService.sampleQuestions(unused, plan.questionCount);
+    const transaction = await sequelize.transaction();
+
+    try {
+      const set = await Quiz.create({
+        lessonId: null, // DPP sets run through the mock test attempt flow
+        dppPlanId: plan.id,
+        title: `DPP ${this.getDay(publishedAt)} - ${plan.course.title}`,
+        timeLimit: plan.timeLimit || Math.ceil(questions.length * dppConfig.minutesPerQuestion),
+        correctMarks: plan.correctMarks,
+        negativeMarks: plan.negativeMarks,
+        answerReleasePolicy: 'immediate',
+        dueAt: new Date(publishedAt.getTime() + plan.dueHours * HOUR_MS)
+      }, { transaction });
+
+      await QuizQuestionLink.bulkCreate(
+        questions.map((question, index) => ({
+          quizId: set.id,
+          questionId: question.id,
+          position: index
+        })),
+        { transaction }
+      );
+
+      await plan.update({ lastPublishedAt: publishedAt }, { transaction });
+
+      await transaction.commit();
+      return set;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Publish today's set for every active plan that does not have one yet
+   * Runs as a scheduled job; a plan that fails does not stop the others
+   * @returns {Promise<Object>} { published, skipped, failed } plan counts and
+   *   the errors of the failed plans
+   */
+  async publishDailySets() {
+    const now = new Date();
+    const today = this.getDay(now);
+    const plans = await DppPlan.findAll({
+      where: { isActive: true },
+      include: [
+        {
+          model: Course,
+          as: 'course',
+          attributes: ['id', 'title']
+        }
+      ]
+    });
+    const counts = { published: 0, skipped: 0, failed: 0, errors: [] };
+
+    for (const plan of plans) {
+      if (plan.lastPublishedAt && this.getDay(plan.lastPublishedAt) === today) {
+        counts.skipped++;
+        continue;
+      }
+
+      try {
+        const set = await this.publishSet(plan, now);
+
+        if (set) {
+          counts.published++;
+        } else {
+          counts.failed++;
+          counts.errors.push(`DPP plan ${plan.id} has no unused questions left in its chapters`);
+        }
+      } catch (error) {
+        counts.failed++;
+        counts.errors.push(`DPP plan ${plan.id} could not be published: ${error.message}`);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Get the recent sets of the courses a student is enrolled in, split into
+   * pending and completed
+   * A set is completed once the student has submitted an attempt at it
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { pending, completed }
+   */
+  async getUserSets(userId) {
+    const enrollments = await Enrollment.findAll({
+      where: { userId },
+      attributes: ['courseId']
+    });
+
+    if (enrollments.length === 0) {
+      return { pending: [], completed: [] };
+    }
+
+    const sets = await Quiz.findAll({
+      where: { createdAt: { [Op.gte]: new Date(Date.now() - dppConfig.listDays * DAY_MS) } },
+      attributes: ['id', 'title', 'timeLimit', 'correctMarks', 'negativeMarks', 'dueAt', 'createdAt'],
+      include: [
+        {
+          model: DppPlan,
+          as: 'dppPlan',
+          attributes: ['id', 'courseId'],
+          where: { courseId: enrollments.map(enrollment => enrollment.courseId) },
+          include: [
+            {
+              model: Course,
+              as: 'course',
+              attributes: ['id', 'title']
+            }
+          ]
+        },
+        {
+          model: QuizAttempt,
+          as: 'attempts',
+          attributes: ['id', 'status', 'score', 'maxScore', 'percentageScore', 'startedAt', 'completedAt'],
+          where: { userId },
+          required: false
+        }
+      ],
+      order: [['dueAt', 'ASC'], [{ model: QuizAttempt, as: 'attempts' }, 'startedAt', 'DESC']]
+    });
+
+    const questionCounts = await QuizQuestionLink.count({
+      where: { quizId: sets.map(set => set.id) },
+      group: ['quizId']
+    });
+    const countsByQuiz = new Map(questionCounts.map(row => [row.quizId, row.count]));
+    const now = new Date();
+    const pending = [];
+    const completed = [];
+
+    for (const set of sets) {
+      const { dppPlan, attempts, ...data } = set.toJSON();
+      // Attempts are latest first, so the last submitted one is the first submission
+      const submitted = attempts.filter(attempt => attempt.status !== 'in_progress').pop();
+      const summary = {
+        ...data,
+        course: dppPlan.course,
+        questionCount: countsByQuiz.get(set.id) || 0,
+        attempts
+      };
+
+      if (submitted) {
+        completed.push({ ...summary, submittedLate: new Date(submitted.completedAt) > new Date(set.dueAt) });
+      } else {
+        pending.push({ ...summary, overdue: now > new Date(set.dueAt) });
+      }
+    }
+
+    // Latest completed sets first
+    completed.reverse();
+
+    return { pending, completed };
+  }
+
+  /**
+   * Check whether a user may open a mock test that may be a DPP set
+   * DPP sets are only open to students enrolled in the course of their plan
+   * @param {Object} quiz - Mock test with its dppPlanId
+   * @param {number} [userId] - ID of the viewer
+   * @param {string} [userRole] - Role of the viewer
+   * @returns {Promise<boolean>} True when the test is not a DPP set or the viewer may open it
+   */
+  async canAccessSet(quiz, userId, userRole) {
+    if (!quiz.dppPlanId || STAFF_ROLES.includes(userRole)) {
+      return true;
+    }
+
+    if (!userId) {
+      return false;
+    }
+
+    const plan = await DppPlan.findByPk(quiz.dppPlanId, { attributes: ['id', 'courseId'] });
+
+    return Boolean(plan && await Enrollment.findOne({ where: { userId, courseId: plan.courseId } }));
+  }
+
+  /**
+   * Load a plan with its course and chapters
+   * @param {number} planId - DPP plan ID
+   * @returns {Promise<Object|null>} Plan
+   */
+  async findPlan(planId) {
+    return DppPlan.findByPk(planId, {
+      include: [
+        {
+          model: Course,
+          as: 'course',
+          attributes: ['id', 'title']
+        }
+      ]
+    });
+  }
+}
+
+module.exports = new DppService();
\ No newline at end of file
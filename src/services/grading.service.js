@@ -0,0 +1,504 @@
+// Absorbs floating point noise when comparing numerical answers
+const NUMERIC_EPSILON = 1e-9;
+
+/**
+ * Grading rules shared by quiz and mock test submissions
+ */
+class GradingService {
+  /**
+   * Resolve the marking scheme that applies to a question
+   * Question overrides win over the quiz scheme, and correct marks
+   * fall back to the question points when no scheme is configured
+   * @param {Object} quiz - Quiz the question is graded in
+   * @param {Object} question - Question being graded
+   * @returns {Object} Marks for correct, wrong and unattempted answers
+   */
+  getMarkingScheme(quiz, question) {
+    return {
+      correctMarks: this.firstDefined(question.correctMarks, quiz.correctMarks, question.points),
+      negativeMarks: this.firstDefined(question.negativeMarks, quiz.negativeMarks, 0),
+      unattemptedMarks: this.firstDefined(quiz.unattemptedMarks, 0)
+    };
+  }
+
+  /**
+   * Check whether a submitted response actually answers the question
+   * @param {Object} question - Question being graded
+   * @param {Object} response - Submitted response ({ answerId, answerIds, textAnswer, matches })
+   * @returns {boolean} True if the question was attempted
+   */
+  isAttempted(question, response) {
+    if (!response) {
+      return false;
+    }
+
+    if (this.isTextQuestion(question)) {
+      return this.getTextAnswer(response) !== null;
+    }
+
+    if (question.questionType === 'matrix_match' && this.hasMatches(response)) {
+      return true;
+    }
+
+    return this.getSelectedAnswerIds(response).length > 0;
+  }
+
+  /**
+   * Check whether a question is answered with free text rather than options
+   * @param {Object} question - Question being graded
+   * @returns {boolean} True for fill in the blank and numerical questions
+   */
+  isTextQuestion(question) {
+    return question.questionType === 'fill_blank' || question.questionType === 'numerical';
+  }
+
+  /**
+   * Read the free-text part of a response
+   * @param {Object} response - Submitted response
+   * @returns {string|null} Trimmed text answer, or null when empty
+   */
+  getTextAnswer(response) {
+    if (!response || response.textAnswer === undefined || response.textAnswer === null) {
+      return null;
+    }
+
+    const text = String(response.textAnswer).trim();
+    return text.length > 0 ? text : null;
+  }
+
+  /**
+   * Normalise a List-I to List-II mapping to { key: [sorted keys] }
+   * @param {Object} mapping - Mapping such as { P: ['1', '3'], Q: '2' }
+   * @returns {Object} Normalised mapping without empty rows
+   */
+  normalizeMapping(mapping) {
+    const normalized = {};
+
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return normalized;
+    }
+
+    for (const [leftKey, rightKeys] of Object.entries(mapping)) {
+      const keys = (Array.isArray(rightKeys) ? rightKeys : [rightKeys])
+        .filter(key => key !== undefined && key !== null && key !== '')
+        .map(key => String(key));
+
+      if (keys.length > 0) {
+        normalized[String(leftKey)] = [...new Set(keys)].sort();
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Check whether a response carries matrix-match pairs
+   * @param {Object} response - Submitted response
+   * @returns {boolean} True if at least one List-I item was matched
+   */
+  hasMatches(response) {
+    return Boolean(response) && Object.keys(this.normalizeMapping(response.matches)).length > 0;
+  }
+
+  /**
+   * Collect the answer IDs selected in a response
+   * Accepts both a single answerId and an answerIds array
+   * @param {Object} response - Submitted response
+   * @returns {Array<number>} Unique selected answer IDs
+   */
+  getSelectedAnswerIds(response) {
+    const ids = Array.isArray(response.answerIds) ? [...response.answerIds] : [];
+
+    if (response.answerId !== undefined && response.answerId !== null && response.answerId !== '') {
+      ids.push(response.answerId);
+    }
+
+    return [...new Set(ids.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+  }
+
+  /**
+   * Grade a multi-correct response
+   * All correct options earn full marks, any wrong option earns the penalty,
+   * and a subset of correct options earns per-option credit when the quiz
+   * uses partial marking (JEE Advanced rules)
+   * @param {Object} quiz - Quiz the question is graded in
+   * @param {Object} question - Question with its answers loaded
+   * @param {Object} response - Submitted response
+   * @returns {Object} { isCorrect, pointsEarned }
+   */
+  gradeMultipleChoice(quiz, question, response) {
+    const scheme = this.getMarkingScheme(quiz, question);
+    const selectedIds = this.getSelectedAnswerIds(response);
+    const correctIds = question.answers.filter(a => a.isCorrect).map(a => a.id);
+    const wrongSelection = selectedIds.some(id => !correctIds.includes(id));
+
+    if (!wrongSelection && selectedIds.length === correctIds.length) {
+      return { isCorrect: true, pointsEarned: scheme.correctMarks };
+    }
+
+    if (!wrongSelection && quiz.partialMarking === 'per_correct_option') {
+      return {
+        isCorrect: false,
+        pointsEarned: selectedIds.length * this.firstDefined(quiz.partialMarksPerOption, 1)
+      };
+    }
+
+    return { isCorrect: false, pointsEarned: -scheme.negativeMarks };
+  }
+
+  /**
+   * Grade a matrix-match response given as List-I to List-II pairs
+   * A List-I item counts as matched when its selected List-II items are
+   * exactly the correct ones. With marksPerPair set on the question, each
+   * matched item earns that credit and nothing is deducted; otherwise the
+   * question is all or nothing
+   * @param {Object} quiz - Quiz the question is graded in
+   * @param {Object} question - Question with its answers loaded
+   * @param {Object} response - Submitted response with matches
+   * @returns {Object} { isCorrect, pointsEarned }
+   */
+  gradeMatrixMatch(quiz, question, response) {
+    const scheme = this.getMarkingScheme(quiz, question);
+    const keyAnswer = question.answers.find(a => a.isCorrect && a.matchMapping);
+    const correctMapping = this.normalizeMapping(keyAnswer ? keyAnswer.matchMapping : null);
+    const responseMapping = this.normalizeMapping(response.matches);
+    const leftKeys = (question.matrixLeft || []).map(item => String(item.key));
+
+    let matchedPairs = 0;
+    for (const leftKey of leftKeys) {
+      const expected = (correctMapping[leftKey] || []).join(',');
+      const actual = (responseMapping[leftKey] || []).join(',');
+
+      if (expected === actual) {
+        matchedPairs++;
+      }
+    }
+
+    if (leftKeys.length > 0 && matchedPairs === leftKeys.length) {
+      return { isCorrect: true, pointsEarned: scheme.correctMarks };
+    }
+
+    if (question.marksPerPair !== null && question.marksPerPair !== undefined) {
+      return { isCorrect: false, pointsEarned: matchedPairs * question.marksPerPair };
+    }
+
+    return { isCorrect: false, pointsEarned: -scheme.negativeMarks };
+  }
+
+  /**
+   * Check a numerical response against the accepted values
+   * "2.350" equals "2.35", and a value counts as correct when it falls in
+   * the stored range or within the tolerance of the exact value
+   * @param {Object} question - Question with its answers loaded
+   * @param {Object} response - Submitted response
+   * @returns {boolean} True if the response is numerically correct
+   */
+  isCorrectNumerical(question, response) {
+    const value = this.parseNumber(this.getTextAnswer(response));
+
+    if (value === null) {
+      return false;
+    }
+
+    return question.answers
+      .filter(a => a.isCorrect)
+      .some(answer => {
+        const rounded = answer.decimalPrecision !== null && answer.decimalPrecision !== undefined
+          ? Number(value.toFixed(answer.decimalPrecision))
+          : value;
+
+        if (answer.rangeMin !== null && answer.rangeMin !== undefined &&
+            answer.rangeMax !== null && answer.rangeMax !== undefined) {
+          return rounded >= answer.rangeMin - NUMERIC_EPSILON && rounded <= answer.rangeMax + NUMERIC_EPSILON;
+        }
+
+        const exact = this.parseNumber(this.firstDefined(answer.numericValue, answer.answerText));
+        if (exact === null) {
+          return false;
+        }
+
+        return Math.abs(rounded - exact) <= (answer.tolerance || 0) + NUMERIC_EPSILON;
+      });
+  }
+
+  /**
+   * Check whether an attempted response is correct
+   * @param {Object} question - Question with its answers loaded
+   * @param {Object} response - Submitted response
+   * @returns {boolean} True if the response is correct
+   */
+  isCorrectResponse(question, response) {
+    if (question.questionType === 'numerical') {
+      return this.isCorrectNumerical(question, response);
+    }
+
+    if (question.questionType === 'fill_blank') {
+      // For fill in the blank, check if text answer matches any correct answer
+      const correctAnswers = question.answers
+        .filter(a => a.isCorrect)
+        .map(a => a.answerText.toLowerCase().trim());
+
+      return correctAnswers.includes(this.getTextAnswer(response).toLowerCase());
+    }
+
+    // For single answer questions (including assertion-reason and option-style
+    // matrix-match), check if the only selected answer is correct
+    const selectedIds = this.getSelectedAnswerIds(response);
+    const selectedAnswer = question.answers.find(a => a.id === selectedIds[0]);
+    return Boolean(selectedIds.length === 1 && selectedAnswer && selectedAnswer.isCorrect);
+  }
+
+  /**
+   * Grade a single response against a question
+   * @param {Object} quiz - Quiz the question is graded in
+   * @param {Object} question - Question with its answers loaded
+   * @param {Object} response - Submitted response (may be undefined)
+   * @returns {Object} { attempted, isCorrect, pointsEarned }
+   */
+  gradeResponse(quiz, question, response) {
+    const scheme = this.getMarkingScheme(quiz, question);
+
+    if (!this.isAttempted(question, response)) {
+      return {
+        attempted: false,
+        isCorrect: null,
+        pointsEarned: scheme.unattemptedMarks
+      };
+    }
+
+    if (question.questionType === 'multiple_choice') {
+      return { attempted: true, ...this.gradeMultipleChoice(quiz, question, response) };
+    }
+
+    // Matrix-match questions are graded pair by pair unless an option was picked
+    if (question.questionType === 'matrix_match' && this.hasMatches(response)) {
+      return { attempted: true, ...this.gradeMatrixMatch(quiz, question, response) };
+    }
+
+    const isCorrect = this.isCorrectResponse(question, response);
+
+    return {
+      attempted: true,
+      isCorrect,
+      pointsEarned: isCorrect ? scheme.correctMarks : -scheme.negativeMarks
+    };
+  }
+
+  /**
+   * Read the section a question appears in within the quiz being graded
+   * @param {Object} question - Question loaded through its quiz link
+   * @returns {number|null} Section ID
+   */
+  getSectionId(question) {
+    const link = question.QuizQuestionLink;
+    return (link ? link.sectionId : question.sectionId) || null;
+  }
+
+  /**
+   * Read the answer key status of a question within the quiz being graded
+   * @param {Object} question - Question loaded through its quiz link
+   * @returns {string} active, dropped or awarded
+   */
+  getKeyStatus(question) {
+    const link = question.QuizQuestionLink;
+    return (link && link.keyStatus) || 'active';
+  }
+
+  /**
+   * Apply an answer key correction to a graded question
+   * A dropped question is left out of the score and the maximum score;
+   * an awarded question gives full marks to everyone who attempted it
+   * @param {Object} grade - Grade of the question
+   * @param {string} keyStatus - Answer key status of the question
+   * @returns {Object} Corrected grade
+   */
+  applyKeyStatus(grade, keyStatus) {
+    if (keyStatus === 'dropped') {
+      return { ...grade, pointsEarned: 0, maxMarks: 0, countedInScore: false };
+    }
+
+    if (keyStatus === 'awarded' && grade.attempted) {
+      return { ...grade, isCorrect: true, pointsEarned: grade.maxMarks };
+    }
+
+    return grade;
+  }
+
+  /**
+   * Merge the marking settings of a section over those of its quiz
+   * The result is graded like a quiz, so the grading rules need no
+   * knowledge of sections
+   * @param {Object} quiz - Quiz being graded
+   * @param {Object} [section] - Section the question belongs to
+   * @returns {Object} Marking settings for the section
+   */
+  getGradingScope(quiz, section) {
+    if (!section) {
+      return quiz;
+    }
+
+    return {
+      correctMarks: this.firstDefined(section.correctMarks, quiz.correctMarks),
+      negativeMarks: this.firstDefined(section.negativeMarks, quiz.negativeMarks),
+      unattemptedMarks: this.firstDefined(section.unattemptedMarks, quiz.unattemptedMarks),
+      partialMarking: this.firstDefined(section.partialMarking, quiz.partialMarking),
+      partialMarksPerOption: this.firstDefined(section.partialMarksPerOption, quiz.partialMarksPerOption)
+    };
+  }
+
+  /**
+   * Grade a full set of responses for a quiz
+   * Every question of the quiz counts towards the maximum score,
+   * including the ones the student left out of the submission.
+   * Sections with an attempt limit only count their best N attempted answers
+   * @param {Object} quiz - Quiz with questions, answers and sections loaded
+   * @param {Array} responses - Submitted responses ({ questionId, ... })
+   * @returns {Object} Graded answers, attempt totals and section results
+   */
+  gradeAttempt(quiz, responses) {
+    const responsesByQuestion = new Map();
+
+    for (const response of responses) {
+      const questionId = parseInt(response.questionId);
+      if (!responsesByQuestion.has(questionId)) {
+        responsesByQuestion.set(questionId, response);
+      }
+    }
+
+    const sections = [...(quiz.sections || [])].sort((a, b) => a.position - b.position);
+    const sectionsById = new Map(sections.map(section => [section.id, section]));
+
+    const grades = quiz.questions.map(question => {
+      const section = sectionsById.get(this.getSectionId(question)) || null;
+      const scope = this.getGradingScope(quiz, section);
+      const response = responsesByQuestion.get(question.id);
+
+      return this.applyKeyStatus({
+        question,
+        response,
+        section,
+        maxMarks: this.getMarkingScheme(scope, question).correctMarks,
+        countedInScore: true,
+        ...this.gradeResponse(scope, question, response)
+      }, this.getKeyStatus(question));
+    });
+
+    for (const section of sections) {
+      if (section.attemptLimit) {
+        this.applyAttemptLimit(section, grades.filter(grade => grade.section === section));
+      }
+    }
+
+    const totals = this.summarizeGrades(grades);
+
+    // Percentage is signed, so heavy negative marking can push it below zero
+    const percentageScore = totals.maxScore > 0 ? (totals.score / totals.maxScore) * 100 : 0;
+    const passed = quiz.passingScore ? percentageScore >= quiz.passingScore : true;
+
+    const sectionResults = sections.map(section => ({
+      sectionId: section.id,
+      title: section.title,
+      subject: section.subject,
+      ...this.summarizeGrades(grades.filter(grade => grade.section === section))
+    }));
+
+    return {
+      // Questions that were never sent are scored but not stored
+      gradedAnswers: grades
+        .filter(grade => grade.response)
+        .map(({ question, response, attempted, isCorrect, pointsEarned, countedInScore }) => ({
+          question, response, attempted, isCorrect, pointsEarned, countedInScore
+        })),
+      ...totals,
+      percentageScore,
+      passed,
+      sectionResults
+    };
+  }
+
+  /**
+   * Apply an "attempt any N of M" rule to the grades of a section
+   * Only the N best attempted answers count, the rest earn nothing.
+   * The maximum score of the section becomes the N highest question marks
+   * @param {Object} section - Section with attemptLimit set
+   * @param {Array} grades - Grades of the questions in the section
+   */
+  applyAttemptLimit(section, grades) {
+    grades
+      .filter(grade => grade.attempted && grade.countedInScore)
+      .sort((a, b) => b.pointsEarned - a.pointsEarned)
+      .slice(section.attemptLimit)
+      .forEach(grade => {
+        grade.countedInScore = false;
+        grade.pointsEarned = 0;
+      });
+
+    grades
+      .sort((a, b) => b.maxMarks - a.maxMarks)
+      .slice(section.attemptLimit)
+      .forEach(grade => {
+        grade.maxMarks = 0;
+      });
+  }
+
+  /**
+   * Total the marks and outcome counts of a set of grades
+   * @param {Array} grades - Question grades
+   * @returns {Object} Score, maximum score and counts per outcome
+   */
+  summarizeGrades(grades) {
+    const totals = {
+      score: 0,
+      maxScore: 0,
+      correctCount: 0,
+      partialCount: 0,
+      incorrectCount: 0,
+      unattemptedCount: 0
+    };
+
+    for (const grade of grades) {
+      totals.score += grade.pointsEarned;
+      totals.maxScore += grade.maxMarks;
+
+      if (!grade.attempted) {
+        totals.unattemptedCount++;
+      } else if (grade.isCorrect) {
+        totals.correctCount++;
+      } else if (grade.pointsEarned > 0) {
+        totals.partialCount++;
+      } else {
+        totals.incorrectCount++;
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Parse a finite number from a number or numeric string
+   * @param {*} value - Value to parse
+   * @returns {number|null} Parsed number, or null when the value is not numeric
+   */
+  parseNumber(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+
+    if (typeof value !== 'string' || !/^\s*[+-]?(\d+\.?\d*|\.\d+)\s*$/.test(value)) {
+      return null;
+    }
+
+    return parseFloat(value);
+  }
+
+  /**
+   * Return the first value that is neither null nor undefined
+   * @param {...*} values - Candidate values
+   * @returns {*} First defined value
+   */
+  firstDefined(...values) {
+    return values.find(value => value !== null && value !== undefined);
+  }
+}
+
+module.exports = new GradingService();
\ No newline at end of file
@@ -0,0 +1,279 @@
+const { Op } = require('sequelize');
+const { MistakeEntry, Quiz, QuizAnswer, QuizAttempt, QuizQuestion, UserQuizAnswer, sequelize } = require('../models');
+const attemptService = require('./attempt.service');
+const mistakeConfig = require('../config/mistake.config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 constants: reviews rated below PASSING_QUALITY start the schedule over
+const PASSING_QUALITY = 3;
+const MIN_EASE_FACTOR = 1.3;
+const SECOND_INTERVAL_DAYS = 6;
+
+/**
+ * Mistake notebook: questions a student answered wrongly or marked for
+ * review, revised on an SM-2 spaced-repetition schedule
+ */
+class MistakeService {
+  /**
+   * Validate and clean up the tags of an entry
+   * @param {Array} tags - Tags from the request
+   * @returns {Object} { tags } when valid, { error } otherwise
+   */
+  normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'tags must be an array of strings' };
+    }
+
+    const normalized = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+
+    if (normalized.length > mistakeConfig.maxTags) {
+      return { error: `An entry can have at most ${mistakeConfig.maxTags} tags` };
+    }
+
+    if (normalized.some(tag => tag.length > mistakeConfig.maxTagLength)) {
+      return { error: `Tags can be at most ${mistakeConfig.maxTagLength} characters long` };
+    }
+
+    return { tags: normalized };
+  }
+
+  /**
+   * Add the mistakes of a student's finished attempts to their notebook
+   * Attempts are collected once their results are released, so the notebook
+   * never reveals results of a scheduled mock test early. A question
+   * answered wrongly again starts its revision schedule over
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of attempts collected
+   */
+  async collectMistakes(userId) {
+    const attempts = await QuizAttempt.findAll({
+      where: {
+        userId,
+        status: { [Op.ne]: 'in_progress' },
+        mistakesCollectedAt: null
+      },
+      attributes: ['id', 'quizId', 'completedAt'],
+      include: [
+        {
+          model: Quiz,
+          as: 'quiz',
+          attributes: ['id', 'startsAt', 'endsAt']
+        }
+      ],
+      order: [['completedAt', 'ASC']]
+    });
+    const released = attempts.filter(attempt => attemptService.areResultsReleased(attempt.quiz));
+
+    if (released.length === 0) {
+      return 0;
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      for (const attempt of released) {
+        await this.collectAttempt(userId, attempt, transaction);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return released.length;
+  }
+
+  /**
+   * Add the wrong and marked-for-review answers of one attempt to the notebook
+   * @param {number} userId - User ID
+   * @param {Object} attempt - Finished attempt
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async collectAttempt(userId, attempt, transaction) {
+    // Claim the attempt first so concurrent requests collect it only once
+    const [claimed] = await QuizAttempt.update(
+      { mistakesCollectedAt: new Date() },
+      { where: { id: attempt.id, mistakesCollectedAt: null }, transaction }
+    );
+
+    if (claimed === 0) {
+      return;
+    }
+
+    const userAnswers = await UserQuizAnswer.findAll({
+      where: {
+        attemptId: attempt.id,
+        [Op.or]: [{ isCorrect: false }, { markedForReview: true }]
+      },
+      attributes: ['questionId', 'isCorrect', 'markedForReview'],
+      transaction
+    });
+    const entries = await MistakeEntry.findAll({
+      where: { userId, questionId: userAnswers.map(userAnswer => userAnswer.questionId) },
+      transaction
+    });
+    const entriesByQuestion = new Map(entries.map(entry => [entry.questionId, entry]));
+    const dueAt = new Date(Date.now() + mistakeConfig.firstReviewDelayDays * DAY_MS);
+
+    for (const userAnswer of userAnswers) {
+      const entry = entriesByQuestion.get(userAnswer.questionId);
+      const incorrect = userAnswer.isCorrect === false;
+
+      if (!entry) {
+        await MistakeEntry.create({
+          userId,
+          questionId: userAnswer.questionId,
+          attemptId: attempt.id,
+          source: incorrect ? 'incorrect' : 'marked_for_review',
+          dueAt
+        }, { transaction });
+      } else if (incorrect) {
+        await entry.update({
+          attemptId: attempt.id,
+          source: 'incorrect',
+          repetitions: 0,
+          intervalDays: 0,
+          dueAt
+        }, { transaction });
+      }
+    }
+  }
+
+  /**
+   * Apply a review to the SM-2 schedule of an entry
+   * @param {Object} entry - Notebook entry
+   * @param {number} quality - Recall quality from 0 (blackout) to 5 (perfect)
+   * @param {Date} [reviewedAt] - Time of the review
+   * @returns {Object} { easeFactor, intervalDays, repetitions, dueAt }
+   */
+  schedule(entry, quality, reviewedAt = new Date()) {
+    let intervalDays;
+    let repetitions;
+
+    if (quality < PASSING_QUALITY) {
+      repetitions = 0;
+      intervalDays = 1;
+    } else {
+      repetitions = entry.repetitions + 1;
+      intervalDays = repetitions === 1
+        ? 1
+        : repetitions === 2 ? SECOND_INTERVAL_DAYS : Math.round(entry.intervalDays * entry.easeFactor);
+    }
+
+    const easeFactor = Math.max(
+      MIN_EASE_FACTOR,
+      entry.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    return {
+      easeFactor,
+      intervalDays,
+      repetitions,
+      dueAt: new Date(reviewedAt.getTime() + intervalDays * DAY_MS)
+    };
+  }
+
+  /**
+   * Record the outcome of revising an entry
+   * @param {Object} entry - Notebook entry
+   * @param {number} quality - Recall quality from 0 to 5
+   * @returns {Promise<Object>} Updated entry
+   */
+  async recordReview(entry, quality) {
+    const reviewedAt = new Date();
+
+    return entry.update({
+      ...this.schedule(entry, quality, reviewedAt),
+      reviewCount: entry.reviewCount + 1,
+      lastReviewedAt: reviewedAt
+    });
+  }
+
+  /**
+   * Get the end of the current day, until which entries count as due today
+   * @returns {Date} Last moment of today
+   */
+  getEndOfToday() {
+    const endOfToday = new Date();
+    endOfToday.setHours(23, 59, 59, 999);
+    return endOfToday;
+  }
+
+  /**
+   * Describe entries with their questions, the student's answer and, once
+   * the answer key of the quiz is released, the solution
+   * @param {Array} entries - Entries with their question and attempt loaded
+   * @returns {Promise<Array>} Plain entries
+   */
+  async describeEntries(entries) {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const userAnswers = await UserQuizAnswer.findAll({
+      where: {
+        [Op.or]: entries.map(entry => ({ attemptId: entry.attemptId, questionId: entry.questionId }))
+      },
+      attributes: ['attemptId', 'questionId', 'answerId', 'answerIds', 'textAnswer', 'matchResponse']
+    });
+    const answersByKey = new Map(userAnswers.map(userAnswer => [`${userAnswer.attemptId}-${userAnswer.questionId}`, userAnswer]));
+
+    return entries.map(entry => {
+      const { question, attempt, ...data } = entry.toJSON();
+      const userAnswer = answersByKey.get(`${entry.attemptId}-${entry.questionId}`);
+      const answersReleased = attemptService.areAnswersReleased(attempt.quiz);
+
+      return {
+        ...data,
+        quiz: { id: attempt.quiz.id, title: attempt.quiz.title },
+        question: attemptService.redactQuestion(question),
+        userAnswer: userAnswer
+          ? {
+            answerId: userAnswer.answerId,
+            answerIds: userAnswer.answerIds,
+            textAnswer: userAnswer.textAnswer,
+            matchResponse: userAnswer.matchResponse
+          }
+          : null,
+        solution: answersReleased
+          ? { explanation: question.explanation, answers: question.answers }
+          : null
+      };
+    });
+  }
+
+  /**
+   * Associations loaded with entries to describe them
+   * @returns {Array} Sequelize include options
+   */
+  getEntryInclude() {
+    return [
+      {
+        model: QuizQuestion,
+        as: 'question',
+        include: [
+          {
+            model: QuizAnswer,
+            as: 'answers'
+          }
+        ]
+      },
+      {
+        model: QuizAttempt,
+        as: 'attempt',
+        attributes: ['id', 'quizId', 'completedAt'],
+        include: [
+          {
+            model: Quiz,
+            as: 'quiz',
+            attributes: ['id', 'title', 'answerReleasePolicy', 'startsAt', 'endsAt']
+          }
+        ]
+      }
+    ];
+  }
+}
+
+module.exports = new MistakeService();
\ No newline at end of file
@@ -0,0 +1,235 @@
+const { Op } = require('sequelize');
+const { Quiz, QuizQuestion, QuizQuestionLink, QuizAttempt, QuestionSyllabusTag, UserQuizAnswer } = require('../models');
+const syllabusService = require('./syllabus.service');
+const testWindowService = require('./testWindow.service');
+const practiceConfig = require('../config/practice.config');
+
+// Filters a practice test can be generated from; each is a list of values
+const FILTER_FIELDS = ['subjects', 'syllabusNodeIds', 'difficulties', 'questionTypes'];
+
+/**
+ * Custom practice tests: personal quizzes sampled from the questions of
+ * existing quizzes and mock tests. They run through the mock test attempt
+ * flow and are only visible to the student who generated them
+ */
+class PracticeService {
+  /**
+   * Validate a practice test request
+   * @param {Object} data - Request payload
+   * @returns {string|null} Error message, or null when the payload is valid
+   */
+  validateRequest(data) {
+    const { questionCount, timeLimit, correctMarks, negativeMarks } = data;
+    const count = Number(questionCount);
+
+    if (!Number.isInteger(count) || count < 1 || count > practiceConfig.maxQuestions) {
+      return `questionCount must be between 1 and ${practiceConfig.maxQuestions}`;
+    }
+
+    const invalidFilter = FILTER_FIELDS.find(field => data[field] !== undefined && !Array.isArray(data[field]));
+    if (invalidFilter) {
+      return `${invalidFilter} must be an array`;
+    }
+
+    const questionTypes = QuizQuestion.rawAttributes.questionType.values;
+    if (data.questionTypes && data.questionTypes.some(type => !questionTypes.includes(type))) {
+      return `questionTypes must be among ${questionTypes.join(', ')}`;
+    }
+
+    if (timeLimit !== undefined && timeLimit !== null && !(Number.isInteger(Number(timeLimit)) && Number(timeLimit) > 0)) {
+      return 'timeLimit must be a positive number of minutes';
+    }
+
+    for (const [field, value] of [['correctMarks', correctMarks], ['negativeMarks', negativeMarks]]) {
+      if (value !== undefined && value !== null && !(Number.isInteger(Number(value)) && Number(value) >= 0)) {
+        return `${field} must be a non-negative integer`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Restrict a quiz query to quizzes the viewer may see
+   * Practice tests are only visible to the student who generated them
+   * @param {number} [userId] - ID of the viewer
+   * @returns {Object} Where conditions on the owner
+   */
+  getVisibleWhere(userId) {
+    return userId ? { ownerId: { [Op.or]: [null, userId] } } : { ownerId: null };
+  }
+
+  /**
+   * Get the IDs of questions a student has already answered correctly
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<number>>} Question IDs
+   */
+  async getSolvedQuestionIds(userId) {
+    const userAnswers = await UserQuizAnswer.findAll({
+      where: { isCorrect: true },
+      attributes: ['questionId'],
+      include: [
+        {
+          model: QuizAttempt,
+          as: 'attempt',
+          attributes: [],
+          where: { userId }
+        }
+      ]
+    });
+
+    return [...new Set(userAnswers.map(userAnswer => userAnswer.questionId))];
+  }
+
+  /**
+   * Get the IDs of questions in scheduled mock tests that are upcoming or live
+   * Practice tests, DPP sets and adaptive sessions show the key right away,
+   * so these questions stay out of them until the window ends
+   * @returns {Promise<Array<number>>} Question IDs
+   */
+  async getWithheldQuestionIds() {
+    const links = await QuizQuestionLink.findAll({
+      attributes: ['questionId'],
+      include: [
+        {
+          model: Quiz,
+          as: 'quiz',
+          attributes: [],
+          where: testWindowService.getUnreleasedWhere()
+        }
+      ]
+    });
+
+    return [...new Set(links.map(link => link.questionId))];
+  }
+
+  /**
+   * Find the questions a practice test can be sampled from
+   * Questions must be in use, with an active key, in a quiz or mock test
+   * that is not itself a practice test, and in no scheduled mock test whose
+   * window has not ended. Syllabus nodes match questions tagged with them
+   * or any node below them
+   * @param {number} userId - Student generating the test
+   * @param {Object} filters - Validated filters from the request
+   * @returns {Promise<Array>} Matching questions with their ID and subject
+   */
+  async findCandidates(userId, filters) {
+    const { subjects, syllabusNodeIds, difficulties, questionTypes, includeSolved } = filters;
+    const where = {};
+    const idConditions = {};
+
+    if (subjects && subjects.length > 0) {
+      where.subject = subjects;
+    }
+
+    if (difficulties && difficulties.length > 0) {
+      where.difficulty = difficulties;
+    }
+
+    if (questionTypes && questionTypes.length > 0) {
+      where.questionType = questionTypes;
+    }
+
+    if (syllabusNodeIds && syllabusNodeIds.length > 0) {
+      const tags = await QuestionSyllabusTag.findAll({
+        where: { syllabusNodeId: await syllabusService.getDescendantIds(syllabusNodeIds) },
+        attributes: ['questionId']
+      });
+      idConditions[Op.in] = [...new Set(tags.map(tag => tag.questionId))];
+    }
+
+    const excludedIds = await this.getWithheldQuestionIds();
+
+    if (!includeSolved) {
+      excludedIds.push(...await this.getSolvedQuestionIds(userId));
+    }
+
+    if (excludedIds.length > 0) {
+      idConditions[Op.notIn] = excludedIds;
+    }
+
+    if (Object.getOwnPropertySymbols(idConditions).length > 0) {
+      where.id = idConditions;
+    }
+
+    return QuizQuestion.findAll({
+      where,
+      attributes: ['id', 'subject'],
+      include: [
+        {
+          model: QuizQuestionLink,
+          as: 'quizLinks',
+          attributes: ['id'],
+          where: { keyStatus: 'active' },
+          include: [
+            {
+              model: Quiz,
+              as: 'quiz',
+              attributes: [],
+              where: { ownerId: null }
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  /**
+   * Pick questions at random, grouped by subject like a real paper
+   * @param {Array} questions - Candidate questions
+   * @param {number} count - Number of questions to pick
+   * @returns {Array} Picked questions
+   */
+  sampleQuestions(questions, count) {
+    const shuffled = [...questions];
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled
+      .slice(0, count)
+      .sort((a, b) => (a.subject || '').localeCompare(b.subject || ''));
+  }
+
+  /**
+   * Store a practice test owned by a student
+   * @param {number} userId - Student generating the test
+   * @param {Object} data - Validated request payload
+   * @param {Array} questions - Picked questions, in paper order
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} Created practice test
+   */
+  async createPracticeTest(userId, data, questions, transaction) {
+    const { title, description, timeLimit, correctMarks, negativeMarks } = data;
+    const subjects = data.subjects || [];
+    const difficulties = data.difficulties || [];
+
+    const practiceTest = await Quiz.create({
+      lessonId: null, // Practice tests run through the mock test attempt flow
+      ownerId: userId,
+      title: title || `Practice test (${questions.length} questions)`,
+      description,
+      timeLimit: timeLimit || Math.ceil(questions.length * practiceConfig.minutesPerQuestion),
+      category: subjects.length === 1 ? subjects[0] : null,
+      difficulty: difficulties.length === 1 ? difficulties[0] : null,
+      correctMarks,
+      negativeMarks: negativeMarks || 0,
+      answerReleasePolicy: 'immediate'
+    }, { transaction });
+
+    await QuizQuestionLink.bulkCreate(
+      questions.map((question, index) => ({
+        quizId: practiceTest.id,
+        questionId: question.id,
+        position: index
+      })),
+      { transaction }
+    );
+
+    return practiceTest;
+  }
+}
+
+module.exports = new PracticeService();
\ No newline at end of file
@@ -0,0 +1,449 @@
+const { Op } = require('sequelize');
+const { RankTableEntry, JosaaCutoff, sequelize } = require('../models');
+const syllabusService = require('./syllabus.service');
+const predictorConfig = require('../config/predictor.config');
+
+// Seat type of the common rank list (CRL)
+const OPEN_CATEGORY = 'OPEN';
+
+// Other names used for the common rank list in published tables
+const CATEGORY_ALIASES = {
+  CRL: OPEN_CATEGORY,
+  GEN: OPEN_CATEGORY,
+  GENERAL: OPEN_CATEGORY
+};
+
+// CSV columns of a percentile to rank table, with the headers accepted for each
+const RANK_TABLE_COLUMNS = {
+  examYear: ['year', 'exam_year'],
+  category: ['category', 'seat_type'],
+  percentile: ['percentile'],
+  rank: ['rank']
+};
+
+// CSV columns of JoSAA opening and closing ranks, named as on the JoSAA site
+const CUTOFF_COLUMNS = {
+  year: ['year'],
+  round: ['round'],
+  institute: ['institute'],
+  program: ['program', 'academic_program_name', 'branch'],
+  quota: ['quota'],
+  category: ['category', 'seat_type'],
+  gender: ['gender'],
+  openingRank: ['opening_rank'],
+  closingRank: ['closing_rank']
+};
+
+/**
+ * Rank and college predictor
+ * Percentiles are mapped to JEE Main ranks with historical percentile to
+ * rank tables, and ranks are matched against JoSAA opening and closing
+ * ranks. Both datasets are imported by admins from CSV files
+ */
+class PredictorService {
+  /**
+   * Map a category name to the JoSAA seat type
+   * @param {string} category - Category (e.g., GEN, OBC-NCL)
+   * @returns {string} Seat type, OPEN for the common rank list
+   */
+  normalizeCategory(category) {
+    const name = String(category || '').trim();
+    return CATEGORY_ALIASES[name.toUpperCase()] || name || OPEN_CATEGORY;
+  }
+
+  /**
+   * Check whether a seat type is ranked on the common rank list
+   * @param {string} category - Seat type
+   * @returns {boolean} True for OPEN seats
+   */
+  isOpenCategory(category) {
+    return category === OPEN_CATEGORY;
+  }
+
+  /**
+   * Read the rows of a CSV file with a header row
+   * @param {string} text - CSV text
+   * @param {Object} columns - Field name to accepted header names
+   * @returns {Object} { rows: [{ line, ...fields }] } or { error }
+   */
+  parseTable(text, columns) {
+    const rows = syllabusService.parseCsv(text).filter(row => row.some(cell => cell !== ''));
+
+    if (rows.length === 0) {
+      return { error: 'The CSV file is empty' };
+    }
+
+    const header = rows.shift().map(cell => cell.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+    const indexes = {};
+
+    for (const [field, names] of Object.entries(columns)) {
+      indexes[field] = header.findIndex(name => names.includes(name));
+
+      if (indexes[field] === -1) {
+        return { error: `The CSV file is missing the ${names[0]} column` };
+      }
+    }
+
+    return {
+      rows: rows.map((row, index) => Object.entries(indexes).reduce((fields, [field, column]) => {
+        fields[field] = row[column] || '';
+        return fields;
+      }, { line: index + 2 }))
+    };
+  }
+
+  /**
+   * Read a percentile to rank table from CSV
+   * @param {string} text - CSV text with year, category, percentile and rank columns
+   * @returns {Object} { entries, skipped } or { error }
+   */
+  parseRankTable(text) {
+    const { rows, error } = this.parseTable(text, RANK_TABLE_COLUMNS);
+    return error ? { error } : this.toRankTableEntries(rows);
+  }
+
+  /**
+   * Read JoSAA opening and closing ranks from CSV
+   * @param {string} text - CSV text with the columns of the JoSAA site plus year and round
+   * @returns {Object} { entries, skipped } or { error }
+   */
+  parseCutoffs(text) {
+    const { rows, error } = this.parseTable(text, CUTOFF_COLUMNS);
+    return error ? { error } : this.toCutoffEntries(rows);
+  }
+
+  /**
+   * Validate the rows of a percentile to rank table
+   * @param {Array} rows - Rows from parseTable
+   * @returns {Object} { entries, skipped: [{ line, reason }] }
+   */
+  toRankTableEntries(rows) {
+    const entries = [];
+    const skipped = [];
+
+    for (const row of rows) {
+      const examYear = parseInt(row.examYear);
+      const percentile = parseFloat(row.percentile);
+      const rank = parseInt(row.rank);
+
+      if (!examYear) {
+        skipped.push({ line: row.line, reason: 'year must be a number' });
+      } else if (isNaN(percentile) || percentile < 0 || percentile > 100) {
+        skipped.push({ line: row.line, reason: 'percentile must be between 0 and 100' });
+      } else if (!(rank > 0)) {
+        skipped.push({ line: row.line, reason: 'rank must be a positive number' });
+      } else {
+        entries.push({ examYear, category: this.normalizeCategory(row.category), percentile, rank });
+      }
+    }
+
+    return { entries, skipped };
+  }
+
+  /**
+   * Validate the rows of a JoSAA opening and closing rank table
+   * Preparatory course ranks (ending in P) are skipped, they are on a
+   * separate list
+   * @param {Array} rows - Rows from parseTable
+   * @returns {Object} { entries, skipped: [{ line, reason }] }
+   */
+  toCutoffEntries(rows) {
+    const entries = [];
+    const skipped = [];
+
+    for (const row of rows) {
+      const year = parseInt(row.year);
+      const round = parseInt(row.round);
+
+      if (!year || !round) {
+        skipped.push({ line: row.line, reason: 'year and round must be numbers' });
+      } else if (!row.institute || !row.program || !row.quota || !row.gender) {
+        skipped.push({ line: row.line, reason: 'institute, program, quota and gender are required' });
+      } else if (/p$/i.test(row.openingRank) || /p$/i.test(row.closingRank)) {
+        skipped.push({ line: row.line, reason: 'Preparatory course ranks are not predicted' });
+      } else if (!/^\d+$/.test(row.openingRank) || !/^\d+$/.test(row.closingRank)) {
+        skipped.push({ line: row.line, reason: 'opening and closing ranks must be numbers' });
+      } else {
+        entries.push({
+          year,
+          round,
+          institute: row.institute,
+          program: row.program,
+          quota: row.quota,
+          category: this.normalizeCategory(row.category),
+          gender: row.gender,
+          openingRank: parseInt(row.openingRank),
+          closingRank: parseInt(row.closingRank)
+        });
+      }
+    }
+
+    return { entries, skipped };
+  }
+
+  /**
+   * Store percentile to rank tables
+   * Each year and category in the file replaces the table stored for it
+   * @param {Array} entries - Validated entries
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} Year and category of each table replaced
+   */
+  async importRankTable(entries, transaction) {
+    const tables = this.distinct(entries, ['examYear', 'category']);
+
+    for (const table of tables) {
+      await RankTableEntry.destroy({ where: table, transaction });
+    }
+
+    await this.bulkCreate(RankTableEntry, entries, transaction);
+    return tables;
+  }
+
+  /**
+   * Store JoSAA opening and closing ranks
+   * Each year and round in the file replaces the ranks stored for it
+   * @param {Array} entries - Validated entries
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} Year and round of each table replaced
+   */
+  async importCutoffs(entries, transaction) {
+    const rounds = this.distinct(entries, ['year', 'round']);
+
+    for (const round of rounds) {
+      await JosaaCutoff.destroy({ where: round, transaction });
+    }
+
+    await this.bulkCreate(JosaaCutoff, entries, transaction);
+    return rounds;
+  }
+
+  /**
+   * List the distinct combinations of some fields
+   * @param {Array} entries - Entries
+   * @param {Array<string>} fields - Fields to combine
+   * @returns {Array} Distinct combinations
+   */
+  distinct(entries, fields) {
+    const combinations = new Map();
+
+    for (const entry of entries) {
+      const values = fields.reduce((picked, field) => ({ ...picked, [field]: entry[field] }), {});
+      combinations.set(JSON.stringify(values), values);
+    }
+
+    return [...combinations.values()];
+  }
+
+  /**
+   * Insert rows in batches
+   * @param {Object} model - Sequelize model
+   * @param {Array} entries - Rows to insert
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async bulkCreate(model, entries, transaction) {
+    for (let i = 0; i < entries.length; i += predictorConfig.importBatchSize) {
+      await model.bulkCreate(entries.slice(i, i + predictorConfig.importBatchSize), { transaction });
+    }
+  }
+
+  /**
+   * List the stored percentile to rank tables
+   * @returns {Promise<Array>} [{ examYear, category, entries }], latest year first
+   */
+  async listRankTables() {
+    return RankTableEntry.findAll({
+      attributes: ['examYear', 'category', [sequelize.fn('COUNT', sequelize.col('id')), 'entries']],
+      group: ['examYear', 'category'],
+      order: [['examYear', 'DESC'], ['category', 'ASC']],
+      raw: true
+    });
+  }
+
+  /**
+   * Load one percentile to rank table
+   * @param {number} examYear - Exam year
+   * @param {string} category - Seat type
+   * @returns {Promise<Array>} Points sorted by percentile
+   */
+  async findRankTable(examYear, category) {
+    const entries = await RankTableEntry.findAll({
+      where: { examYear, category },
+      attributes: ['percentile', 'rank'],
+      order: [['percentile', 'ASC']],
+      raw: true
+    });
+
+    return entries.map(entry => ({ percentile: Number(entry.percentile), rank: entry.rank }));
+  }
+
+  /**
+   * Read a rank off a percentile to rank table
+   * Ranks between two points are interpolated linearly; percentiles
+   * outside the table get the rank of the nearest point
+   * @param {Array} points - Points sorted by percentile
+   * @param {number} percentile - NTA percentile
+   * @returns {Object} { rank, outOfRange }
+   */
+  interpolateRank(points, percentile) {
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    if (percentile <= first.percentile || percentile >= last.percentile) {
+      const nearest = percentile <= first.percentile ? first : last;
+      return { rank: nearest.rank, outOfRange: percentile !== nearest.percentile };
+    }
+
+    const upper = points.findIndex(point => point.percentile >= percentile);
+    const low = points[upper - 1];
+    const high = points[upper];
+    const share = (percentile - low.percentile) / (high.percentile - low.percentile);
+
+    return {
+      rank: Math.max(1, Math.round(low.rank + share * (high.rank - low.rank))),
+      outOfRange: false
+    };
+  }
+
+  /**
+   * Predict the JEE Main CRL and category rank for a percentile
+   * The expected rank is read from the requested year, the latest by
+   * default; the range covers every year with a CRL table
+   * @param {number} percentile - NTA percentile
+   * @param {string} category - Seat type
+   * @param {number} [year] - Exam year of the tables to use
+   * @returns {Promise<Object|null>} Prediction, or null without tables for the year
+   */
+  async predictRank(percentile, category, year) {
+    const tables = await this.listRankTables();
+    const crlYears = tables.filter(table => table.category === OPEN_CATEGORY).map(table => table.examYear);
+    const examYear = year || crlYears[0];
+
+    if (!crlYears.includes(examYear)) {
+      return null;
+    }
+
+    const byYear = [];
+    for (const tableYear of crlYears) {
+      const crl = this.interpolateRank(await this.findRankTable(tableYear, OPEN_CATEGORY), percentile);
+      byYear.push({ examYear: tableYear, crlRank: crl.rank, outOfRange: crl.outOfRange });
+    }
+
+    const expected = byYear.find(prediction => prediction.examYear === examYear);
+    let categoryRank = null;
+
+    if (!this.isOpenCategory(category)) {
+      const points = await this.findRankTable(examYear, category);
+      categoryRank = points.length > 0 ? this.interpolateRank(points, percentile).rank : null;
+    }
+
+    const ranks = byYear.map(prediction => prediction.crlRank);
+
+    return {
+      percentile,
+      category,
+      examYear,
+      crlRank: expected.crlRank,
+      categoryRank,
+      outOfRange: expected.outOfRange,
+      crlRankRange: { best: Math.min(...ranks), worst: Math.max(...ranks) },
+      byYear
+    };
+  }
+
+  /**
+   * Find the programs whose closing rank a rank could get into
+   * Programs closing up to the reach margin before the rank are listed
+   * too. Each program gets a chance: safe when the rank is at or within
+   * the opening rank, likely within the closing rank, reach otherwise
+   * @param {Object} filters - { rank, category, quota, gender, program, year, round, limit, offset }
+   * @returns {Promise<Object|null>} { year, round, count, colleges }, or null without cutoffs
+   */
+  async predictColleges(filters) {
+    const { rank, category, quota, gender, program, limit, offset } = filters;
+    const year = filters.year || await JosaaCutoff.max('year');
+    const round = filters.round || await JosaaCutoff.max('round', { where: { year } });
+
+    if (!year || !round) {
+      return null;
+    }
+
+    const whereConditions = {
+      year,
+      round,
+      category,
+      closingRank: { [Op.gte]: Math.floor(rank / (1 + predictorConfig.reachMargin)) }
+    };
+
+    if (quota) {
+      whereConditions.quota = quota;
+    }
+
+    if (gender) {
+      whereConditions.gender = gender;
+    }
+
+    if (program) {
+      whereConditions.program = { [Op.like]: `%${program}%` };
+    }
+
+    const { count, rows } = await JosaaCutoff.findAndCountAll({
+      where: whereConditions,
+      attributes: ['institute', 'program', 'quota', 'category', 'gender', 'openingRank', 'closingRank'],
+      order: [['closingRank', 'ASC'], ['institute', 'ASC'], ['program', 'ASC']],
+      limit,
+      offset
+    });
+
+    return {
+      year,
+      round,
+      count,
+      colleges: rows.map(cutoff => ({
+        ...cutoff.toJSON(),
+        chance: this.getChance(rank, cutoff)
+      }))
+    };
+  }
+
+  /**
+   * Tell how likely a rank is to get a seat
+   * @param {number} rank - Predicted rank for the seat type
+   * @param {Object} cutoff - Opening and closing ranks
+   * @returns {string} safe, likely or reach
+   */
+  getChance(rank, cutoff) {
+    if (rank <= cutoff.openingRank) {
+      return 'safe';
+    }
+
+    return rank <= cutoff.closingRank ? 'likely' : 'reach';
+  }
+
+  /**
+   * List the values the stored cutoffs can be filtered by
+   * @returns {Promise<Object>} Distinct years with their rounds, quotas, seat types and gender pools
+   */
+  async getCutoffOptions() {
+    const values = async (field) => (await JosaaCutoff.findAll({
+      attributes: [[sequelize.fn('DISTINCT', sequelize.col(field)), 'value']],
+      order: [[sequelize.col(field), 'ASC']],
+      raw: true
+    })).map(row => row.value);
+
+    const rounds = await JosaaCutoff.findAll({
+      attributes: ['year', 'round'],
+      group: ['year', 'round'],
+      order: [['year', 'DESC'], ['round', 'ASC']],
+      raw: true
+    });
+
+    return {
+      rounds,
+      quotas: await values('quota'),
+      categories: await values('category'),
+      genders: await values('gender')
+    };
+  }
+}
+
+module.exports = new PredictorService();
\ No newline at end of file
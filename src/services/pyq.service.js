@@ -0,0 +1,238 @@
+const { Op } = require('sequelize');
+const { Quiz, QuizAnswer, QuizQuestion, QuizQuestionLink } = require('../models');
+const attemptService = require('./attempt.service');
+const syllabusService = require('./syllabus.service');
+
+// Display names of the exams previous-year papers can be from
+const EXAM_NAMES = {
+  jee_main: 'JEE Main',
+  jee_advanced: 'JEE Advanced',
+  bitsat: 'BITSAT'
+};
+
+// Earliest year accepted for a previous-year paper
+const FIRST_EXAM_YEAR = 1960;
+
+// Paper attributes used to describe where a question was asked
+const PAPER_ATTRIBUTES = ['id', 'title', 'exam', 'examYear', 'examSession', 'examDate', 'examShift', 'paperNumber'];
+
+/**
+ * Previous-year papers (PYQs): mock tests carrying the exam, year, session,
+ * date, shift and paper number they were set in, browsable by exam and
+ * year and, through the syllabus tags of their questions, by chapter
+ */
+class PyqService {
+  /**
+   * Check whether a value names an exam previous-year papers can be from
+   * @param {string} exam - Exam key from the request
+   * @returns {boolean} True for jee_main, jee_advanced and bitsat
+   */
+  isExam(exam) {
+    return Object.prototype.hasOwnProperty.call(EXAM_NAMES, exam);
+  }
+
+  /**
+   * Validate the exam metadata of a mock test
+   * @param {Object} data - Exam fields, merged with the saved ones on update
+   * @returns {string|null} Error message, or null when the metadata is valid
+   */
+  validateExamMetadata(data) {
+    const { exam, examYear, examSession, examDate, examShift, paperNumber } = data;
+    const isSet = value => value !== undefined && value !== null && value !== '';
+
+    if (!isSet(exam)) {
+      return [examYear, examSession, examDate, examShift, paperNumber].some(isSet)
+        ? 'exam is required for examYear, examSession, examDate, examShift and paperNumber'
+        : null;
+    }
+
+    if (!this.isExam(exam)) {
+      return `exam must be one of ${Object.keys(EXAM_NAMES).join(', ')}`;
+    }
+
+    const year = Number(examYear);
+    if (!Number.isInteger(year) || year < FIRST_EXAM_YEAR || year > new Date().getFullYear()) {
+      return `examYear is required and must be between ${FIRST_EXAM_YEAR} and the current year`;
+    }
+
+    if (isSet(examDate)) {
+      const date = new Date(examDate);
+
+      if (isNaN(date.getTime())) {
+        return 'examDate must be a valid date';
+      }
+
+      if (date.getUTCFullYear() !== year) {
+        return 'examDate must fall in examYear';
+      }
+    }
+
+    for (const [field, value] of [['examShift', examShift], ['paperNumber', paperNumber]]) {
+      if (isSet(value) && !(Number.isInteger(Number(value)) && Number(value) > 0)) {
+        return `${field} must be a positive integer`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe a paper the way students ask for it
+   * @param {Object} paper - Mock test with its exam metadata
+   * @returns {string} Label such as "JEE Main 2024 Jan 27 Shift 1"
+   */
+  getPaperLabel(paper) {
+    const parts = [EXAM_NAMES[paper.exam], paper.examYear];
+
+    if (paper.examDate) {
+      parts.push(new Date(paper.examDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }));
+    } else if (paper.examSession) {
+      parts.push(paper.examSession);
+    }
+
+    if (paper.examShift) {
+      parts.push(`Shift ${paper.examShift}`);
+    }
+
+    if (paper.paperNumber) {
+      parts.push(`Paper ${paper.paperNumber}`);
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Summarize a paper for the catalogue
+   * @param {Object} paper - Mock test with its exam metadata
+   * @returns {Object} Plain paper with its label
+   */
+  toPaperSummary(paper) {
+    return {
+      ...(paper.toJSON ? paper.toJSON() : paper),
+      label: this.getPaperLabel(paper)
+    };
+  }
+
+  /**
+   * Get the previous-year papers grouped by exam and year
+   * Exams follow their catalogue order and years are latest first
+   * @param {Object} filters - { exam, year }
+   * @returns {Promise<Array>} [{ exam, name, years: [{ year, papers }] }]
+   */
+  async getCatalogue(filters) {
+    const where = { exam: { [Op.ne]: null }, ownerId: null };
+
+    if (filters.exam) {
+      where.exam = filters.exam;
+    }
+
+    if (filters.year) {
+      where.examYear = filters.year;
+    }
+
+    const papers = await Quiz.findAll({
+      where,
+      attributes: [...PAPER_ATTRIBUTES, 'timeLimit', 'startsAt', 'endsAt'],
+      order: [['examYear', 'DESC'], ['examDate', 'ASC'], ['examSession', 'ASC'], ['examShift', 'ASC'], ['paperNumber', 'ASC']]
+    });
+
+    const exams = Object.keys(EXAM_NAMES).map(exam => ({ exam, name: EXAM_NAMES[exam], years: [] }));
+    const examsByKey = new Map(exams.map(entry => [entry.exam, entry]));
+
+    for (const paper of papers) {
+      const { years } = examsByKey.get(paper.exam);
+      let yearEntry = years[years.length - 1];
+
+      if (!yearEntry || yearEntry.year !== paper.examYear) {
+        yearEntry = { year: paper.examYear, papers: [] };
+        years.push(yearEntry);
+      }
+
+      yearEntry.papers.push(this.toPaperSummary(paper));
+    }
+
+    return exams.filter(entry => entry.years.length > 0);
+  }
+
+  /**
+   * Find the previous-year questions on a syllabus node, across all papers
+   * Questions tagged with the node or any node below it are matched, latest
+   * paper first, each with the papers it was asked in
+   * @param {Object} filters - { syllabusNodeId, exam, yearFrom, yearTo, page, limit }
+   * @returns {Promise<Object>} { total, questions }
+   */
+  async findQuestions(filters) {
+    const { syllabusNodeId, exam, yearFrom, yearTo, page, limit } = filters;
+    const paperWhere = { exam: { [Op.ne]: null }, ownerId: null };
+
+    if (exam) {
+      paperWhere.exam = exam;
+    }
+
+    if (yearFrom || yearTo) {
+      paperWhere.examYear = {};
+
+      if (yearFrom) {
+        paperWhere.examYear[Op.gte] = yearFrom;
+      }
+
+      if (yearTo) {
+        paperWhere.examYear[Op.lte] = yearTo;
+      }
+    }
+
+    const links = await QuizQuestionLink.findAll({
+      where: {
+        questionId: await syllabusService.getTaggedQuestionIds(syllabusNodeId),
+        keyStatus: 'active'
+      },
+      attributes: ['questionId'],
+      include: [
+        {
+          model: Quiz,
+          as: 'quiz',
+          attributes: PAPER_ATTRIBUTES,
+          where: paperWhere
+        }
+      ]
+    });
+
+    const papersByQuestion = new Map();
+
+    for (const link of links) {
+      if (!papersByQuestion.has(link.questionId)) {
+        papersByQuestion.set(link.questionId, []);
+      }
+      papersByQuestion.get(link.questionId).push(link.quiz);
+    }
+
+    const latestYear = questionId => Math.max(...papersByQuestion.get(questionId).map(paper => paper.examYear));
+    const questionIds = [...papersByQuestion.keys()]
+      .sort((a, b) => latestYear(b) - latestYear(a) || a - b)
+      .slice((page - 1) * limit, page * limit);
+
+    const questions = await QuizQuestion.findAll({
+      where: { id: questionIds },
+      include: [
+        {
+          model: QuizAnswer,
+          as: 'answers'
+        }
+      ],
+      order: [[{ model: QuizAnswer, as: 'answers' }, 'id', 'ASC']]
+    });
+    const questionsById = new Map(questions.map(question => [question.id, question]));
+
+    return {
+      total: papersByQuestion.size,
+      questions: questionIds.map(questionId => ({
+        question: attemptService.redactQuestion(questionsById.get(questionId)),
+        papers: papersByQuestion.get(questionId)
+          .sort((a, b) => b.examYear - a.examYear)
+          .map(paper => this.toPaperSummary(paper))
+      }))
+    };
+  }
+}
+
+module.exports = new PyqService();
\ No newline at end of file
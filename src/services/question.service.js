@@ -0,0 +1,558 @@
+const { Op } = require('sequelize');
+const { QuizQuestion, QuizQuestionLink, QuizAnswer, UserQuizAnswer, QuestionSyllabusTag, AnswerKeyCorrection, QuizVersion, MockTestRegistration } = require('../models');
+const gradingService = require('./grading.service');
+
+// Standard NTA options for assertion-reason questions
+const ASSERTION_REASON_OPTIONS = [
+  'Both A and R are true and R is the correct explanation of A',
+  'Both A and R are true but R is NOT the correct explanation of A',
+  'A is true but R is false',
+  'A is false but R is true'
+];
+
+const ASSERTION_REASON_PROMPT = 'Given below are two statements: one is labelled as Assertion (A) and the other is labelled as Reason (R).';
+
+// Question fields that change how attempts are graded
+const GRADING_FIELDS = ['points', 'correctMarks', 'negativeMarks', 'marksPerPair', 'answers', 'correctOption', 'correctMapping'];
+
+// Marking fields of questions, sections and quizzes; marks are stored as integers
+const MARK_FIELDS = ['points', 'correctMarks', 'negativeMarks', 'unattemptedMarks', 'partialMarksPerOption', 'marksPerPair'];
+
+/**
+ * Validation and persistence of question bank questions shared by
+ * quizzes, mock tests and uploaded question files
+ */
+class QuestionService {
+  /**
+   * Validate a question payload before it is saved
+   * @param {Object} data - Question payload from the request
+   * @param {number} index - Position of the question in the payload
+   * @returns {string|null} Error message, or null when the payload is valid
+   */
+  validateQuestion(data, index) {
+    const { questionText, questionType, answers } = data;
+
+    const marksError = this.validateMarks(data);
+    if (marksError) {
+      return `Invalid question at index ${index}: ${marksError}`;
+    }
+
+    if (questionType === 'assertion_reason') {
+      return this.validateAssertionReason(data, index);
+    }
+
+    if (questionType === 'matrix_match') {
+      return this.validateMatrixMatch(data, index);
+    }
+
+    if (!questionText || !questionType || !answers || !Array.isArray(answers)) {
+      return `Invalid question at index ${index}: missing required fields`;
+    }
+
+    if (questionType === 'numerical') {
+      return this.validateNumericalAnswers(answers, index);
+    }
+
+    for (const answer of answers) {
+      if (!answer.answerText || answer.isCorrect === undefined) {
+        return 'Invalid answer: missing required fields';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate the marking fields of a question, section or quiz
+   * Marks are stored as integers, so fractional marks would be truncated
+   * @param {Object} data - Payload with any of the marking fields
+   * @returns {string|null} Error message, or null when every given mark is a whole number
+   */
+  validateMarks(data) {
+    const field = MARK_FIELDS.find(name =>
+      data[name] !== undefined && data[name] !== null && data[name] !== '' && !Number.isInteger(Number(data[name]))
+    );
+
+    return field ? `${field} must be a whole number of marks` : null;
+  }
+
+  /**
+   * Validate an assertion-reason question
+   * Options may be omitted, in which case the standard four options are
+   * used and correctOption (1-4 or A-D) picks the correct one
+   * @param {Object} data - Question payload
+   * @param {number} index - Position of the question in the payload
+   * @returns {string|null} Error message, or null when the payload is valid
+   */
+  validateAssertionReason(data, index) {
+    const { assertionText, reasonText, answers, correctOption } = data;
+
+    if (!assertionText || !reasonText) {
+      return `Invalid question at index ${index}: assertion-reason questions need assertionText and reasonText`;
+    }
+
+    if (Array.isArray(answers) && answers.length > 0) {
+      for (const answer of answers) {
+        if (!answer.answerText || answer.isCorrect === undefined) {
+          return 'Invalid answer: missing required fields';
+        }
+      }
+      return null;
+    }
+
+    if (this.getOptionIndex(correctOption) === null) {
+      return `Invalid question at index ${index}: correctOption must be 1-${ASSERTION_REASON_OPTIONS.length} or A-D`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a matrix-match question
+   * Needs both lists and either option answers carrying a matchMapping
+   * or a correctMapping used to build the single key answer
+   * @param {Object} data - Question payload
+   * @param {number} index - Position of the question in the payload
+   * @returns {string|null} Error message, or null when the payload is valid
+   */
+  validateMatrixMatch(data, index) {
+    const { questionText, matrixLeft, matrixRight, answers, correctMapping } = data;
+
+    if (!questionText) {
+      return `Invalid question at index ${index}: missing required fields`;
+    }
+
+    for (const list of [matrixLeft, matrixRight]) {
+      if (!Array.isArray(list) || list.length === 0 ||
+          list.some(item => !item || item.key === undefined || item.key === null || !item.text)) {
+        return `Invalid question at index ${index}: matrixLeft and matrixRight need items with key and text`;
+      }
+
+      if (new Set(list.map(item => String(item.key))).size !== list.length) {
+        return `Invalid question at index ${index}: matrix list keys must be unique`;
+      }
+    }
+
+    const mappings = Array.isArray(answers) && answers.length > 0
+      ? answers.map(answer => answer.matchMapping)
+      : [correctMapping];
+
+    if (Array.isArray(answers) && answers.length > 0 && !answers.some(answer => answer.isCorrect)) {
+      return `Invalid question at index ${index}: one matrix-match answer must be correct`;
+    }
+
+    const leftKeys = matrixLeft.map(item => String(item.key));
+    const rightKeys = matrixRight.map(item => String(item.key));
+
+    for (const mapping of mappings) {
+      const normalized = gradingService.normalizeMapping(mapping);
+
+      if (Object.keys(normalized).length === 0) {
+        return `Invalid question at index ${index}: matrix-match answers need a matchMapping`;
+      }
+
+      for (const [leftKey, values] of Object.entries(normalized)) {
+        if (!leftKeys.includes(leftKey) || values.some(value => !rightKeys.includes(value))) {
+          return `Invalid question at index ${index}: matchMapping refers to unknown list items`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate the accepted values of a numerical question
+   * Each answer needs an exact value (answerText or numericValue) or a range
+   * @param {Array} answers - Answer payloads
+   * @param {number} index - Position of the question in the payload
+   * @returns {string|null} Error message, or null when the answers are valid
+   */
+  validateNumericalAnswers(answers, index) {
+    if (answers.length === 0) {
+      return `Invalid question at index ${index}: numerical questions need at least one accepted value`;
+    }
+
+    for (const answer of answers) {
+      const { rangeMin, rangeMax, tolerance, decimalPrecision } = answer;
+      const hasValue = gradingService.parseNumber(gradingService.firstDefined(answer.numericValue, answer.answerText)) !== null;
+      const hasRange = gradingService.parseNumber(rangeMin) !== null && gradingService.parseNumber(rangeMax) !== null;
+
+      if (!hasValue && !hasRange) {
+        return `Invalid question at index ${index}: numerical answers need a value or a range`;
+      }
+
+      if (hasRange && gradingService.parseNumber(rangeMin) > gradingService.parseNumber(rangeMax)) {
+        return `Invalid question at index ${index}: rangeMin must not exceed rangeMax`;
+      }
+
+      if (tolerance !== undefined && tolerance !== null && !(gradingService.parseNumber(tolerance) >= 0)) {
+        return `Invalid question at index ${index}: tolerance must be a non-negative number`;
+      }
+
+      if (decimalPrecision !== undefined && decimalPrecision !== null &&
+          !(Number.isInteger(Number(decimalPrecision)) && Number(decimalPrecision) >= 0)) {
+        return `Invalid question at index ${index}: decimalPrecision must be a non-negative integer`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a question and its answers
+   * The question is linked to the quiz when one is given, otherwise it
+   * only lives in the question bank
+   * @param {number|null} quizId - Quiz the question is written for
+   * @param {Object} data - Validated question payload
+   * @param {number} position - Position of the question in the quiz
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} Created question
+   */
+  async createQuestion(quizId, data, position, transaction) {
+    const {
+      questionText, questionType, points, correctMarks, negativeMarks, explanation, subject, difficulty,
+      assertionText, reasonText, matrixLeft, matrixRight, marksPerPair, sectionId
+    } = data;
+
+    const question = await QuizQuestion.create({
+      quizId,
+      questionText: questionText || (questionType === 'assertion_reason' ? ASSERTION_REASON_PROMPT : questionText),
+      questionType,
+      points: points || 1,
+      correctMarks,
+      negativeMarks,
+      explanation,
+      subject,
+      difficulty,
+      assertionText: questionType === 'assertion_reason' ? assertionText : null,
+      reasonText: questionType === 'assertion_reason' ? reasonText : null,
+      matrixLeft: questionType === 'matrix_match' ? matrixLeft : null,
+      matrixRight: questionType === 'matrix_match' ? matrixRight : null,
+      marksPerPair: questionType === 'matrix_match' && marksPerPair !== undefined ? marksPerPair : null,
+      position
+    }, { transaction });
+
+    await this.createAnswers(question, data, transaction);
+
+    if (quizId) {
+      await this.linkQuestion(quizId, question.id, { sectionId, position }, transaction);
+    }
+
+    return question;
+  }
+
+  /**
+   * Create the answers of a question from its payload
+   * @param {Object} question - Saved question
+   * @param {Object} data - Validated question payload
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async createAnswers(question, data, transaction) {
+    const answers = this.getAnswerPayloads(data);
+
+    for (const answer of answers) {
+      await QuizAnswer.create({
+        questionId: question.id,
+        ...this.buildAnswerAttributes(question.questionType, answer)
+      }, { transaction });
+    }
+  }
+
+  /**
+   * Update a bank question
+   * Answers are replaced only when the payload has them, and never once
+   * students have answered the question
+   * @param {Object} question - Question to update
+   * @param {Object} data - Validated question payload
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<string|null>} Error message, or null when updated
+   */
+  async updateQuestion(question, data, transaction) {
+    const fields = [
+      'questionText', 'points', 'correctMarks', 'negativeMarks', 'explanation', 'subject', 'difficulty',
+      'assertionText', 'reasonText', 'matrixLeft', 'matrixRight', 'marksPerPair'
+    ];
+    const hasAnswers = data.answers !== undefined || data.correctOption !== undefined || data.correctMapping !== undefined;
+
+    if (hasAnswers) {
+      const answeredCount = await UserQuizAnswer.count({ where: { questionId: question.id }, transaction });
+
+      if (answeredCount > 0) {
+        return 'Answers of a question that students have answered cannot be replaced';
+      }
+    }
+
+    const updates = {};
+    for (const field of fields) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+
+    await question.update(updates, { transaction });
+
+    if (hasAnswers) {
+      await QuizAnswer.destroy({ where: { questionId: question.id }, transaction });
+      await this.createAnswers(question, { ...question.toJSON(), ...data }, transaction);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a question update changes how attempts are graded
+   * @param {Object} data - Question update payload
+   * @returns {boolean} True when marks or the answer key are updated
+   */
+  affectsGrading(data) {
+    return GRADING_FIELDS.some(field => data[field] !== undefined);
+  }
+
+  /**
+   * Add a question to a quiz, or move it when it is already linked
+   * @param {number} quizId - Quiz ID
+   * @param {number} questionId - Question ID
+   * @param {Object} placement - { sectionId, position }
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} Quiz question link
+   */
+  async linkQuestion(quizId, questionId, { sectionId, position }, transaction) {
+    const link = await QuizQuestionLink.findOne({ where: { quizId, questionId }, transaction });
+
+    if (link) {
+      return link.update({ sectionId: sectionId || null, position }, { transaction });
+    }
+
+    return QuizQuestionLink.create({
+      quizId,
+      questionId,
+      sectionId: sectionId || null,
+      position
+    }, { transaction });
+  }
+
+  /**
+   * Remove every question from a quiz that is being deleted
+   * Questions written for the quiz are deleted too when no other quiz
+   * uses them and no student has answered them; the rest stay in the bank.
+   * Published versions and registrations of the quiz go with it
+   * @param {number} quizId - Quiz ID
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async unlinkQuiz(quizId, transaction) {
+    const links = await QuizQuestionLink.findAll({ where: { quizId }, transaction });
+    await AnswerKeyCorrection.destroy({ where: { quizId }, transaction });
+    await QuizVersion.destroy({ where: { quizId }, transaction });
+    await MockTestRegistration.destroy({ where: { quizId }, transaction });
+
+    for (const link of links) {
+      await this.unlinkQuestion(quizId, link.questionId, transaction);
+    }
+
+    await QuizQuestion.update({ quizId: null }, { where: { quizId }, transaction });
+  }
+
+  /**
+   * Remove a question from a quiz
+   * The question is deleted too when it was written for the quiz, no other
+   * quiz uses it and no student has answered it
+   * @param {number} quizId - Quiz ID
+   * @param {number} questionId - Question ID
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<boolean>} True if the question itself was deleted
+   */
+  async unlinkQuestion(quizId, questionId, transaction) {
+    await QuizQuestionLink.destroy({ where: { quizId, questionId }, transaction });
+
+    const question = await QuizQuestion.findByPk(questionId, { transaction });
+
+    if (!question || question.quizId !== Number(quizId)) {
+      return false;
+    }
+
+    const otherLinks = await QuizQuestionLink.count({ where: { questionId: question.id }, transaction });
+    const answeredCount = await UserQuizAnswer.count({ where: { questionId: question.id }, transaction });
+
+    if (otherLinks > 0 || answeredCount > 0) {
+      return false;
+    }
+
+    await QuestionSyllabusTag.destroy({ where: { questionId: question.id }, transaction });
+    await AnswerKeyCorrection.destroy({ where: { questionId: question.id }, transaction });
+    await QuizAnswer.destroy({ where: { questionId: question.id }, transaction });
+    await question.destroy({ transaction });
+
+    return true;
+  }
+
+  /**
+   * Link every question that still only knows its quiz through quizId
+   * Runs at startup so questions created before the question bank keep
+   * appearing in their quizzes
+   * @returns {Promise<number>} Number of links created
+   */
+  async backfillQuizLinks() {
+    const questions = await QuizQuestion.findAll({
+      where: { quizId: { [Op.ne]: null } },
+      attributes: ['id', 'quizId', 'position'],
+      include: [
+        {
+          model: QuizQuestionLink,
+          as: 'quizLinks',
+          attributes: ['id'],
+          required: false
+        }
+      ]
+    });
+
+    let created = 0;
+    for (const question of questions) {
+      if (question.quizLinks.length === 0) {
+        await QuizQuestionLink.create({
+          quizId: question.quizId,
+          questionId: question.id,
+          position: question.position
+        });
+        created++;
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Resolve the answers to store for a question payload
+   * Fills in the standard assertion-reason options and the matrix-match
+   * key answer when the payload only names the correct one
+   * @param {Object} data - Validated question payload
+   * @returns {Array} Answer payloads
+   */
+  getAnswerPayloads(data) {
+    const { questionType, answers, correctOption, correctMapping } = data;
+    const hasAnswers = Array.isArray(answers) && answers.length > 0;
+
+    if (questionType === 'assertion_reason' && !hasAnswers) {
+      const correctIndex = this.getOptionIndex(correctOption);
+      return ASSERTION_REASON_OPTIONS.map((answerText, i) => ({
+        answerText,
+        isCorrect: i === correctIndex
+      }));
+    }
+
+    if (questionType === 'matrix_match' && !hasAnswers) {
+      return [{ isCorrect: true, matchMapping: correctMapping }];
+    }
+
+    return answers;
+  }
+
+  /**
+   * Convert an option label (1-4 or A-D) to a zero-based index
+   * @param {number|string} option - Option label
+   * @returns {number|null} Option index, or null when the label is invalid
+   */
+  getOptionIndex(option) {
+    if (option === undefined || option === null || option === '') {
+      return null;
+    }
+
+    const label = String(option).trim().toUpperCase();
+    const index = /^[A-Z]$/.test(label) ? label.charCodeAt(0) - 65 : parseInt(label) - 1;
+
+    return index >= 0 && index < ASSERTION_REASON_OPTIONS.length ? index : null;
+  }
+
+  /**
+   * Format a matrix-match mapping as option text (e.g., "P-1,3; Q-2")
+   * @param {Object} mapping - List-I to List-II mapping
+   * @returns {string} Readable mapping
+   */
+  formatMapping(mapping) {
+    return Object.entries(gradingService.normalizeMapping(mapping))
+      .map(([leftKey, rightKeys]) => `${leftKey}-${rightKeys.join(',')}`)
+      .join('; ');
+  }
+
+  /**
+   * Map an answer payload to QuizAnswer attributes
+   * @param {string} questionType - Type of the parent question
+   * @param {Object} answer - Answer payload
+   * @returns {Object} QuizAnswer attributes
+   */
+  buildAnswerAttributes(questionType, answer) {
+    const { answerText, isCorrect, explanation } = answer;
+
+    if (questionType === 'matrix_match') {
+      const matchMapping = gradingService.normalizeMapping(answer.matchMapping);
+      return {
+        answerText: answerText || this.formatMapping(matchMapping),
+        isCorrect,
+        explanation,
+        matchMapping
+      };
+    }
+
+    if (questionType !== 'numerical') {
+      return { answerText, isCorrect, explanation };
+    }
+
+    // Every stored value of a numerical question is an accepted answer
+    const numericValue = gradingService.parseNumber(gradingService.firstDefined(answer.numericValue, answerText));
+    const rangeMin = gradingService.parseNumber(answer.rangeMin);
+    const rangeMax = gradingService.parseNumber(answer.rangeMax);
+
+    return {
+      answerText: answerText !== undefined && answerText !== null && answerText !== ''
+        ? String(answerText)
+        : `${rangeMin} to ${rangeMax}`,
+      isCorrect: isCorrect !== undefined ? isCorrect : true,
+      explanation,
+      numericValue,
+      tolerance: gradingService.parseNumber(answer.tolerance),
+      rangeMin,
+      rangeMax,
+      decimalPrecision: answer.decimalPrecision !== undefined && answer.decimalPrecision !== null
+        ? parseInt(answer.decimalPrecision)
+        : null
+    };
+  }
+
+  /**
+   * Convert a question loaded through a quiz to a plain object carrying
+   * its position and section in that quiz
+   * @param {Object} question - Question instance or plain object
+   * @returns {Object} Plain question object
+   */
+  withQuizLink(question) {
+    const { QuizQuestionLink: link, ...data } = question.toJSON ? question.toJSON() : { ...question };
+
+    if (!link) {
+      return data;
+    }
+
+    return { ...data, position: link.position, sectionId: link.sectionId };
+  }
+
+  /**
+   * Prepare a question for students taking the test
+   * Answer options stay visible, but the accepted values of free-response
+   * and pair-by-pair matrix questions are the answer key itself and are removed
+   * @param {Object} question - Question instance or plain object
+   * @returns {Object} Plain question object safe to show before submission
+   */
+  toPublicQuestion(question) {
+    const data = this.withQuizLink(question);
+
+    // A matrix-match question with a single answer is answered pair by pair,
+    // and that answer is the key
+    if (data.questionType === 'numerical' ||
+        (data.questionType === 'matrix_match' && data.answers && data.answers.length <= 1)) {
+      data.answers = [];
+    }
+
+    return data;
+  }
+}
+
+module.exports = new QuestionService();
\ No newline at end of file
@@ -1,9 +1,12 @@
+const { Op } = require('sequelize');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const puppeteer = require('puppeteer');
 const winston = require('winston');
-const { Quiz, QuizQuestion, QuizAnswer } = require('../models');
+const { Quiz } = require('../models');
 const { sequelize } = require('../models');
+const questionService = require('./question.service');
+const syllabusService = require('./syllabus.service');
 const scraperConfig = require('../config/scraper.config');
 
 // Configure logger
@@ -323,6 +326,7 @@ class QuestionScraperService {
       const mockTest = await Quiz.create({
         lessonId: null,
         title: `JEE Questions - ${new Date().toISOString().split('T')[0]}`,
+        origin: 'scraped',
         description: 'Auto-generated mock test from web scraping',
         timeLimit: 180, // 3 hours
         passingScore: 33, // 33% for JEE
@@ -330,25 +334,18 @@ class QuestionScraperService {
         difficulty: 'medium'
       }, { transaction });
 
-      // Save questions and answers
+      // Save questions and answers, tagging each with its syllabus subject
+      const subjectNodes = new Map();
       for (let i = 0; i < questions.length; i++) {
-        const questionData = questions[i];
-        
-        const question = await QuizQuestion.create({
-          quizId: mockTest.id,
-          questionText: questionData.questionText,
-          questionType: questionData.questionType,
-          points: questionData.points,
-          position: i
-        }, { transaction });
-
-        // Save answers
-        for (const answerData of questionData.answers) {
-          await QuizAnswer.create({
-            questionId: question.id,
-            answerText: answerData.answerText,
-            isCorrect: answerData.isCorrect
-          }, { transaction });
+        const question = await questionService.createQuestion(mockTest.id, questions[i], i, transaction);
+        const { subject } = questions[i];
+
+        if (!subjectNodes.has(subject)) {
+          subjectNodes.set(subject, await syllabusService.findSubjectByName(subject, transaction));
+        }
+
+        if (subjectNodes.get(subject)) {
+          await syllabusService.setQuestionTags(question.id, [subjectNodes.get(subject).id], transaction);
         }
       }
 
@@ -363,6 +360,26 @@ class QuestionScraperService {
     }
   }
 
+  /**
+   * Mark question sets scraped before quizzes recorded their origin
+   * Runs at startup so cleanOldQuestions keeps removing them; they were
+   * only recognizable by their title
+   * @returns {Promise<number>} Number of question sets marked
+   */
+  async backfillScrapedOrigin() {
+    const [marked] = await Quiz.update({ origin: 'scraped' }, {
+      where: {
+        lessonId: null,
+        origin: 'authored',
+        title: {
+          [Op.like]: 'JEE Questions -%'
+        }
+      }
+    });
+
+    return marked;
+  }
+
   /**
    * Clean old questions (older than 30 days)
    */
@@ -374,17 +391,24 @@ class QuestionScraperService {
       const oldQuizzes = await Quiz.findAll({
         where: {
           lessonId: null,
-          title: {
-            [require('sequelize').Op.like]: 'JEE Questions -%'
-          },
+          origin: 'scraped',
           createdAt: {
-            [require('sequelize').Op.lt]: thirtyDaysAgo
+            [Op.lt]: thirtyDaysAgo
           }
         }
       });
 
       for (const quiz of oldQuizzes) {
-        await quiz.destroy();
+        const transaction = await sequelize.transaction();
+
+        try {
+          await questionService.unlinkQuiz(quiz.id, transaction);
+          await quiz.destroy({ transaction });
+          await transaction.commit();
+        } catch (error) {
+          await transaction.rollback();
+          throw error;
+        }
       }
 
       logger.info(`Cleaned ${oldQuizzes.length} old question sets`);
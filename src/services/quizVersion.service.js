@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { QuizVersion, QuizQuestion, QuizQuestionLink, QuizAnswer, QuizAttempt, sequelize } = require('../models');
+
+// Quiz settings kept in a snapshot
+const SETTING_FIELDS = [
+  'title', 'description', 'timeLimit', 'passingScore', 'correctMarks', 'negativeMarks',
+  'unattemptedMarks', 'partialMarking', 'partialMarksPerOption'
+];
+
+// Section fields kept in a snapshot
+const SECTION_FIELDS = [
+  'id', 'title', 'subject', 'instructions', 'position', 'correctMarks', 'negativeMarks',
+  'unattemptedMarks', 'partialMarking', 'partialMarksPerOption', 'attemptLimit', 'timeLimit'
+];
+
+// Question fields kept in a snapshot, besides its place in the quiz
+const QUESTION_FIELDS = [
+  'id', 'questionText', 'questionType', 'points', 'correctMarks', 'negativeMarks', 'explanation',
+  'assertionText', 'reasonText', 'matrixLeft', 'matrixRight', 'subject', 'difficulty', 'marksPerPair'
+];
+
+// Answer fields kept in a snapshot
+const ANSWER_FIELDS = [
+  'id', 'answerText', 'isCorrect', 'explanation', 'numericValue', 'tolerance',
+  'rangeMin', 'rangeMax', 'decimalPrecision', 'matchMapping'
+];
+
+// Answer fields that make up the key, updated in snapshots by key corrections
+const KEY_FIELDS = ['isCorrect', 'numericValue', 'tolerance', 'rangeMin', 'rangeMax', 'matchMapping'];
+
+// Question fields that set its marks, updated in snapshots by question edits
+const MARK_FIELDS = ['points', 'correctMarks', 'negativeMarks', 'marksPerPair'];
+
+/**
+ * Published versions of quizzes
+ * A version is an immutable snapshot of the questions and answers of a
+ * quiz; attempts point to the version they were taken against, so later
+ * edits to the question bank do not change what old attempts show
+ */
+class QuizVersionService {
+  /**
+   * Copy the given fields of a model instance or plain object
+   * @param {Object} source - Source object
+   * @param {Array<string>} fields - Fields to copy
+   * @returns {Object} Plain object with the fields
+   */
+  pickFields(source, fields) {
+    const data = source.toJSON ? source.toJSON() : source;
+
+    return fields.reduce((picked, field) => {
+      picked[field] = data[field] !== undefined ? data[field] : null;
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Build the snapshot of a quiz
+   * @param {Object} quiz - Quiz loaded with attemptService.findQuizForGrading
+   * @returns {Object} { settings, sections, questions }
+   */
+  buildSnapshot(quiz) {
+    const sections = [...(quiz.sections || [])]
+      .sort((a, b) => a.position - b.position || a.id - b.id)
+      .map(section => this.pickFields(section, SECTION_FIELDS));
+
+    const questions = [...(quiz.questions || [])]
+      .sort((a, b) => a.QuizQuestionLink.position - b.QuizQuestionLink.position || a.id - b.id)
+      .map(question => ({
+        ...this.pickFields(question, QUESTION_FIELDS),
+        position: question.QuizQuestionLink.position,
+        sectionId: question.QuizQuestionLink.sectionId || null,
+        keyStatus: question.QuizQuestionLink.keyStatus || 'active',
+        answers: [...(question.answers || [])]
+          .sort((a, b) => a.id - b.id)
+          .map(answer => this.pickFields(answer, ANSWER_FIELDS))
+      }));
+
+    return {
+      settings: this.pickFields(quiz, SETTING_FIELDS),
+      sections,
+      questions
+    };
+  }
+
+  /**
+   * Serialize a value with object keys in a fixed order
+   * The database may return JSON keys in a different order than they
+   * were stored, so checksums and comparisons use this form
+   * @param {*} value - Value to serialize
+   * @returns {string} JSON text
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Compute the checksum of a snapshot
+   * @param {Object} snapshot - Quiz snapshot
+   * @returns {string} Hex SHA-256 digest
+   */
+  computeChecksum(snapshot) {
+    return crypto.createHash('sha256').update(this.stableStringify(snapshot)).digest('hex');
+  }
+
+  /**
+   * Find the latest version of a quiz
+   * @param {number} quizId - Quiz ID
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object|null>} Latest version
+   */
+  async findLatestVersion(quizId, transaction) {
+    return QuizVersion.findOne({
+      where: { quizId },
+      order: [['version', 'DESC']],
+      transaction
+    });
+  }
+
+  /**
+   * Find a version of a quiz by its number
+   * @param {number} quizId - Quiz ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} Quiz version
+   */
+  async findVersion(quizId, version) {
+    const number = parseInt(version);
+
+    if (isNaN(number)) {
+      return null;
+    }
+
+    return QuizVersion.findOne({ where: { quizId, version: number } });
+  }
+
+  /**
+   * List the versions of a quiz with the number of attempts taken against each
+   * @param {number} quizId - Quiz ID
+   * @param {Object} [attemptWhere] - Extra conditions on the counted attempts
+   * @returns {Promise<Array>} Version summaries, newest first
+   */
+  async listVersions(quizId, attemptWhere = {}) {
+    const versions = await QuizVersion.findAll({
+      where: { quizId },
+      attributes: { exclude: ['snapshot'] },
+      order: [['version', 'DESC']]
+    });
+    const counts = await QuizAttempt.findAll({
+      where: { quizId, ...attemptWhere },
+      attributes: ['versionId', [sequelize.fn('COUNT', sequelize.col('id')), 'attemptCount']],
+      group: ['versionId'],
+      raw: true
+    });
+    const countsByVersion = new Map(counts.map(count => [count.versionId, parseInt(count.attemptCount)]));
+
+    return versions.map(version => ({
+      ...this.toSummary(version),
+      attemptCount: countsByVersion.get(version.id) || 0
+    }));
+  }
+
+  /**
+   * Publish the current state of a quiz as a new version
+   * Nothing is created when the quiz has not changed since the latest version
+   * @param {Object} quiz - Quiz loaded with attemptService.findQuizForGrading
+   * @param {Object} options - { userId, note }
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object>} { version, created }
+   */
+  async publishVersion(quiz, { userId = null, note = null } = {}, transaction) {
+    const snapshot = this.buildSnapshot(quiz);
+    const checksum = this.computeChecksum(snapshot);
+    const latest = await this.findLatestVersion(quiz.id, transaction);
+
+    if (latest && latest.checksum === checksum) {
+      return { version: latest, created: false };
+    }
+
+    try {
+      const version = await QuizVersion.create({
+        quizId: quiz.id,
+        version: latest ? latest.version + 1 : 1,
+        snapshot,
+        checksum,
+        note,
+        publishedBy: userId
+      }, { transaction });
+
+      return { version, created: true };
+    } catch (error) {
+      // Another request published the same state at the same time
+      if (error instanceof UniqueConstraintError) {
+        return { version: await this.findLatestVersion(quiz.id, transaction), created: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find the version a new attempt is taken against
+   * Publishes the quiz first when it changed since its latest version
+   * @param {Object} quiz - Quiz loaded with attemptService.findQuizForGrading
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object>} Quiz version
+   */
+  async resolveAttemptVersion(quiz, transaction) {
+    const { version } = await this.publishVersion(quiz, { note: 'Published automatically for a new attempt' }, transaction);
+    return version;
+  }
+
+  /**
+   * Describe a version without its snapshot
+   * @param {Object} version - Quiz version
+   * @returns {Object} { id, version, note, publishedBy, publishedAt }
+   */
+  toSummary(version) {
+    return {
+      id: version.id,
+      version: version.version,
+      note: version.note,
+      publishedBy: version.publishedBy,
+      publishedAt: version.createdAt
+    };
+  }
+
+  /**
+   * Show user answers with the questions and answers of a snapshot
+   * Answers whose question is not in the snapshot keep the live question
+   * @param {Array} userAnswers - Plain user answers with question and answer
+   * @param {Object} snapshot - Quiz snapshot
+   * @returns {Array} User answers with snapshot questions and answers
+   */
+  applySnapshot(userAnswers, snapshot) {
+    const questionsById = new Map(snapshot.questions.map(question => [question.id, question]));
+
+    return userAnswers.map(userAnswer => {
+      const question = questionsById.get(userAnswer.questionId);
+
+      if (!question) {
+        return userAnswer;
+      }
+
+      const answer = userAnswer.answerId
+        ? question.answers.find(a => a.id === userAnswer.answerId) || userAnswer.answer
+        : userAnswer.answer;
+
+      return { ...userAnswer, question, answer };
+    });
+  }
+
+  /**
+   * Rebuild a quiz from a snapshot in the shape the grading service reads
+   * @param {Object} snapshot - Quiz snapshot
+   * @returns {Object} Quiz settings with its sections and linked questions
+   */
+  toGradingQuiz(snapshot) {
+    return {
+      ...snapshot.settings,
+      sections: snapshot.sections,
+      questions: snapshot.questions.map(question => ({
+        ...question,
+        QuizQuestionLink: {
+          position: question.position,
+          sectionId: question.sectionId,
+          keyStatus: question.keyStatus
+        }
+      }))
+    };
+  }
+
+  /**
+   * List the fields that differ between two objects
+   * @param {Object} from - Old object
+   * @param {Object} to - New object
+   * @param {Array<string>} fields - Fields to compare
+   * @returns {Array} [{ field, from, to }]
+   */
+  diffFields(from, to, fields) {
+    return fields
+      .filter(field => this.stableStringify(from[field]) !== this.stableStringify(to[field]))
+      .map(field => ({ field, from: from[field], to: to[field] }));
+  }
+
+  /**
+   * Compare items of two snapshots by ID
+   * @param {Array} fromItems - Items of the old snapshot
+   * @param {Array} toItems - Items of the new snapshot
+   * @param {Array<string>} fields - Fields to compare
+   * @param {Function} describe - Short description of an item
+   * @returns {Object} { added, removed, changed }
+   */
+  diffItems(fromItems, toItems, fields, describe) {
+    const fromById = new Map(fromItems.map(item => [item.id, item]));
+    const toById = new Map(toItems.map(item => [item.id, item]));
+
+    return {
+      added: toItems.filter(item => !fromById.has(item.id)).map(describe),
+      removed: fromItems.filter(item => !toById.has(item.id)).map(describe),
+      changed: toItems
+        .filter(item => fromById.has(item.id))
+        .map(item => ({ ...describe(item), changes: this.diffFields(fromById.get(item.id), item, fields) }))
+        .filter(item => item.changes.length > 0)
+    };
+  }
+
+  /**
+   * Compare two snapshots of a quiz
+   * @param {Object} from - Old snapshot
+   * @param {Object} to - New snapshot
+   * @returns {Object} Changed settings, sections and questions
+   */
+  diffSnapshots(from, to) {
+    const sectionFields = SECTION_FIELDS.filter(field => field !== 'id');
+    const questionFields = [
+      ...QUESTION_FIELDS.filter(field => field !== 'id'),
+      'position', 'sectionId', 'keyStatus', 'answers'
+    ];
+
+    return {
+      settings: this.diffFields(from.settings, to.settings, SETTING_FIELDS),
+      sections: this.diffItems(from.sections, to.sections, sectionFields, section => ({
+        id: section.id,
+        title: section.title
+      })),
+      questions: this.diffItems(from.questions, to.questions, questionFields, question => ({
+        id: question.id,
+        position: question.position,
+        questionText: question.questionText
+      }))
+    };
+  }
+
+  /**
+   * Carry an answer key correction into the snapshots of a question
+   * Snapshots are otherwise never changed, but a corrected key applies to
+   * every attempt, so reviews must show it next to the regraded marks
+   * @param {Array<number>} quizIds - Quizzes whose versions are updated
+   * @param {number} questionId - Corrected question
+   * @param {Object} key - { answers } for a new key, with { marks } when the marks changed too,
+   *   or { keyStatus } for a dropped or awarded question
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async applyKeyCorrection(quizIds, questionId, key, transaction) {
+    const versions = await QuizVersion.findAll({ where: { quizId: quizIds }, transaction });
+
+    for (const version of versions) {
+      const snapshot = version.snapshot;
+      const index = snapshot.questions.findIndex(question => question.id === questionId);
+
+      if (index === -1) {
+        continue;
+      }
+
+      const question = { ...snapshot.questions[index] };
+
+      if (key.keyStatus) {
+        question.keyStatus = key.keyStatus;
+      }
+
+      if (key.answers) {
+        question.answers = this.applyKeyAnswers(question.answers, key.answers);
+      }
+
+      if (key.marks) {
+        Object.assign(question, key.marks);
+      }
+
+      const questions = [...snapshot.questions];
+      questions[index] = question;
+      const updated = { ...snapshot, questions };
+
+      await version.update({ snapshot: updated, checksum: this.computeChecksum(updated) }, { transaction });
+    }
+  }
+
+  /**
+   * Carry an edit of the marks or answer key of a question into the
+   * snapshots of every quiz using it, like an answer key correction
+   * Without this, attempts regraded from their versions would keep the old
+   * key and marks; the wording shown in reviews stays as it was taken
+   * @param {number} questionId - Edited question
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async applyQuestionEdit(questionId, transaction) {
+    const question = await QuizQuestion.findByPk(questionId, {
+      include: [
+        {
+          model: QuizAnswer,
+          as: 'answers'
+        }
+      ],
+      order: [[{ model: QuizAnswer, as: 'answers' }, 'id', 'ASC']],
+      transaction
+    });
+    const quizIds = await this.findQuestionQuizIds(questionId, transaction);
+
+    await this.applyKeyCorrection(quizIds, questionId, {
+      answers: question.answers,
+      marks: this.pickFields(question, MARK_FIELDS)
+    }, transaction);
+  }
+
+  /**
+   * Apply corrected answers to the answers of a snapshot question
+   * Options keep their text and only take the new key; answers that were
+   * replaced (accepted values of free-response questions) are swapped whole,
+   * and answers added since the snapshot are appended
+   * @param {Array} answers - Answers in the snapshot
+   * @param {Array} keyAnswers - Corrected answers
+   * @returns {Array} Updated answers
+   */
+  applyKeyAnswers(answers, keyAnswers) {
+    const keyById = new Map(keyAnswers.map(answer => [answer.id, answer]));
+
+    if (answers.length === 0 || answers.some(answer => !keyById.has(answer.id))) {
+      return keyAnswers.map(answer => this.pickFields(answer, ANSWER_FIELDS));
+    }
+
+    const snapshotIds = new Set(answers.map(answer => answer.id));
+
+    return [
+      ...answers.map(answer => ({
+        ...answer,
+        ...this.pickFields(keyById.get(answer.id), KEY_FIELDS)
+      })),
+      ...keyAnswers
+        .filter(answer => !snapshotIds.has(answer.id))
+        .map(answer => this.pickFields(answer, ANSWER_FIELDS))
+    ];
+  }
+
+  /**
+   * Find the quizzes using a question
+   * @param {number} questionId - Question ID
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Array<number>>} Quiz IDs
+   */
+  async findQuestionQuizIds(questionId, transaction) {
+    const links = await QuizQuestionLink.findAll({
+      where: { questionId },
+      attributes: ['quizId'],
+      transaction
+    });
+
+    return links.map(link => link.quizId);
+  }
+}
+
+module.exports = new QuizVersionService();
\ No newline at end of file
@@ -0,0 +1,305 @@
+const { Op } = require('sequelize');
+const { Quiz, QuizAttempt, QuizQuestion, UserQuizAnswer, User, sequelize } = require('../models');
+
+// Decimal places kept for percentiles, as in NTA score cards
+const PERCENTILE_PRECISION = 7;
+
+/**
+ * All-India ranks and NTA-style percentiles of mock tests
+ * Only the first attempt of each student counts. Ranks are cached on the
+ * attempts and recomputed the next time they are read after new attempts
+ * arrive or attempts are regraded
+ */
+class RankingService {
+  /**
+   * Flag the cached ranks of a quiz as out of date
+   * @param {number} quizId - Quiz ID
+   * @param {Object} [transaction] - Sequelize transaction
+   */
+  async markStale(quizId, transaction) {
+    await Quiz.update({ rankingStale: true }, { where: { id: quizId }, transaction });
+  }
+
+  /**
+   * Recompute the ranks of a quiz if they are out of date
+   * The stale flag is cleared before reading the attempts, so attempts
+   * submitted meanwhile flag the quiz again and are ranked on the next read
+   * @param {number} quizId - Quiz ID
+   * @returns {Promise<boolean>} True if the ranks were recomputed
+   */
+  async refreshRankings(quizId) {
+    const [claimed] = await Quiz.update(
+      { rankingStale: false },
+      { where: { id: quizId, rankingStale: true } }
+    );
+
+    if (claimed === 0) {
+      return false;
+    }
+
+    try {
+      await this.computeRankings(quizId);
+    } catch (error) {
+      await this.markStale(quizId);
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Recompute the ranks of every out of date quiz among the given ones
+   * @param {Array<number>} quizIds - Quiz IDs
+   * @returns {Promise<number>} Number of quizzes recomputed
+   */
+  async refreshStaleRankings(quizIds) {
+    const staleQuizzes = await Quiz.findAll({
+      where: { id: [...new Set(quizIds)], rankingStale: true },
+      attributes: ['id']
+    });
+
+    let refreshed = 0;
+    for (const quiz of staleQuizzes) {
+      if (await this.refreshRankings(quiz.id)) {
+        refreshed++;
+      }
+    }
+
+    return refreshed;
+  }
+
+  /**
+   * Compute and store the rank, percentile and subject percentiles of
+   * every first attempt at a quiz
+   * @param {number} quizId - Quiz ID
+   */
+  async computeRankings(quizId) {
+    const attempts = await QuizAttempt.findAll({
+      where: { quizId, userId: { [Op.ne]: null } },
+      attributes: ['id', 'userId', 'status', 'score', 'timeSpentSeconds', 'sectionScores', 'rank', 'percentile', 'subjectPercentiles'],
+      order: [['startedAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    const firstAttemptIds = new Set();
+    const seenUserIds = new Set();
+    for (const attempt of attempts) {
+      if (!seenUserIds.has(attempt.userId)) {
+        seenUserIds.add(attempt.userId);
+        firstAttemptIds.add(attempt.id);
+      }
+    }
+
+    // A first attempt still in progress is ranked once it is submitted
+    const ranked = attempts.filter(attempt => firstAttemptIds.has(attempt.id) && attempt.status !== 'in_progress');
+    const ranks = this.rankAttempts(ranked);
+    const percentiles = this.calculatePercentiles(ranked.map(attempt => attempt.score || 0));
+    const subjectScores = await this.getSubjectScores(ranked);
+    const subjectPercentiles = this.calculateSubjectPercentiles(ranked, subjectScores);
+
+    const rankedIndexes = new Map(ranked.map((attempt, index) => [attempt.id, index]));
+
+    await sequelize.transaction(async (transaction) => {
+      for (const attempt of attempts) {
+        const index = rankedIndexes.get(attempt.id);
+        const values = index === undefined
+          ? { rank: null, percentile: null, subjectPercentiles: null }
+          : { rank: ranks[index], percentile: percentiles[index], subjectPercentiles: subjectPercentiles[index] };
+
+        if (this.isRankingChanged(attempt, values)) {
+          await attempt.update(values, { transaction });
+        }
+      }
+    });
+  }
+
+  /**
+   * Rank attempts by score, breaking ties by time taken
+   * Attempts with the same score and time share a rank, and the next rank
+   * skips the places they took (1, 2, 2, 4)
+   * @param {Array} attempts - Finished first attempts
+   * @param {Function} [scoreOf] - Value attempts are ranked by, the score unless given
+   * @returns {Array<number>} Rank of each attempt, in the order given
+   */
+  rankAttempts(attempts, scoreOf = attempt => attempt.score || 0) {
+    const time = attempt => (attempt.timeSpentSeconds === null ? Infinity : attempt.timeSpentSeconds);
+    const order = attempts
+      .map((attempt, index) => index)
+      .sort((a, b) => (scoreOf(attempts[b]) - scoreOf(attempts[a])) || (time(attempts[a]) - time(attempts[b])));
+
+    const ranks = new Array(attempts.length);
+    order.forEach((index, position) => {
+      const previous = position > 0 ? attempts[order[position - 1]] : null;
+      const attempt = attempts[index];
+      const tied = previous && scoreOf(previous) === scoreOf(attempt) && time(previous) === time(attempt);
+
+      ranks[index] = tied ? ranks[order[position - 1]] : position + 1;
+    });
+
+    return ranks;
+  }
+
+  /**
+   * Calculate NTA-style percentiles: the share of candidates who scored
+   * the same or lower
+   * @param {Array<number>} scores - Score of each candidate
+   * @returns {Array<number>} Percentile of each candidate, in the order given
+   */
+  calculatePercentiles(scores) {
+    const sorted = [...scores].sort((a, b) => a - b);
+
+    return scores.map(score => {
+      // Number of scores at or below this one, by binary search
+      let low = 0;
+      let high = sorted.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (sorted[middle] <= score) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+
+      return Number(((100 * low) / sorted.length).toFixed(PERCENTILE_PRECISION));
+    });
+  }
+
+  /**
+   * Total the score of each attempt in each subject
+   * Sectioned tests use their section scores; other tests add up the
+   * marks of each question by its subject
+   * @param {Array} attempts - Finished first attempts
+   * @returns {Promise<Map>} Attempt ID to a Map of subject to score
+   */
+  async getSubjectScores(attempts) {
+    const scores = new Map(attempts.map(attempt => [attempt.id, new Map()]));
+    const add = (attemptId, subject, score) => {
+      const subjects = scores.get(attemptId);
+      subjects.set(subject, (subjects.get(subject) || 0) + (Number(score) || 0));
+    };
+
+    const unsectioned = [];
+    for (const attempt of attempts) {
+      if (!attempt.sectionScores || attempt.sectionScores.length === 0) {
+        unsectioned.push(attempt.id);
+        continue;
+      }
+
+      for (const section of attempt.sectionScores) {
+        add(attempt.id, section.subject || section.title, section.score);
+      }
+    }
+
+    if (unsectioned.length === 0) {
+      return scores;
+    }
+
+    const totals = await UserQuizAnswer.findAll({
+      where: { attemptId: unsectioned, countedInScore: true },
+      attributes: [
+        'attemptId',
+        [sequelize.col('question.subject'), 'subject'],
+        [sequelize.fn('SUM', sequelize.col('UserQuizAnswer.points_earned')), 'score']
+      ],
+      include: [{ model: QuizQuestion, as: 'question', attributes: [] }],
+      group: ['attemptId', 'question.subject'],
+      raw: true
+    });
+
+    for (const total of totals) {
+      if (total.subject) {
+        add(total.attemptId, total.subject, total.score);
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Calculate the percentile of each attempt in each subject
+   * @param {Array} attempts - Finished first attempts
+   * @param {Map} subjectScores - Scores from getSubjectScores
+   * @returns {Array} [{ subject, score, percentile }] for each attempt, or null without subjects
+   */
+  calculateSubjectPercentiles(attempts, subjectScores) {
+    const subjects = [...new Set(
+      [...subjectScores.values()].flatMap(scores => [...scores.keys()])
+    )].sort();
+    const results = attempts.map(() => []);
+
+    for (const subject of subjects) {
+      const scores = attempts.map(attempt => subjectScores.get(attempt.id).get(subject) || 0);
+      const percentiles = this.calculatePercentiles(scores);
+
+      scores.forEach((score, index) => {
+        results[index].push({ subject, score, percentile: percentiles[index] });
+      });
+    }
+
+    return results.map(result => (result.length > 0 ? result : null));
+  }
+
+  /**
+   * Check whether recomputed ranks differ from the ones stored on an attempt
+   * @param {Object} attempt - Quiz attempt
+   * @param {Object} values - { rank, percentile, subjectPercentiles }
+   * @returns {boolean} True if the attempt needs updating
+   */
+  isRankingChanged(attempt, values) {
+    const percentile = attempt.percentile === null ? null : Number(attempt.percentile);
+
+    return attempt.rank !== values.rank ||
+      percentile !== values.percentile ||
+      JSON.stringify(attempt.subjectPercentiles) !== JSON.stringify(values.subjectPercentiles);
+  }
+
+  /**
+   * Load a page of the leaderboard of a quiz
+   * @param {number} quizId - Quiz ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { count, rows } of ranked attempts with their users
+   */
+  async getLeaderboard(quizId, { limit, offset }) {
+    return QuizAttempt.findAndCountAll({
+      where: { quizId, rank: { [Op.ne]: null } },
+      attributes: ['id', 'userId', 'rank', 'percentile', 'subjectPercentiles', 'score', 'maxScore', 'timeSpentSeconds', 'completedAt'],
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'username', 'fullName']
+        }
+      ],
+      order: [['rank', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
+  }
+
+  /**
+   * Find the attempt ranked first in a quiz
+   * @param {number} quizId - Quiz ID
+   * @returns {Promise<Object|null>} Topper's attempt, the earliest one on a tie
+   */
+  async findTopper(quizId) {
+    return QuizAttempt.findOne({
+      where: { quizId, rank: 1 },
+      order: [['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Find the ranked attempt of a student in a quiz
+   * @param {number} quizId - Quiz ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} The first attempt of the student, if ranked
+   */
+  async findRankedAttempt(quizId, userId) {
+    return QuizAttempt.findOne({
+      where: { quizId, userId, rank: { [Op.ne]: null } },
+      attributes: ['id', 'userId', 'rank', 'percentile', 'subjectPercentiles', 'score', 'maxScore', 'timeSpentSeconds', 'completedAt']
+    });
+  }
+}
+
+module.exports = new RankingService();
\ No newline at end of file
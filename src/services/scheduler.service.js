@@ -1,7 +1,11 @@
 const cron = require('node-cron');
 const winston = require('winston');
 const questionScraperService = require('./questionScraper.service');
+const calibrationService = require('./calibration.service');
+const dppService = require('./dpp.service');
 const scraperConfig = require('../config/scraper.config');
+const adaptiveConfig = require('../config/adaptive.config');
+const dppConfig = require('../config/dpp.config');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -35,6 +39,12 @@ class SchedulerService {
     // Schedule daily cleanup at 3 AM
     this.scheduleDailyCleanup();
     
+    // Schedule daily question calibration at 4 AM
+    this.scheduleQuestionCalibration();
+    
+    // Schedule daily practice problem sets at 6 AM
+    this.scheduleDppPublishing();
+    
     logger.info('All scheduled jobs initialized successfully');
   }
 
@@ -89,6 +99,51 @@ class SchedulerService {
     logger.info(`Daily cleanup job scheduled with pattern: ${scraperConfig.scheduler.cleanupCron} in timezone: ${scraperConfig.scheduler.timezone}`);
   }
 
+  /**
+   * Schedule recalibration of question difficulty from graded answers
+   */
+  scheduleQuestionCalibration() {
+    const calibrationJob = cron.schedule(adaptiveConfig.calibrationCron, async () => {
+      logger.info('Starting scheduled question calibration...');
+      
+      try {
+        const calibrated = await calibrationService.calibrateQuestions();
+        logger.info(`Scheduled question calibration completed: ${calibrated} questions calibrated`);
+      } catch (error) {
+        logger.error(`Scheduled question calibration failed: ${error.message}`);
+      }
+    }, {
+      scheduled: true,
+      timezone: adaptiveConfig.timezone
+    });
+
+    this.jobs.set('questionCalibration', calibrationJob);
+    logger.info(`Question calibration job scheduled with pattern: ${adaptiveConfig.calibrationCron} in timezone: ${adaptiveConfig.timezone}`);
+  }
+
+  /**
+   * Schedule publishing of the day's DPP sets for every active plan
+   */
+  scheduleDppPublishing() {
+    const dppJob = cron.schedule(dppConfig.publishCron, async () => {
+      logger.info('Starting scheduled DPP publishing...');
+      
+      try {
+        const { published, skipped, failed, errors } = await dppService.publishDailySets();
+        errors.forEach(message => logger.error(message));
+        logger.info(`Scheduled DPP publishing completed: ${published} published, ${skipped} already published today, ${failed} failed`);
+      } catch (error) {
+        logger.error(`Scheduled DPP publishing failed: ${error.message}`);
+      }
+    }, {
+      scheduled: true,
+      timezone: dppConfig.timezone
+    });
+
+    this.jobs.set('dppPublishing', dppJob);
+    logger.info(`DPP publishing job scheduled with pattern: ${dppConfig.publishCron} in timezone: ${dppConfig.timezone}`);
+  }
+
   /**
    * Schedule immediate question scraping (for testing or manual trigger)
    */
@@ -210,6 +265,8 @@ class SchedulerService {
     const patterns = {
       'questionScraping': '0 2 */15 * * (Every 15 days at 2:00 AM IST)',
       'dailyCleanup': '0 3 * * * (Daily at 3:00 AM IST)',
+      'questionCalibration': `${adaptiveConfig.calibrationCron} (Question calibration)`,
+      'dppPublishing': `${dppConfig.publishCron} (Daily practice problem sets)`,
       'immediateScraping': '*/10 * * * * * (Every 10 seconds - temporary)'
     };
     
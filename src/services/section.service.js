@@ -0,0 +1,89 @@
+const { QuizSection } = require('../models');
+const questionService = require('./question.service');
+
+/**
+ * Validation and persistence of mock test sections
+ */
+class SectionService {
+  /**
+   * Validate a section payload and its questions
+   * @param {Object} data - Section payload from the request
+   * @param {number} index - Position of the section in the payload
+   * @returns {string|null} Error message, or null when the payload is valid
+   */
+  validateSection(data, index) {
+    const { title, questions, attemptLimit, timeLimit } = data;
+
+    if (!title || !questions || !Array.isArray(questions) || questions.length === 0) {
+      return `Invalid section at index ${index}: missing required fields`;
+    }
+
+    const marksError = questionService.validateMarks(data);
+    if (marksError) {
+      return `Invalid section at index ${index}: ${marksError}`;
+    }
+
+    if (attemptLimit !== undefined && attemptLimit !== null &&
+        !(Number.isInteger(Number(attemptLimit)) && Number(attemptLimit) > 0 && Number(attemptLimit) <= questions.length)) {
+      return `Invalid section at index ${index}: attemptLimit must be between 1 and the number of questions`;
+    }
+
+    if (timeLimit !== undefined && timeLimit !== null && !(Number.isInteger(Number(timeLimit)) && Number(timeLimit) > 0)) {
+      return `Invalid section at index ${index}: timeLimit must be a positive number of minutes`;
+    }
+
+    for (let i = 0; i < questions.length; i++) {
+      const validationError = questionService.validateQuestion(questions[i], i);
+
+      if (validationError) {
+        return `Invalid section at index ${index}: ${validationError}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a section and its questions
+   * @param {number} quizId - Quiz the section belongs to
+   * @param {Object} data - Validated section payload
+   * @param {number} position - Position of the section in the quiz
+   * @param {number} firstQuestionPosition - Quiz position of the first question in the section
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} Created section
+   */
+  async createSection(quizId, data, position, firstQuestionPosition, transaction) {
+    const {
+      title, subject, instructions, correctMarks, negativeMarks, unattemptedMarks,
+      partialMarking, partialMarksPerOption, attemptLimit, timeLimit, questions
+    } = data;
+
+    const section = await QuizSection.create({
+      quizId,
+      title,
+      subject,
+      instructions,
+      position,
+      correctMarks,
+      negativeMarks,
+      unattemptedMarks,
+      partialMarking,
+      partialMarksPerOption,
+      attemptLimit,
+      timeLimit
+    }, { transaction });
+
+    for (let i = 0; i < questions.length; i++) {
+      await questionService.createQuestion(
+        quizId,
+        { ...questions[i], sectionId: section.id },
+        firstQuestionPosition + i,
+        transaction
+      );
+    }
+
+    return section;
+  }
+}
+
+module.exports = new SectionService();
\ No newline at end of file
@@ -0,0 +1,418 @@
+const { SyllabusNode, QuestionSyllabusTag, LessonSyllabusTag, QuizQuestionLink, Quiz } = require('../models');
+
+// Levels of the NTA JEE syllabus, from the root down
+const LEVELS = ['subject', 'unit', 'chapter', 'topic'];
+
+/**
+ * Syllabus taxonomy used to tag questions and lessons
+ */
+class SyllabusService {
+  /**
+   * Validate a node against the parent it is placed under
+   * Each level sits directly under the one above it, and subjects are roots
+   * @param {Object} data - Node payload ({ level, name })
+   * @param {Object|null} parent - Parent node
+   * @returns {string|null} Error message, or null when the node is valid
+   */
+  validateNode(data, parent) {
+    const { level, name } = data;
+    const levelIndex = LEVELS.indexOf(level);
+
+    if (!name || levelIndex === -1) {
+      return `Invalid syllabus node: name and level (${LEVELS.join(', ')}) are required`;
+    }
+
+    if (levelIndex === 0) {
+      return parent ? 'A subject cannot have a parent node' : null;
+    }
+
+    if (!parent || parent.level !== LEVELS[levelIndex - 1]) {
+      return `A ${level} must be placed under a ${LEVELS[levelIndex - 1]}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a nested syllabus tree before it is imported
+   * The level of each node follows from its depth
+   * @param {Array} nodes - Nodes ({ name, code, children })
+   * @param {number} depth - Depth of the nodes in the tree
+   * @returns {string|null} Error message, or null when the tree is valid
+   */
+  validateTree(nodes, depth = 0) {
+    if (!Array.isArray(nodes)) {
+      return 'Syllabus nodes must be an array';
+    }
+
+    for (const node of nodes) {
+      if (!node || !node.name) {
+        return `Invalid ${LEVELS[depth] || 'syllabus node'}: name is required`;
+      }
+
+      if (node.level && node.level !== LEVELS[depth]) {
+        return `Invalid syllabus node "${node.name}": expected a ${LEVELS[depth]}`;
+      }
+
+      if (node.children && node.children.length > 0) {
+        if (depth === LEVELS.length - 1) {
+          return `Invalid syllabus node "${node.name}": topics cannot have children`;
+        }
+
+        const childError = this.validateTree(node.children, depth + 1);
+        if (childError) {
+          return childError;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Import a nested syllabus tree
+   * Nodes are matched by name under the same parent, so importing the
+   * same syllabus again only adds what is missing
+   * @param {Array} nodes - Validated nodes ({ name, code, children })
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} { created, existing }
+   */
+  async importTree(nodes, transaction) {
+    const counts = { created: 0, existing: 0 };
+    await this.importNodes(nodes, null, 0, counts, transaction);
+    return counts;
+  }
+
+  /**
+   * Import the nodes of one level under a parent
+   * @param {Array} nodes - Nodes to import
+   * @param {number|null} parentId - Parent node ID
+   * @param {number} depth - Depth of the nodes in the tree
+   * @param {Object} counts - Running { created, existing } counts
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async importNodes(nodes, parentId, depth, counts, transaction) {
+    for (let i = 0; i < nodes.length; i++) {
+      const { name, code, children } = nodes[i];
+
+      const [node, created] = await SyllabusNode.findOrCreate({
+        where: { parentId, level: LEVELS[depth], name: String(name).trim() },
+        defaults: { code: code || null, position: i },
+        transaction
+      });
+
+      if (created) {
+        counts.created++;
+      } else {
+        counts.existing++;
+        if (code && node.code !== code) {
+          await node.update({ code }, { transaction });
+        }
+      }
+
+      if (children && children.length > 0) {
+        await this.importNodes(children, node.id, depth + 1, counts, transaction);
+      }
+    }
+  }
+
+  /**
+   * Convert a syllabus CSV to a nested tree
+   * Each row is a path such as "Physics,Mechanics,Laws of Motion,Friction";
+   * trailing cells may be empty to add a node without children. A header row
+   * naming the subject, unit, chapter and topic columns is optional, and may
+   * add subject_code, unit_code, chapter_code and topic_code columns
+   * @param {string} text - CSV file contents
+   * @returns {Array} Nodes ({ name, code, children })
+   */
+  csvToTree(text) {
+    const rows = this.parseCsv(text).filter(row => row.some(cell => cell !== ''));
+    let nameColumns = [0, 1, 2, 3];
+    let codeColumns = [-1, -1, -1, -1];
+
+    if (rows.length > 0 && rows[0].map(cell => cell.toLowerCase()).includes('subject')) {
+      const header = rows.shift().map(cell => cell.toLowerCase());
+      nameColumns = LEVELS.map(level => header.indexOf(level));
+      codeColumns = LEVELS.map(level => header.indexOf(`${level}_code`));
+    }
+
+    const roots = [];
+    for (const row of rows) {
+      let siblings = roots;
+
+      for (let depth = 0; depth < LEVELS.length; depth++) {
+        const name = nameColumns[depth] >= 0 ? (row[nameColumns[depth]] || '') : '';
+        if (!name) {
+          break;
+        }
+
+        let node = siblings.find(sibling => sibling.name === name);
+        if (!node) {
+          node = { name, children: [] };
+          siblings.push(node);
+        }
+
+        const code = codeColumns[depth] >= 0 ? row[codeColumns[depth]] : '';
+        if (code) {
+          node.code = code;
+        }
+
+        siblings = node.children;
+      }
+    }
+
+    return roots;
+  }
+
+  /**
+   * Split CSV text into rows of trimmed cells
+   * Handles quoted cells containing commas, quotes and line breaks
+   * @param {string} text - CSV text
+   * @returns {Array<Array<string>>} Rows
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell.trim());
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Nest a flat list of nodes under their parents
+   * @param {Array} nodes - Node instances
+   * @returns {Array} Root nodes with nested children
+   */
+  buildTree(nodes) {
+    const byId = new Map();
+    for (const node of nodes) {
+      byId.set(node.id, { ...node.toJSON(), children: [] });
+    }
+
+    const roots = [];
+    for (const node of byId.values()) {
+      const parent = node.parentId ? byId.get(node.parentId) : null;
+      (parent ? parent.children : roots).push(node);
+    }
+
+    return roots;
+  }
+
+  /**
+   * Get the IDs of nodes and all nodes below them
+   * @param {Array<number>} nodeIds - Node IDs
+   * @returns {Promise<Array<number>>} Node IDs including descendants
+   */
+  async getDescendantIds(nodeIds) {
+    const ids = nodeIds.map(Number);
+    let parentIds = ids;
+
+    while (parentIds.length > 0) {
+      const children = await SyllabusNode.findAll({
+        where: { parentId: parentIds },
+        attributes: ['id']
+      });
+      parentIds = children.map(child => child.id).filter(id => !ids.includes(id));
+      ids.push(...parentIds);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Get the IDs of questions tagged with a node or any node below it
+   * @param {number} nodeId - Syllabus node ID
+   * @returns {Promise<Array<number>>} Question IDs
+   */
+  async getTaggedQuestionIds(nodeId) {
+    const nodeIds = await this.getDescendantIds([nodeId]);
+    const tags = await QuestionSyllabusTag.findAll({
+      where: { syllabusNodeId: nodeIds },
+      attributes: ['questionId']
+    });
+
+    return [...new Set(tags.map(tag => tag.questionId))];
+  }
+
+  /**
+   * Get the IDs of quizzes covering a node or any node below it
+   * A quiz covers a node when one of its questions, or its lesson, is tagged
+   * @param {number} nodeId - Syllabus node ID
+   * @returns {Promise<Array<number>>} Quiz IDs
+   */
+  async getTaggedQuizIds(nodeId) {
+    const nodeIds = await this.getDescendantIds([nodeId]);
+    const questionTags = await QuestionSyllabusTag.findAll({
+      where: { syllabusNodeId: nodeIds },
+      attributes: ['questionId']
+    });
+    const lessonTags = await LessonSyllabusTag.findAll({
+      where: { syllabusNodeId: nodeIds },
+      attributes: ['lessonId']
+    });
+
+    const links = await QuizQuestionLink.findAll({
+      where: { questionId: questionTags.map(tag => tag.questionId) },
+      attributes: ['quizId']
+    });
+    const lessonQuizzes = await Quiz.findAll({
+      where: { lessonId: lessonTags.map(tag => tag.lessonId) },
+      attributes: ['id']
+    });
+
+    return [...new Set([
+      ...links.map(link => link.quizId),
+      ...lessonQuizzes.map(quiz => quiz.id)
+    ])];
+  }
+
+  /**
+   * Get the chapters each question is tagged with
+   * Questions tagged with a topic count under the chapter above it
+   * @param {Array<number>} questionIds - Question IDs
+   * @returns {Promise<Map>} Question ID to a list of chapter nodes
+   */
+  async getQuestionChapters(questionIds) {
+    const tags = await QuestionSyllabusTag.findAll({
+      where: { questionId: questionIds },
+      include: [{ model: SyllabusNode, as: 'syllabusNode', attributes: ['id', 'parentId', 'level', 'name'] }]
+    });
+    const topicParentIds = tags
+      .filter(tag => tag.syllabusNode.level === 'topic')
+      .map(tag => tag.syllabusNode.parentId);
+    const parents = await SyllabusNode.findAll({
+      where: { id: [...new Set(topicParentIds)] },
+      attributes: ['id', 'level', 'name']
+    });
+    const parentsById = new Map(parents.map(parent => [parent.id, parent]));
+    const chapters = new Map(questionIds.map(questionId => [questionId, []]));
+
+    for (const tag of tags) {
+      const node = tag.syllabusNode.level === 'topic'
+        ? parentsById.get(tag.syllabusNode.parentId)
+        : tag.syllabusNode;
+      const questionChapters = chapters.get(tag.questionId);
+
+      if (node && node.level === 'chapter' && !questionChapters.some(chapter => chapter.id === node.id)) {
+        questionChapters.push({ id: node.id, name: node.name });
+      }
+    }
+
+    return chapters;
+  }
+
+  /**
+   * Find a subject node by name
+   * @param {string} name - Subject name, e.g. "Physics"
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object|null>} Subject node
+   */
+  async findSubjectByName(name, transaction) {
+    if (!name) {
+      return null;
+    }
+
+    return SyllabusNode.findOne({ where: { level: 'subject', name }, transaction });
+  }
+
+  /**
+   * Check that every node ID exists
+   * @param {Array} nodeIds - Node IDs from the request
+   * @returns {Promise<string|null>} Error message, or null when all exist
+   */
+  async validateNodeIds(nodeIds) {
+    if (!Array.isArray(nodeIds)) {
+      return 'syllabusNodeIds must be an array';
+    }
+
+    const count = await SyllabusNode.count({ where: { id: nodeIds } });
+    if (count !== new Set(nodeIds.map(Number)).size) {
+      return 'One or more syllabus nodes were not found';
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the syllabus tags of a question
+   * @param {number} questionId - Question ID
+   * @param {Array<number>} nodeIds - Validated node IDs
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async setQuestionTags(questionId, nodeIds, transaction) {
+    await QuestionSyllabusTag.destroy({ where: { questionId }, transaction });
+    await QuestionSyllabusTag.bulkCreate(
+      [...new Set(nodeIds.map(Number))].map(syllabusNodeId => ({ questionId, syllabusNodeId })),
+      { transaction }
+    );
+  }
+
+  /**
+   * Replace the syllabus tags of a lesson
+   * @param {number} lessonId - Lesson ID
+   * @param {Array<number>} nodeIds - Validated node IDs
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async setLessonTags(lessonId, nodeIds, transaction) {
+    await LessonSyllabusTag.destroy({ where: { lessonId }, transaction });
+    await LessonSyllabusTag.bulkCreate(
+      [...new Set(nodeIds.map(Number))].map(syllabusNodeId => ({ lessonId, syllabusNodeId })),
+      { transaction }
+    );
+  }
+
+  /**
+   * Delete a node, the nodes below it and their tags
+   * @param {Object} node - Node to delete
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<number>} Number of nodes deleted
+   */
+  async deleteNode(node, transaction) {
+    const nodeIds = await this.getDescendantIds([node.id]);
+
+    await QuestionSyllabusTag.destroy({ where: { syllabusNodeId: nodeIds }, transaction });
+    await LessonSyllabusTag.destroy({ where: { syllabusNodeId: nodeIds }, transaction });
+    await SyllabusNode.update({ parentId: null }, { where: { id: nodeIds }, transaction });
+    await SyllabusNode.destroy({ where: { id: nodeIds }, transaction });
+
+    return nodeIds.length;
+  }
+}
+
+module.exports = new SyllabusService();
\ No newline at end of file
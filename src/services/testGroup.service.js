@@ -0,0 +1,241 @@
+const { Op } = require('sequelize');
+const { Quiz, QuizAttempt, TestGroup, User, sequelize } = require('../models');
+const rankingService = require('./ranking.service');
+
+// Attempt fields shown on the leaderboard of a test group
+const LEADERBOARD_ATTRIBUTES = [
+  'id', 'quizId', 'userId', 'groupRank', 'normalizedPercentile', 'percentile', 'score', 'maxScore', 'timeSpentSeconds'
+];
+
+/**
+ * Test groups: several mock tests run as shift papers of one exam
+ * Raw scores of different shifts are not comparable, so, as NTA does,
+ * each candidate gets the percentile of their score within their own
+ * shift and candidates of all shifts are ranked by that percentile
+ */
+class TestGroupService {
+  /**
+   * Validate the mock tests given as the shifts of a test group
+   * @param {Array} quizIds - IDs of the mock tests
+   * @returns {string|null} Error message, or null when the list is valid
+   */
+  validateShiftIds(quizIds) {
+    if (!Array.isArray(quizIds) || quizIds.length === 0) {
+      return 'quizIds must list the mock tests run as shifts';
+    }
+
+    if (quizIds.some(id => !Number.isInteger(Number(id)))) {
+      return 'quizIds must be mock test IDs';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that the given mock tests can be the shifts of a test group
+   * @param {Array<number>} quizIds - IDs of the mock tests
+   * @param {number|null} groupId - Test group being updated, null on create
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<string|null>} Error message, or null when they can
+   */
+  async findShiftError(quizIds, groupId, transaction) {
+    const quizzes = await Quiz.findAll({
+      where: { id: quizIds, lessonId: null, ownerId: null },
+      attributes: ['id', 'testGroupId'],
+      transaction
+    });
+
+    if (quizzes.length !== new Set(quizIds.map(Number)).size) {
+      return 'quizIds must refer to mock tests';
+    }
+
+    const taken = quizzes.find(quiz => quiz.testGroupId && quiz.testGroupId !== groupId);
+    if (taken) {
+      return `Mock test ${taken.id} is already a shift of another test group`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Make the given mock tests the shifts of a test group
+   * Mock tests taken out of the group lose their normalized results
+   * @param {Object} group - Test group
+   * @param {Array<number>} quizIds - IDs of the mock tests
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async setShifts(group, quizIds, transaction) {
+    const removed = await Quiz.findAll({
+      where: { testGroupId: group.id, id: { [Op.notIn]: quizIds } },
+      attributes: ['id'],
+      transaction
+    });
+
+    await this.clearShifts(removed.map(quiz => quiz.id), transaction);
+    await Quiz.update({ testGroupId: group.id }, { where: { id: quizIds }, transaction });
+  }
+
+  /**
+   * Take mock tests out of their test group
+   * @param {Array<number>} quizIds - IDs of the mock tests
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async clearShifts(quizIds, transaction) {
+    if (quizIds.length === 0) {
+      return;
+    }
+
+    await Quiz.update({ testGroupId: null }, { where: { id: quizIds }, transaction });
+    await QuizAttempt.update(
+      { normalizedPercentile: null, groupRank: null },
+      { where: { quizId: quizIds }, transaction }
+    );
+  }
+
+  /**
+   * Compute the normalized percentile and group rank of every candidate
+   * Ranks of each shift are brought up to date first. A candidate who
+   * sat several shifts is counted in the first one they took
+   * @param {Object} group - Test group
+   * @returns {Promise<Object>} Summary of the candidates of each shift
+   */
+  async normalize(group) {
+    const shifts = await Quiz.findAll({
+      where: { testGroupId: group.id },
+      attributes: ['id', 'title'],
+      order: [['startsAt', 'ASC'], ['id', 'ASC']]
+    });
+    const shiftIds = shifts.map(shift => shift.id);
+
+    for (const shiftId of shiftIds) {
+      await rankingService.refreshRankings(shiftId);
+    }
+
+    // Only the first attempt of each student in a shift is ranked
+    const attempts = await QuizAttempt.findAll({
+      where: { quizId: shiftIds, rank: { [Op.ne]: null } },
+      attributes: ['id', 'quizId', 'userId', 'score', 'timeSpentSeconds'],
+      order: [['startedAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    const seenUserIds = new Set();
+    const candidates = attempts.filter(attempt => {
+      if (seenUserIds.has(attempt.userId)) {
+        return false;
+      }
+      seenUserIds.add(attempt.userId);
+      return true;
+    });
+
+    const normalized = new Map();
+    const shiftSummaries = shifts.map(shift => {
+      const shiftCandidates = candidates.filter(attempt => attempt.quizId === shift.id);
+      const scores = shiftCandidates.map(attempt => attempt.score || 0);
+      const percentiles = rankingService.calculatePercentiles(scores);
+
+      shiftCandidates.forEach((attempt, index) => normalized.set(attempt.id, percentiles[index]));
+
+      return {
+        quizId: shift.id,
+        title: shift.title,
+        candidates: shiftCandidates.length,
+        highestScore: scores.length > 0 ? Math.max(...scores) : null,
+        averageScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null
+      };
+    });
+
+    const groupRanks = rankingService.rankAttempts(candidates, attempt => normalized.get(attempt.id));
+
+    await sequelize.transaction(async (transaction) => {
+      await QuizAttempt.update(
+        { normalizedPercentile: null, groupRank: null },
+        { where: { quizId: shiftIds }, transaction }
+      );
+
+      for (let i = 0; i < candidates.length; i++) {
+        await candidates[i].update({
+          normalizedPercentile: normalized.get(candidates[i].id),
+          groupRank: groupRanks[i]
+        }, { transaction });
+      }
+
+      await group.update({ normalizedAt: new Date() }, { transaction });
+    });
+
+    return {
+      normalizedAt: group.normalizedAt,
+      candidates: candidates.length,
+      shifts: shiftSummaries
+    };
+  }
+
+  /**
+   * Load a page of the leaderboard of a test group
+   * @param {number} groupId - Test group ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { count, rows } of ranked attempts with their shift and user
+   */
+  async getLeaderboard(groupId, { limit, offset }) {
+    return QuizAttempt.findAndCountAll({
+      where: { groupRank: { [Op.ne]: null } },
+      attributes: LEADERBOARD_ATTRIBUTES,
+      include: [
+        {
+          model: Quiz,
+          as: 'quiz',
+          attributes: ['id', 'title'],
+          where: { testGroupId: groupId }
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'username', 'fullName']
+        }
+      ],
+      order: [['groupRank', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
+  }
+
+  /**
+   * Find the ranked attempt of a student in a test group
+   * @param {number} groupId - Test group ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} The attempt the student is ranked by, if any
+   */
+  async findRankedAttempt(groupId, userId) {
+    return QuizAttempt.findOne({
+      where: { userId, groupRank: { [Op.ne]: null } },
+      attributes: LEADERBOARD_ATTRIBUTES,
+      include: [
+        {
+          model: Quiz,
+          as: 'quiz',
+          attributes: ['id', 'title'],
+          where: { testGroupId: groupId }
+        }
+      ]
+    });
+  }
+
+  /**
+   * Load a test group with its shifts
+   * @param {number} groupId - Test group ID
+   * @returns {Promise<Object|null>} Test group
+   */
+  async findGroupWithShifts(groupId) {
+    return TestGroup.findByPk(groupId, {
+      include: [
+        {
+          model: Quiz,
+          as: 'shifts',
+          attributes: ['id', 'title', 'startsAt', 'endsAt', 'timeLimit']
+        }
+      ],
+      order: [[{ model: Quiz, as: 'shifts' }, 'startsAt', 'ASC'], [{ model: Quiz, as: 'shifts' }, 'id', 'ASC']]
+    });
+  }
+}
+
+module.exports = new TestGroupService();
\ No newline at end of file
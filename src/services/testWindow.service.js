@@ -0,0 +1,221 @@
+const { Op } = require('sequelize');
+
+// Schedule fields of a mock test, in the order they fall
+const SCHEDULE_FIELDS = ['registrationOpensAt', 'registrationClosesAt', 'startsAt', 'joinCutoffAt', 'endsAt'];
+
+// Phases of a scheduled mock test
+const PHASES = ['upcoming', 'live', 'past'];
+
+/**
+ * Registration and start/end windows of scheduled mock tests, such as the
+ * weekly all-India test series. Mock tests without a start time stay
+ * always open
+ */
+class TestWindowService {
+  /**
+   * Validate the schedule of a mock test
+   * @param {Object} data - Schedule fields, merged with the saved ones on update
+   * @returns {string|null} Error message, or null when the schedule is valid
+   */
+  validateSchedule(data) {
+    const times = {};
+
+    for (const field of SCHEDULE_FIELDS) {
+      if (data[field] === undefined || data[field] === null || data[field] === '') {
+        continue;
+      }
+
+      const time = new Date(data[field]);
+      if (isNaN(time.getTime())) {
+        return `${field} must be a valid date`;
+      }
+      times[field] = time;
+    }
+
+    const { registrationOpensAt, registrationClosesAt, startsAt, joinCutoffAt, endsAt } = times;
+
+    if (!startsAt) {
+      return registrationOpensAt || registrationClosesAt || joinCutoffAt
+        ? 'startsAt is required for registration and join cutoff times'
+        : null;
+    }
+
+    if (!endsAt || endsAt <= startsAt) {
+      return 'endsAt is required and must be after startsAt';
+    }
+
+    if (joinCutoffAt && (joinCutoffAt < startsAt || joinCutoffAt > endsAt)) {
+      return 'joinCutoffAt must be between startsAt and endsAt';
+    }
+
+    if (registrationOpensAt && registrationClosesAt && registrationClosesAt <= registrationOpensAt) {
+      return 'registrationClosesAt must be after registrationOpensAt';
+    }
+
+    if (registrationOpensAt && registrationOpensAt >= (joinCutoffAt || endsAt)) {
+      return 'registrationOpensAt must be before the test can no longer be joined';
+    }
+
+    if (registrationClosesAt && registrationClosesAt > (joinCutoffAt || endsAt)) {
+      return 'registrationClosesAt cannot be after the test can no longer be joined';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a mock test runs in a fixed window
+   * @param {Object} quiz - Mock test
+   * @returns {boolean} True when the test has a start time
+   */
+  isScheduled(quiz) {
+    return Boolean(quiz.startsAt);
+  }
+
+  /**
+   * Check whether students must register before taking a mock test
+   * @param {Object} quiz - Mock test
+   * @returns {boolean} True for scheduled tests with a registration period
+   */
+  requiresRegistration(quiz) {
+    return this.isScheduled(quiz) && Boolean(quiz.registrationOpensAt || quiz.registrationClosesAt);
+  }
+
+  /**
+   * Latest time an attempt can be started in a scheduled mock test
+   * @param {Object} quiz - Scheduled mock test
+   * @returns {Date} Join cutoff, or the end of the window
+   */
+  getJoinCutoff(quiz) {
+    return new Date(quiz.joinCutoffAt || quiz.endsAt);
+  }
+
+  /**
+   * Tell where a mock test is in its window
+   * @param {Object} quiz - Mock test
+   * @param {Date} [now] - Reference time
+   * @returns {string|null} upcoming, live or past; null for unscheduled tests
+   */
+  getPhase(quiz, now = new Date()) {
+    if (!this.isScheduled(quiz)) {
+      return null;
+    }
+
+    if (now < new Date(quiz.startsAt)) {
+      return 'upcoming';
+    }
+
+    return now < new Date(quiz.endsAt) ? 'live' : 'past';
+  }
+
+  /**
+   * Check whether the window of a mock test has closed
+   * Results and solutions of scheduled tests are withheld until then
+   * @param {Object} quiz - Mock test
+   * @param {Date} [now] - Reference time
+   * @returns {boolean} True for unscheduled tests and closed windows
+   */
+  isWindowClosed(quiz, now = new Date()) {
+    return !this.isScheduled(quiz) || this.getPhase(quiz, now) === 'past';
+  }
+
+  /**
+   * Check whether a student can register for a mock test now
+   * @param {Object} quiz - Mock test
+   * @param {Date} [now] - Reference time
+   * @returns {string|null} Error message, or null when registration is open
+   */
+  getRegistrationError(quiz, now = new Date()) {
+    if (!this.requiresRegistration(quiz)) {
+      return 'This mock test does not take registrations';
+    }
+
+    if (quiz.registrationOpensAt && now < new Date(quiz.registrationOpensAt)) {
+      return `Registration opens at ${new Date(quiz.registrationOpensAt).toISOString()}`;
+    }
+
+    const closesAt = quiz.registrationClosesAt ? new Date(quiz.registrationClosesAt) : this.getJoinCutoff(quiz);
+    if (now > closesAt) {
+      return 'Registration has closed';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether an attempt can be started in a mock test now
+   * @param {Object} quiz - Mock test
+   * @param {Date} [now] - Reference time
+   * @returns {string|null} Error message, or null when the test can be joined
+   */
+  getJoinError(quiz, now = new Date()) {
+    if (!this.isScheduled(quiz)) {
+      return null;
+    }
+
+    if (now < new Date(quiz.startsAt)) {
+      return `The mock test starts at ${new Date(quiz.startsAt).toISOString()}`;
+    }
+
+    if (now > this.getJoinCutoff(quiz)) {
+      return 'The mock test can no longer be joined';
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the listing condition for a phase
+   * Only scheduled mock tests have a phase
+   * @param {string} phase - upcoming, live or past
+   * @param {Date} [now] - Reference time
+   * @returns {Object|null} Where condition, or null for an unknown phase
+   */
+  getPhaseWhere(phase, now = new Date()) {
+    if (!PHASES.includes(phase)) {
+      return null;
+    }
+
+    if (phase === 'upcoming') {
+      return { startsAt: { [Op.gt]: now } };
+    }
+
+    if (phase === 'live') {
+      return { startsAt: { [Op.lte]: now }, endsAt: { [Op.gt]: now } };
+    }
+
+    return { startsAt: { [Op.ne]: null }, endsAt: { [Op.lte]: now } };
+  }
+
+  /**
+   * Build the condition matching mock tests whose window has not ended
+   * Their questions are still secret, so they must not be reused elsewhere
+   * @param {Date} [now] - Reference time
+   * @returns {Object} Where condition
+   */
+  getUnreleasedWhere(now = new Date()) {
+    return {
+      [Op.or]: [
+        { startsAt: { [Op.gt]: now } },
+        { endsAt: { [Op.gt]: now } }
+      ]
+    };
+  }
+
+  /**
+   * Schedule details shown with a mock test
+   * @param {Object} quiz - Mock test
+   * @param {Date} [now] - Reference time
+   * @returns {Object} Phase and whether registration and joining are open
+   */
+  getScheduleStatus(quiz, now = new Date()) {
+    return {
+      phase: this.getPhase(quiz, now),
+      requiresRegistration: this.requiresRegistration(quiz),
+      registrationOpen: this.requiresRegistration(quiz) && !this.getRegistrationError(quiz, now),
+      canJoin: !this.getJoinError(quiz, now)
+    };
+  }
+}
+
+module.exports = new TestWindowService();
\ No newline at end of file
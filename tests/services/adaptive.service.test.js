@@ -0,0 +1,48 @@
+const adaptiveService = require('../../src/services/adaptive.service');
+
+const item = (difficulty, isCorrect) => ({ difficulty, discrimination: 1, isCorrect });
+
+describe('adaptiveService.estimateAbility', () => {
+  it('stays at the prior with no answers', () => {
+    expect(adaptiveService.estimateAbility([], 0.5)).toEqual({ ability: 0.5, standardError: 1 });
+  });
+
+  it('moves up after right answers and down after wrong ones', () => {
+    const up = adaptiveService.estimateAbility([item(0, true), item(0.5, true)]);
+    const down = adaptiveService.estimateAbility([item(0, false), item(-0.5, false)]);
+
+    expect(up.ability).toBeGreaterThan(0);
+    expect(down.ability).toBeLessThan(0);
+  });
+
+  it('is symmetric around the prior', () => {
+    const up = adaptiveService.estimateAbility([item(1, true), item(-1, false), item(0, true)]);
+    const down = adaptiveService.estimateAbility([item(-1, false), item(1, true), item(0, false)]);
+
+    expect(up.ability).toBeCloseTo(-down.ability, 6);
+  });
+
+  it('stays finite when every answer is right', () => {
+    const responses = Array.from({ length: 20 }, () => item(0, true));
+    const { ability, standardError } = adaptiveService.estimateAbility(responses);
+
+    expect(Number.isFinite(ability)).toBe(true);
+    expect(ability).toBeLessThanOrEqual(4);
+    expect(standardError).toBeGreaterThan(0);
+  });
+
+  it('becomes more certain as questions are answered', () => {
+    const few = adaptiveService.estimateAbility([item(0, true), item(0, false)]);
+    const many = adaptiveService.estimateAbility(
+      Array.from({ length: 10 }, (unused, index) => item(0, index % 2 === 0))
+    );
+
+    expect(many.standardError).toBeLessThan(few.standardError);
+  });
+
+  it('reaches the default precision target within the question limit', () => {
+    const responses = Array.from({ length: 40 }, (unused, index) => item(0, index % 2 === 0));
+
+    expect(adaptiveService.estimateAbility(responses).standardError).toBeLessThanOrEqual(0.35);
+  });
+});
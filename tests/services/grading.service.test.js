@@ -0,0 +1,163 @@
+const gradingService = require('../../src/services/grading.service');
+
+const singleChoice = (id, extra = {}) => ({
+  id,
+  questionType: 'single_choice',
+  points: 4,
+  answers: [
+    { id: id * 10 + 1, isCorrect: true },
+    { id: id * 10 + 2, isCorrect: false }
+  ],
+  ...extra
+});
+
+describe('gradingService', () => {
+  describe('negative marking', () => {
+    const quiz = { correctMarks: 4, negativeMarks: 1, questions: [singleChoice(1), singleChoice(2), singleChoice(3)] };
+
+    it('deducts the negative marks for a wrong answer and nothing for a skipped one', () => {
+      const result = gradingService.gradeAttempt(quiz, [
+        { questionId: 1, answerId: 11 },
+        { questionId: 2, answerId: 22 }
+      ]);
+
+      expect(result.score).toBe(3);
+      expect(result.maxScore).toBe(12);
+      expect(result).toMatchObject({ correctCount: 1, incorrectCount: 1, unattemptedCount: 1 });
+    });
+
+    it('lets a question override the negative marks of the quiz', () => {
+      const grade = gradingService.gradeResponse(quiz, singleChoice(4, { negativeMarks: 2 }), { answerId: 42 });
+
+      expect(grade).toEqual({ attempted: true, isCorrect: false, pointsEarned: -2 });
+    });
+  });
+
+  describe('multi-correct questions', () => {
+    const question = {
+      id: 1,
+      questionType: 'multiple_choice',
+      answers: [
+        { id: 1, isCorrect: true },
+        { id: 2, isCorrect: true },
+        { id: 3, isCorrect: true },
+        { id: 4, isCorrect: false }
+      ]
+    };
+    const quiz = { correctMarks: 4, negativeMarks: 2, partialMarking: 'per_correct_option', partialMarksPerOption: 1 };
+
+    it('gives full marks when every correct option is picked', () => {
+      expect(gradingService.gradeResponse(quiz, question, { answerIds: [3, 1, 2] }))
+        .toEqual({ attempted: true, isCorrect: true, pointsEarned: 4 });
+    });
+
+    it('gives per-option credit for a subset of the correct options', () => {
+      expect(gradingService.gradeResponse(quiz, question, { answerIds: [1, 2] }))
+        .toEqual({ attempted: true, isCorrect: false, pointsEarned: 2 });
+    });
+
+    it('deducts the negative marks when a wrong option is picked', () => {
+      expect(gradingService.gradeResponse(quiz, question, { answerIds: [1, 4] }))
+        .toEqual({ attempted: true, isCorrect: false, pointsEarned: -2 });
+    });
+
+    it('gives no partial credit without partial marking', () => {
+      const allOrNothing = { ...quiz, partialMarking: null };
+
+      expect(gradingService.gradeResponse(allOrNothing, question, { answerIds: [1, 2] }).pointsEarned).toBe(-2);
+    });
+  });
+
+  describe('numerical questions', () => {
+    const question = (answer) => ({ id: 1, questionType: 'numerical', answers: [{ id: 1, isCorrect: true, ...answer }] });
+
+    it('accepts values within the tolerance of the exact value', () => {
+      const withTolerance = question({ numericValue: 2.5, tolerance: 0.05 });
+
+      expect(gradingService.isCorrectNumerical(withTolerance, { textAnswer: '2.54' })).toBe(true);
+      expect(gradingService.isCorrectNumerical(withTolerance, { textAnswer: '2.56' })).toBe(false);
+    });
+
+    it('treats trailing zeros as the same value', () => {
+      expect(gradingService.isCorrectNumerical(question({ answerText: '2.35' }), { textAnswer: '2.350' })).toBe(true);
+    });
+
+    it('accepts values inside the range, bounds included', () => {
+      const withRange = question({ rangeMin: 1.2, rangeMax: 1.3 });
+
+      expect(gradingService.isCorrectNumerical(withRange, { textAnswer: '1.2' })).toBe(true);
+      expect(gradingService.isCorrectNumerical(withRange, { textAnswer: '1.3' })).toBe(true);
+      expect(gradingService.isCorrectNumerical(withRange, { textAnswer: '1.31' })).toBe(false);
+    });
+
+    it('rounds to the decimal precision before comparing', () => {
+      const rounded = question({ numericValue: 3.14, decimalPrecision: 2 });
+
+      expect(gradingService.isCorrectNumerical(rounded, { textAnswer: '3.1416' })).toBe(true);
+    });
+
+    it('rejects answers that are not numbers', () => {
+      expect(gradingService.isCorrectNumerical(question({ numericValue: 2 }), { textAnswer: '2 m/s' })).toBe(false);
+    });
+  });
+
+  describe('matrix-match questions', () => {
+    const question = (extra = {}) => ({
+      id: 1,
+      questionType: 'matrix_match',
+      matrixLeft: [{ key: 'A' }, { key: 'B' }, { key: 'C' }],
+      answers: [{ id: 1, isCorrect: true, matchMapping: { A: ['p'], B: ['q', 'r'], C: ['s'] } }],
+      ...extra
+    });
+    const quiz = { correctMarks: 6, negativeMarks: 2 };
+
+    it('gives full marks when every item is matched', () => {
+      expect(gradingService.gradeResponse(quiz, question(), { matches: { A: ['p'], B: ['r', 'q'], C: ['s'] } }))
+        .toEqual({ attempted: true, isCorrect: true, pointsEarned: 6 });
+    });
+
+    it('gives credit per matched item when marks per pair are set', () => {
+      expect(gradingService.gradeResponse(quiz, question({ marksPerPair: 2 }), { matches: { A: ['p'], B: ['q'], C: ['s'] } }))
+        .toEqual({ attempted: true, isCorrect: false, pointsEarned: 4 });
+    });
+
+    it('deducts the negative marks for a partial match without marks per pair', () => {
+      expect(gradingService.gradeResponse(quiz, question(), { matches: { A: ['p'], B: ['q'], C: ['s'] } }).pointsEarned)
+        .toBe(-2);
+    });
+  });
+
+  describe('sections with an attempt limit', () => {
+    const inSection = (id, sectionId) => singleChoice(id, { QuizQuestionLink: { sectionId } });
+    const quiz = {
+      correctMarks: 4,
+      negativeMarks: 1,
+      sections: [{ id: 5, position: 1, title: 'Section B', attemptLimit: 2 }],
+      questions: [inSection(1, 5), inSection(2, 5), inSection(3, 5)]
+    };
+
+    it('counts only the best answers and caps the maximum score', () => {
+      const result = gradingService.gradeAttempt(quiz, [
+        { questionId: 1, answerId: 12 },
+        { questionId: 2, answerId: 21 },
+        { questionId: 3, answerId: 31 }
+      ]);
+
+      expect(result.score).toBe(8);
+      expect(result.maxScore).toBe(8);
+      expect(result.sectionResults[0]).toMatchObject({ sectionId: 5, score: 8, maxScore: 8 });
+      expect(result.gradedAnswers.find(answer => answer.question.id === 1))
+        .toMatchObject({ pointsEarned: 0, countedInScore: false });
+    });
+
+    it('keeps a wrong answer when fewer answers than the limit are attempted', () => {
+      const result = gradingService.gradeAttempt(quiz, [
+        { questionId: 1, answerId: 12 },
+        { questionId: 2, answerId: 21 }
+      ]);
+
+      expect(result.score).toBe(3);
+      expect(result.maxScore).toBe(8);
+    });
+  });
+});
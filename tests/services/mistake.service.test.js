@@ -0,0 +1,41 @@
+const mistakeService = require('../../src/services/mistake.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('mistakeService.schedule', () => {
+  const reviewedAt = new Date('2026-03-01T10:00:00Z');
+  const fresh = { easeFactor: 2.5, intervalDays: 0, repetitions: 0 };
+
+  it('schedules the first two passing reviews one and six days out', () => {
+    const first = mistakeService.schedule(fresh, 4, reviewedAt);
+    const second = mistakeService.schedule(first, 4, reviewedAt);
+
+    expect(first).toMatchObject({ intervalDays: 1, repetitions: 1 });
+    expect(first.dueAt).toEqual(new Date(reviewedAt.getTime() + DAY_MS));
+    expect(second).toMatchObject({ intervalDays: 6, repetitions: 2 });
+  });
+
+  it('multiplies the interval by the ease factor from the third review', () => {
+    const next = mistakeService.schedule({ easeFactor: 2.5, intervalDays: 6, repetitions: 2 }, 5, reviewedAt);
+
+    expect(next).toMatchObject({ intervalDays: 15, repetitions: 3 });
+    expect(next.easeFactor).toBeCloseTo(2.6);
+    expect(next.dueAt).toEqual(new Date(reviewedAt.getTime() + 15 * DAY_MS));
+  });
+
+  it('keeps the ease factor for a quality 4 review', () => {
+    expect(mistakeService.schedule(fresh, 4, reviewedAt).easeFactor).toBeCloseTo(2.5);
+  });
+
+  it('starts over after a failed review', () => {
+    const next = mistakeService.schedule({ easeFactor: 2.5, intervalDays: 15, repetitions: 3 }, 2, reviewedAt);
+
+    expect(next).toMatchObject({ intervalDays: 1, repetitions: 0 });
+    expect(next.easeFactor).toBeCloseTo(2.18);
+  });
+
+  it('does not let the ease factor drop below 1.3', () => {
+    expect(mistakeService.schedule({ easeFactor: 1.4, intervalDays: 1, repetitions: 0 }, 0, reviewedAt).easeFactor)
+      .toBe(1.3);
+  });
+});
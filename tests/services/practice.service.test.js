@@ -0,0 +1,43 @@
+const { Op } = require('sequelize');
+const { QuizQuestion, QuizQuestionLink, UserQuizAnswer } = require('../../src/models');
+const practiceService = require('../../src/services/practice.service');
+
+describe('practiceService.findCandidates', () => {
+  const now = new Date('2026-03-01T10:00:00Z');
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('leaves out questions of scheduled mock tests whose window has not ended', async () => {
+    const linkQuery = jest.spyOn(QuizQuestionLink, 'findAll').mockResolvedValue([{ questionId: 7 }, { questionId: 8 }]);
+    jest.spyOn(UserQuizAnswer, 'findAll').mockResolvedValue([{ questionId: 3 }]);
+    const questionQuery = jest.spyOn(QuizQuestion, 'findAll').mockResolvedValue([]);
+
+    await practiceService.findCandidates(1, {});
+
+    expect(linkQuery.mock.calls[0][0].include[0].where).toEqual({
+      [Op.or]: [
+        { startsAt: { [Op.gt]: now } },
+        { endsAt: { [Op.gt]: now } }
+      ]
+    });
+    expect(questionQuery.mock.calls[0][0].where.id[Op.notIn]).toEqual([7, 8, 3]);
+  });
+
+  it('leaves out withheld questions when solved ones are included', async () => {
+    jest.spyOn(QuizQuestionLink, 'findAll').mockResolvedValue([{ questionId: 7 }]);
+    const solvedQuery = jest.spyOn(UserQuizAnswer, 'findAll');
+    const questionQuery = jest.spyOn(QuizQuestion, 'findAll').mockResolvedValue([]);
+
+    await practiceService.findCandidates(null, { includeSolved: true });
+
+    expect(solvedQuery).not.toHaveBeenCalled();
+    expect(questionQuery.mock.calls[0][0].where.id[Op.notIn]).toEqual([7]);
+  });
+});
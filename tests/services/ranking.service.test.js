@@ -0,0 +1,19 @@
+const rankingService = require('../../src/services/ranking.service');
+
+describe('rankingService.calculatePercentiles', () => {
+  it('gives the share of candidates who scored the same or lower', () => {
+    expect(rankingService.calculatePercentiles([40, 10, 30, 20])).toEqual([100, 25, 75, 50]);
+  });
+
+  it('gives tied candidates the same percentile', () => {
+    expect(rankingService.calculatePercentiles([50, 50, 20, 80])).toEqual([75, 75, 25, 100]);
+  });
+
+  it('handles negative scores from negative marking', () => {
+    expect(rankingService.calculatePercentiles([-3, 0, -8])).toEqual([66.6666667, 100, 33.3333333]);
+  });
+
+  it('returns no percentiles for no candidates', () => {
+    expect(rankingService.calculatePercentiles([])).toEqual([]);
+  });
+});